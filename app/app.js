@@ -3,7 +3,7 @@
  */
 
 import { enableRouting } from './lib/router.js';
-import login from './auth/auth.js';
+import login, { authReady } from './auth/auth.js';
 
 // Import core components (needed immediately)
 import './components/app-header.js';
@@ -19,37 +19,49 @@ const router = enableRouting(outlet, {
         load: () => import('./home.js')
     },
     '/pwgen/': {
-        component: 'spwg-page',
-        load: () => import('./apps/pwgen/spwg.js')
-    },
-    '/pwgen/apwg/': {
-        component: 'apwg-page',
-        load: () => import('./apps/pwgen/apwg.js')
-    },
-    '/pwgen/v1/': {
-        component: 'v1-page',
-        load: () => import('./apps/pwgen/v1.js')
+        component: 'pwgen-layout',
+        load: () => import('./apps/pwgen/pwgen-layout.js'),
+        routes: {
+            '/': {
+                component: 'spwg-page',
+                load: () => import('./apps/pwgen/spwg.js')
+            },
+            '/apwg/': {
+                component: 'apwg-page',
+                load: () => import('./apps/pwgen/apwg.js')
+            },
+            '/v1/': {
+                component: 'v1-page',
+                load: () => import('./apps/pwgen/v1.js')
+            }
+        }
     },
     '/auth/': {
-        component: 'auth-login',
-        load: () => import('./auth/login.js')
-    },
-    '/auth/login/': {
-        component: 'auth-login',
-        load: () => import('./auth/login.js')
-    },
-    '/auth/logoff-all/': {
-        component: 'auth-logoff-all',
-        load: () => import('./auth/logoff-all.js')
-    },
-    '/auth/error/': {
-        component: 'auth-error',
-        load: () => import('./auth/auth-error.js')
-    },
-    '/auth/admin/': {
-        component: 'user-manager',
-        require: 'accountmanager',
-        load: () => import('./auth/user-manager.js')  // Let component import its own deps
+        component: 'auth-layout',
+        load: () => import('./auth/auth-layout.js'),
+        routes: {
+            '/': {
+                component: 'auth-login',
+                load: () => import('./auth/login.js')
+            },
+            '/login/': {
+                component: 'auth-login',
+                load: () => import('./auth/login.js')
+            },
+            '/logoff-all/': {
+                component: 'auth-logoff-all',
+                load: () => import('./auth/logoff-all.js')
+            },
+            '/error/': {
+                component: 'auth-error',
+                load: () => import('./auth/auth-error.js')
+            },
+            '/admin/': {
+                component: 'user-manager',
+                require: 'accountmanager',
+                load: () => import('./auth/user-manager.js')  // Let component import its own deps
+            }
+        }
     },
     '/hremote/': {
         component: 'remote-control',
@@ -64,42 +76,31 @@ const router = enableRouting(outlet, {
         component: 'webgrep-page',
         load: () => import('./apps/webgrep/webgrep.js')
     },
-    '/qnote/': {
+    '/qnote/:name?/': {
+        name: 'qnote',
         component: 'qnote-page',
-        load: () => import('./apps/qnote/qnote.js')
-    },
-    '/qnote/:name/': {
-        component: 'qnote-page',
-        load: () => import('./apps/qnote/qnote.js')
+        load: () => import('./apps/qnote/qnote.js'),
+        loader: async (context) => (await import('./apps/qnote/qnote.js')).loadNote(context)
     },
     '/fl/': {
         component: 'fastlink-page',
-        load: () => import('./apps/fl/fastlink.js')
+        load: () => import('./apps/fl/fastlink.js'),
+        loader: async (context) => (await import('./apps/fl/fastlink.js')).loadLink(context)
     },
     '/404': {
         component: 'page-not-found',
         load: () => import('./page-not-found.js')
     }
+}, {
+    // Routes with `require` redirect to the auth error page without the capability
+    checkCapability: async (capability) => {
+        await authReady;
+        return login.state.has(capability);
+    },
+    unauthorizedPath: '/auth/error/'
 });
 
-// Add capability checking hook
-router.beforeEach(async ({ path, query, route }) => {
-    // Check if route requires a capability
-    if (route.require) {
-        const requiredCapability = route.require;
-
-        // Check if user has the required capability
-        if (!login.state.has(requiredCapability)) {
-            console.warn(`Route ${path} requires capability "${requiredCapability}" which user does not have`);
-
-            // Redirect to auth error page
-            router.replace('/auth/error/', {
-                message: `You do not have permission to access this page. Required capability: ${requiredCapability}`
-            });
-
-            return false; // Cancel navigation
-        }
-    }
-
-    return true; // Allow navigation
+// Pages stay on screen while the next one loads its code and data (/fl/ waits for its link)
+router.status.subscribe(({ pending }) => {
+    document.body.classList.toggle('route-pending', pending);
 });
@@ -7,34 +7,47 @@ import { notify } from '../../lib/utils.js';
 
 const RW_API = '/theme/rw.php';
 
+/**
+ * Route loader for the stored link (passed to the page as its data prop)
+ * @param {{signal: AbortSignal}} context - Loader context
+ * @returns {Promise<string>} Current link
+ */
+export async function loadLink({ signal }) {
+    const response = await fetch(`${RW_API}?name=fl`, { signal });
+    return (await response.text()).trim();
+}
+
 export default defineComponent('fastlink-page', {
+    props: {
+        data: '',       // Current link, from the route loader
+        error: null     // Loader error
+    },
+
     data() {
         return {
             currentLink: '',
             newLink: '',
-            loading: true,
             saving: false
         };
     },
 
-    async mounted() {
-        await this.loadLink();
+    mounted() {
+        if (this.props.error) {
+            notify('Failed to load link', 'error');
+        }
+        this.state.currentLink = this.props.data || '';
     },
 
-    methods: {
-        async loadLink() {
-            this.state.loading = true;
-            try {
-                const response = await fetch(`${RW_API}?name=fl`);
-                const link = await response.text();
-                this.state.currentLink = link.trim();
-            } catch (error) {
-                console.error('Failed to load link:', error);
-                notify('Failed to load link', 'error');
-            }
-            this.state.loading = false;
-        },
+    propsChanged(prop, newValue) {
+        // The router reuses the page when navigating to it again, with new loader results
+        if (prop === 'data') {
+            this.state.currentLink = newValue || '';
+        } else if (prop === 'error' && newValue) {
+            notify('Failed to load link', 'error');
+        }
+    },
 
+    methods: {
         async saveLink() {
             if (!this.state.newLink.trim()) {
                 notify('Please enter a URL', 'error');
@@ -122,44 +135,38 @@ export default defineComponent('fastlink-page', {
             <div class="fastlink">
                 <h1>Fast Link</h1>
 
-                ${when(this.state.loading, html`
-                    <div class="loading">Loading...</div>
-                `)}
-
-                ${when(!this.state.loading, html`
-                    <div class="current-link">
-                        <h3>Current Link</h3>
-                        ${when(this.state.currentLink, html`
-                            <div class="link-display">
-                                <a href="${this.state.currentLink}" target="_blank" rel="noopener noreferrer">
-                                    ${this.state.currentLink}
-                                </a>
-                            </div>
-                            <div class="link-actions">
-                                <button on-click="copyLink">Copy</button>
-                                <button on-click="clearLink" class="danger" disabled="${this.state.saving}">
-                                    ${this.state.saving ? 'Clearing...' : 'Clear'}
-                                </button>
-                            </div>
-                        `, html`
-                            <p class="empty">No link currently stored</p>
-                        `)}
-                    </div>
-
-                    <div class="new-link">
-                        <h3>Save New Link</h3>
-                        <form on-submit-prevent="handleSubmit">
-                            <input
-                                type="url"
-                                x-model="newLink"
-                                placeholder="https://example.com"
-                                disabled="${this.state.saving}">
-                            <button type="submit" disabled="${this.state.saving || !this.state.newLink.trim()}">
-                                ${this.state.saving ? 'Saving...' : 'Save'}
+                <div class="current-link">
+                    <h3>Current Link</h3>
+                    ${when(this.state.currentLink, html`
+                        <div class="link-display">
+                            <a href="${this.state.currentLink}" target="_blank" rel="noopener noreferrer">
+                                ${this.state.currentLink}
+                            </a>
+                        </div>
+                        <div class="link-actions">
+                            <button on-click="copyLink">Copy</button>
+                            <button on-click="clearLink" class="danger" disabled="${this.state.saving}">
+                                ${this.state.saving ? 'Clearing...' : 'Clear'}
                             </button>
-                        </form>
-                    </div>
-                `)}
+                        </div>
+                    `, html`
+                        <p class="empty">No link currently stored</p>
+                    `)}
+                </div>
+
+                <div class="new-link">
+                    <h3>Save New Link</h3>
+                    <form on-submit-prevent="handleSubmit">
+                        <input
+                            type="url"
+                            x-model="newLink"
+                            placeholder="https://example.com"
+                            disabled="${this.state.saving}">
+                        <button type="submit" disabled="${this.state.saving || !this.state.newLink.trim()}">
+                            ${this.state.saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </form>
+                </div>
             </div>
         `;
     },
@@ -169,12 +176,6 @@ export default defineComponent('fastlink-page', {
             max-width: 600px;
         }
 
-        .loading {
-            padding: 20px;
-            text-align: center;
-            color: var(--text-muted);
-        }
-
         .current-link {
             background: var(--card-bg);
             border-radius: 8px;
@@ -0,0 +1,29 @@
+/**
+ * Password Generators Layout
+ * Navigation shared by the /pwgen/ pages, which render in its router-outlet
+ */
+import { defineComponent, html } from '../../lib/framework.js';
+
+export default defineComponent('pwgen-layout', {
+    template() {
+        return html`
+            <div>
+                <nav class="pwgen-nav">
+                    <router-link to="/pwgen/">Passphrase</router-link>
+                    <router-link to="/pwgen/apwg/">Advanced</router-link>
+                    <router-link to="/pwgen/v1/">Legacy (v1)</router-link>
+                </nav>
+                <router-outlet></router-outlet>
+            </div>
+        `;
+    },
+
+    styles: /*css*/`
+        .pwgen-nav {
+            display: flex;
+            gap: 15px;
+            padding-bottom: 10px;
+            border-bottom: 1px solid #eee;
+        }
+    `
+});
@@ -15,11 +15,54 @@ function getDraftKey(name) {
     return `qnote-draft-${name}`;
 }
 
+// Remove invalid characters but don't trim (allows typing spaces)
+function sanitizeNoteName(name) {
+    return name.replace(/[^A-Za-z0-9 ]/g, '');
+}
+
+// Sanitize and trim for actual use (saving, loading, comparing)
+function normalizeNoteName(name) {
+    return sanitizeNoteName(name).trim().replace(/ +/g, ' ');
+}
+
+// The API adds trailing newlines
+function normalizeNoteText(text) {
+    return text.trim().replace(/\r\n/g, '\n');
+}
+
+/**
+ * Route loader for the note named in the URL (passed to the page as its data prop).
+ * Load errors are returned with the name, so the page can fall back to a local draft.
+ * @param {{params: Object<string, string>, signal: AbortSignal}} context - Loader context
+ * @returns {Promise<{name: string, content?: string, lockStatus?: string, error?: Error}|null>}
+ *   The note, or null when the URL names none
+ */
+export async function loadNote({ params, signal }) {
+    // URL slugs use dashes for spaces
+    const name = params.name ? normalizeNoteName(decodeURIComponent(params.name).replace(/-/g, ' ')) : '';
+    if (!name) return null;
+
+    try {
+        const contentResp = await fetch(`${RW_API}?name=${encodeURIComponent(name)}`, { signal });
+        const content = normalizeNoteText(await contentResp.text());
+
+        // Check lock status (API returns: public, authorized, readonly)
+        const lockResp = await fetch(`${RW_API}?name=${encodeURIComponent(name)}&lock=check`, { signal });
+        const lockResult = (await lockResp.text()).trim();
+
+        // Map 'readonly' from API to 'unauthorized' for internal state
+        return { name, content, lockStatus: lockResult === 'readonly' ? 'unauthorized' : lockResult };
+    } catch (error) {
+        return { name, error };
+    }
+}
+
 export default defineComponent('qnote-page', {
     stores: { login },
 
     props: {
-        params: {}
+        params: {},
+        data: null      // Note from the route loader
     },
 
     data() {
@@ -40,8 +83,8 @@ export default defineComponent('qnote-page', {
             hasConflict: false,
             serverContent: '', // Track what server has for conflict detection
             lastPollTime: 0,
-            loadRequestId: 0, // Track current load request to prevent race conditions
-            previousName: '' // Track previous name for draft saving
+            previousName: '', // Track previous name for draft saving
+            loadedName: '' // Note whose content is in the editor
         };
     },
 
@@ -56,53 +99,21 @@ export default defineComponent('qnote-page', {
         };
         window.addEventListener('beforeunload', this._beforeUnload);
 
-        // Load note from route params if present
-        if (this.props.params?.name) {
-            const slug = decodeURIComponent(this.props.params.name);
-            this.state.name = this.normalizeName(this.slugToName(slug));
-            this.state.previousName = this.state.name;
-            this.loadNote();
-        } else if (this.state.defaultNote) {
-            // Load default note directly and update URL with replace
+        if (this.props.data) {
+            this.showNote(this.props.data);
+        } else if (!this.props.params?.name && this.state.defaultNote) {
+            // Open the default note: update URL with replace, the route loader loads it
             this.state.name = this.normalizeName(this.state.defaultNote);
             this.state.previousName = this.state.name;
-            this.loadNote();
+            this.state.loading = true;
             this.replaceToNote(this.state.name);
         }
     },
 
-    updated(changedProps) {
-        // React to route param changes
-        if (changedProps.params) {
-            const slug = this.props.params?.name
-                ? decodeURIComponent(this.props.params.name)
-                : '';
-            const newName = slug ? this.normalizeName(this.slugToName(slug)) : '';
-
-            if (newName !== this.state.name) {
-                // Save current draft before switching
-                if (this.state.name && this.state.isUnsaved) {
-                    this.saveDraft();
-                }
-
-                // Stop polling old note
-                this.stopPolling();
-
-                this.state.name = newName;
-                this.state.previousName = newName;
-                if (newName) {
-                    this.loadNote();
-                } else {
-                    // Clear state for new note
-                    this.state.content = '';
-                    this.state.savedContent = '';
-                    this.state.serverContent = '';
-                    this.state.isUnsaved = false;
-                    this.state.lockStatus = 'public';
-                    this.state.hasDraft = false;
-                    this.state.hasConflict = false;
-                }
-            }
+    propsChanged(prop, newValue) {
+        // The router reuses the page for other notes, with the loader's result
+        if (prop === 'data') {
+            this.showNote(newValue);
         }
     },
 
@@ -114,6 +125,13 @@ export default defineComponent('qnote-page', {
         }
     },
 
+    beforeRouteLeave() {
+        // In-app navigation away from unsaved changes (beforeunload only covers leaving the page)
+        if (this.state.isUnsaved) {
+            return confirm('You have unsaved changes. Are you sure you want to leave?');
+        }
+    },
+
     unmounted() {
         window.removeEventListener('beforeunload', this._beforeUnload);
 
@@ -136,14 +154,12 @@ export default defineComponent('qnote-page', {
     },
 
     methods: {
-        // Remove invalid characters but don't trim (allows typing spaces)
         sanitizeName(name) {
-            return name.replace(/[^A-Za-z0-9 ]/g, '');
+            return sanitizeNoteName(name);
         },
 
-        // Sanitize and trim for actual use (saving, loading, comparing)
         normalizeName(name) {
-            return this.sanitizeName(name).trim().replace(/ +/g, ' ');
+            return normalizeNoteName(name);
         },
 
         // Convert display name (spaces) to URL slug (dashes)
@@ -151,35 +167,20 @@ export default defineComponent('qnote-page', {
             return name.replace(/ +/g, '-');
         },
 
-        // Convert URL slug (dashes) to display name (spaces)
-        slugToName(slug) {
-            return slug.replace(/-/g, ' ');
-        },
-
         navigateToNote(name) {
             // Save draft before navigating
             if (this.state.name && this.state.isUnsaved) {
                 this.saveDraft();
             }
 
-            const router = getRouter();
-            if (name) {
-                const slug = this.nameToSlug(name);
-                router.navigate(`/qnote/${encodeURIComponent(slug)}/`);
-            } else {
-                router.navigate('/qnote/');
-            }
+            const params = name ? { name: this.nameToSlug(name) } : {};
+            getRouter().navigate({ name: 'qnote', params });
         },
 
         replaceToNote(name) {
             // Update URL without adding history entry
-            const router = getRouter();
-            if (name) {
-                const slug = this.nameToSlug(name);
-                router.replace(`/qnote/${encodeURIComponent(slug)}/`);
-            } else {
-                router.replace('/qnote/');
-            }
+            const params = name ? { name: this.nameToSlug(name) } : {};
+            getRouter().replace({ name: 'qnote', params });
         },
 
         saveDraft() {
@@ -286,86 +287,88 @@ export default defineComponent('qnote-page', {
             notify('Keeping your version - save to overwrite server');
         },
 
-        async loadNote() {
-            if (!this.state.name) return;
+        // Show a note from the route loader (null: no note)
+        showNote(note) {
+            this.state.loading = false;
 
-            const cleanName = this.normalizeName(this.state.name);
-            if (!cleanName) return;
+            // Already open, e.g. the URL was updated after saving
+            if (note && note.name === this.state.loadedName) return;
 
-            // Increment request ID to track this load request
-            const requestId = ++this.state.loadRequestId;
+            // Keep unsaved changes of the note being replaced
+            if (this.state.loadedName && this.state.isUnsaved) {
+                localStorage.setItem(getDraftKey(this.state.loadedName), this.state.content);
+            }
 
-            this.state.loading = true;
+            this.stopPolling();
             this.state.hasConflict = false;
 
-            try {
-                // Load note content from server
-                const contentResp = await fetch(`${RW_API}?name=${encodeURIComponent(cleanName)}`);
-
-                // Check if a newer request has started - abort if stale
-                if (requestId !== this.state.loadRequestId) return;
-
-                // Normalize server content (API adds trailing newlines)
-                const serverContent = this.normalizeNoteText(await contentResp.text());
-
-                // Check for local draft
-                const draft = localStorage.getItem(getDraftKey(cleanName));
-
-                if (draft && this.normalizeNoteText(draft) !== serverContent) {
-                    // We have a draft that differs from server
-                    this.state.content = serverContent;
-                    this.state.savedContent = serverContent;
-                    this.state.serverContent = serverContent;
-                    this.state.hasDraft = true;
-                    this.state.isUnsaved = false;
-                } else {
-                    // No draft or draft matches server
-                    this.state.content = serverContent;
-                    this.state.savedContent = serverContent;
-                    this.state.serverContent = serverContent;
-                    this.state.isUnsaved = false;
-                    this.state.hasDraft = false;
-                    if (draft) {
-                        localStorage.removeItem(getDraftKey(cleanName));
-                    }
-                }
-
-                // Check lock status (API returns: public, authorized, readonly)
-                const lockResp = await fetch(`${RW_API}?name=${encodeURIComponent(cleanName)}&lock=check`);
-
-                // Check again if a newer request has started
-                if (requestId !== this.state.loadRequestId) return;
-
-                const lockResult = (await lockResp.text()).trim();
-                // Map 'readonly' from API to 'unauthorized' for internal state
-                this.state.lockStatus = lockResult === 'readonly' ? 'unauthorized' : lockResult;
+            if (!note) {
+                // Clear state for new note
+                this.state.name = '';
+                this.state.previousName = '';
+                this.state.loadedName = '';
+                this.state.content = '';
+                this.state.savedContent = '';
+                this.state.serverContent = '';
+                this.state.isUnsaved = false;
+                this.state.lockStatus = 'public';
+                this.state.hasDraft = false;
+                return;
+            }
 
-                // Start polling for updates
-                this.startPolling();
-            } catch (error) {
-                // Only handle error if this is still the current request
-                if (requestId !== this.state.loadRequestId) return;
+            // Keep the name as typed when it's the same note
+            if (this.normalizeName(this.state.name) !== note.name) {
+                this.state.name = note.name;
+            }
+            this.state.previousName = note.name;
+            this.state.loadedName = note.name;
 
-                console.error('Failed to load note:', error);
+            if (note.error) {
+                console.error('Failed to load note:', note.error);
                 notify('Failed to load note', 'error');
 
                 // Try to recover from draft if server fails
-                const draft = localStorage.getItem(getDraftKey(cleanName));
+                const draft = localStorage.getItem(getDraftKey(note.name));
                 if (draft) {
                     this.state.content = draft;
                     this.state.isUnsaved = true;
                     notify('Loaded from local draft', 'warn');
                 }
-            } finally {
-                // Only update loading state if this is still the current request
-                if (requestId === this.state.loadRequestId) {
-                    this.state.loading = false;
+                return;
+            }
+
+            const serverContent = note.content;
+
+            // Check for local draft
+            const draft = localStorage.getItem(getDraftKey(note.name));
+
+            if (draft && this.normalizeNoteText(draft) !== serverContent) {
+                // We have a draft that differs from server
+                this.state.content = serverContent;
+                this.state.savedContent = serverContent;
+                this.state.serverContent = serverContent;
+                this.state.hasDraft = true;
+                this.state.isUnsaved = false;
+            } else {
+                // No draft or draft matches server
+                this.state.content = serverContent;
+                this.state.savedContent = serverContent;
+                this.state.serverContent = serverContent;
+                this.state.isUnsaved = false;
+                this.state.hasDraft = false;
+                if (draft) {
+                    localStorage.removeItem(getDraftKey(note.name));
                 }
             }
+
+            this.state.lockStatus = note.lockStatus;
+
+            // Start polling for updates
+            this.startPolling();
         },
 
         normalizeNoteText(text) {
-            return text.trim().replace(/\r\n/g, '\n');
+            return normalizeNoteText(text);
         },
 
         // Adjust cursor position based on content diff
@@ -553,10 +556,9 @@ export default defineComponent('qnote-page', {
                         localStorage.setItem(getDraftKey(prevName), this.state.content);
                     }
 
-                    this.stopPolling();
                     this.state.previousName = normalized;
-                    this.loadNote();
-                    // Update URL without adding history entry
+                    this.state.loading = true;
+                    // Update URL without adding history entry (the route loader loads the note)
                     this.replaceToNote(normalized);
                 } else if (!normalized) {
                     // Name cleared - reset state
@@ -592,10 +594,9 @@ export default defineComponent('qnote-page', {
                     localStorage.setItem(getDraftKey(this.state.previousName), this.state.content);
                 }
 
-                this.stopPolling();
                 this.state.previousName = normalized;
-                this.loadNote();
-                // Update URL without adding history entry
+                this.state.loading = true;
+                // Update URL without adding history entry (the route loader loads the note)
                 this.replaceToNote(normalized);
             }
         },
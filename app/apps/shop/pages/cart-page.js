@@ -106,7 +106,7 @@ export default defineComponent('shop-cart-page', {
                                         </button>
                                     </div>
                                 </div>
-                            `)}
+                            `, item => item.id, { transition: 'cart-item' })}
 
                             <div class="cart-actions">
                                 <cl-button
@@ -257,6 +257,20 @@ export default defineComponent('shop-cart-page', {
             border-bottom: none;
         }
 
+        /* Removed items fade out, the rest slide up */
+        .cart-item-leave-active {
+            transition: opacity 0.25s ease, transform 0.25s ease;
+        }
+
+        .cart-item-leave-to {
+            opacity: 0;
+            transform: translateX(-24px);
+        }
+
+        .cart-item-move {
+            transition: transform 0.3s ease;
+        }
+
         .item-product {
             display: flex;
             gap: 16px;
@@ -15,22 +15,31 @@ export default defineComponent('shop-home-page', {
     },
 
     async mounted() {
-        try {
-            const response = await fetch('./products.json');
-            const data = await response.json();
-            this.state.categories = data.categories;
-            // Get first 4 products as featured
-            this.state.featuredProducts = data.products
-                .filter(p => p.badge)
-                .slice(0, 4);
-            this.state.loading = false;
-        } catch (e) {
-            console.error('Failed to load products:', e);
-            this.state.loading = false;
-        }
+        await this.loadProducts();
+    },
+
+    // Load the catalog before prerendering so the static page lists products
+    serverPrefetch() {
+        return this.loadProducts();
     },
 
     methods: {
+        async loadProducts() {
+            try {
+                const response = await fetch('./products.json');
+                const data = await response.json();
+                this.state.categories = data.categories;
+                // Get first 4 products as featured
+                this.state.featuredProducts = data.products
+                    .filter(p => p.badge)
+                    .slice(0, 4);
+                this.state.loading = false;
+            } catch (e) {
+                console.error('Failed to load products:', e);
+                this.state.loading = false;
+            }
+        },
+
         navigateToCategory(categoryId) {
             window.location.hash = `/shop/products/${categoryId}/`;
         },
@@ -1,7 +1,7 @@
 /**
  * Shop Products Page with filtering, sorting, and pagination
  */
-import { defineComponent, html, when, each } from '../../../lib/framework.js';
+import { defineComponent, html, when, each, markRaw } from '../../../lib/framework.js';
 import cartStore from '../cart-store.js';
 
 // Import UI components
@@ -48,12 +48,18 @@ export default defineComponent('shop-products-page', {
         await this.loadProducts();
     },
 
+    // Load the catalog before prerendering so the static page lists products
+    serverPrefetch() {
+        return this.loadProducts();
+    },
+
     methods: {
         async loadProducts() {
             try {
                 const response = await fetch('./products.json');
                 const data = await response.json();
-                this.state.products = data.products;
+                // The catalog is never edited - skip proxying every product on each filter pass
+                this.state.products = markRaw(data.products);
                 this.state.categories = data.categories;
 
                 // Set category from URL param if present, or clear it
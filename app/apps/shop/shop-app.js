@@ -18,9 +18,9 @@ import './pages/product-detail.js';
 import './pages/cart-page.js';
 import './pages/checkout-page.js';
 
-// Setup router
-const outlet = document.querySelector('router-outlet');
-const router = enableRouting(outlet, {
+// Setup router (not when this module is imported by prerender.js)
+const outlet = typeof document !== 'undefined' ? document.querySelector('router-outlet') : null;
+const router = typeof document === 'undefined' ? null : enableRouting(outlet, {
     '/shop/': {
         component: 'shop-home-page'
     },
@@ -113,6 +113,23 @@ export default defineComponent('shop-app', {
 
         goToCart() {
             router.navigate('/shop/cart/');
+        },
+
+        async recoverFromError(reset) {
+            // Reset recreates the outlet element, so hand the new one to the router
+            await reset();
+            router.setOutlet(this.querySelector('router-outlet'));
+            router.navigate('/shop/');
+        },
+
+        renderPageError(err, reset) {
+            return html`
+                <div class="page-error">
+                    <h2>Something went wrong</h2>
+                    <p>This page couldn't be displayed.</p>
+                    <cl-button label="Back to Shop" on-click="${() => this.recoverFromError(reset)}"></cl-button>
+                </div>
+            `;
         }
     },
 
@@ -135,7 +152,9 @@ export default defineComponent('shop-app', {
                     </button>
                 </div>
 
-                <router-outlet></router-outlet>
+                <x-error-boundary fallback="${this.renderPageError}">
+                    <router-outlet></router-outlet>
+                </x-error-boundary>
                 <cl-toast position="top-right"></cl-toast>
             </cl-shell>
         `;
@@ -182,6 +201,21 @@ export default defineComponent('shop-app', {
             min-width: 18px;
             text-align: center;
         }
+
+        .page-error {
+            max-width: 480px;
+            margin: 48px auto;
+            text-align: center;
+        }
+
+        .page-error h2 {
+            margin: 0 0 8px 0;
+        }
+
+        .page-error p {
+            margin: 0 0 20px 0;
+            color: var(--text-muted, #6c757d);
+        }
     `
 });
 
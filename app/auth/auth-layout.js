@@ -0,0 +1,33 @@
+/**
+ * Account Layout
+ * Navigation shared by the /auth/ pages, which render in its router-outlet
+ */
+import { defineComponent, html, when } from '../lib/framework.js';
+import login from './auth.js';
+
+export default defineComponent('auth-layout', {
+    stores: { login },
+
+    template() {
+        return html`
+            <div>
+                <nav class="auth-nav">
+                    <router-link to="/auth/login/">Login</router-link>
+                    ${when(this.stores.login.user, html`
+                        <router-link to="/auth/logoff-all/">Log Off All Browsers</router-link>
+                    `)}
+                </nav>
+                <router-outlet></router-outlet>
+            </div>
+        `;
+    },
+
+    styles: /*css*/`
+        .auth-nav {
+            display: flex;
+            gap: 15px;
+            padding-bottom: 10px;
+            border-bottom: 1px solid #eee;
+        }
+    `
+});
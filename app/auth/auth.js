@@ -7,7 +7,7 @@ import * as api from '../api.js';
 
 class Login {
     constructor() {
-        this.capabilities = [];  // Use array instead of Set for reactivity
+        this.capabilities = new Set();
         this.user = null;
         this.partialLogin = null;
         this.updated = null;
@@ -19,7 +19,7 @@ class Login {
      * @returns {boolean}
      */
     has(capability) {
-        return this.capabilities.includes(capability);
+        return this.capabilities.has(capability);
     }
 
     /**
@@ -74,7 +74,7 @@ class Login {
     async upd() {
         const response = await api.getDetails();
         const { capabilities, user } = response;
-        this.capabilities = capabilities;  // Store as array for reactivity
+        this.capabilities = new Set(capabilities);
         this.user = user;
         if (this.updated) this.updated(this);
     }
@@ -90,15 +90,23 @@ function loginStore() {
     login.updated = (value) => store.set(value);
 
     // Initialize - with error handling for initial auth sync
-    login.upd().catch(error => {
+    const ready = login.upd().catch(error => {
         console.error('[Auth] Failed to initialize auth state:', error);
         // Set default unauthenticated state on error
         login.user = null;
-        login.capabilities = [];
+        login.capabilities = new Set();
         store.set(login);
     });
 
-    return store;
+    return { store, ready };
 }
 
-export default loginStore();
+const { store, ready } = loginStore();
+
+/**
+ * Resolves once the initial auth state has loaded (or failed to)
+ * @type {Promise<void>}
+ */
+export const authReady = ready;
+
+export default store;
@@ -5,7 +5,7 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-breadcrumb', {
     props: {
-        model: [], // Array of {label: string, url: string, command: function}
+        model: { type: Array, default: () => [] }, // Array of {label: string, url: string, command: function}
         home: null, // Home item {icon: string, url: string, command: function}
         separator: '/'
     },
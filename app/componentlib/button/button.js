@@ -9,10 +9,10 @@ export default defineComponent('cl-button', {
         icon: '',
         iconpos: 'left', // 'left' or 'right'
         severity: 'primary', // 'primary', 'secondary', 'success', 'danger', 'warning', 'info'
-        outlined: false,
-        text: false,
-        disabled: false,
-        loading: false
+        outlined: { type: Boolean, default: false },
+        text: { type: Boolean, default: false },
+        disabled: { type: Boolean, default: false },
+        loading: { type: Boolean, default: false }
     },
 
     methods: {
@@ -31,13 +31,11 @@ export default defineComponent('cl-button', {
     },
 
     template() {
-        const classes = [
-            'cl-button',
-            this.props.severity,
-            this.props.outlined ? 'outlined' : '',
-            this.props.text ? 'text' : '',
-            this.props.loading ? 'loading' : ''
-        ].filter(Boolean).join(' ');
+        const classes = ['cl-button', this.props.severity, {
+            outlined: this.props.outlined,
+            text: this.props.text,
+            loading: this.props.loading
+        }];
 
         return html`
             <button
@@ -5,7 +5,7 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-menu', {
     props: {
-        model: [] // Array of {label: string, icon: string, command: function, items: []}
+        model: { type: Array, default: () => [] } // Array of {label: string, icon: string, command: function, items: []}
     },
 
     data() {
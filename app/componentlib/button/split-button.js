@@ -6,14 +6,15 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 export default defineComponent('cl-split-button', {
     props: {
         label: '',
-        model: [], // Array of {label: string, command: function}
+        model: { type: Array, default: () => [] }, // Array of {label: string, command: function}
         severity: 'primary',
-        disabled: false
+        disabled: { type: Boolean, default: false }
     },
 
     data() {
         return {
-            showMenu: false
+            showMenu: false,
+            menuAnchor: { x: 0, y: 0 }
         };
     },
 
@@ -30,6 +31,9 @@ export default defineComponent('cl-split-button', {
 
         toggleMenu() {
             if (!this.props.disabled) {
+                // The menu is rendered in a portal, below the right edge of the button
+                const rect = this.refs.root.getBoundingClientRect();
+                this.state.menuAnchor = { x: rect.right, y: rect.bottom };
                 this.state.showMenu = !this.state.showMenu;
             }
         },
@@ -49,7 +53,7 @@ export default defineComponent('cl-split-button', {
 
     template() {
         return html`
-            <div class="cl-split-button" on-click-outside="closeMenu">
+            <div ref="root" class="cl-split-button" on-click-outside="closeMenu">
                 <button
                     class="main-button ${this.props.severity}"
                     disabled="${this.props.disabled}"
@@ -62,17 +66,21 @@ export default defineComponent('cl-split-button', {
                     on-click="toggleMenu">
                     ▼
                 </button>
-                ${when(this.state.showMenu, html`
-                    <div class="dropdown-menu">
-                        ${each(this.props.model || [], item => html`
-                            <div
-                                class="menu-item"
-                                on-click="${() => this.handleItemClick(item)}">
-                                ${item.label}
-                            </div>
-                        `)}
-                    </div>
-                `)}
+                <x-portal target="body" layer="popup" active="${this.state.showMenu}">
+                    ${when(this.state.showMenu, html`
+                        <div
+                            class="dropdown-menu"
+                            style="${{ left: this.state.menuAnchor.x, top: this.state.menuAnchor.y }}">
+                            ${each(this.props.model || [], item => html`
+                                <div
+                                    class="menu-item"
+                                    on-click="${() => this.handleItemClick(item)}">
+                                    ${item.label}
+                                </div>
+                            `)}
+                        </div>
+                    `)}
+                </x-portal>
             </div>
         `;
     },
@@ -145,9 +153,8 @@ export default defineComponent('cl-split-button', {
         }
 
         .dropdown-menu {
-            position: absolute;
-            top: 100%;
-            right: 0;
+            position: fixed;
+            transform: translateX(-100%);
             margin-top: 4px;
             background: var(--card-bg, white);
             border: 1px solid var(--input-border, #dee2e6);
@@ -5,15 +5,15 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-datatable', {
     props: {
-        value: [],
-        columns: [],
+        value: { type: Array, default: () => [] },
+        columns: { type: Array, default: () => [] },
         selectionmode: 'none', // 'none', 'single', 'multiple'
         selection: null,
         sortfield: '',
-        sortorder: 1, // 1 for asc, -1 for desc
-        paginator: false,
-        rows: 10,
-        currentpage: 0
+        sortorder: { type: Number, default: 1 }, // 1 for asc, -1 for desc
+        paginator: { type: Boolean, default: false },
+        rows: { type: Number, default: 10 },
+        currentpage: { type: Number, default: 0 }
     },
 
     data() {
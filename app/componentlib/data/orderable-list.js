@@ -5,8 +5,9 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-orderable-list', {
     props: {
-        value: [],
+        value: { type: Array, default: () => [] },
         itemlabel: 'label',
+        datakey: '',  // Field that identifies an item; when set, moves are animated
         header: 'List Items'
     },
 
@@ -90,6 +91,10 @@ export default defineComponent('cl-orderable-list', {
             return typeof item === 'object' ? item[this.props.itemlabel] : item;
         },
 
+        getItemKey(item) {
+            return typeof item === 'object' ? item[this.props.datakey] : item;
+        },
+
         isDropTarget(index) {
             return this.state.dropIndex === index && this.state.dragIndex !== index;
         }
@@ -97,6 +102,8 @@ export default defineComponent('cl-orderable-list', {
 
     template() {
         const items = this.props.value || [];
+        // Without a unique key, items are matched by position and can't be animated
+        const keyed = !!this.props.datakey;
 
         return html`
             <div class="cl-orderable-list">
@@ -131,7 +138,7 @@ export default defineComponent('cl-orderable-list', {
                                     title="Move down">↓</button>
                             </div>
                         </div>
-                    `)}
+                    `, keyed ? item => this.getItemKey(item) : null, keyed ? { transition: 'list' } : null)}
                 </div>
             </div>
         `;
@@ -173,6 +180,18 @@ export default defineComponent('cl-orderable-list', {
             background: var(--card-bg, white);
         }
 
+        .list-move {
+            transition: transform 0.3s ease;
+        }
+
+        .list-enter-active, .list-leave-active {
+            transition: opacity 0.2s ease;
+        }
+
+        .list-enter-from, .list-leave-to {
+            opacity: 0;
+        }
+
         .list-item:last-child {
             border-bottom: none;
         }
@@ -5,10 +5,10 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-paginator', {
     props: {
-        totalrecords: 0,
-        rows: 10,
-        first: 0,
-        pagerlinksize: 5
+        totalrecords: { type: Number, default: 0 },
+        rows: { type: Number, default: 10 },
+        first: { type: Number, default: 0 },
+        pagerlinksize: { type: Number, default: 5 }
     },
 
     methods: {
@@ -5,7 +5,7 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-tree', {
     props: {
-        value: [],
+        value: { type: Array, default: () => [] },
         selectionmode: 'none', // 'none', 'single', 'multiple'
         selection: null
     },
@@ -6,15 +6,15 @@ import { defineComponent, html, each, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-virtual-list', {
     props: {
-        items: [],
-        itemHeight: 50,         // Height of each item in pixels
-        bufferSize: 5,          // Number of extra items to render above/below viewport
-        renderItem: null,       // Function to render each item (receives item, index)
+        items: { type: Array, default: () => [] },
+        itemHeight: { type: Number, default: 50 }, // Height of each item in pixels
+        bufferSize: { type: Number, default: 5 }, // Number of extra items to render above/below viewport
+        renderItem: { type: Function, default: null }, // Function to render each item (receives item, index)
         height: '400px',        // Container height
         emptyMessage: 'No items to display',
-        loading: false,
-        selectable: false,
-        selectedIndex: -1
+        loading: { type: Boolean, default: false },
+        selectable: { type: Boolean, default: false },
+        selectedIndex: { type: Number, default: -1 }
     },
 
     data() {
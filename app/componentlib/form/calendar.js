@@ -6,11 +6,11 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 export default defineComponent('cl-calendar', {
     props: {
         value: '',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
         min: '',
         max: '',
-        inline: false,
+        inline: { type: Boolean, default: false },
         dateFormat: 'MM/DD/YYYY',  // Display format
         placeholder: ''
     },
@@ -28,6 +28,7 @@ export default defineComponent('cl-calendar', {
     },
 
     mounted() {
+        this._defaultValue = this.props.value;
         this.syncValueToState();
         this.state.yearRangeStart = Math.floor(new Date().getFullYear() / 12) * 12;
 
@@ -42,6 +43,22 @@ export default defineComponent('cl-calendar', {
         }
     },
 
+    formAssociated: true,
+
+    // Submitted as an ISO date (YYYY-MM-DD), like <input type="date">
+    formValue() {
+        return this.props.value;
+    },
+
+    formValidity() {
+        return this.state.inputError ? { badInput: true, message: this.state.inputError } : null;
+    },
+
+    formResetCallback() {
+        this.state.inputError = '';
+        this.emitChange(null, this._defaultValue);
+    },
+
     methods: {
         closePicker() {
             if (!this.props.inline) {
@@ -462,16 +479,10 @@ export default defineComponent('cl-calendar', {
                                         return html`<div class="day empty"></div>`;
                                     }
                                     const disabled = this.isDateDisabled(date);
-                                    const classes = [
-                                        'day',
-                                        this.isSelectedDate(date) ? 'selected' : '',
-                                        this.isToday(date) ? 'today' : '',
-                                        disabled ? 'disabled' : ''
-                                    ].filter(Boolean).join(' ');
 
                                     return html`
                                         <div
-                                            class="${classes}"
+                                            class="day ${{ selected: this.isSelectedDate(date), today: this.isToday(date), disabled }}"
                                             on-click="${disabled ? null : () => this.selectDate(date)}">
                                             ${date.getDate()}
                                         </div>
@@ -496,12 +507,8 @@ export default defineComponent('cl-calendar', {
                             </div>
                             <div class="month-grid">
                                 ${each(months, (month, idx) => {
-                                    const classes = [
-                                        'month-cell',
-                                        this.isCurrentMonth(idx) ? 'current' : ''
-                                    ].filter(Boolean).join(' ');
                                     return html`
-                                        <div class="${classes}" on-click="${() => this.selectMonth(idx)}">
+                                        <div class="month-cell ${{ current: this.isCurrentMonth(idx) }}" on-click="${() => this.selectMonth(idx)}">
                                             ${month}
                                         </div>
                                     `;
@@ -517,12 +524,8 @@ export default defineComponent('cl-calendar', {
                             </div>
                             <div class="year-grid">
                                 ${each(years, year => {
-                                    const classes = [
-                                        'year-cell',
-                                        this.isCurrentYear(year) ? 'current' : ''
-                                    ].filter(Boolean).join(' ');
                                     return html`
-                                        <div class="${classes}" on-click="${() => this.selectYear(year)}">
+                                        <div class="year-cell ${{ current: this.isCurrentYear(year) }}" on-click="${() => this.selectYear(year)}">
                                             ${year}
                                         </div>
                                     `;
@@ -5,14 +5,35 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-checkbox', {
     props: {
-        checked: false,
+        checked: { type: Boolean, default: false },
         value: null,  // Used for x-model compatibility - null means "not set by x-model"
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
-        binary: true,
+        binary: { type: Boolean, default: true },
         checkboxValue: ''  // Renamed from 'value' for non-binary mode
     },
 
+    mounted() {
+        this._defaultChecked = this.getCheckedState();
+    },
+
+    formAssociated: true,
+
+    // Like a native checkbox: nothing is submitted when unchecked
+    formValue() {
+        if (!this.getCheckedState()) return null;
+        return this.props.binary ? true : this.props.checkboxValue;
+    },
+
+    formResetCallback() {
+        const checked = this._defaultChecked;
+        if (this.props.binary) {
+            this.emitChange(null, checked);
+        } else {
+            this.emitChange(null, checked ? this.props.checkboxValue : null);
+        }
+    },
+
     methods: {
         handleChange(e) {
             const checked = e.target.checked;
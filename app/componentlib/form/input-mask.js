@@ -15,14 +15,14 @@ export default defineComponent('cl-input-mask', {
         mask: '',           // e.g., '(999) 999-9999' for phone, '999-99-9999' for SSN
         placeholder: '',
         slotChar: '_',      // Character shown in unfilled positions
-        disabled: false,
-        required: false,
+        disabled: { type: Boolean, default: false },
+        required: { type: Boolean, default: false },
         error: '',
         label: '',
         helptext: '',
-        autoClear: false,   // Clear incomplete values on blur
-        unmask: false,      // If true, emits raw value without mask characters
-        hideError: false    // If true, don't show internal validation errors (for parent-controlled validation)
+        autoClear: { type: Boolean, default: false }, // Clear incomplete values on blur
+        unmask: { type: Boolean, default: false }, // If true, emits raw value without mask characters
+        hideError: { type: Boolean, default: false } // If true, don't show internal validation errors (for parent-controlled validation)
     },
 
     data() {
@@ -34,12 +34,39 @@ export default defineComponent('cl-input-mask', {
     },
 
     mounted() {
+        this._defaultValue = this.props.value;
         this.initBuffer();
         if (this.props.value) {
             this.setValueFromProp(this.props.value);
         }
     },
 
+    formAssociated: true,
+
+    formValue() {
+        return this.props.unmask ? this.getRawValue() : this.getMaskedValue();
+    },
+
+    formValidity() {
+        const filledCount = this.state.buffer.filter(c => c).length;
+        if (this.props.required && filledCount === 0) {
+            return { valueMissing: true, message: 'This field is required' };
+        }
+        if (filledCount > 0 && filledCount < this.state.buffer.length) {
+            return { badInput: true, message: 'Please complete the field' };
+        }
+        return this.props.error ? { customError: true, message: this.props.error } : null;
+    },
+
+    formResetCallback() {
+        this.initBuffer();
+        if (this._defaultValue) {
+            this.setValueFromProp(this._defaultValue);
+        }
+        this.state.internalError = '';
+        this.emitChange();
+    },
+
     propsChanged(prop, newValue, oldValue) {
         if (prop === 'value' && newValue !== oldValue) {
             this.setValueFromProp(newValue);
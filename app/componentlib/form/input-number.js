@@ -5,16 +5,34 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-input-number', {
     props: {
-        value: 0,
-        min: null,
-        max: null,
-        step: 1,
-        disabled: false,
+        value: { type: Number, default: 0 },
+        min: { type: Number, default: null },
+        max: { type: Number, default: null },
+        step: { type: Number, default: 1 },
+        disabled: { type: Boolean, default: false },
         label: '',
-        showbuttons: true,
+        showbuttons: { type: Boolean, default: true },
         error: ''
     },
 
+    mounted() {
+        this._defaultValue = this.props.value;
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.props.value;
+    },
+
+    formValidity() {
+        return this.props.error ? { customError: true, message: this.props.error } : null;
+    },
+
+    formResetCallback() {
+        this.emitChange(null, this._defaultValue);
+    },
+
     methods: {
         handleInput(e) {
             const value = parseFloat(e.target.value) || 0;
@@ -7,16 +7,16 @@ export default defineComponent('cl-input-password', {
     props: {
         value: '',
         placeholder: '',
-        disabled: false,
-        required: false,
-        minlength: 0,
-        maxlength: 0,
+        disabled: { type: Boolean, default: false },
+        required: { type: Boolean, default: false },
+        minlength: { type: Number, default: 0 },
+        maxlength: { type: Number, default: 0 },
         error: '',
         label: '',
         helptext: '',
-        showStrength: false,    // Show password strength meter
-        showToggle: true,       // Show visibility toggle button
-        feedback: true          // Show feedback messages
+        showStrength: { type: Boolean, default: false }, // Show password strength meter
+        showToggle: { type: Boolean, default: true }, // Show visibility toggle button
+        feedback: { type: Boolean, default: true } // Show feedback messages
     },
 
     data() {
@@ -31,11 +31,33 @@ export default defineComponent('cl-input-password', {
 
     mounted() {
         this.state.internalValue = this.props.value || '';
+        this._defaultValue = this.state.internalValue;
         if (this.props.showStrength) {
             this.calculateStrength(this.state.internalValue);
         }
     },
 
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalValue;
+    },
+
+    formValidity() {
+        if (this.props.required && !this.state.internalValue) {
+            return { valueMissing: true, message: 'This field is required' };
+        }
+        const error = this.props.error || this.state.internalError;
+        return error ? { customError: true, message: error } : null;
+    },
+
+    formResetCallback() {
+        this.state.internalValue = this._defaultValue;
+        this.state.internalError = '';
+        this.calculateStrength(this._defaultValue);
+        this.emitChange(null, this._defaultValue);
+    },
+
     propsChanged(prop, newValue, oldValue) {
         if (prop === 'value' && newValue !== this.state.internalValue) {
             this.state.internalValue = newValue || '';
@@ -7,13 +7,13 @@ export default defineComponent('cl-input-search', {
     props: {
         value: '',
         placeholder: 'Search...',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
-        suggestions: [],         // Array of suggestion strings or objects
-        minChars: 1,            // Minimum characters before showing suggestions
-        debounce: 300,          // Debounce delay in ms for search event
-        loading: false,
-        showClear: true
+        suggestions: { type: Array, default: () => [] }, // Array of suggestion strings or objects
+        minChars: { type: Number, default: 1 }, // Minimum characters before showing suggestions
+        debounce: { type: Number, default: 300 }, // Debounce delay in ms for search event
+        loading: { type: Boolean, default: false },
+        showClear: { type: Boolean, default: true }
     },
 
     data() {
@@ -26,6 +26,7 @@ export default defineComponent('cl-input-search', {
 
     mounted() {
         this.state.internalValue = this.props.value || '';
+        this._defaultValue = this.state.internalValue;
 
         this._clickOutside = (e) => {
             if (!this.contains(e.target)) {
@@ -50,6 +51,22 @@ export default defineComponent('cl-input-search', {
         }
     },
 
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalValue;
+    },
+
+    formResetCallback() {
+        this.state.internalValue = this._defaultValue;
+        this.state.showSuggestions = false;
+        this.dispatchEvent(new CustomEvent('input', {
+            bubbles: true,
+            composed: true,
+            detail: { value: this._defaultValue }
+        }));
+    },
+
     methods: {
         handleInput(e) {
             if (!e.target) return;
@@ -7,11 +7,11 @@ export default defineComponent('cl-input-text', {
     props: {
         value: '',
         placeholder: '',
-        disabled: false,
-        required: false,
+        disabled: { type: Boolean, default: false },
+        required: { type: Boolean, default: false },
         pattern: '',
-        minlength: 0,
-        maxlength: 0,
+        minlength: { type: Number, default: 0 },
+        maxlength: { type: Number, default: 0 },
         error: '',
         label: '',
         helptext: ''
@@ -27,6 +27,27 @@ export default defineComponent('cl-input-text', {
     mounted() {
         // Initialize internal value from props
         this.state.internalValue = this.props.value || '';
+        this._defaultValue = this.state.internalValue;
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalValue;
+    },
+
+    formValidity() {
+        if (this.props.required && !this.state.internalValue) {
+            return { valueMissing: true, message: 'This field is required' };
+        }
+        const error = this.props.error || this.state.internalError;
+        return error ? { customError: true, message: error } : null;
+    },
+
+    formResetCallback() {
+        this.state.internalValue = this._defaultValue;
+        this.state.internalError = '';
+        this.emitChange(null, this._defaultValue);
     },
 
     propsChanged(prop, newValue, oldValue) {
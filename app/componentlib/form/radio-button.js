@@ -8,10 +8,26 @@ export default defineComponent('cl-radio-button', {
         value: '',
         modelvalue: '',
         name: '',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: ''
     },
 
+    mounted() {
+        this._defaultModelValue = this.props.modelvalue;
+    },
+
+    formAssociated: true,
+
+    // Only the checked radio in a group submits its value
+    formValue() {
+        return this.props.value === this.props.modelvalue ? this.props.value : null;
+    },
+
+    // Every radio in the group emits the same initial model value
+    formResetCallback() {
+        this.emitChange(null, this._defaultModelValue);
+    },
+
     methods: {
         handleChange(e) {
             if (e.target.checked) {
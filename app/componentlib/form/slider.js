@@ -5,13 +5,13 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-slider', {
     props: {
-        value: 0,
-        min: 0,
-        max: 100,
-        step: 1,
-        disabled: false,
+        value: { type: Number, default: 0 },
+        min: { type: Number, default: 0 },
+        max: { type: Number, default: 100 },
+        step: { type: Number, default: 1 },
+        disabled: { type: Boolean, default: false },
         label: '',
-        showvalue: true
+        showvalue: { type: Boolean, default: true }
     },
 
     data() {
@@ -23,6 +23,7 @@ export default defineComponent('cl-slider', {
     mounted() {
         // Initialize internal value from props
         this.state.internalValue = this.props.value || 0;
+        this._defaultValue = this.state.internalValue;
     },
 
     propsChanged(prop, newValue, oldValue) {
@@ -32,6 +33,17 @@ export default defineComponent('cl-slider', {
         }
     },
 
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalValue;
+    },
+
+    formResetCallback() {
+        this.state.internalValue = this._defaultValue;
+        this.emitChange(null, this._defaultValue);
+    },
+
     methods: {
         handleInput(e) {
             const value = parseFloat(e.target.value);
@@ -7,14 +7,35 @@ export default defineComponent('cl-textarea', {
     props: {
         value: '',
         placeholder: '',
-        disabled: false,
-        required: false,
-        rows: 3,
-        autoresize: false,
-        maxlength: 0,
+        disabled: { type: Boolean, default: false },
+        required: { type: Boolean, default: false },
+        rows: { type: Number, default: 3 },
+        autoresize: { type: Boolean, default: false },
+        maxlength: { type: Number, default: 0 },
         label: '',
         error: '',
-        showcount: false
+        showcount: { type: Boolean, default: false }
+    },
+
+    mounted() {
+        this._defaultValue = this.props.value;
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.props.value;
+    },
+
+    formValidity() {
+        if (this.props.required && !this.props.value) {
+            return { valueMissing: true, message: 'This field is required' };
+        }
+        return this.props.error ? { customError: true, message: this.props.error } : null;
+    },
+
+    formResetCallback() {
+        this.emitChange(null, this._defaultValue);
     },
 
     methods: {
@@ -5,8 +5,8 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-toggle', {
     props: {
-        checked: false,
-        disabled: false,
+        checked: { type: Boolean, default: false },
+        disabled: { type: Boolean, default: false },
         label: '',
         labelPosition: 'right',  // 'left' or 'right'
         size: 'medium',          // 'small', 'medium', 'large'
@@ -21,12 +21,26 @@ export default defineComponent('cl-toggle', {
     },
 
     mounted() {
-        this.state.internalChecked = this.props.checked === true || this.props.checked === 'true';
+        this.state.internalChecked = this.props.checked;
+        this._defaultChecked = this.props.checked;
     },
 
     propsChanged(prop, newValue, oldValue) {
         if (prop === 'checked') {
-            this.state.internalChecked = newValue === true || newValue === 'true';
+            this.state.internalChecked = newValue;
+        }
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalChecked;
+    },
+
+    formResetCallback() {
+        if (this.state.internalChecked !== this._defaultChecked) {
+            this.state.internalChecked = this._defaultChecked;
+            this.emitToggle();
         }
     },
 
@@ -35,7 +49,10 @@ export default defineComponent('cl-toggle', {
             if (this.props.disabled) return;
 
             this.state.internalChecked = !this.state.internalChecked;
+            this.emitToggle();
+        },
 
+        emitToggle() {
             this.dispatchEvent(new CustomEvent('change', {
                 bubbles: true,
                 composed: true,
@@ -74,7 +91,7 @@ export default defineComponent('cl-toggle', {
                 ${when(this.props.label && this.props.labelPosition === 'left', html`
                     <span class="toggle-label">${this.props.label}</span>
                 `)}
-                <div class="toggle-track ${sizeClass} ${this.state.internalChecked ? 'checked' : ''} ${this.props.disabled ? 'disabled' : ''}">
+                <div class="toggle-track ${sizeClass} ${{ checked: this.state.internalChecked, disabled: this.props.disabled }}">
                     <div class="toggle-thumb"></div>
                     ${when(this.props.checkedLabel || this.props.uncheckedLabel, html`
                         <span class="toggle-status">${statusLabel}</span>
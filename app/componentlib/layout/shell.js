@@ -8,7 +8,7 @@ export default defineComponent('cl-shell', {
         title: 'VDX',
         subtitle: '',
         logo: '',
-        menuItems: [],      // [{label, icon, key, items?}] - items is for submenu
+        menuItems: { type: Array, default: () => [] }, // [{label, icon, key, items?}] - items is for submenu
         activeItem: null,
         sidebarWidth: '280px'
     },
@@ -7,9 +7,9 @@ export default defineComponent('cl-alert', {
     props: {
         severity: 'info',       // 'info', 'success', 'warning', 'error'
         title: '',
-        closable: false,
+        closable: { type: Boolean, default: false },
         icon: '',               // Custom icon (auto-selected if not provided)
-        outline: false          // Outlined style instead of filled
+        outline: { type: Boolean, default: false } // Outlined style instead of filled
     },
 
     data() {
@@ -45,11 +45,7 @@ export default defineComponent('cl-alert', {
             return html``;
         }
 
-        const classes = [
-            'cl-alert',
-            `severity-${this.props.severity}`,
-            this.props.outline ? 'outline' : ''
-        ].filter(Boolean).join(' ');
+        const classes = ['cl-alert', `severity-${this.props.severity}`, { outline: this.props.outline }];
 
         return html`
             <div class="${classes}" role="alert">
@@ -8,10 +8,10 @@ export default defineComponent('cl-badge', {
         value: '',
         severity: 'primary',    // 'primary', 'secondary', 'success', 'danger', 'warning', 'info'
         size: 'medium',         // 'small', 'medium', 'large'
-        rounded: false,         // Pill style
-        dot: false,             // Show as dot (no value)
+        rounded: { type: Boolean, default: false }, // Pill style
+        dot: { type: Boolean, default: false }, // Show as dot (no value)
         icon: '',               // Optional icon
-        removable: false        // Show remove button
+        removable: { type: Boolean, default: false } // Show remove button
     },
 
     methods: {
@@ -26,13 +26,10 @@ export default defineComponent('cl-badge', {
     },
 
     template() {
-        const classes = [
-            'cl-badge',
-            `severity-${this.props.severity}`,
-            `size-${this.props.size}`,
-            this.props.rounded ? 'rounded' : '',
-            this.props.dot ? 'dot' : ''
-        ].filter(Boolean).join(' ');
+        const classes = ['cl-badge', `severity-${this.props.severity}`, `size-${this.props.size}`, {
+            rounded: this.props.rounded,
+            dot: this.props.dot
+        }];
 
         if (this.props.dot) {
             return html`<span class="${classes}"></span>`;
@@ -6,9 +6,9 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 export default defineComponent('cl-colorpicker', {
     props: {
         value: '#000000',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
-        inline: false,
+        inline: { type: Boolean, default: false },
         format: 'hex' // 'hex' or 'rgb'
     },
 
@@ -22,6 +22,7 @@ export default defineComponent('cl-colorpicker', {
     mounted() {
         // Initialize internal value from props
         this.state.internalValue = this.props.value || '#000000';
+        this._defaultValue = this.state.internalValue;
 
         if (this.props.inline) {
             this.state.showPicker = true;
@@ -35,6 +36,18 @@ export default defineComponent('cl-colorpicker', {
         }
     },
 
+    formAssociated: true,
+
+    // Submitted as hex, like <input type="color">
+    formValue() {
+        return this.state.internalValue;
+    },
+
+    formResetCallback() {
+        this.state.internalValue = this._defaultValue;
+        this.emitChange(null, this._defaultValue);
+    },
+
     methods: {
         closePanel() {
             if (!this.props.inline) {
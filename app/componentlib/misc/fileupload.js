@@ -5,11 +5,11 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-fileupload', {
     props: {
-        multiple: false,
+        multiple: { type: Boolean, default: false },
         accept: '',
-        maxfilesize: 0, // in bytes
-        disabled: false,
-        auto: false,
+        maxfilesize: { type: Number, default: 0 }, // in bytes
+        disabled: { type: Boolean, default: false },
+        auto: { type: Boolean, default: false },
         label: 'Choose Files'
     },
 
@@ -19,6 +19,19 @@ export default defineComponent('cl-fileupload', {
         };
     },
 
+    formAssociated: true,
+
+    // Submitted as File entries, like <input type="file">. state.files is read
+    // for tracking, but FormData needs the File objects themselves rather than
+    // reactive proxies, so they are kept in _rawFiles in the same order.
+    formValue() {
+        return this.state.files.map((_, i) => this._rawFiles[i]);
+    },
+
+    formResetCallback() {
+        this.clear();
+    },
+
     methods: {
         handleFileSelect(event) {
             const fileList = Array.from(event.target.files);
@@ -37,9 +50,12 @@ export default defineComponent('cl-fileupload', {
                 });
             }
 
+            const rawFiles = validFiles.map(entry => entry.file);
             if (!this.props.multiple) {
+                this._rawFiles = rawFiles.slice(0, 1);
                 this.state.files = validFiles.slice(0, 1);
             } else {
+                this._rawFiles = [...(this._rawFiles || []), ...rawFiles];
                 this.state.files = [...this.state.files, ...validFiles];
             }
 
@@ -54,6 +70,7 @@ export default defineComponent('cl-fileupload', {
         },
 
         removeFile(index) {
+            this._rawFiles = this._rawFiles.filter((_, i) => i !== index);
             this.state.files = this.state.files.filter((_, i) => i !== index);
             this.emitChange(null, this.state.files);
         },
@@ -63,6 +80,7 @@ export default defineComponent('cl-fileupload', {
         },
 
         clear() {
+            this._rawFiles = [];
             this.state.files = [];
             this.emitChange(null, this.state.files);
         },
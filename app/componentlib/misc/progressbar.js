@@ -5,8 +5,8 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-progressbar', {
     props: {
-        value: 0,
-        showvalue: true,
+        value: { type: Number, default: 0 },
+        showvalue: { type: Boolean, default: true },
         mode: 'determinate', // 'determinate' or 'indeterminate'
         color: ''
     },
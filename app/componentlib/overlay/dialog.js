@@ -5,12 +5,12 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-dialog', {
     props: {
-        visible: false,
+        visible: { type: Boolean, default: false },
         header: '',
         footer: '',
-        modal: true,
-        closable: true,
-        dismissablemask: true,
+        modal: { type: Boolean, default: true },
+        closable: { type: Boolean, default: true },
+        dismissablemask: { type: Boolean, default: true },
         style: ''
     },
 
@@ -37,28 +37,32 @@ export default defineComponent('cl-dialog', {
         console.log('Rendering dialog, style=', this.props);
 
         return html`
-            ${when(this.props.visible, html`
-                <div class="cl-dialog-mask ${this.props.modal ? 'modal' : ''}" on-click="handleMaskClick">
-                    <div class="cl-dialog" style="${this.props.style}" on-click="handleDialogClick">
-                        ${when(this.props.header || this.props.closable, html`
-                            <div class="dialog-header">
-                                <span class="dialog-title">${this.props.header}</span>
-                                ${when(this.props.closable, html`
-                                    <button class="close-btn" on-click="close">×</button>
+            <x-portal target="body" active="${this.props.visible}">
+                <x-transition name="dialog">
+                    ${when(this.props.visible, html`
+                        <div class="cl-dialog-mask ${this.props.modal ? 'modal' : ''}" on-click="handleMaskClick">
+                            <div class="cl-dialog" style="${this.props.style}" on-click="handleDialogClick">
+                                ${when(this.props.header || this.props.closable, html`
+                                    <div class="dialog-header">
+                                        <span class="dialog-title">${this.props.header}</span>
+                                        ${when(this.props.closable, html`
+                                            <button class="close-btn" on-click="close">×</button>
+                                        `)}
+                                    </div>
+                                `)}
+                                <div class="dialog-content">
+                                    ${this.props.children}
+                                </div>
+                                ${when(hasFooter, html`
+                                    <div class="dialog-footer">
+                                        ${footerSlot}
+                                    </div>
                                 `)}
                             </div>
-                        `)}
-                        <div class="dialog-content">
-                            ${this.props.children}
                         </div>
-                        ${when(hasFooter, html`
-                            <div class="dialog-footer">
-                                ${footerSlot}
-                            </div>
-                        `)}
-                    </div>
-                </div>
-            `)}
+                    `)}
+                </x-transition>
+            </x-portal>
         `;
     },
 
@@ -95,18 +99,20 @@ export default defineComponent('cl-dialog', {
             max-height: 90vh;
             display: flex;
             flex-direction: column;
-            animation: dialogShow 0.2s ease-out;
         }
 
-        @keyframes dialogShow {
-            from {
-                opacity: 0;
-                transform: scale(0.9);
-            }
-            to {
-                opacity: 1;
-                transform: scale(1);
-            }
+        /* Open/close transition: the mask fades while the dialog scales */
+        .dialog-enter-active, .dialog-leave-active,
+        .dialog-enter-active .cl-dialog, .dialog-leave-active .cl-dialog {
+            transition: opacity 0.2s ease-out, transform 0.2s ease-out;
+        }
+
+        .dialog-enter-from, .dialog-leave-to {
+            opacity: 0;
+        }
+
+        .dialog-enter-from .cl-dialog, .dialog-leave-to .cl-dialog {
+            transform: scale(0.9);
         }
 
         .dialog-header {
@@ -5,10 +5,10 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 
 export default defineComponent('cl-sidebar', {
     props: {
-        visible: false,
+        visible: { type: Boolean, default: false },
         position: 'left', // 'left', 'right', 'top', 'bottom'
-        modal: true,
-        dismissable: true,
+        modal: { type: Boolean, default: true },
+        dismissable: { type: Boolean, default: true },
         header: ''
     },
 
@@ -30,21 +30,25 @@ export default defineComponent('cl-sidebar', {
 
     template() {
         return html`
-            ${when(this.props.visible, html`
-                <div class="cl-sidebar-mask ${this.props.modal ? 'modal' : ''}" on-click="handleMaskClick">
-                    <div class="cl-sidebar ${this.props.position}" on-click="handleSidebarClick">
-                        ${when(this.props.header, html`
-                            <div class="sidebar-header">
-                                <span class="sidebar-title">${this.props.header}</span>
-                                <button class="close-btn" on-click="close">×</button>
+            <x-portal target="body" active="${this.props.visible}">
+                <x-transition name="sidebar">
+                    ${when(this.props.visible, html`
+                        <div class="cl-sidebar-mask ${this.props.modal ? 'modal' : ''}" on-click="handleMaskClick">
+                            <div class="cl-sidebar ${this.props.position}" on-click="handleSidebarClick">
+                                ${when(this.props.header, html`
+                                    <div class="sidebar-header">
+                                        <span class="sidebar-title">${this.props.header}</span>
+                                        <button class="close-btn" on-click="close">×</button>
+                                    </div>
+                                `)}
+                                <div class="sidebar-content">
+                                    ${this.props.children}
+                                </div>
                             </div>
-                        `)}
-                        <div class="sidebar-content">
-                            ${this.props.children}
                         </div>
-                    </div>
-                </div>
-            `)}
+                    `)}
+                </x-transition>
+            </x-portal>
         `;
     },
 
@@ -89,12 +93,10 @@ export default defineComponent('cl-sidebar', {
 
         .cl-sidebar.left {
             left: 0;
-            animation: slideInLeft 0.3s ease-out;
         }
 
         .cl-sidebar.right {
             right: 0;
-            animation: slideInRight 0.3s ease-out;
         }
 
         .cl-sidebar.top,
@@ -107,32 +109,36 @@ export default defineComponent('cl-sidebar', {
 
         .cl-sidebar.top {
             top: 0;
-            animation: slideInTop 0.3s ease-out;
         }
 
         .cl-sidebar.bottom {
             bottom: 0;
-            animation: slideInBottom 0.3s ease-out;
         }
 
-        @keyframes slideInLeft {
-            from { transform: translateX(-100%); }
-            to { transform: translateX(0); }
+        /* Open/close transition: the mask fades while the panel slides */
+        .sidebar-enter-active, .sidebar-leave-active,
+        .sidebar-enter-active .cl-sidebar, .sidebar-leave-active .cl-sidebar {
+            transition: opacity 0.3s ease-out, transform 0.3s ease-out;
         }
 
-        @keyframes slideInRight {
-            from { transform: translateX(100%); }
-            to { transform: translateX(0); }
+        .sidebar-enter-from, .sidebar-leave-to {
+            opacity: 0;
         }
 
-        @keyframes slideInTop {
-            from { transform: translateY(-100%); }
-            to { transform: translateY(0); }
+        .sidebar-enter-from .cl-sidebar.left, .sidebar-leave-to .cl-sidebar.left {
+            transform: translateX(-100%);
         }
 
-        @keyframes slideInBottom {
-            from { transform: translateY(100%); }
-            to { transform: translateY(0); }
+        .sidebar-enter-from .cl-sidebar.right, .sidebar-leave-to .cl-sidebar.right {
+            transform: translateX(100%);
+        }
+
+        .sidebar-enter-from .cl-sidebar.top, .sidebar-leave-to .cl-sidebar.top {
+            transform: translateY(-100%);
+        }
+
+        .sidebar-enter-from .cl-sidebar.bottom, .sidebar-leave-to .cl-sidebar.bottom {
+            transform: translateY(100%);
         }
 
         .sidebar-header {
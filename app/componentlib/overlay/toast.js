@@ -6,7 +6,7 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 export default defineComponent('cl-toast', {
     props: {
         position: 'top-right', // 'top-right', 'top-left', 'bottom-right', 'bottom-left', 'top-center', 'bottom-center'
-        life: 3000
+        life: { type: Number, default: 3000 }
     },
 
     data() {
@@ -54,24 +54,26 @@ export default defineComponent('cl-toast', {
         const positionClass = this.props.position;
 
         return html`
-            <div class="cl-toast-container ${positionClass}">
-                ${each(this.state.messages, message => html`
-                    <div class="toast-message ${message.severity}" key="${message.id}">
-                        <div class="toast-icon">
-                            ${this.getSeverityIcon(message.severity)}
+            <x-portal target="body" layer="toast">
+                <div class="cl-toast-container ${positionClass}">
+                    ${each(this.state.messages, message => html`
+                        <div class="toast-message ${message.severity}">
+                            <div class="toast-icon">
+                                ${this.getSeverityIcon(message.severity)}
+                            </div>
+                            <div class="toast-content">
+                                ${when(message.summary, html`
+                                    <div class="toast-summary">${message.summary}</div>
+                                `)}
+                                ${when(message.detail, html`
+                                    <div class="toast-detail">${message.detail}</div>
+                                `)}
+                            </div>
+                            <button class="toast-close" on-click="${() => this.remove(message.id)}">×</button>
                         </div>
-                        <div class="toast-content">
-                            ${when(message.summary, html`
-                                <div class="toast-summary">${message.summary}</div>
-                            `)}
-                            ${when(message.detail, html`
-                                <div class="toast-detail">${message.detail}</div>
-                            `)}
-                        </div>
-                        <button class="toast-close" on-click="${() => this.remove(message.id)}">×</button>
-                    </div>
-                `)}
-            </div>
+                    `, message => message.id, { transition: 'toast' })}
+                </div>
+            </x-portal>
         `;
     },
 
@@ -132,19 +134,21 @@ export default defineComponent('cl-toast', {
             min-width: 300px;
             max-width: 400px;
             pointer-events: auto;
-            animation: slideIn 0.3s ease-out;
             border-left: 4px solid;
         }
 
-        @keyframes slideIn {
-            from {
-                opacity: 0;
-                transform: translateX(100px);
-            }
-            to {
-                opacity: 1;
-                transform: translateX(0);
-            }
+        /* Messages slide in and out; the rest move into place */
+        .toast-enter-active, .toast-leave-active {
+            transition: opacity 0.3s ease-out, transform 0.3s ease-out;
+        }
+
+        .toast-enter-from, .toast-leave-to {
+            opacity: 0;
+            transform: translateX(100px);
+        }
+
+        .toast-move {
+            transition: transform 0.3s ease-out;
         }
 
         .toast-message.success {
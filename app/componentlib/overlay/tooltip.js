@@ -11,17 +11,30 @@ export default defineComponent('cl-tooltip', {
 
     data() {
         return {
-            visible: false
+            visible: false,
+            anchor: { x: 0, y: 0 }
         };
     },
 
     methods: {
         show() {
+            this.state.anchor = this.getAnchor();
             this.state.visible = true;
         },
 
         hide() {
             this.state.visible = false;
+        },
+
+        // Viewport point on the target's edge that the tooltip is placed against
+        getAnchor() {
+            const rect = this.refs.target.getBoundingClientRect();
+            switch (this.props.position) {
+                case 'bottom': return { x: rect.left + rect.width / 2, y: rect.bottom };
+                case 'left': return { x: rect.left, y: rect.top + rect.height / 2 };
+                case 'right': return { x: rect.right, y: rect.top + rect.height / 2 };
+                default: return { x: rect.left + rect.width / 2, y: rect.top };
+            }
         }
     },
 
@@ -29,17 +42,22 @@ export default defineComponent('cl-tooltip', {
         return html`
             <div class="cl-tooltip-wrapper">
                 <div
+                    ref="target"
                     class="tooltip-target"
                     on-mouseenter="show"
                     on-mouseleave="hide">
                     ${this.props.children}
                 </div>
-                ${when(this.state.visible && this.props.text, html`
-                    <div class="tooltip-content ${this.props.position}">
-                        ${this.props.text}
-                        <div class="tooltip-arrow"></div>
-                    </div>
-                `)}
+                <x-portal target="body" layer="popup" active="${this.state.visible}">
+                    ${when(this.state.visible && this.props.text, html`
+                        <div
+                            class="tooltip-content ${this.props.position}"
+                            style="${{ left: this.state.anchor.x, top: this.state.anchor.y }}">
+                            ${this.props.text}
+                            <div class="tooltip-arrow"></div>
+                        </div>
+                    `)}
+                </x-portal>
             </div>
         `;
     },
@@ -58,8 +76,9 @@ export default defineComponent('cl-tooltip', {
             display: inline-block;
         }
 
+        /* Rendered in a portal, placed at the anchor point */
         .tooltip-content {
-            position: absolute;
+            position: fixed;
             background: rgba(0, 0, 0, 0.9);
             color: white;
             padding: 8px 12px;
@@ -77,31 +96,19 @@ export default defineComponent('cl-tooltip', {
         }
 
         .tooltip-content.top {
-            bottom: 100%;
-            left: 50%;
-            transform: translateX(-50%);
-            margin-bottom: 8px;
+            transform: translate(-50%, calc(-100% - 8px));
         }
 
         .tooltip-content.bottom {
-            top: 100%;
-            left: 50%;
-            transform: translateX(-50%);
-            margin-top: 8px;
+            transform: translate(-50%, 8px);
         }
 
         .tooltip-content.left {
-            right: 100%;
-            top: 50%;
-            transform: translateY(-50%);
-            margin-right: 8px;
+            transform: translate(calc(-100% - 8px), -50%);
         }
 
         .tooltip-content.right {
-            left: 100%;
-            top: 50%;
-            transform: translateY(-50%);
-            margin-left: 8px;
+            transform: translate(8px, -50%);
         }
 
         .tooltip-arrow {
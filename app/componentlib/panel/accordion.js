@@ -5,9 +5,9 @@ import { defineComponent, html, when, each, raw } from '../../lib/framework.js';
 
 export default defineComponent('cl-accordion', {
     props: {
-        tabs: [], // Array of {header: string, content: string}
-        activeindex: 0,
-        multiple: false
+        tabs: { type: Array, default: () => [] }, // Array of {header: string, content: string}
+        activeindex: { type: Number, default: 0 },
+        multiple: { type: Boolean, default: false }
     },
 
     data() {
@@ -67,11 +67,13 @@ export default defineComponent('cl-accordion', {
                                 <span class="header-text">${tab.header}</span>
                                 <span class="toggle-icon">${isActive ? '▲' : '▼'}</span>
                             </div>
-                            ${when(isActive, html`
-                                <div class="accordion-content">
-                                    ${raw(tab.content)}
-                                </div>
-                            `)}
+                            <x-transition name="accordion">
+                                ${when(isActive, html`
+                                    <div class="accordion-content">
+                                        ${raw(tab.content)}
+                                    </div>
+                                `)}
+                            </x-transition>
                         </div>
                     `;
                 })}
@@ -136,5 +138,14 @@ export default defineComponent('cl-accordion', {
             color: var(--text-color, #333);
             line-height: 1.6;
         }
+
+        .accordion-enter-active, .accordion-leave-active {
+            transition: opacity 0.2s ease, transform 0.2s ease;
+        }
+
+        .accordion-enter-from, .accordion-leave-to {
+            opacity: 0;
+            transform: translateY(-6px);
+        }
     `
 });
@@ -6,8 +6,8 @@ import { defineComponent, html, when } from '../../lib/framework.js';
 export default defineComponent('cl-fieldset', {
     props: {
         legend: '',
-        toggleable: false,
-        collapsed: false
+        toggleable: { type: Boolean, default: false },
+        collapsed: { type: Boolean, default: false }
     },
 
     data() {
@@ -6,7 +6,7 @@ import { defineComponent, html } from '../../lib/framework.js';
 export default defineComponent('cl-splitter', {
     props: {
         layout: 'horizontal', // 'horizontal' or 'vertical'
-        panelsizes: [50, 50] // Percentage sizes
+        panelsizes: { type: Array, default: () => [50, 50] } // Percentage sizes
     },
 
     data() {
@@ -67,6 +67,7 @@ export default defineComponent('cl-splitter', {
 
     template() {
         const isHorizontal = this.props.layout === 'horizontal';
+        const sizeProperty = isHorizontal ? 'width' : 'height';
 
         // Extract named slots for panels
         const panel1Children = this.props.slots['panel-1'] || [];
@@ -76,13 +77,13 @@ export default defineComponent('cl-splitter', {
             <div ref="container" class="splitter-container ${isHorizontal ? 'horizontal' : 'vertical'}">
                 <div
                     class="splitter-panel panel-1"
-                    style="${isHorizontal ? `width: ${this.state.sizes[0]}%` : `height: ${this.state.sizes[0]}%`}">
+                    style="${{ [sizeProperty]: `${this.state.sizes[0]}%` }}">
                     ${panel1Children}
                 </div>
                 <div class="splitter-gutter" on-mousedown="handleMouseDown"></div>
                 <div
                     class="splitter-panel panel-2"
-                    style="${isHorizontal ? `width: ${this.state.sizes[1]}%` : `height: ${this.state.sizes[1]}%`}">
+                    style="${{ [sizeProperty]: `${this.state.sizes[1]}%` }}">
                     ${panel2Children}
                 </div>
             </div>
@@ -22,10 +22,10 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-stepper', {
     props: {
-        steps: [],           // Array of { label: string, icon?: string, optional?: boolean }
-        activeIndex: 0,      // Current step (0-indexed)
-        linear: false,       // If true, must complete steps in order
-        showButtons: true,   // Show built-in navigation buttons
+        steps: { type: Array, default: () => [] }, // Array of { label: string, icon?: string, optional?: boolean }
+        activeIndex: { type: Number, default: 0 }, // Current step (0-indexed)
+        linear: { type: Boolean, default: false }, // If true, must complete steps in order
+        showButtons: { type: Boolean, default: true }, // Show built-in navigation buttons
         backLabel: 'Back',
         nextLabel: 'Continue',
         completeLabel: 'Complete',
@@ -223,7 +223,11 @@ export default defineComponent('cl-stepper', {
                     ${each(steps, (step, index) => html`
                         <div class="step-wrapper">
                             <div
-                                class="step-item ${index === this.state.currentStep ? 'active' : ''} ${this.isCompleted(index) ? 'completed' : ''} ${this.canClickStep(index) ? 'clickable' : ''}"
+                                class="step-item ${{
+                                    active: index === this.state.currentStep,
+                                    completed: this.isCompleted(index),
+                                    clickable: this.canClickStep(index)
+                                }}"
                                 on-click="${() => this.handleStepClick(index)}">
                                 <div class="step-indicator">
                                     ${when(this.isCompleted(index) && index !== this.state.currentStep,
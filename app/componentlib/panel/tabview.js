@@ -5,8 +5,8 @@ import { defineComponent, html, when, each, raw } from '../../lib/framework.js';
 
 export default defineComponent('cl-tabview', {
     props: {
-        tabs: [], // Array of {header: string, content: string}
-        activeindex: 0
+        tabs: { type: Array, default: () => [] }, // Array of {header: string, content: string}
+        activeindex: { type: Number, default: 0 }
     },
 
     data() {
@@ -17,7 +17,7 @@ export default defineComponent('cl-tabview', {
 
     mounted() {
         // Convert to number since props from HTML attributes are strings
-        this.state.activeTab = parseInt(this.props.activeindex, 10) || 0;
+        this.state.activeTab = this.props.activeindex;
     },
 
     methods: {
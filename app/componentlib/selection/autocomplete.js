@@ -6,12 +6,12 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 export default defineComponent('cl-autocomplete', {
     props: {
         value: '',
-        suggestions: [],
+        suggestions: { type: Array, default: () => [] },
         placeholder: '',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
-        minlength: 1,
-        delay: 300
+        minlength: { type: Number, default: 1 },
+        delay: { type: Number, default: 300 }
     },
 
     data() {
@@ -25,6 +25,22 @@ export default defineComponent('cl-autocomplete', {
 
     mounted() {
         this.state.inputValue = this.props.value;
+        this._defaultValue = this.props.value;
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.props.value;
+    },
+
+    formResetCallback() {
+        if (this.state.timeout) {
+            clearTimeout(this.state.timeout);
+        }
+        this.state.inputValue = this._defaultValue;
+        this.state.showSuggestions = false;
+        this.emitChange(null, this._defaultValue);
     },
 
     methods: {
@@ -70,6 +86,10 @@ export default defineComponent('cl-autocomplete', {
             this.emitChange(null, value);
         },
 
+        hideSuggestions() {
+            this.state.showSuggestions = false;
+        },
+
         handleBlur() {
             // Delay hiding to allow click on suggestion
             setTimeout(() => {
@@ -95,6 +115,7 @@ export default defineComponent('cl-autocomplete', {
                         placeholder="${this.props.placeholder}"
                         disabled="${this.props.disabled}"
                         on-input="handleInput"
+                        on-keydown-esc="hideSuggestions"
                         on-blur="handleBlur">
                     ${when(this.state.showSuggestions, html`
                         <div class="suggestions-panel">
@@ -5,12 +5,12 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-chips', {
     props: {
-        value: [],
+        value: { type: Array, default: () => [] },
         placeholder: 'Add item...',
-        disabled: false,
+        disabled: { type: Boolean, default: false },
         label: '',
-        max: 0,
-        allowduplicates: false,
+        max: { type: Number, default: 0 },
+        allowduplicates: { type: Boolean, default: false },
         separator: ','
     },
 
@@ -24,6 +24,7 @@ export default defineComponent('cl-chips', {
     mounted() {
         // Initialize internal value from props
         this.state.internalValue = Array.isArray(this.props.value) ? this.props.value : [];
+        this._defaultValue = [...this.state.internalValue];
     },
 
     propsChanged(prop, newValue, oldValue) {
@@ -35,16 +36,19 @@ export default defineComponent('cl-chips', {
         }
     },
 
-    methods: {
-        handleKeyDown(e) {
-            if (e.key === 'Enter' || e.key === this.props.separator) {
-                e.preventDefault();
-                this.addChip();
-            } else if (e.key === 'Backspace' && !this.state.inputValue) {
-                this.removeLastChip();
-            }
-        },
+    formAssociated: true,
+
+    formValue() {
+        return this.state.internalValue;
+    },
 
+    formResetCallback() {
+        this.state.inputValue = '';
+        this.state.internalValue = [...this._defaultValue];
+        this.emitChange(null, [...this._defaultValue]);
+    },
+
+    methods: {
         handleInput(e) {
             let value = e.target.value;
 
@@ -104,6 +108,12 @@ export default defineComponent('cl-chips', {
             this.emitChange(null, newValue);
         },
 
+        handleBackspace() {
+            if (!this.state.inputValue) {
+                this.removeLastChip();
+            }
+        },
+
         removeLastChip() {
             const currentValue = this.state.internalValue;
             if (currentValue.length > 0) {
@@ -136,7 +146,8 @@ export default defineComponent('cl-chips', {
                         placeholder="${chips.length === 0 ? this.props.placeholder : ''}"
                         disabled="${this.props.disabled}"
                         on-input="handleInput"
-                        on-keydown="handleKeyDown"
+                        on-keydown-enter-prevent="addChip"
+                        on-keydown-backspace="handleBackspace"
                         on-blur="handleBlur">
                 </div>
             </div>
@@ -5,11 +5,11 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-dropdown', {
     props: {
-        options: [],
+        options: { type: Array, default: () => [] },
         value: null,
         placeholder: 'Select an option',
-        disabled: false,
-        filter: false,
+        disabled: { type: Boolean, default: false },
+        filter: { type: Boolean, default: false },
         label: '',
         optionlabel: 'label',
         optionvalue: 'value'
@@ -22,6 +22,20 @@ export default defineComponent('cl-dropdown', {
         };
     },
 
+    mounted() {
+        this._defaultValue = this.props.value;
+    },
+
+    formAssociated: true,
+
+    formValue() {
+        return this.props.value;
+    },
+
+    formResetCallback() {
+        this.emitChange(null, this._defaultValue);
+    },
+
     methods: {
         closePanel() {
             this.state.showPanel = false;
@@ -93,7 +107,7 @@ export default defineComponent('cl-dropdown', {
         const hasValue = this.props.value !== null && this.props.value !== undefined;
 
         return html`
-            <div class="cl-dropdown-wrapper" on-click-outside="closePanel">
+            <div class="cl-dropdown-wrapper" on-click-outside="closePanel" on-keydown-esc="closePanel">
                 ${when(this.props.label, html`
                     <label class="cl-label">${this.props.label}</label>
                 `)}
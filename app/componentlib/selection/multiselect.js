@@ -5,15 +5,15 @@ import { defineComponent, html, when, each } from '../../lib/framework.js';
 
 export default defineComponent('cl-multiselect', {
     props: {
-        options: [],
-        value: [],
+        options: { type: Array, default: () => [] },
+        value: { type: Array, default: () => [] },
         placeholder: 'Select options',
-        disabled: false,
-        filter: false,
+        disabled: { type: Boolean, default: false },
+        filter: { type: Boolean, default: false },
         label: '',
         optionlabel: 'label',
         optionvalue: 'value',
-        maxselected: 0
+        maxselected: { type: Number, default: 0 }
     },
 
     data() {
@@ -23,6 +23,21 @@ export default defineComponent('cl-multiselect', {
         };
     },
 
+    mounted() {
+        this._defaultValue = [...(this.props.value || [])];
+    },
+
+    formAssociated: true,
+
+    // Submitted as one entry per selected value, like <select multiple>
+    formValue() {
+        return this.props.value;
+    },
+
+    formResetCallback() {
+        this.emitChange(null, [...this._defaultValue]);
+    },
+
     methods: {
         closePanel() {
             this.state.showPanel = false;
@@ -60,6 +60,10 @@ export default defineComponent('component-showcase', {
         },
 
         selectComponent(component) {
+            // Give the newly selected demo a fresh start if the previous one failed
+            if (this.refs.demoBoundary) {
+                this.refs.demoBoundary.reset();
+            }
             this.state.selectedComponent = component;
             this.state.selectedTab = 'demo';
             // Update URL hash
@@ -70,6 +74,16 @@ export default defineComponent('component-showcase', {
             this.state.selectedTab = tab;
         },
 
+        renderDemoError(err, reset) {
+            return html`
+                <div class="demo-error">
+                    <strong>This demo failed to render.</strong>
+                    <pre>${err && err.message ? err.message : String(err)}</pre>
+                    <button on-click="${reset}">Retry</button>
+                </div>
+            `;
+        },
+
         getComponentsByCategory(category) {
             if (!componentExamples) return [];
             return Object.values(componentExamples).filter(c => c && c.category === category);
@@ -205,7 +219,9 @@ export default defineComponent('component-showcase', {
                             <div class="tab-content">
                                 ${when(this.state.selectedTab === 'demo', html`
                                     <div class="demo-section">
-                                        ${current ? raw(current.demo) : ''}
+                                        <x-error-boundary ref="demoBoundary" fallback="${this.renderDemoError}">
+                                            ${current ? raw(current.demo) : ''}
+                                        </x-error-boundary>
                                     </div>
                                 `)}
 
@@ -336,12 +352,26 @@ export default defineComponent('component-showcase', {
             box-shadow: 0 1px 3px rgba(0,0,0,0.1);
         }
 
-        .demo-section {
+        .demo-section,
+        .demo-section x-error-boundary {
             display: flex;
             flex-direction: column;
             gap: 24px;
         }
 
+        .demo-error {
+            padding: 16px;
+            border: 1px solid #f5c2c7;
+            border-radius: 4px;
+            background: #f8d7da;
+            color: #842029;
+        }
+
+        .demo-error pre {
+            margin: 8px 0 12px 0;
+            white-space: pre-wrap;
+        }
+
         .source-section pre {
             margin: 0;
             padding: 20px;
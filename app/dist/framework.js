@@ -1,7 +1,7 @@
 /**
  * VDX-Web Framework Bundle
  * https://github.com/iwalton3/vdx-web
- * Generated: 2025-11-30T20:13:53.369Z
+ * Generated: 2026-10-19T09:30:45.781Z
  *
  * Includes Preact (https://preactjs.com/)
  * Copyright (c) 2015-present Jason Miller
@@ -1497,13 +1497,19 @@ let activeEffect = null;
 
 const effectStack = [];
 
-function createEffect(fn) {
+const ITERATE_KEY = Symbol('iterate');
+
+const RAW = Symbol('raw');
+
+function createEffect(fn, options = {}) {
     let disposed = false;
 
     const effect = () => {
 
         if (disposed) return;
 
+        cleanupEffect(effect);
+
         activeEffect = effect;
         effectStack.push(effect);
         try {
@@ -1515,16 +1521,13 @@ function createEffect(fn) {
     };
 
     effect.deps = new Set();
+    effect.scheduler = options.scheduler || null;
 
     const dispose = () => {
         if (disposed) return;
         disposed = true;
 
-        effect.deps.forEach(dep => {
-            dep.delete(effect);
-        });
-
-        effect.deps.clear();
+        cleanupEffect(effect);
 
         const index = effectStack.indexOf(effect);
         if (index !== -1) {
@@ -1536,11 +1539,20 @@ function createEffect(fn) {
         }
     };
 
-    effect();
+    if (!options.lazy) {
+        effect();
+    }
 
     return { effect, dispose };
 }
 
+function cleanupEffect(effect) {
+    effect.deps.forEach(dep => {
+        dep.delete(effect);
+    });
+    effect.deps.clear();
+}
+
 function track(target, key) {
     if (activeEffect) {
         let depsMap = targetMap.get(target);
@@ -1565,59 +1577,156 @@ function trigger(target, key) {
         if (debugReactivityHook) {
             debugReactivityHook(target, key, target[key], `trigger(${deps.size} effects)`);
         }
-        const effects = [...deps];
-        effects.forEach(effect => effect());
+        runEffects([...deps]);
+    }
+}
+
+function triggerAll(target) {
+    const depsMap = targetMap.get(target);
+    if (!depsMap) return;
+
+    const effects = new Set();
+    depsMap.forEach(deps => {
+        deps.forEach(effect => effects.add(effect));
+    });
+
+    if (effects.size > 0) {
+        if (debugReactivityHook) {
+            debugReactivityHook(target, 'length', target.length, `trigger(${effects.size} effects)`);
+        }
+        runEffects([...effects]);
     }
 }
 
+function runEffects(effects) {
+    effects.forEach(effect => {
+        if (effect.scheduler) {
+            effect.scheduler(effect);
+        } else {
+            effect();
+        }
+    });
+}
+
 const targetMap = new WeakMap();
 
 function reactive(obj) {
+    return createReactiveObject(obj, false, false);
+}
+
+function shallowReactive(obj) {
+    return createReactiveObject(obj, true, false);
+}
+
+function readonly(obj) {
+    return createReactiveObject(obj, false, true);
+}
+
+function markRaw(obj) {
+    if (obj !== null && typeof obj === 'object') {
+        rawObjects.add(obj);
+    }
+    return obj;
+}
+
+function toRaw(value) {
+    let raw = value;
+    while (raw && raw[RAW]) {
+        raw = raw[RAW];
+    }
+    return raw;
+}
+
+const rawObjects = new WeakSet();
+
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'];
+
+function warnReadonly(key) {
+    console.warn(`[VDX] Cannot modify "${String(key)}": the object is readonly`);
+}
+
+function createReactiveObject(obj, shallow, isReadonly) {
     if (obj === null || typeof obj !== 'object') {
         return obj;
     }
 
-    if (obj.__isReactive) {
+    if (rawObjects.has(obj)) {
         return obj;
     }
 
-    if (obj instanceof Set || obj instanceof Map || obj instanceof WeakSet || obj instanceof WeakMap || obj instanceof Promise) {
+    if (obj.__isReactive && (!isReadonly || obj.__isReadonly)) {
         return obj;
     }
 
+    if (obj instanceof Promise) {
+        return obj;
+    }
+
+    if (isCollection(toRaw(obj))) {
+        return createCollectionProxy(obj, shallow, isReadonly);
+    }
+
+    const wrap = isReadonly ? readonly : reactive;
+
     const proxy = new Proxy(obj, {
         get(target, key, receiver) {
 
             if (key === '__isReactive') {
                 return true;
             }
+            if (key === '__isReadonly') {
+                return isReadonly;
+            }
+            if (key === RAW) {
+                return target;
+            }
 
             track(target, key);
             const value = Reflect.get(target, key, receiver);
 
-            if (Array.isArray(target) && typeof value === 'function') {
-                const arrayMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'];
-                if (arrayMethods.includes(key)) {
-                    return function(...args) {
-                        const result = value.apply(target, args);
-
-                        trigger(target, 'length');
-                        return result;
+            if (Array.isArray(target) && typeof value === 'function' && ARRAY_MUTATORS.includes(key)) {
+                if (isReadonly) {
+                    return function() {
+                        warnReadonly(key);
+                        return undefined;
                     };
                 }
+                return function(...args) {
+                    const result = value.apply(target, args);
+
+                    triggerAll(target);
+                    return result;
+                };
             }
 
-            if (typeof value === 'object' && value !== null &&
-                !(value instanceof Set) && !(value instanceof Map) &&
-                !(value instanceof WeakSet) && !(value instanceof WeakMap)) {
-                return reactive(value);
+            if (shallow) {
+                return value;
             }
 
-            return value;
+            return wrap(value);
+        },
+
+        has(target, key) {
+            track(target, key);
+            return Reflect.has(target, key);
+        },
+
+        ownKeys(target) {
+
+            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(target);
         },
 
         set(target, key, value, receiver) {
+            if (isReadonly) {
+                warnReadonly(key);
+                return true;
+            }
+
             const oldValue = target[key];
+            const hadKey = Array.isArray(target) && isIndexKey(key)
+                ? Number(key) < target.length
+                : Object.prototype.hasOwnProperty.call(target, key);
             const result = Reflect.set(target, key, value, receiver);
 
             const isObjectAssignment = value !== null && typeof value === 'object';
@@ -1628,12 +1737,25 @@ function reactive(obj) {
                 trigger(target, key);
             }
 
+            if (!hadKey) {
+                trigger(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            }
+
             return result;
         },
 
         deleteProperty(target, key) {
+            if (isReadonly) {
+                warnReadonly(key);
+                return true;
+            }
+
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
             const result = Reflect.deleteProperty(target, key);
             trigger(target, key);
+            if (hadKey && !Array.isArray(target)) {
+                trigger(target, ITERATE_KEY);
+            }
             return result;
         }
     });
@@ -1641,26 +1763,203 @@ function reactive(obj) {
     return proxy;
 }
 
+function isCollection(value) {
+    return value instanceof Map || value instanceof Set || value instanceof WeakMap || value instanceof WeakSet;
+}
+
+function createCollectionMethods(wrap, isReadonly) {
+    const toWrapped = wrap || (value => value);
+
+    function iterate(target, method, isPair) {
+        track(target, ITERATE_KEY);
+        const iterator = target[method]();
+        return {
+            next() {
+                const { value, done } = iterator.next();
+                if (done) {
+                    return { value, done };
+                }
+                return {
+                    value: isPair ? [toWrapped(value[0]), toWrapped(value[1])] : toWrapped(value),
+                    done
+                };
+            },
+            [Symbol.iterator]() {
+                return this;
+            }
+        };
+    }
+
+    const methods = {
+        get(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            track(target, rawKey);
+            return toWrapped(target.get(rawKey));
+        },
+
+        has(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            track(target, rawKey);
+            return target.has(rawKey);
+        },
+
+        forEach(callback, thisArg) {
+            const target = this[RAW];
+            track(target, ITERATE_KEY);
+            target.forEach((value, key) => {
+                callback.call(thisArg, toWrapped(value), toWrapped(key), this);
+            });
+        },
+
+        keys() {
+            return iterate(this[RAW], 'keys', false);
+        },
+
+        values() {
+            return iterate(this[RAW], 'values', false);
+        },
+
+        entries() {
+            return iterate(this[RAW], 'entries', true);
+        },
+
+        [Symbol.iterator]() {
+            const target = this[RAW];
+            return iterate(target, Symbol.iterator, toRaw(target) instanceof Map);
+        }
+    };
+
+    if (isReadonly) {
+        for (const method of ['set', 'add', 'delete', 'clear']) {
+            methods[method] = function() {
+                warnReadonly(method);
+                return method === 'delete' ? false : (method === 'clear' ? undefined : this);
+            };
+        }
+        return methods;
+    }
+
+    methods.set = function(key, value) {
+        const target = this[RAW];
+        const rawKey = toRaw(key);
+        const rawValue = toRaw(value);
+        const hadKey = target.has(rawKey);
+        const oldValue = target.get(rawKey);
+        target.set(rawKey, rawValue);
+
+        if (!hadKey || oldValue !== rawValue || (rawValue !== null && typeof rawValue === 'object')) {
+            if (debugReactivityHook) {
+                debugReactivityHook(target, rawKey, rawValue, 'set');
+            }
+            trigger(target, rawKey);
+            trigger(target, ITERATE_KEY);
+        }
+        return this;
+    };
+
+    methods.add = function(value) {
+        const target = this[RAW];
+        const rawValue = toRaw(value);
+        if (!target.has(rawValue)) {
+            target.add(rawValue);
+            if (debugReactivityHook) {
+                debugReactivityHook(target, rawValue, rawValue, 'add');
+            }
+            trigger(target, rawValue);
+            trigger(target, ITERATE_KEY);
+        }
+        return this;
+    };
+
+    methods.delete = function(key) {
+        const target = this[RAW];
+        const rawKey = toRaw(key);
+        const result = target.delete(rawKey);
+        if (result) {
+            trigger(target, rawKey);
+            trigger(target, ITERATE_KEY);
+        }
+        return result;
+    };
+
+    methods.clear = function() {
+        const target = this[RAW];
+        if (target.size > 0) {
+            target.clear();
+            triggerAll(target);
+        }
+    };
+
+    return methods;
+}
+
+const reactiveCollectionMethods = createCollectionMethods(reactive, false);
+const shallowCollectionMethods = createCollectionMethods(null, false);
+const readonlyCollectionMethods = createCollectionMethods(readonly, true);
+
+function createCollectionProxy(collection, shallow, isReadonly) {
+    const methods = isReadonly ? readonlyCollectionMethods
+        : (shallow ? shallowCollectionMethods : reactiveCollectionMethods);
+
+    return new Proxy(collection, {
+        get(target, key, receiver) {
+            if (key === '__isReactive') {
+                return true;
+            }
+            if (key === '__isReadonly') {
+                return isReadonly;
+            }
+            if (key === RAW) {
+                return target;
+            }
+
+            if (key === 'size') {
+                track(target, ITERATE_KEY);
+                return target.size;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(methods, key) && key in target) {
+                return methods[key];
+            }
+
+            const value = Reflect.get(target, key, target);
+            if (typeof value === 'function') {
+                track(target, ITERATE_KEY);
+                return value.bind(target);
+            }
+            return value;
+        }
+    });
+}
+
+function isIndexKey(key) {
+    return typeof key === 'string' && String(Number(key) >>> 0) === key;
+}
+
 function computed(getter) {
     let value;
     let dirty = true;
-    let firstRun = true;
-
-    const { dispose } = createEffect(() => {
-        if (firstRun) {
 
-            value = getter();
-            dirty = false;
-            firstRun = false;
-        } else {
+    const signal = reactive({ version: 0 });
 
-            dirty = true;
+    const { effect, dispose } = createEffect(() => {
+        value = getter();
+    }, {
+        lazy: true,
+        scheduler: () => {
+            if (!dirty) {
+                dirty = true;
+                signal.version++;
+            }
         }
     });
 
     const get = () => {
+        signal.version;
         if (dirty) {
-            value = getter();
+            effect();
             dirty = false;
         }
         return value;
@@ -1669,12 +1968,23 @@ function computed(getter) {
     return { get, dispose };
 }
 
-function watch(fn, callback) {
+function watch(fn, callback, options = {}) {
+    const { deep = false, immediate = false } = options;
     let oldValue;
+    let initialized = false;
 
     const { dispose } = createEffect(() => {
         const newValue = fn();
-        if (callback && oldValue !== undefined) {
+        if (deep) {
+            trackAllDependencies(newValue);
+        }
+
+        if (!initialized) {
+            initialized = true;
+            if (callback && immediate) {
+                callback(newValue, undefined);
+            }
+        } else if (callback && (deep || newValue !== oldValue)) {
             callback(newValue, oldValue);
         }
         oldValue = newValue;
@@ -1687,6 +1997,10 @@ function isReactive(value) {
     return !!(value && value.__isReactive);
 }
 
+function isReadonly(value) {
+    return !!(value && value.__isReadonly);
+}
+
 function memo(fn, deps) {
     let cachedValue;
     let lastDeps = null;
@@ -1717,8 +2031,20 @@ function trackAllDependencies(obj, visited = new Set()) {
 
     if (typeof obj !== 'object') return;
 
-    if (visited.has(obj)) return;
-    visited.add(obj);
+    const raw = toRaw(obj);
+    if (visited.has(raw) || rawObjects.has(raw)) return;
+    visited.add(raw);
+
+    if (isCollection(raw)) {
+        if (typeof obj.forEach === 'function') {
+            obj.forEach(value => {
+                if (typeof value === 'object' && value !== null) {
+                    trackAllDependencies(value, visited);
+                }
+            });
+        }
+        return;
+    }
 
     if (Array.isArray(obj)) {
 
@@ -1751,111 +2077,410 @@ function trackAllDependencies(obj, visited = new Set()) {
     }
 }
 
-// ============= template.js =============
-const templateCompiler = {
-    compileTemplate: compileTemplate,
-    applyValues: applyValues,
-    groupChildrenBySlot: groupChildrenBySlot,
-    clearTemplateCache: clearTemplateCache,
-    pruneTemplateCache: pruneTemplateCache,
-    getTemplateCacheSize: getTemplateCacheSize
-};
+// ============= transition.js =============
 
-const HTML_MARKER = Symbol('html');
-const RAW_MARKER = Symbol('raw');
+const activeTransitions = new WeakMap();
 
-const isHtml = (obj) => obj && obj[HTML_MARKER] === true;
-const isRaw = (obj) => obj && obj[RAW_MARKER] === true;
+const activeMoves = new WeakMap();
 
-const OP = {
-    STATIC: 0,      
-    SLOT: 1,        
-    TEXT: 2,        
-    ELEMENT: 3,     
-    FRAGMENT: 4,    
-};
+function runTransition(el, name, phase, duration) {
+    cancelTransition(el);
 
-function normalizeInput(input) {
-    if (input == null) return '';
-    let str = String(input);
+    const fromClass = `${name}-${phase}-from`;
+    const activeClass = `${name}-${phase}-active`;
+    const toClass = `${name}-${phase}-to`;
+    el.classList.add(fromClass, activeClass);
 
-    str = str.replace(/\x00/g, '');
+    return new Promise(resolve => {
+        let stopWaiting = null;
+        let done = false;
 
-    str = str.replace(/^\uFEFF/, '');
+        const finish = (completed) => {
+            if (done) return;
+            done = true;
+            if (stopWaiting) stopWaiting();
+            el.classList.remove(fromClass, activeClass, toClass);
+            if (activeTransitions.get(el) === cancel) {
+                activeTransitions.delete(el);
+            }
+            resolve(completed);
+        };
+        const cancel = () => finish(false);
+        activeTransitions.set(el, cancel);
+
+        afterNextFrame(() => {
+            if (done) return;
+            el.classList.remove(fromClass);
+            el.classList.add(toClass);
+            stopWaiting = waitForTransitionEnd(el, duration, () => finish(true));
+        });
+    });
+}
 
-    if (typeof str.normalize === 'function') {
-        str = str.normalize('NFC');
-    }
+function cancelTransition(el) {
+    const cancel = el && activeTransitions.get(el);
+    if (cancel) cancel();
+}
 
-    str = str.replace(/[\uFDD0-\uFDEF\uFFFE\uFFFF]/g, '');
+function waitForTransitionEnd(el, duration, done) {
+    const explicit = typeof duration === 'number' && !isNaN(duration);
+    const timing = explicit ? { timeout: duration, longest: Infinity } : getTransitionTiming(el);
 
-    str = str.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, '');
+    if (timing.timeout <= 0) {
+        done();
+        return () => {};
+    }
 
-    return str;
-}
+    const stop = () => {
+        clearTimeout(timer);
+        el.removeEventListener('transitionend', onEnd);
+        el.removeEventListener('animationend', onEnd);
+    };
+    const onEnd = (e) => {
 
-function escapeUrl(url) {
-    const normalized = normalizeInput(url);
-    return normalized
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#x27;')
-        .replace(/=/g, '&#x3D;')
-        .replace(/`/g, '&#x60;');
+        if (e.target === el && e.elapsedTime * 1000 + 1 >= timing.longest) {
+            stop();
+            done();
+        }
+    };
 
-}
+    if (!explicit) {
+        el.addEventListener('transitionend', onEnd);
+        el.addEventListener('animationend', onEnd);
+    }
+    const timer = setTimeout(() => {
+        stop();
+        done();
+    }, explicit ? timing.timeout : timing.timeout + 50);
 
-function sanitizeUrl(url) {
-    const normalized = normalizeInput(url);
+    return stop;
+}
 
-    const cleaned = normalized.replace(/\s/g, '');
+function getTransitionTiming(el) {
+    if (typeof getComputedStyle !== 'function') {
+        return { timeout: 0, longest: 0 };
+    }
 
-    const decoded = cleaned
-        .replace(/&colon;/gi, ':')
-        .replace(/&#58;/g, ':')
-        .replace(/&#x3a;/gi, ':')
-        .replace(/&sol;/gi, '/')
-        .replace(/&#47;/g, '/')
-        .replace(/&#x2f;/gi, '/');
+    const style = getComputedStyle(el);
+    let timeout = 0;
+    let longest = 0;
+
+    for (const [durations, delays] of [
+        [style.transitionDuration, style.transitionDelay],
+        [style.animationDuration, style.animationDelay]
+    ]) {
+        const durationList = parseTimeList(durations);
+        const delayList = parseTimeList(delays);
+        durationList.forEach((time, i) => {
+
+            const delay = delayList.length ? delayList[i % delayList.length] : 0;
+            timeout = Math.max(timeout, time + delay);
+            longest = Math.max(longest, time);
+        });
+    }
 
-    const schemeMatch = decoded.match(/^([a-zA-Z][a-zA-Z0-9+.-]*?):/);
+    return { timeout, longest };
+}
 
-    if (!schemeMatch) {
+function parseTimeList(value) {
+    if (!value) return [];
+    return value.split(',').map(time => {
+        const ms = parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000);
+        return isNaN(ms) ? 0 : ms;
+    });
+}
 
-        return escapeUrl(normalized);
+function afterNextFrame(fn) {
+    if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(() => requestAnimationFrame(fn));
+    } else {
+        setTimeout(fn, 16);
     }
+}
 
-    const scheme = schemeMatch[1].toLowerCase();
+function playMove(el, name, dx, dy) {
+    const stopPrevious = activeMoves.get(el);
+    if (stopPrevious) stopPrevious();
 
-    const safeSchemes = ['http', 'https', 'mailto', 'tel', 'sms', 'ftp', 'ftps'];
+    const moveClass = `${name}-move`;
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    el.style.transitionDuration = '0s';
 
-    if (!safeSchemes.includes(scheme)) {
-        console.warn('[Security] Blocked dangerous URL scheme:', url);
-        return '';
-    }
+    void el.offsetWidth;
 
-    return escapeUrl(normalized);
+    el.classList.add(moveClass);
+    el.style.transform = '';
+    el.style.transitionDuration = '';
+
+    const stopWaiting = waitForTransitionEnd(el, undefined, () => {
+        el.classList.remove(moveClass);
+        activeMoves.delete(el);
+    });
+    activeMoves.set(el, () => {
+        stopWaiting();
+        el.classList.remove(moveClass);
+        activeMoves.delete(el);
+    });
 }
 
-function html(strings, ...values) {
-    const { compileTemplate } = html._compiler;
-    const compiled = compileTemplate(strings);
+function isElementNode(node) {
+    return !!node && node.nodeType === 1;
+}
 
-    return {
-        [HTML_MARKER]: true,
-        _compiled: compiled,
-        _values: values,
-        toString() {
-            return '';  
+function toTransitionItems(children) {
+    const items = [];
+    const flat = Array.isArray(children) ? children.flat(Infinity) : [children];
+
+    flat.forEach((vnode, index) => {
+        if (vnode === null || vnode === undefined || typeof vnode === 'boolean' || vnode === '') {
+            return;
         }
-    };
+        const key = typeof vnode === 'object' && vnode.key !== null && vnode.key !== undefined
+            ? vnode.key
+            : `__index_${index}`;
+        items.push({ key, vnode, leaving: false });
+    });
+
+    return items;
 }
 
-function raw(htmlString) {
-    return {
-        [RAW_MARKER]: true,
+function mergeTransitionItems(previous, next) {
+    const nextKeys = new Set(next.map(item => item.key));
+    const result = [...next];
+
+    previous.forEach((item, index) => {
+        if (nextKeys.has(item.key)) return;
+
+        let position = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const at = result.findIndex(other => other.key === previous[i].key);
+            if (at !== -1) {
+                position = at + 1;
+                break;
+            }
+        }
+        result.splice(position, 0, item.leaving ? item : { ...item, leaving: true });
+    });
+
+    return result;
+}
+
+class TransitionItem extends Component {
+    componentDidMount() {
+        const { group, itemKey, enter } = this.props;
+        group.itemNodes.set(itemKey, this);
+        if (enter && isElementNode(this.base)) {
+            runTransition(this.base, group.props.name || 'fade', 'enter', group.props.duration);
+        }
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.props.leaving && !prevProps.leaving) {
+            this.leave();
+        } else if (!this.props.leaving && prevProps.leaving) {
+
+            cancelTransition(this.base);
+        }
+    }
+
+    componentWillUnmount() {
+        const { group, itemKey } = this.props;
+        if (group.itemNodes.get(itemKey) === this) {
+            group.itemNodes.delete(itemKey);
+        }
+        cancelTransition(this.base);
+    }
+
+    leave() {
+        const { group, itemKey } = this.props;
+        if (!isElementNode(this.base)) {
+            group.removeItem(itemKey);
+            return;
+        }
+        runTransition(this.base, group.props.name || 'fade', 'leave', group.props.duration).then(completed => {
+            if (completed) group.removeItem(itemKey);
+        });
+    }
+
+    render({ children }) {
+        return children;
+    }
+}
+
+class TransitionGroup extends Component {
+    constructor(props) {
+        super(props);
+        this.items = [];
+        this.itemNodes = new Map();
+        this.isMounted = false;
+    }
+
+    componentDidMount() {
+        this.isMounted = true;
+    }
+
+    componentWillUnmount() {
+        this.isMounted = false;
+    }
+
+    removeItem(key) {
+        this.items = this.items.filter(item => !(item.key === key && item.leaving));
+        if (this.isMounted) {
+            this.forceUpdate();
+        }
+    }
+
+    getSnapshotBeforeUpdate() {
+        if (this.props.move === false) return null;
+
+        const positions = new Map();
+        for (const [key, node] of this.itemNodes) {
+            if (isElementNode(node.base)) {
+                positions.set(key, node.base.getBoundingClientRect());
+            }
+        }
+        return positions;
+    }
+
+    componentDidUpdate(prevProps, prevState, positions) {
+        if (!positions) return;
+
+        for (const [key, node] of this.itemNodes) {
+            const before = positions.get(key);
+            const el = node.base;
+            if (!before || !isElementNode(el) || node.props.leaving) continue;
+
+            const after = el.getBoundingClientRect();
+            const dx = before.left - after.left;
+            const dy = before.top - after.top;
+            if (dx || dy) {
+                playMove(el, this.props.name || 'fade', dx, dy);
+            }
+        }
+    }
+
+    render(props) {
+        this.items = mergeTransitionItems(this.items, toTransitionItems(props.children));
+        const enter = this.isMounted || !!props.appear;
+
+        return h(Fragment, null, this.items.map(item => h(TransitionItem, {
+            key: item.key,
+            itemKey: item.key,
+            group: this,
+            leaving: item.leaving,
+            enter
+        }, item.vnode)));
+    }
+}
+
+// ============= template.js =============
+const templateCompiler = {
+    setDebugTemplateHook: setDebugTemplateHook,
+    compileTemplate: compileTemplate,
+    precompileTemplate: precompileTemplate,
+    registerTemplate: registerTemplate,
+    applyValues: applyValues,
+    groupChildrenBySlot: groupChildrenBySlot,
+    clearTemplateCache: clearTemplateCache,
+    pruneTemplateCache: pruneTemplateCache,
+    getTemplateCacheSize: getTemplateCacheSize
+};
+
+const HTML_MARKER = Symbol('html');
+const RAW_MARKER = Symbol('raw');
+
+const isHtml = (obj) => obj && obj[HTML_MARKER] === true;
+const isRaw = (obj) => obj && obj[RAW_MARKER] === true;
+
+const OP = {
+    STATIC: 0,      
+    SLOT: 1,        
+    TEXT: 2,        
+    ELEMENT: 3,     
+    FRAGMENT: 4,    
+};
+
+function normalizeInput(input) {
+    if (input == null) return '';
+    let str = String(input);
+
+    str = str.replace(/\x00/g, '');
+
+    str = str.replace(/^\uFEFF/, '');
+
+    if (typeof str.normalize === 'function') {
+        str = str.normalize('NFC');
+    }
+
+    str = str.replace(/[\uFDD0-\uFDEF\uFFFE\uFFFF]/g, '');
+
+    str = str.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F]/g, '');
+
+    return str;
+}
+
+function escapeUrl(url) {
+    const normalized = normalizeInput(url);
+    return normalized
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;')
+        .replace(/=/g, '&#x3D;')
+        .replace(/`/g, '&#x60;');
+
+}
+
+function sanitizeUrl(url) {
+    const normalized = normalizeInput(url);
+
+    const cleaned = normalized.replace(/\s/g, '');
+
+    const decoded = cleaned
+        .replace(/&colon;/gi, ':')
+        .replace(/&#58;/g, ':')
+        .replace(/&#x3a;/gi, ':')
+        .replace(/&sol;/gi, '/')
+        .replace(/&#47;/g, '/')
+        .replace(/&#x2f;/gi, '/');
+
+    const schemeMatch = decoded.match(/^([a-zA-Z][a-zA-Z0-9+.-]*?):/);
+
+    if (!schemeMatch) {
+
+        return escapeUrl(normalized);
+    }
+
+    const scheme = schemeMatch[1].toLowerCase();
+
+    const safeSchemes = ['http', 'https', 'mailto', 'tel', 'sms', 'ftp', 'ftps'];
+
+    if (!safeSchemes.includes(scheme)) {
+        console.warn('[Security] Blocked dangerous URL scheme:', url);
+        return '';
+    }
+
+    return escapeUrl(normalized);
+}
+
+function html(strings, ...values) {
+    const { compileTemplate } = html._compiler;
+    const compiled = compileTemplate(strings);
+
+    return {
+        [HTML_MARKER]: true,
+        _compiled: compiled,
+        _values: values,
+        toString() {
+            return '';  
+        }
+    };
+}
+
+function raw(htmlString) {
+    return {
+        [RAW_MARKER]: true,
         toString() {
             return htmlString;
         }
@@ -1907,7 +2532,15 @@ function when(condition, thenValue, elseValue = null) {
     return result;
 }
 
-function each(array, mapFn, keyFn = null) {
+function each(array, mapFn, keyFn = null, options = null) {
+    const transition = options && options.transition
+        ? (typeof options.transition === 'string' ? { name: options.transition } : options.transition)
+        : null;
+
+    if (transition && !Array.isArray(array)) {
+        array = [];
+    }
+
     if (!array || !Array.isArray(array)) {
 
         return {
@@ -1972,7 +2605,8 @@ function each(array, mapFn, keyFn = null) {
             type: 'fragment',
             wrapped: false,  
             fromEach: true,   
-            children: compiledChildren
+            children: compiledChildren,
+            transition
         },
         toString() {
             return '';  
@@ -1993,1594 +2627,2920 @@ function awaitThen(promiseOrValue, thenFn, pendingContent, catchFn = null) {
 
 html._compiler = templateCompiler;
 
-// ============= component.js =============
+// ============= template-compiler.js =============
 
-let debugRenderCycleHook = null;
-let debugPropSetHook = null;
-let debugVNodeHook = null;
+let debugTemplateHook = null;
 
-const componentDefinitions = new Map();
+function setDebugTemplateHook(hook) {
+    debugTemplateHook = hook;
+}
 
-let isRenderingTree = false;
+const MODEL_MODIFIERS = new Set(['lazy', 'trim', 'number']);
 
-function performTreeRender(root) {
+const BEHAVIOR_MODIFIERS = new Set(['prevent', 'stop', 'self', 'once', 'capture', 'passive']);
 
-    if (isRenderingTree) {
-        return;
-    }
+const SYSTEM_KEY_MODIFIERS = { ctrl: 'ctrlKey', shift: 'shiftKey', alt: 'altKey', meta: 'metaKey' };
 
-    isRenderingTree = true;
+const KEY_EVENTS = new Set(['keydown', 'keyup', 'keypress']);
 
-    try {
+const KEY_ALIASES = {
+    esc: 'escape', space: ' ', up: 'arrowup', down: 'arrowdown',
+    left: 'arrowleft', right: 'arrowright', del: 'delete'
+};
 
-        renderComponentTree(root);
-    } finally {
-        isRenderingTree = false;
+const DEFAULT_DEBOUNCE_MS = 300;
+
+const firedOnce = new WeakMap();
+const debounceTimers = new WeakMap();
+
+const SPREAD_BLOCKED_PROPS = new Set(['key', 'ref', 'children', 'dangerouslySetInnerHTML', 'srcdoc',
+    '_vdxChildren', '_vdxSlots', '_vdxStyle']);
+
+const VALID_ATTR_NAME = /^[a-zA-Z_:][\w:.-]*$/;
+
+const NON_DIMENSIONAL_CSS = /acit|ex(?:s|g|n|p|$)|rph|grid|ows|mnc|ntw|ine[ch]|zoo|^ord|itera/i;
+
+const UNSAFE_CSS_VALUE = /[;{}<>\\]|expression\s*\(|javascript:|-moz-binding|behavior\s*:/i;
+
+const BOOLEAN_ATTRS = new Set([
+    'disabled', 'checked', 'selected', 'readonly', 'required',
+    'multiple', 'autofocus', 'autoplay', 'controls', 'loop',
+    'muted', 'open', 'reversed', 'hidden', 'async', 'defer'
+]);
+
+function getNestedValue(obj, path) {
+    if (!path || !obj) return undefined;
+    if (!path.includes('.')) return obj[path];
+
+    const parts = path.split('.');
+    let current = obj;
+    for (const part of parts) {
+        if (current === null || current === undefined) return undefined;
+        current = current[part];
     }
+    return current;
 }
 
-function renderComponentTree(component) {
-    if (!component._isMounted || component._isDestroyed) {
-        return;
+function hasNestedPath(obj, path) {
+    let current = obj;
+    for (const part of path.split('.')) {
+        if (current === null || typeof current !== 'object' || !(part in current)) {
+            return false;
+        }
+        current = current[part];
     }
+    return true;
+}
 
-    component._doRender();
+function setNestedValue(obj, path, value) {
+    if (!path || !obj) return;
+    if (!path.includes('.')) {
+        obj[path] = value;
+        return;
+    }
 
-    if (component._vdxChildComponents) {
-        for (const child of component._vdxChildComponents) {
-            renderComponentTree(child);
+    const parts = path.split('.');
+    let current = obj;
+    for (let i = 0; i < parts.length - 1; i++) {
+        const part = parts[i];
+        if (current[part] === undefined || current[part] === null) {
+            current[part] = {};
         }
+        current = current[part];
     }
+    current[parts[parts.length - 1]] = value;
 }
 
-function setDebugComponentHooks(hooks) {
-    debugRenderCycleHook = hooks.renderCycle;
-    debugPropSetHook = hooks.propSet;
-    debugVNodeHook = hooks.vnode;
-}
-
-const processedStylesCache = new Map();
+const templateCache = new Map();
 
-function stripCSSComments(css) {
-    let result = '';
-    let i = 0;
-    const len = css.length;
+const MAX_CACHE_SIZE = 500;
 
-    while (i < len) {
+const cacheAccessTimes = new Map();
 
-        if (css[i] === '/' && i + 1 < len && css[i + 1] === '*') {
+const precompiledTemplates = new WeakMap();
 
-            i += 2;
-            while (i < len - 1 && !(css[i] === '*' && css[i + 1] === '/')) {
-                i++;
-            }
-            i += 2; 
+let buildTimeComponentTags = null;
+let buildTimePlainTags = null;
 
-            result += ' ';
-        } else {
-            result += css[i];
-            i++;
-        }
+function isComponentTag(tag) {
+    if (buildTimeComponentTags) {
+        if (buildTimeComponentTags.has(tag)) return true;
+        if (tag.includes('-')) buildTimePlainTags.add(tag);
+        return false;
     }
-
-    return result;
+    return componentDefinitions.has(tag);
 }
 
-function namespaceKeyframes(css, tagName) {
+function compileTemplate(strings) {
 
-    const keyframeNames = new Set();
-    const keyframeRegex = /@(?:-webkit-)?keyframes\s+([a-zA-Z_][\w-]*)/g;
-    let match;
+    if (templateCache.has(strings)) {
+        cacheAccessTimes.set(strings, Date.now());
+        return templateCache.get(strings);
+    }
 
-    while ((match = keyframeRegex.exec(css)) !== null) {
-        keyframeNames.add(match[1]);
+    const precompiled = precompiledTemplates.get(strings);
+    let compiled;
+    if (precompiled && !precompiled.plainTags.some(tag => componentDefinitions.has(tag))) {
+        compiled = linkPrecompiledOps(precompiled.ops);
+    } else {
+        const fullTemplate = joinTemplateStrings(strings);
+        const parsed = parseXMLToTree(fullTemplate);
+        compiled = buildOpTree(parsed);
+
+        if (parsed.parseError) {
+            compiled.parseError = { message: parsed.parseError, template: fullTemplate };
+        }
     }
 
-    if (keyframeNames.size === 0) {
-        return css;
+    templateCache.set(strings, compiled);
+    cacheAccessTimes.set(strings, Date.now());
+
+    if (templateCache.size > MAX_CACHE_SIZE) {
+        cleanupTemplateCache();
     }
 
-    const prefix = tagName + '--';
+    return compiled;
+}
 
-    let result = css.replace(
-        /@(-webkit-)?keyframes\s+([a-zA-Z_][\w-]*)/g,
-        (match, webkit, name) => {
-            if (keyframeNames.has(name)) {
-                return `@${webkit || ''}keyframes ${prefix}${name}`;
-            }
-            return match;
+function joinTemplateStrings(strings) {
+    let fullTemplate = '';
+    for (let i = 0; i < strings.length; i++) {
+        fullTemplate += strings[i];
+        if (i < strings.length - 1) {
+            fullTemplate += `__SLOT_${i}__`;
         }
-    );
-
-    for (const name of keyframeNames) {
+    }
+    return fullTemplate;
+}
 
-        const animationRegex = new RegExp(
-            `(animation(?:-name)?\\s*:[^;]*?)\\b(${name})\\b`,
-            'g'
-        );
-        result = result.replace(animationRegex, `$1${prefix}${name}`);
+function precompileTemplate(strings, componentTags) {
+    buildTimeComponentTags = componentTags;
+    buildTimePlainTags = new Set();
+    try {
+        const ops = buildOpTree(parseXMLToTree(joinTemplateStrings(strings)));
+        return { ops, plainTags: [...buildTimePlainTags] };
+    } finally {
+        buildTimeComponentTags = null;
+        buildTimePlainTags = null;
     }
+}
 
-    return result;
+function registerTemplate(strings, precompiled) {
+    const statics = Object.freeze(strings);
+    precompiledTemplates.set(statics, precompiled);
+    return statics;
 }
 
-function scopeComponentStyles(css, tagName) {
-    let result = '';
-    let i = 0;
+function linkPrecompiledOps(op) {
+    if (op.op === OP.STATIC) {
+        const { node, ...rest } = op;
+        return { ...rest, vnode: buildStaticVNode(node) };
+    }
+    if (op.children && op.children.length > 0) {
+        return { ...op, children: op.children.map(linkPrecompiledOps) };
+    }
+    return op;
+}
 
-    css = stripCSSComments(css);
+function cleanupTemplateCache() {
+    const entries = Array.from(cacheAccessTimes.entries())
+        .sort((a, b) => a[1] - b[1]);
 
-    css = namespaceKeyframes(css, tagName);
+    const toRemove = Math.floor(entries.length * 0.25);
+    for (let i = 0; i < toRemove; i++) {
+        const [staticsArray] = entries[i];
+        templateCache.delete(staticsArray);
+        cacheAccessTimes.delete(staticsArray);
+    }
+}
 
-    const len = css.length;
+function buildOpTree(node) {
+    if (!node) return null;
+
+    if (isFullyStatic(node)) {
+        const staticOp = {
+            op: OP.STATIC,
 
-    css = css.replace(/:host/g, tagName);
+            type: 'fragment',
+            children: [],  
+            isStatic: true
+        };
+        if (buildTimeComponentTags) {
 
-    while (i < len) {
+            staticOp.node = node;
+        } else {
 
-        while (i < len && /\s/.test(css[i])) {
-            result += css[i];
-            i++;
+            staticOp.vnode = buildStaticVNode(node);
         }
+        return staticOp;
+    }
 
-        if (i >= len) break;
-
-        if (css[i] === '@') {
+    if (node.type === 'text') {
+        if (node.slot !== undefined) {
+            return {
+                op: OP.SLOT,
+                index: node.slot,
+                context: node.context || 'content',
+                type: 'text'
+            };
+        }
+        return {
+            op: OP.TEXT,
+            value: node.value,
+            type: 'text',
+            isStatic: true
+        };
+    }
 
-            let j = i;
-            while (j < len && css[j] !== '{') {
-                j++;
-            }
+    if (node.type === 'fragment') {
+        const children = (node.children || [])
+            .map(child => buildOpTree(child))
+            .filter(Boolean);
 
-            const atRuleDecl = css.substring(i, j);
-            const isKeyframes = /^@keyframes\s/i.test(atRuleDecl) || /^@-webkit-keyframes\s/i.test(atRuleDecl);
+        return {
+            op: OP.FRAGMENT,
+            children,
+            wrapped: node.wrapped,
+            fromEach: node.fromEach,
+            key: node.key,
+            type: 'fragment',
+            isStatic: children.every(c => c.isStatic)
+        };
+    }
 
-            result += css.substring(i, j + 1);
-            i = j + 1;
+    if (node.type === 'element') {
+        const isCustomElement = isComponentTag(node.tag);
 
-            let depth = 1;
-            let atRuleBody = '';
-            while (i < len && depth > 0) {
-                if (css[i] === '{') depth++;
-                if (css[i] === '}') depth--;
+        const staticProps = {};
+        const dynamicProps = [];
 
-                if (depth > 0) {
-                    atRuleBody += css[i];
-                }
-                i++;
-            }
+        for (const [name, attrDef] of Object.entries(node.attrs || {})) {
+            if (attrDef.value !== undefined && attrDef.slot === undefined &&
+                attrDef.slots === undefined && attrDef.xModel === undefined &&
+                attrDef.refName === undefined && attrDef.directive === undefined) {
 
-            if (isKeyframes) {
-                result += atRuleBody;
+                staticProps[name] = attrDef.value;
             } else {
-                result += scopeComponentStyles(atRuleBody, tagName);
-            }
-            result += '}';
-            continue;
-        }
-
-        let selector = '';
-        while (i < len && css[i] !== '{') {
-            selector += css[i];
-            i++;
-        }
 
-        selector = selector.trim();
-        if (!selector) {
-            if (i < len) {
-                result += css[i];
-                i++;
+                dynamicProps.push({ name, def: attrDef });
             }
-            continue;
         }
 
-        if (i < len && css[i] === '{') {
-            i++;
+        const events = [];
+        for (const [eventName, eventDef] of Object.entries(node.events || {})) {
+            events.push({ name: eventName, def: eventDef });
         }
 
-        let depth = 1;
-        let body = '';
-        while (i < len && depth > 0) {
-            if (css[i] === '{') depth++;
-            if (css[i] === '}') depth--;
-
-            if (depth > 0) {
-                body += css[i];
-            }
-            i++;
-        }
+        const children = (node.children || [])
+            .map(child => buildOpTree(child))
+            .filter(Boolean);
 
-        const scopedSelector = scopeSelector(selector, tagName);
-        result += `${scopedSelector} { ${body} }\n`;
+        return {
+            op: OP.ELEMENT,
+            tag: node.tag,
+            staticProps,
+            dynamicProps,
+            events,
+            children,
+            isCustomElement,
+            key: node.key,
+            type: 'element',
+            isStatic: dynamicProps.length === 0 && events.length === 0 &&
+                      children.every(c => c.isStatic)
+        };
     }
 
-    return result;
+    return null;
 }
 
-function scopeSelector(selector, tagName) {
+function isFullyStatic(node) {
+    if (!node) return true;
 
-    const selectors = selector.split(',').map(s => s.trim());
+    if (node.type === 'text') {
+        return node.slot === undefined;
+    }
 
-    return selectors.map(sel => {
+    if (node.type === 'fragment') {
+        return (node.children || []).every(isFullyStatic);
+    }
 
-        if (sel === '*' || sel === 'body' || sel === 'html' || sel.startsWith('@')) {
-            return sel;
+    if (node.type === 'element') {
+
+        if (isComponentTag(node.tag)) {
+            return false;
         }
 
-        if (sel.startsWith(tagName)) {
-            return sel;
+        for (const attrDef of Object.values(node.attrs || {})) {
+            if (attrDef.slot !== undefined || attrDef.slots !== undefined ||
+                attrDef.xModel !== undefined || attrDef.refName !== undefined ||
+                attrDef.directive !== undefined) {
+                return false;
+            }
         }
 
-        return `${tagName} ${sel}`;
-    }).join(', ');
-}
+        if (Object.keys(node.events || {}).length > 0) {
+            return false;
+        }
 
-function defineComponent(name, options) {
+        return (node.children || []).every(isFullyStatic);
+    }
 
-    const reservedNames = new Set([
-        'constructor', '__proto__', 'prototype', 'toString',
-        'valueOf', 'hasOwnProperty', 'isPrototypeOf'
-    ]);
+    return true;
+}
 
-    class Component extends HTMLElement {
-        constructor() {
-            super();
+function buildStaticVNode(node) {
+    if (!node) return null;
 
-            this.state = reactive(options.data ? options.data.call(this) : {});
+    if (node.type === 'text') {
+        return node.value || '';
+    }
 
-            this.props = {
-                children: [],
-                slots: {}
-            };
+    if (node.type === 'fragment') {
+        const children = (node.children || [])
+            .map(child => buildStaticVNode(child))
+            .filter(child => child !== null && child !== undefined);
 
-            if (this._pendingProps) {
-                for (const [propName, value] of Object.entries(this._pendingProps)) {
-                    this.props[propName] = value;
-                    if (typeof value === 'string') {
+        if (children.length === 0) return null;
+        if (children.length === 1) return children[0];
 
-                        this.setAttribute(propName, value);
-                    }
-                }
-                delete this._pendingProps;
-            }
+        return h(Fragment, null, ...children);
+    }
 
-            if (options.stores) {
-                this.stores = {};
-                for (const [storeName, store] of Object.entries(options.stores)) {
+    if (node.type === 'element') {
+        const props = {};
 
-                    this.stores[storeName] = reactive({ ...store.state });
-                }
-            }
-
-            this.refs = {};
+        for (const [name, attrDef] of Object.entries(node.attrs || {})) {
+            if (attrDef.value !== undefined) {
+                let propName = name;
+                if (name === 'class') propName = 'className';
+                else if (name === 'for') propName = 'htmlFor';
 
-            if (options.methods) {
-                for (const [name, method] of Object.entries(options.methods)) {
-                    this[name] = method.bind(this);
+                if (BOOLEAN_ATTRS.has(propName)) {
+                    props[propName] = attrDef.value === propName || attrDef.value === 'true' || attrDef.value === true;
+                } else {
+                    props[propName] = attrDef.value;
                 }
             }
+        }
 
-            if (options.propsChanged) {
-                this.propsChanged = options.propsChanged.bind(this);
-            }
-
-            this._isMounted = false;
-            this._isDestroyed = false;
-            this._suppressAttributeChange = false;
+        const children = (node.children || [])
+            .map(child => buildStaticVNode(child))
+            .filter(child => child !== null && child !== undefined);
 
-            this._isVdxComponent = true;
-            this._vdxParent = null;
-            this._vdxChildComponents = null;  
-            this._isVdxRoot = false;   
+        return h(node.tag, props, ...children);
+    }
 
-            this._cleanups = [];
-        }
+    return null;
+}
 
-        emitChange(e, value, propName = 'value') {
+function applyValues(compiled, values, component = null) {
+    if (!compiled) return null;
 
-            if (e && e.stopPropagation) {
-                e.stopPropagation();
-            }
+    if (compiled.parseError && debugTemplateHook) {
+        debugTemplateHook(component, { type: 'parse', ...compiled.parseError });
+    }
 
-            this.dispatchEvent(new CustomEvent('change', {
-                bubbles: true,
-                composed: true,
-                detail: { value }
-            }));
-        }
+    if (compiled.op === OP.STATIC) {
+        return compiled.vnode;
+    }
 
-        connectedCallback() {
-            if (this._isDestroyed) return;
+    switch (compiled.op) {
+        case OP.TEXT:
+            return compiled.value;
 
-            this._parseAttributes();
+        case OP.SLOT:
+            return resolveSlotValue(compiled, values, component);
 
-            this._isMounted = true;
+        case OP.FRAGMENT:
+            return applyFragment(compiled, values, component);
 
-            let parent = this.parentElement;
-            while (parent) {
-                if (parent._isVdxComponent) {
-                    this._vdxParent = parent;
+        case OP.ELEMENT:
+            return applyElement(compiled, values, component);
 
-                    if (!(parent._vdxChildComponents instanceof Set)) {
-                        parent._vdxChildComponents = new Set();
-                    }
-                    parent._vdxChildComponents.add(this);
-                    break;
-                }
-                parent = parent.parentElement;
-            }
+        default:
+            throw new Error(`[applyValues] Unknown op type: ${compiled.op}`);
+    }
+}
 
-            this._isVdxRoot = !this._vdxParent;
+function resolveSlotValue(compiled, values, component) {
+    let value = values[compiled.index];
 
-            if (this._isVdxRoot && this.innerHTML.trim()) {
+    if (isHtml(value)) {
+        if (!('_compiled' in value)) {
+            console.error('[applyValues] html() template missing _compiled');
+            return null;
+        }
+        if (value._compiled === null) return null;
+        return applyValues(value._compiled, value._values || [], component);
+    }
 
-                const lightDomContent = this.innerHTML;
+    if (isRaw(value)) {
+        return h('span', { dangerouslySetInnerHTML: { __html: value.toString() } });
+    }
 
-                this.innerHTML = '';
+    if (value === null || value === undefined) return null;
 
-                const compiled = compileTemplate([lightDomContent]);
+    if (Array.isArray(value)) {
+        if (value.length === 0) return null;
 
-                const vnodes = applyValues(compiled, [], null);
+        const hasVNodes = value.some(item => {
+            if (!item) return false;
+            if (typeof item === 'string' || typeof item === 'number') return true;
+            if (typeof item === 'object' && ('type' in item || 'props' in item || '__' in item)) return true;
+            return false;
+        });
 
-                const childArray = Array.isArray(vnodes) ? vnodes : (vnodes ? [vnodes] : []);
+        if (hasVNodes) return value;
+        return value.join('');
+    }
 
-                const { defaultChildren, namedSlots } = groupChildrenBySlot(childArray);
+    if (typeof value === 'object') {
 
-                this.props.children = defaultChildren;
-                this.props.slots = namedSlots;
-            }
+        if (value.type || value.props || value.__) {
+            return value;
+        }
 
-            if (options.stores) {
-                for (const [storeName, store] of Object.entries(options.stores)) {
-                    const unsubscribe = store.subscribe(state => {
+        return Object.prototype.toString.call(value);
+    }
 
-                        for (const key of Object.keys(state)) {
-                            this.stores[storeName][key] = state[key];
-                        }
-                    });
-                    this._cleanups.push(unsubscribe);
-                }
-            }
+    if (typeof value === 'string') {
+        value = value.replace(/[\uFEFF\u200B-\u200D\uFFFE\uFFFF]/g, '');
+    }
 
-            const { dispose: disposeRenderEffect } = createEffect(() => {
+    return value;
+}
 
-                trackAllDependencies(this.state);
+function applyFragment(compiled, values, component) {
+    const children = compiled.children
+        .map(child => {
+            const childValues = child._itemValues !== undefined ? child._itemValues : values;
+            return applyValues(child, childValues, component);
+        })
+        .filter(child => child !== undefined && child !== false && child !== null);
 
-                if (this.stores) {
-                    for (const storeState of Object.values(this.stores)) {
-                        trackAllDependencies(storeState);
-                    }
-                }
+    if (compiled.transition) {
+        return h(TransitionGroup, compiled.transition, children);
+    }
 
-                if (this._isMounted && !this._isDestroyed) {
-                    performTreeRender(this._getVdxRoot());
-                }
-            });
+    if (children.length === 0) return null;
 
-            this._cleanups.push(disposeRenderEffect);
+    const props = compiled.key !== undefined ? { key: compiled.key } : null;
+    return h(Fragment, props, ...children);
+}
 
-            if (options.mounted) {
+function applyElement(compiled, values, component) {
+    const props = { ...compiled.staticProps };
+    const isCustomElement = compiled.isCustomElement;
+    let spreads = null;
 
-                queueMicrotask(() => {
+    for (const { name, def } of compiled.dynamicProps) {
+        const value = resolveProp(name, def, values, component, isCustomElement);
+        if (def.spread) {
+            (spreads || (spreads = [])).push(value);
+            continue;
+        }
+        if (def.directive !== undefined) {
 
-                    if (this._isMounted && !this._isDestroyed) {
-                        options.mounted.call(this);
-                    }
-                });
+            const directiveRef = createDirectiveRef(def.directive, value, component);
+            if (directiveRef) {
+                props.ref = chainRef(directiveRef, props.ref);
             }
+            continue;
         }
+        if (value !== undefined) {
 
-        disconnectedCallback() {
-
-            this._isDestroyed = true;
-            this._isMounted = false;
-
-            if (this._vdxParent && this._vdxParent._vdxChildComponents) {
-                this._vdxParent._vdxChildComponents.delete(this);
+            let propName = name;
+            if (name === 'class') propName = 'className';
+            else if (name === 'for') propName = 'htmlFor';
+            else if (name === 'style' && isCustomElement) {
+                props._vdxStyle = value;
+                continue;
             }
-            this._vdxParent = null;
 
-            if (this._cleanups && this._cleanups.length > 0) {
-                this._cleanups.forEach(fn => fn());
-                this._cleanups = [];
-            }
+            if (name === '__ref__') {
 
-            if (options.unmounted) {
-                options.unmounted.call(this);
+                props.ref = chainRef(createRefCallback(def.refName, component), props.ref);
+                continue;
             }
 
-            this.refs = {};
-
-            preactRender(null, this);
-        }
-
-        attributeChangedCallback(name, oldValue, newValue) {
-
-            if (!this._isMounted || oldValue === newValue || this._suppressAttributeChange) {
-                return;
+            if (def.context === 'x-model-multiple' || def.context === 'x-model-content') {
+                props.ref = createModelRef(def.context, value, props.ref);
+                continue;
             }
 
-            if (options.props && name in options.props) {
-                this.props[name] = newValue;
-
-                performTreeRender(this._getVdxRoot());
+            if (BOOLEAN_ATTRS.has(propName)) {
+                props[propName] = value === true ? true : value === false ? false :
+                    typeof value === 'string' ? value : Boolean(value);
+            } else {
+                props[propName] = value;
             }
         }
+    }
 
-        _getVdxRoot() {
-            let current = this;
-            while (current._vdxParent) {
-                current = current._vdxParent;
+    if (spreads) {
+        applySpreads(props, spreads, isCustomElement);
+    }
+
+    for (const { name, def } of compiled.events) {
+        const handler = resolveEventHandler(name, def, values, component, isCustomElement);
+        if (handler) {
+            const capture = hasEventModifier(def, 'capture');
+            if (name === 'clickoutside' || name === 'click-outside') {
+                props.ref = createClickOutsideRef(handler, props.ref);
+            } else if (hasEventModifier(def, 'passive')) {
+                props.ref = createListenerRef(name, handler, { passive: true, capture }, props.ref);
+            } else {
+                const propName = 'on' + name.charAt(0).toUpperCase() + name.slice(1) + (capture ? 'Capture' : '');
+                props[propName] = handler;
             }
-            return current;
         }
+    }
 
-        static get observedAttributes() {
+    if (compiled.key !== undefined) {
+        props.key = compiled.key;
+    }
 
-            return options.props ? Object.keys(options.props) : [];
-        }
+    const children = compiled.children
+        .map(child => {
+            const childValues = child._itemValues !== undefined ? child._itemValues : values;
+            return applyValues(child, childValues, component);
+        })
+        .filter(child => child !== undefined && child !== false);
 
-        _parseAttributes() {
+    if (isCustomElement && children.length > 0) {
+        const { defaultChildren, namedSlots } = groupChildrenBySlot(children);
+        return h(compiled.tag, {
+            ...props,
+            _vdxChildren: defaultChildren,
+            _vdxSlots: namedSlots
+        });
+    }
 
-            if (options.props) {
-                for (const propName of Object.keys(options.props)) {
-                    if (propName === 'style') {
+    return h(compiled.tag, props, ...children);
+}
 
-                        continue;
-                    }
+function resolveProp(name, def, values, component, isCustomElement) {
 
-                    if (propName in this && this[propName] !== undefined && this[propName] !== options.props[propName]) {
+    if (def.xModel !== undefined) {
+        if (component && component.state) {
+            if (debugTemplateHook && !hasNestedPath(component.state, def.xModel)) {
+                debugTemplateHook(component, {
+                    type: 'x-model',
+                    message: `x-model="${def.xModel}" doesn't match a state property`
+                });
+            }
 
-                        const value = this[propName];
-                        this.props[propName] = value;
-                        continue;
-                    }
+            let value = getNestedValue(component.state, def.xModel);
 
-                    const attrValue = this.getAttribute(propName);
-                    if (attrValue !== null) {
-                        this.props[propName] = attrValue;
-                    } else if (!(propName in this.props)) {
+            if (def.context === 'x-model-checked') {
 
-                        this.props[propName] = options.props[propName];
-                    }
-                }
+                return Array.isArray(value) ? value.includes(resolveCheckboxValue(def, values)) : !!value;
+            } else if (def.context === 'x-model-multiple') {
+                return Array.isArray(value) ? value : [];
+            } else if (def.context === 'x-model-radio') {
+                return value === def.radioValue;
+            } else if (def.context === 'x-model-value' && isCustomElement &&
+                       (typeof value === 'object' || typeof value === 'function') && value !== null) {
+                return value;
             }
+            return value;
+        }
+        return (def.context === 'x-model-checked' || def.context === 'x-model-radio') ? false : '';
+    }
 
-            const jsonAttrsToRemove = [];
-            for (const attr of this.attributes) {
-                if (attr.name.startsWith('json-')) {
+    if (def.spread) {
+        return values[def.slot];
+    }
 
-                    const propName = attr.name.slice(5).replace(/-([a-z])/g, g => g[1].toUpperCase());
-                    const scriptId = attr.value;
-                    const scriptEl = document.getElementById(scriptId);
+    if (def.directive !== undefined) {
+        if (def.slot !== undefined) {
+            return values[def.slot];
+        }
+        if (def.slots !== undefined) {
+            return def.slots.reduce((text, slotIndex) =>
+                text.replace(`__SLOT_${slotIndex}__`, String(values[slotIndex] ?? '')), def.template);
+        }
+        return def.value;
+    }
 
-                    if (scriptEl && scriptEl.type === 'application/json') {
-                        try {
-                            const jsonData = JSON.parse(scriptEl.textContent);
-                            this.props[propName] = jsonData;
-                        } catch (e) {
-                            console.warn(`[${this.tagName}] Failed to parse JSON from #${scriptId} for prop "${propName}":`, e.message);
-                        }
-                    } else if (!scriptEl) {
-                        try {
-                            const jsonData = JSON.parse(scriptId);
-                            this.props[propName] = jsonData;
-                        } catch (e) {
-                            console.warn(`[${this.tagName}] Could not find #${scriptId} or parse as JSON for prop "${propName}":`, e.message);
-                        }
-                    } else {
-                        console.warn(`[${this.tagName}] json-${propName} references #${scriptId} which is not type="application/json"`);
-                    }
+    if (def.slot !== undefined || def.slots !== undefined) {
+        let value;
 
-                    jsonAttrsToRemove.push(attr.name);
-                }
-            }
+        if (def.slots) {
 
-            for (const attrName of jsonAttrsToRemove) {
-                this.removeAttribute(attrName);
+            value = def.template;
+            for (const slotIndex of def.slots) {
+                const slotMarker = `__SLOT_${slotIndex}__`;
+                const slotValue = normalizeAttrObject(name, values[slotIndex]);
+                value = value.replace(slotMarker, String(slotValue ?? ''));
+            }
+        } else {
+            value = normalizeAttrObject(name, values[def.slot]);
+            if (def.template) {
+                value = def.template.replace(`__SLOT_${def.slot}__`, String(value));
             }
         }
 
-        _doRender() {
+        if (def.context === 'url') {
+            return sanitizeUrl(value) || '';
+        } else if (def.context === 'custom-element-attr') {
+            return value;
+        }
 
-            if (this._isDestroyed || !this._isMounted) {
-                return;
-            }
+        if (value !== undefined && value !== null && typeof value !== 'boolean') {
+            return String(value);
+        }
+        return value;
+    }
 
-            if (!options.template) return;
+    if (def.refName !== undefined) {
+        return def;  
+    }
 
-            if (debugRenderCycleHook) {
-                debugRenderCycleHook(this, 'before-template');
-            }
+    return def.value;
+}
 
-            if (options.styles && !this._stylesInjected) {
-                const styleId = `component-styles-${options.name || this.tagName}`;
-                const tagName = this.tagName.toLowerCase();
+function normalizeAttrObject(name, value) {
+    if (value === null || typeof value !== 'object' || isHtml(value) || isRaw(value)) {
+        return value;
+    }
+    if (name === 'class') return normalizeClass(value);
+    if (name === 'style') return normalizeStyle(value);
+    return value;
+}
 
-                if (!document.getElementById(styleId)) {
+function normalizeClass(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) {
+        return value.map(normalizeClass).filter(Boolean).join(' ');
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).filter(key => value[key]).join(' ');
+    }
+    return typeof value === 'number' ? String(value) : '';
+}
 
-                    let processedStyles = processedStylesCache.get(tagName);
+function normalizeStyle(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) {
+        return value.map(normalizeStyle).filter(Boolean).join('; ');
+    }
+    if (!value || typeof value !== 'object') return '';
 
-                    if (!processedStyles) {
+    const declarations = [];
+    for (const [key, raw] of Object.entries(value)) {
+        if (raw === null || raw === undefined || raw === false || raw === '') continue;
 
-                        processedStyles = scopeComponentStyles(options.styles, tagName);
+        const property = key.startsWith('--') ? key : key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+        if (!/^-?-?[a-zA-Z][\w-]*$/.test(property)) {
+            console.warn('[Security] Blocked invalid CSS property name:', key);
+            continue;
+        }
 
-                        processedStylesCache.set(tagName, processedStyles);
-                    }
+        const cssValue = typeof raw === 'number' && raw !== 0 && !property.startsWith('--') &&
+            !NON_DIMENSIONAL_CSS.test(property) ? `${raw}px` : String(raw);
+        if (!isSafeCssValue(cssValue)) {
+            console.warn(`[Security] Blocked unsafe CSS value for ${property}:`, cssValue);
+            continue;
+        }
+        declarations.push(`${property}: ${cssValue}`);
+    }
+    return declarations.join('; ');
+}
 
-                    const styleEl = document.createElement('style');
-                    styleEl.id = styleId;
-                    styleEl.textContent = processedStyles;
-                    document.head.appendChild(styleEl);
-                }
-                this._stylesInjected = true;
-            }
+function isSafeCssValue(cssValue) {
+    if (UNSAFE_CSS_VALUE.test(cssValue)) return false;
 
-            const templateResult = options.template.call(this);
+    const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+    for (const match of cssValue.matchAll(urlPattern)) {
+        if (!sanitizeUrl(match[2])) return false;
+    }
 
-            if (debugRenderCycleHook) {
-                debugRenderCycleHook(this, 'after-template', {
-                    hasCompiled: !!templateResult?._compiled,
-                    valuesCount: templateResult?._values?.length || 0
-                });
-            }
+    return !/url\(/i.test(cssValue.replace(urlPattern, ''));
+}
 
-            if (templateResult && templateResult._compiled) {
+function applySpreads(props, spreads, isCustomElement) {
+    for (const spread of spreads) {
+        if (!spread || typeof spread !== 'object') continue;
 
-                const preactElement = applyValues(
-                    templateResult._compiled,
-                    templateResult._values || [],
-                    this
-                );
+        for (const [name, value] of Object.entries(spread)) {
+            if (value === null || value === undefined || value === false) continue;
+            if (SPREAD_BLOCKED_PROPS.has(name) || !VALID_ATTR_NAME.test(name)) continue;
 
-                if (debugRenderCycleHook) {
-                    debugRenderCycleHook(this, 'before-vnode', {
-                        isNull: preactElement === null,
-                        type: preactElement?.type || 'null'
-                    });
+            if (/^on/i.test(name)) {
+                if (/^on[A-Z]/.test(name) && typeof value === 'function' && !(name in props)) {
+                    props[name] = value;
                 }
-                if (debugVNodeHook) {
-                    debugVNodeHook(this, preactElement);
-                }
-
-                preactRender(preactElement, this);
+                continue;
+            }
 
-                if (debugRenderCycleHook) {
-                    debugRenderCycleHook(this, 'after-vnode');
-                }
-            } else {
+            if (name === 'class' || name === 'className') {
+                const own = props.className ?? props.class;
+                delete props.class;
+                props.className = [normalizeClass(value), own].filter(Boolean).join(' ');
+                continue;
+            }
 
-                console.error(`[${this.tagName}] Template was not compiled. Ensure you're using the html\`\` tag.`);
+            if (name === 'style') {
+                const styleProp = isCustomElement ? '_vdxStyle' : 'style';
+                const own = props[styleProp];
+                const style = normalizeStyle(value).replace(/;\s*$/, '');
+                props[styleProp] = own ? `${style}; ${own}` : style;
+                continue;
             }
 
-            if (options.afterRender && this._isMounted) {
-                Promise.resolve().then(() => {
-                    if (!this._isDestroyed && this._isMounted) {
-                        options.afterRender.call(this);
-                    }
-                });
+            if (name in props || (name === 'for' && 'htmlFor' in props)) continue;
+
+            if (name === 'href' || name === 'src' || name === 'action') {
+                props[name] = sanitizeUrl(value) || '';
+            } else if (isCustomElement || typeof value === 'boolean') {
+                props[name] = value;
+            } else if (typeof value !== 'object' && typeof value !== 'function') {
+                props[name] = String(value);
             }
         }
+    }
+}
 
-        render() {
-            if (this._isMounted && !this._isDestroyed) {
-                performTreeRender(this._getVdxRoot());
+function createRefCallback(refName, component) {
+    return (el) => {
+        if (component) {
+            if (el) {
+                component.refs[refName] = el;
+            } else {
+                delete component.refs[refName];
             }
         }
+    };
+}
 
-        $method(name) {
-            return options.methods?.[name]?.bind(this);
+function createClickOutsideRef(handler, existingRef) {
+    let lastEl = null;
+
+    return (el) => {
+        if (existingRef) existingRef(el);
+
+        if (lastEl && lastEl._clickOutsideHandler) {
+            document.removeEventListener('click', lastEl._clickOutsideHandler);
+            delete lastEl._clickOutsideHandler;
         }
-    }
 
-    const scheduleRender = (component) => {
-        if (component._isMounted && !component._isDestroyed) {
-            performTreeRender(component._getVdxRoot());
+        if (el) {
+            const documentHandler = (e) => {
+                if (!containsAcrossPortals(el, e.target)) {
+                    handler(e);
+                }
+            };
+            el._clickOutsideHandler = documentHandler;
+            document.addEventListener('click', documentHandler);
+            lastEl = el;
+        } else {
+            lastEl = null;
         }
     };
+}
 
-    const createPropSetter = (propName) => ({
-        get() {
+function containsAcrossPortals(el, node) {
+    while (node) {
+        if (el.contains(node)) return true;
+        const portalContent = node.closest ? node.closest('[data-vdx-portal]') : null;
+        node = portalContent && portalContent._vdxPortalHost;
+    }
+    return false;
+}
 
-            return this.props ? this.props[propName] : undefined;
-        },
-        set(value) {
+function resolveCheckboxValue(def, values) {
+    return def.valueSlot !== undefined ? values[def.valueSlot] : def.checkboxValue;
+}
 
-            if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, propName, value, value, this._isMounted);
-            }
+function applyModelModifiers(value, modifiers) {
+    if (Array.isArray(value)) {
+        return value.map(item => applyModelModifiers(item, modifiers));
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (modifiers.includes('trim')) {
+        value = value.trim();
+    }
+    if (modifiers.includes('number')) {
 
-            if (!this.props) {
-                if (!this._pendingProps) this._pendingProps = {};
-                this._pendingProps[propName] = value;
-                return;
+        const number = parseFloat(value);
+        if (!isNaN(number)) value = number;
+    }
+    return value;
+}
+
+function createModelRef(context, value, existingRef) {
+    return (el) => {
+        if (existingRef) existingRef(el);
+        if (!el) return;
+
+        if (context === 'x-model-multiple') {
+            const selected = Array.isArray(value) ? value.map(String) : [];
+            for (const option of el.options) {
+                option.selected = selected.includes(option.value);
             }
+        } else if (el.textContent !== String(value ?? '')) {
 
-            const oldValue = this.props[propName];
-            this.props[propName] = value;
+            el.textContent = value ?? '';
+        }
+    };
+}
 
-            this._suppressAttributeChange = true;
-            if (typeof value === 'string') {
-                this.setAttribute(propName, value);
-            } else if (this.hasAttribute(propName)) {
+function chainRef(ref, existingRef) {
+    return existingRef ? (el) => { existingRef(el); ref(el); } : ref;
+}
 
-                this.removeAttribute(propName);
+function createListenerRef(eventName, handler, options, existingRef) {
+    let lastEl = null;
+
+    return (el) => {
+        if (existingRef) existingRef(el);
+
+        if (lastEl) {
+            lastEl.removeEventListener(eventName, handler, options);
+        }
+        if (el) {
+            el.addEventListener(eventName, handler, options);
+        }
+        lastEl = el;
+    };
+}
+
+function hasEventModifier(def, modifier) {
+    for (let current = def; current; current = current._chainWith) {
+        if (current.modifiers && current.modifiers.includes(modifier)) return true;
+    }
+    return false;
+}
+
+function clearDebounceTimers(el) {
+    const timers = debounceTimers.get(el);
+    if (timers) {
+        timers.forEach(timer => clearTimeout(timer));
+        debounceTimers.delete(el);
+    }
+}
+
+function applyEventModifiers(handler, def, eventName, component) {
+    const modifiers = def.modifiers;
+    const keys = [];
+    const systemKeys = [];
+    for (const modifier of modifiers) {
+        if (SYSTEM_KEY_MODIFIERS[modifier]) {
+            systemKeys.push(SYSTEM_KEY_MODIFIERS[modifier]);
+        } else if (BEHAVIOR_MODIFIERS.has(modifier)) {
+            continue;
+        } else if (KEY_EVENTS.has(eventName)) {
+            keys.push(KEY_ALIASES[modifier] || modifier);
+        } else if (component && debugTemplateHook) {
+
+            debugTemplateHook(component, {
+                type: 'modifier',
+                message: `on-${[eventName, ...modifiers].join('-')}${def.method ? `="${def.method}"` : ''} has an unknown modifier "${modifier}"`
+            });
+        }
+    }
+    const self = modifiers.includes('self');
+    const once = modifiers.includes('once');
+    const prevent = modifiers.includes('prevent');
+    const stop = modifiers.includes('stop');
+
+    let run = handler;
+    if (def.debounce !== undefined) {
+        run = (e, ...args) => {
+            const el = e.currentTarget;
+            let timers = debounceTimers.get(el);
+            if (!timers) {
+                timers = new Map();
+                debounceTimers.set(el, timers);
+
+                if (component && component._cleanups) {
+                    component._cleanups.push(() => clearDebounceTimers(el));
+                }
             }
-            this._suppressAttributeChange = false;
+            clearTimeout(timers.get(def));
+            timers.set(def, setTimeout(async () => {
+                timers.delete(def);
 
-            if (this._isMounted) {
-                if (typeof this.propsChanged === 'function' && value !== oldValue) {
-                    this.propsChanged(propName, value, oldValue);
+                if (!el.isConnected) return;
+
+                Object.defineProperty(e, 'currentTarget', { value: el, configurable: true });
+                try {
+                    await handler(e, ...args);
+                } catch (err) {
+                    handleComponentError(err, component, 'event');
                 }
+            }, def.debounce));
+        };
+    }
 
-                scheduleRender(this);
-            }
-        },
-        enumerable: true,
-        configurable: true
-    });
+    return (e, ...args) => {
+        if (self && e.target !== e.currentTarget) return;
+        if (keys.length > 0 && !keys.includes(String(e.key).toLowerCase())) return;
+        if (systemKeys.some(key => !e[key])) return;
 
-    Object.defineProperty(Component.prototype, 'children', {
-        get() {
-            return this.props ? this.props.children : undefined;
+        if (once) {
+
+            const fired = firedOnce.get(e.currentTarget) || new Set();
+            if (fired.has(def)) return;
+            fired.add(def);
+            firedOnce.set(e.currentTarget, fired);
+        }
+
+        if (prevent) e.preventDefault();
+        if (stop) e.stopPropagation();
+        return run(e, ...args);
+    };
+}
+
+function resolveEventHandler(eventName, def, values, component, isCustomElement) {
+    let handler = null;
+
+    if (def.xModel !== undefined) {
+
+        const propName = def.xModel;
+        handler = (e) => {
+            if (component && component.state) {
+                let value;
+
+                if (def.customElement) {
+                    const detail = e.detail;
+                    if (detail && detail.prop !== undefined && detail.prop !== 'value') {
+
+                        if (detail.prop !== def.modelProp) return;
+                        value = detail.value;
+                    } else if (def.modelProp !== 'value') {
+
+                        if (!detail || !detail.value || typeof detail.value !== 'object' ||
+                            !(def.modelProp in detail.value)) return;
+                        value = detail.value[def.modelProp];
+                    } else {
+                        value = (detail && detail.value !== undefined) ? detail.value : detail;
+                    }
+                } else if (def.contentEditable) {
+                    value = e.currentTarget.textContent;
+                } else {
+                    const target = e.target;
+
+                    if (target.type === 'checkbox') {
+                        const current = getNestedValue(component.state, propName);
+                        if (Array.isArray(current)) {
+                            const boxValue = resolveCheckboxValue(def, values);
+                            value = current.filter(item => item !== boxValue);
+                            if (target.checked) value.push(boxValue);
+                        } else {
+                            value = target.checked;
+                        }
+                    } else if (target.multiple && target.selectedOptions) {
+                        value = Array.from(target.selectedOptions, option => option.value);
+                    } else if (target.type === 'radio') {
+                        if (target.checked) {
+                            value = target.value;
+                        } else {
+                            return;
+                        }
+                    } else if (target.type === 'number' || target.type === 'range') {
+                        value = target.valueAsNumber;
+                        if (isNaN(value)) value = target.value;
+                    } else if (target.type === 'file') {
+                        value = target.files;
+                    } else {
+                        value = target.value;
+                    }
+                }
+
+                if (def.modelModifiers) {
+                    value = applyModelModifiers(value, def.modelModifiers);
+                }
+                setNestedValue(component.state, propName, value);
+            }
+        };
+    } else if (def.slot !== undefined) {
+        handler = values[def.slot];
+    } else if (def.handler && typeof def.handler === 'function') {
+        handler = def.handler;
+    } else if (def.method && component && component[def.method]) {
+        handler = component[def.method].bind(component);
+    } else if (def.method && component && debugTemplateHook) {
+        debugTemplateHook(component, {
+            type: 'method',
+            message: `on-${[eventName === 'clickoutside' ? 'click-outside' : eventName, ...(def.modifiers || [])].join('-')}="${def.method}" doesn't match a method`
+        });
+    }
+
+    if (handler && typeof handler === 'function') {
+
+        if (def.modifiers && (def.modifiers.length > 0 || def.debounce !== undefined)) {
+            handler = applyEventModifiers(handler, def, eventName, component);
+        }
+
+        if (def._chainWith) {
+            const firstHandler = resolveEventHandler(eventName, def._chainWith, values, component, isCustomElement);
+            if (firstHandler) {
+                const secondHandler = handler;
+                handler = (e) => { firstHandler(e); secondHandler(e); };
+            }
+        }
+
+        if (isCustomElement && !def.xModel) {
+            const orig = handler;
+            handler = (e) => {
+                const value = (e.detail && e.detail.value !== undefined) ? e.detail.value : e.detail;
+                return orig(e, value);
+            };
+        }
+
+        if (component) {
+            const orig = handler;
+            handler = (...args) => {
+                try {
+                    const result = orig(...args);
+                    if (result && typeof result.then === 'function') {
+                        result.then(null, err => handleComponentError(err, component, 'event'));
+                    }
+                    return result;
+                } catch (err) {
+                    handleComponentError(err, component, 'event');
+                }
+            };
+        }
+    }
+
+    return handler;
+}
+
+function groupChildrenBySlot(children) {
+    const defaultChildren = [];
+    const namedSlots = {};
+
+    for (const child of children) {
+        if (child && typeof child === 'object' && child.props && child.props.slot) {
+            const slotName = child.props.slot;
+            if (!namedSlots[slotName]) {
+                namedSlots[slotName] = [];
+            }
+            namedSlots[slotName].push(child);
+        } else {
+            defaultChildren.push(child);
+        }
+    }
+
+    return { defaultChildren, namedSlots: Object.keys(namedSlots).length > 0 ? namedSlots : {} };
+}
+
+function parseXMLToTree(xmlString) {
+    const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+                          'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+    const tagPattern = /<([a-zA-Z][\w-]*)([^>]*)>/g;
+    const booleanAttrs = ['checked', 'selected', 'disabled', 'readonly', 'multiple', 'ismap',
+                          'defer', 'declare', 'noresize', 'nowrap', 'noshade', 'compact',
+                          'autofocus', 'required', 'autoplay', 'controls', 'loop', 'muted',
+                          'default', 'open', 'reversed', 'scoped', 'seamless', 'sortable',
+                          'novalidate', 'formnovalidate', 'itemscope'];
+
+    xmlString = xmlString.replace('\n', ' ').replace(/>\s+</g, '><').trim();
+
+    xmlString = xmlString.replace(tagPattern, (fullMatch, tagName, attrs) => {
+        if (fullMatch.startsWith('</')) return fullMatch;
+
+        let processedAttrs = attrs.split(/("[^"]*"|'[^']*')/).map((part, index) =>
+            index % 2 === 0
+                ? part.replace(/(^|\s)\.\.\.__SLOT_(\d+)__/g, '$1x-spread-$2="__SLOT_$2__"')
+                    .replace(/(\sx-[\w-]+)(?=\s|\/|$)/g, '$1=""')
+                : part
+        ).join('');
+        for (const boolAttr of booleanAttrs) {
+            const pattern = new RegExp(`(\\s${boolAttr})(?=\\s|>|/|$)`, 'gi');
+            const parts = processedAttrs.split(/("[^"]*"|'[^']*')/);
+            processedAttrs = parts.map((part, index) => {
+                if (index % 2 === 0) {
+                    return part.replace(pattern, `$1="${boolAttr}"`);
+                }
+                return part;
+            }).join('');
+        }
+
+        return `<${tagName}${processedAttrs}>`;
+    });
+
+    voidElements.forEach(tag => {
+        const regex = new RegExp(`<${tag}(\\s[^>]*)?>`, 'gi');
+        xmlString = xmlString.replace(regex, (match, attrs) => {
+            if (match.trimEnd().endsWith('/>')) return match;
+            return `<${tag}${attrs || ''} />`;
+        });
+    });
+
+    let root;
+    if (typeof DOMParser !== 'undefined') {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(`<root>${xmlString}</root>`, 'text/xml');
+
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            console.error('[parseXMLToTree] Parse error:', parseError.textContent);
+            return { type: 'fragment', wrapped: false, children: [], parseError: parseError.textContent };
+        }
+
+        root = doc.documentElement;
+    } else {
+
+        root = parseXMLWithoutDOM(xmlString);
+        if (!root) {
+            console.error('[parseXMLToTree] Parse error: mismatched tags in', xmlString);
+            return { type: 'fragment', wrapped: false, children: [], parseError: 'Mismatched tags' };
+        }
+    }
+
+    if (!root) {
+        return { type: 'fragment', wrapped: false, children: [] };
+    }
+
+    const children = [];
+    for (const node of root.childNodes) {
+        const tree = nodeToTree(node);
+        if (tree) {
+            if (tree.type === 'fragment') {
+                children.push(...tree.children);
+            } else {
+                children.push(tree);
+            }
+        }
+    }
+
+    return { type: 'fragment', wrapped: false, children };
+}
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+function parseXMLWithoutDOM(xml) {
+    const createElement = (tagName, attributes) => ({
+        nodeType: ELEMENT_NODE,
+        tagName,
+        attributes,
+        childNodes: [],
+        getAttribute(name) {
+            const attr = attributes.find(a => a.name === name);
+            return attr ? attr.value : null;
         },
-        set(value) {
-            if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, 'children', value, value, this._isMounted);
+        hasAttribute(name) {
+            return attributes.some(a => a.name === name);
+        }
+    });
+
+    const root = createElement('root', []);
+    const stack = [root];
+    const appendText = (text) => {
+        if (text) {
+            stack[stack.length - 1].childNodes.push({ nodeType: TEXT_NODE, textContent: decodeXMLEntities(text) });
+        }
+    };
+
+    const tagPattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w:.-]*)\s*>|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+    const attrPattern = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(xml))) {
+        appendText(xml.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        if (match[0].startsWith('<!--')) {
+            stack[stack.length - 1].childNodes.push({ nodeType: COMMENT_NODE, textContent: '' });
+        } else if (match[1]) {
+
+            const el = stack.pop();
+            if (stack.length === 0 || el.tagName !== match[1]) {
+                return null;
+            }
+        } else {
+            const attributes = [];
+            let attrMatch;
+            attrPattern.lastIndex = 0;
+            while ((attrMatch = attrPattern.exec(match[3]))) {
+                const raw = attrMatch[2] ?? attrMatch[3] ?? '';
+
+                attributes.push({ name: attrMatch[1], value: decodeXMLEntities(raw.replace(/[\t\n\r]/g, ' ')) });
+            }
+
+            const el = createElement(match[2], attributes);
+            stack[stack.length - 1].childNodes.push(el);
+            if (!match[4]) {
+                stack.push(el);
+            }
+        }
+    }
+    appendText(xml.slice(lastIndex));
+
+    return stack.length === 1 ? root : null;
+}
+
+function addEventDef(events, eventName, def) {
+    if (events[eventName]) {
+        def._chainWith = events[eventName];
+    }
+    events[eventName] = def;
+}
+
+function parseEventModifiers(parts) {
+    const result = { modifiers: [] };
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i] === 'debounce') {
+            const delay = /^\d+$/.test(parts[i + 1] || '') ? parseInt(parts[++i], 10) : DEFAULT_DEBOUNCE_MS;
+            result.debounce = delay;
+        } else if (parts[i]) {
+            result.modifiers.push(parts[i]);
+        }
+    }
+    return result;
+}
+
+function nodeToTree(node) {
+    if (node.nodeType === TEXT_NODE) {
+        const text = node.textContent;
+
+        const slotMatch = text.match(/^__SLOT_(\d+)__$/);
+        if (slotMatch) {
+            return {
+                type: 'text',
+                slot: parseInt(slotMatch[1], 10),
+                context: 'content'
+            };
+        }
+
+        if (text.includes('__SLOT_')) {
+            const parts = text.split(/(__SLOT_\d+__)/);
+            const children = parts
+                .filter(part => part)
+                .map(part => {
+                    const match = part.match(/^__SLOT_(\d+)__$/);
+                    if (match) {
+                        return { type: 'text', slot: parseInt(match[1], 10), context: 'content' };
+                    }
+                    return { type: 'text', value: part };
+                });
+            return { type: 'fragment', wrapped: false, children };
+        }
+
+        if (text) {
+            return { type: 'text', value: text };
+        }
+        return null;
+    }
+
+    if (node.nodeType === ELEMENT_NODE) {
+        const tag = node.tagName.toLowerCase();
+        const attrs = {};
+        const events = {};
+
+        for (const attr of node.attributes) {
+            const name = attr.name;
+            const value = attr.value;
+
+            if (name === 'x-model' || name.startsWith('x-model-')) {
+                const segments = name.split('-').slice(2);
+                const modelModifiers = segments.filter(segment => MODEL_MODIFIERS.has(segment));
+                const modelProp = segments.filter(segment => !MODEL_MODIFIERS.has(segment)).join('-') || 'value';
+                const model = { xModel: value };
+                if (modelModifiers.length > 0) {
+                    model.modelModifiers = modelModifiers;
+                }
+                const lazy = modelModifiers.includes('lazy');
+
+                if (isComponentTag(tag)) {
+
+                    attrs[modelProp] = { ...model, context: 'x-model-value' };
+                    addEventDef(events, 'change', { ...model, customElement: true, modelProp });
+                } else {
+                    if (modelProp !== 'value') {
+                        console.warn(`[x-model] ${name}: named models only work on components, binding <${tag}>'s value`);
+                    }
+                    const inputType = node.getAttribute('type');
+
+                    if (inputType === 'checkbox') {
+
+                        const boxValue = node.getAttribute('value');
+                        const slotMatch = boxValue && boxValue.match(/^__SLOT_(\d+)__$/);
+                        const checkbox = slotMatch ? { valueSlot: parseInt(slotMatch[1], 10) }
+                            : { checkboxValue: boxValue === null ? 'on' : boxValue };
+                        attrs['checked'] = { ...model, ...checkbox, context: 'x-model-checked' };
+                        addEventDef(events, 'change', { ...model, ...checkbox });
+                    } else if (inputType === 'radio') {
+                        const radioValue = node.getAttribute('value');
+                        attrs['checked'] = { ...model, radioValue, context: 'x-model-radio' };
+                        addEventDef(events, 'change', model);
+                    } else if (inputType === 'file') {
+                        addEventDef(events, 'change', model);
+                    } else if (tag === 'select' && node.hasAttribute('multiple')) {
+                        attrs['value'] = { ...model, context: 'x-model-multiple' };
+                        addEventDef(events, 'change', model);
+                    } else if (node.hasAttribute('contenteditable')) {
+                        attrs['value'] = { ...model, context: 'x-model-content' };
+                        addEventDef(events, lazy ? 'blur' : 'input', { ...model, contentEditable: true });
+                    } else {
+                        attrs['value'] = { ...model, context: 'x-model-value' };
+                        addEventDef(events, lazy ? 'change' : 'input', model);
+                    }
+                }
+                continue;
+            }
+
+            if (name.startsWith('x-spread-')) {
+                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+                if (slotMatch) {
+                    attrs[name] = { slot: parseInt(slotMatch[1], 10), spread: true };
+                }
+                continue;
+            }
+
+            if (name === 'ref') {
+                attrs['__ref__'] = { refName: value };
+                continue;
+            }
+
+            if (name.startsWith('x-')) {
+                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+                if (slotMatch) {
+                    attrs[name] = { directive: name, slot: parseInt(slotMatch[1], 10) };
+                } else if (value.includes('__SLOT_')) {
+                    const slots = value.match(/__SLOT_\d+__/g).map(m => parseInt(m.slice(7), 10));
+                    attrs[name] = { directive: name, slots, template: value };
+                } else {
+                    attrs[name] = { directive: name, value };
+                }
+                continue;
+            }
+
+            if (name.startsWith('on-')) {
+                const parts = name.substring(3).split('-');
+                let eventName = parts.shift();
+
+                if (eventName === 'click' && parts[0] === 'outside') {
+                    eventName = 'clickoutside';
+                    parts.shift();
+                }
+
+                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+                let newHandler;
+
+                if (slotMatch) {
+                    newHandler = { slot: parseInt(slotMatch[1], 10) };
+                } else if (value.match(/__EVENT_/)) {
+                    newHandler = { handler: value };
+                } else {
+                    newHandler = { method: value };
+                }
+                Object.assign(newHandler, parseEventModifiers(parts));
+
+                addEventDef(events, eventName, newHandler);
+                continue;
+            }
+
+            const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+            if (slotMatch) {
+                const slotIndex = parseInt(slotMatch[1], 10);
+                let context = 'attribute';
+
+                if (name === 'href' || name === 'src' || name === 'action') {
+                    context = 'url';
+                } else if (name.startsWith('on')) {
+                    context = 'event-handler';
+                } else if (name === 'style' || name === 'srcdoc') {
+                    context = 'dangerous';
+                } else if (tag.includes('-')) {
+                    context = 'custom-element-attr';
+                }
+
+                attrs[name] = { slot: slotIndex, context, attrName: name };
+            } else if (value.includes('__SLOT_')) {
+                const matches = value.match(/__SLOT_(\d+)__/g);
+                if (matches && matches.length >= 1) {
+                    const slots = matches.map(m => parseInt(m.match(/\d+/)[0], 10));
+                    attrs[name] = { slots, context: 'attribute', attrName: name, template: value };
+                } else {
+                    attrs[name] = { value };
+                }
+            } else {
+                attrs[name] = { value };
+            }
+        }
+
+        const children = [];
+        for (const child of node.childNodes) {
+            const childTree = nodeToTree(child);
+            if (childTree) {
+                if (childTree.type === 'fragment') {
+                    children.push(...childTree.children);
+                } else {
+                    children.push(childTree);
+                }
+            }
+        }
+
+        return { type: 'element', tag, attrs, events, slotProps: {}, children };
+    }
+
+    if (node.nodeType === COMMENT_NODE) {
+        return null;
+    }
+
+    return null;
+}
+
+function clearTemplateCache() {
+    templateCache.clear();
+    cacheAccessTimes.clear();
+}
+
+function pruneTemplateCache() {
+    if (templateCache.size > MAX_CACHE_SIZE * 0.5) {
+        cleanupTemplateCache();
+    }
+}
+
+function getTemplateCacheSize() {
+    return templateCache.size;
+}
+
+// ============= component.js =============
+
+let debugRenderCycleHook = null;
+let debugPropSetHook = null;
+let debugVNodeHook = null;
+let debugPropWarningHook = null;
+let debugHydrationHook = null;
+
+const componentDefinitions = new Map();
+
+const componentOptions = new Map();
+
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+const HYDRATE_ATTR = 'data-vdx-ssr';
+
+const STATE_ATTR = 'data-vdx-state';
+
+let isRenderingTree = false;
+
+const dirtyComponents = new Set();
+
+let flushPromise = null;
+
+const MAX_FLUSH_PASSES = 100;
+
+const resolvedPromise = Promise.resolve();
+
+function queueRender(component) {
+    if (!component._isMounted || component._isDestroyed) {
+        return;
+    }
+
+    dirtyComponents.add(component);
+
+    if (!flushPromise) {
+        flushPromise = resolvedPromise.then(flushRenderQueue);
+    }
+}
+
+function nextTick(fn) {
+    const promise = flushPromise || resolvedPromise;
+    return fn ? promise.then(fn) : promise;
+}
+
+function getVdxDepth(component) {
+    let depth = 0;
+    let current = component._vdxParent;
+    while (current) {
+        depth++;
+        current = current._vdxParent;
+    }
+    return depth;
+}
+
+function flushRenderQueue() {
+    try {
+        let passes = 0;
+        while (dirtyComponents.size > 0) {
+            if (++passes > MAX_FLUSH_PASSES) {
+                const tags = [...dirtyComponents].map(c => c.tagName.toLowerCase());
+                console.error(`[VDX] Maximum render passes exceeded. A component may be updating its own state during render: ${tags.join(', ')}`);
+                dirtyComponents.clear();
+                break;
+            }
+
+            const batch = [...dirtyComponents].sort((a, b) => getVdxDepth(a) - getVdxDepth(b));
+            for (const component of batch) {
+
+                if (dirtyComponents.has(component)) {
+                    performTreeRender(component);
+                }
+            }
+        }
+    } finally {
+        flushPromise = null;
+    }
+}
+
+function performTreeRender(root) {
+
+    if (isRenderingTree) {
+        queueRender(root);
+        return;
+    }
+
+    isRenderingTree = true;
+
+    try {
+
+        renderComponentTree(root);
+    } finally {
+        isRenderingTree = false;
+    }
+}
+
+function renderComponentTree(component) {
+    dirtyComponents.delete(component);
+
+    if (!component._isMounted || component._isDestroyed) {
+        return;
+    }
+
+    try {
+        if (component._renderEffect) {
+            component._renderEffect();
+        } else {
+            component._doRender();
+        }
+    } catch (err) {
+
+        handleComponentError(err, component, 'render');
+        return;
+    }
+
+    if (component._vdxChildComponents) {
+        for (const child of component._vdxChildComponents) {
+            renderComponentTree(child);
+        }
+    }
+}
+
+function handleComponentError(err, component, phase) {
+    let current = component ? component._vdxParent : null;
+    while (current) {
+        if (current._errorCaptured) {
+            try {
+                if (current._errorCaptured(err, component, phase) === false) {
+                    return;
+                }
+            } catch (hookErr) {
+                console.error(`[${current.tagName.toLowerCase()}] Error in errorCaptured hook:`, hookErr);
+            }
+        }
+        current = current._vdxParent;
+    }
+
+    const tag = component && component.tagName ? component.tagName.toLowerCase() : 'unknown';
+    console.error(`[${tag}] Unhandled error in ${phase}:`, err);
+}
+
+function callHook(component, hook, phase, args = []) {
+    try {
+        const result = hook.apply(component, args);
+        if (result && typeof result.then === 'function') {
+            result.then(null, err => handleComponentError(err, component, phase));
+        }
+        return result;
+    } catch (err) {
+        handleComponentError(err, component, phase);
+    }
+}
+
+function setDebugComponentHooks(hooks) {
+    debugRenderCycleHook = hooks.renderCycle;
+    debugPropSetHook = hooks.propSet;
+    debugVNodeHook = hooks.vnode;
+}
+
+function setDebugPropWarningHook(hook) {
+    debugPropWarningHook = hook;
+}
+
+function setDebugHydrationHook(hook) {
+    debugHydrationHook = hook;
+}
+
+const processedStylesCache = new Map();
+
+const shadowStyleSheets = new Map();
+
+const supportsAdoptedStyleSheets = typeof Document !== 'undefined' &&
+    'adoptedStyleSheets' in Document.prototype &&
+    typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype;
+
+function stripCSSComments(css) {
+    let result = '';
+    let i = 0;
+    const len = css.length;
+
+    while (i < len) {
+
+        if (css[i] === '/' && i + 1 < len && css[i + 1] === '*') {
+
+            i += 2;
+            while (i < len - 1 && !(css[i] === '*' && css[i + 1] === '/')) {
+                i++;
+            }
+            i += 2; 
+
+            result += ' ';
+        } else {
+            result += css[i];
+            i++;
+        }
+    }
+
+    return result;
+}
+
+function namespaceKeyframes(css, tagName) {
+
+    const keyframeNames = new Set();
+    const keyframeRegex = /@(?:-webkit-)?keyframes\s+([a-zA-Z_][\w-]*)/g;
+    let match;
+
+    while ((match = keyframeRegex.exec(css)) !== null) {
+        keyframeNames.add(match[1]);
+    }
+
+    if (keyframeNames.size === 0) {
+        return css;
+    }
+
+    const prefix = tagName + '--';
+
+    let result = css.replace(
+        /@(-webkit-)?keyframes\s+([a-zA-Z_][\w-]*)/g,
+        (match, webkit, name) => {
+            if (keyframeNames.has(name)) {
+                return `@${webkit || ''}keyframes ${prefix}${name}`;
+            }
+            return match;
+        }
+    );
+
+    for (const name of keyframeNames) {
+
+        const animationRegex = new RegExp(
+            `(animation(?:-name)?\\s*:[^;]*?)\\b(${name})\\b`,
+            'g'
+        );
+        result = result.replace(animationRegex, `$1${prefix}${name}`);
+    }
+
+    return result;
+}
+
+function scopeComponentStyles(css, tagName, scope = tagName) {
+    let result = '';
+    let i = 0;
+
+    css = stripCSSComments(css);
+
+    css = namespaceKeyframes(css, tagName);
+
+    css = css.replace(/:host/g, scope);
+
+    const len = css.length;
+
+    while (i < len) {
+
+        while (i < len && /\s/.test(css[i])) {
+            result += css[i];
+            i++;
+        }
+
+        if (i >= len) break;
+
+        if (css[i] === '@') {
+
+            let j = i;
+            while (j < len && css[j] !== '{') {
+                j++;
+            }
+
+            const atRuleDecl = css.substring(i, j);
+            const isKeyframes = /^@keyframes\s/i.test(atRuleDecl) || /^@-webkit-keyframes\s/i.test(atRuleDecl);
+
+            result += css.substring(i, j + 1);
+            i = j + 1;
+
+            let depth = 1;
+            let atRuleBody = '';
+            while (i < len && depth > 0) {
+                if (css[i] === '{') depth++;
+                if (css[i] === '}') depth--;
+
+                if (depth > 0) {
+                    atRuleBody += css[i];
+                }
+                i++;
             }
-            if (!this.props) {
-                if (!this._pendingProps) this._pendingProps = {};
-                this._pendingProps.children = value;
-                return;
+
+            if (isKeyframes) {
+                result += atRuleBody;
+            } else {
+                result += scopeComponentStyles(atRuleBody, tagName, scope);
             }
-            this.props.children = value;
-            if (this._isMounted) scheduleRender(this);
-        },
-        enumerable: true,
-        configurable: true
-    });
+            result += '}';
+            continue;
+        }
 
-    Object.defineProperty(Component.prototype, 'slots', {
-        get() {
-            return this.props ? this.props.slots : undefined;
-        },
-        set(value) {
-            if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, 'slots', value, value, this._isMounted);
+        let selector = '';
+        while (i < len && css[i] !== '{') {
+            selector += css[i];
+            i++;
+        }
+
+        selector = selector.trim();
+        if (!selector) {
+            if (i < len) {
+                result += css[i];
+                i++;
             }
-            if (!this.props) {
-                if (!this._pendingProps) this._pendingProps = {};
-                this._pendingProps.slots = value;
-                return;
+            continue;
+        }
+
+        if (i < len && css[i] === '{') {
+            i++;
+        }
+
+        let depth = 1;
+        let body = '';
+        while (i < len && depth > 0) {
+            if (css[i] === '{') depth++;
+            if (css[i] === '}') depth--;
+
+            if (depth > 0) {
+                body += css[i];
             }
-            this.props.slots = value;
-            if (this._isMounted) scheduleRender(this);
-        },
-        enumerable: true,
-        configurable: true
-    });
+            i++;
+        }
 
-    Object.defineProperty(Component.prototype, '_vdxChildren', {
-        get() {
-            return this.props ? this.props.children : undefined;
-        },
-        set(value) {
-            if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, '_vdxChildren', value, value, this._isMounted);
+        const scopedSelector = scopeSelector(selector, scope);
+        result += `${scopedSelector} { ${body} }\n`;
+    }
+
+    return result;
+}
+
+function scopeSelector(selector, scope) {
+
+    const selectors = selector.split(',').map(s => s.trim());
+
+    return selectors.map(sel => {
+
+        if (sel === '*' || sel === 'body' || sel === 'html' || sel.startsWith('@')) {
+            return sel;
+        }
+
+        if (sel.startsWith(scope)) {
+            return sel;
+        }
+
+        return `${scope} ${sel}`;
+    }).join(', ');
+}
+
+const PROP_SCHEMA_KEYS = new Set(['type', 'default', 'required', 'validator']);
+
+function isPropSchema(def) {
+    if (!def || typeof def !== 'object' || Object.getPrototypeOf(def) !== Object.prototype) {
+        return false;
+    }
+    const keys = Object.keys(def);
+    return keys.length > 0 &&
+        keys.every(key => PROP_SCHEMA_KEYS.has(key)) &&
+        (!('type' in def) || typeof def.type === 'function');
+}
+
+function normalizePropDef(def) {
+    if (isPropSchema(def)) {
+        return {
+            type: def.type || null,
+            default: def.default,
+            required: !!def.required,
+            validator: def.validator || null
+        };
+    }
+    return { type: null, default: def, required: false, validator: null };
+}
+
+function getPropDefault(def) {
+    return typeof def.default === 'function' && def.type !== Function
+        ? def.default()
+        : def.default;
+}
+
+function coercePropValue(def, value) {
+    const type = def.type;
+    if (!type || type === String || typeof value !== 'string') {
+        return value;
+    }
+    if (type === Boolean) {
+
+        return value !== 'false';
+    }
+    if (type === Number) {
+        const num = Number(value);
+        return value.trim() !== '' && !isNaN(num) ? num : value;
+    }
+    if (type === Array || type === Object) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+}
+
+function matchesPropType(type, value) {
+    if (type === String) return typeof value === 'string';
+    if (type === Number) return typeof value === 'number' && !isNaN(value);
+    if (type === Boolean) return typeof value === 'boolean';
+    if (type === Function) return typeof value === 'function';
+    if (type === Array) return Array.isArray(value);
+    if (type === Object) return typeof value === 'object' && !Array.isArray(value);
+    return value instanceof type;
+}
+
+function validateProp(component, propName, def, value) {
+    if (value === undefined || value === null) {
+        if (def.required) {
+            debugPropWarningHook(component, `Missing required prop "${propName}"`);
+        }
+        return;
+    }
+
+    if (def.type && !matchesPropType(def.type, value)) {
+        const actual = Array.isArray(value) ? 'Array' : typeof value;
+        debugPropWarningHook(component,
+            `Invalid prop "${propName}": expected ${def.type.name}, got ${actual} (${JSON.stringify(value)})`);
+    } else if (def.validator && !def.validator(value)) {
+        debugPropWarningHook(component,
+            `Invalid prop "${propName}": custom validator failed for ${JSON.stringify(value)}`);
+    }
+}
+
+function toFormValue(value, name) {
+    if (value === null || value === undefined || value === false) {
+        return null;
+    }
+    if (value === true) {
+        return 'on';
+    }
+    if (Array.isArray(value)) {
+        if (!name) return null;
+        const data = new FormData();
+        for (const item of value) {
+            data.append(name, item instanceof File ? item : String(item));
+        }
+        return data;
+    }
+    if (typeof value === 'string' || value instanceof File || value instanceof FormData) {
+        return value;
+    }
+    return String(value);
+}
+
+function getParentAcrossShadow(el) {
+    if (el._vdxPortalHost) {
+        return el._vdxPortalHost;
+    }
+    const parentNode = el.parentNode;
+    if (parentNode && parentNode.nodeType === 11 && parentNode.host) {
+        return parentNode.host;
+    }
+    return el.parentElement;
+}
+
+function hasPendingHydrationAncestor(el) {
+    let node = getParentAcrossShadow(el);
+    while (node) {
+        if (node._isVdxComponent) {
+            if (node._isMounted) return false;
+            if (node._hydrating) return true;
+        } else if (node.hasAttribute(HYDRATE_ATTR) && node.localName.includes('-') &&
+            !customElements.get(node.localName)) {
+            return true;
+        }
+        node = getParentAcrossShadow(node);
+    }
+    return false;
+}
+
+function findHydrationHosts(container, hosts = []) {
+
+    for (const child of container.childNodes) {
+        if (child.nodeType !== 1) {
+            continue;
+        }
+        if (child._isVdxComponent || child.hasAttribute(HYDRATE_ATTR) || componentDefinitions.has(child.localName)) {
+            hosts.push(child);
+        } else {
+            findHydrationHosts(child, hosts);
+        }
+    }
+    return hosts;
+}
+
+function hydrateInto(component, vnode, container) {
+    const hosts = findHydrationHosts(container);
+    const markers = hosts.map(host => [host.getAttribute(HYDRATE_ATTR), host.getAttribute(STATE_ATTR)]);
+
+    for (const host of hosts) {
+        Object.defineProperty(host, 'childNodes', { value: [], configurable: true });
+    }
+
+    try {
+        if (debugHydrationHook) {
+            debugHydrationHook(component, vnode, container);
+        }
+        preactRender(vnode, container);
+    } finally {
+        hosts.forEach((host, i) => {
+            delete host.childNodes;
+
+            if (!host._isVdxComponent && !customElements.get(host.localName)) {
+                const [hydrate, state] = markers[i];
+                if (hydrate !== null) host.setAttribute(HYDRATE_ATTR, hydrate);
+                if (state !== null) host.setAttribute(STATE_ATTR, state);
             }
-            if (!this.props) {
-                if (!this._pendingProps) this._pendingProps = {};
-                this._pendingProps.children = value;
-                return;
+
+        });
+        connectWaitingHosts(hosts);
+    }
+}
+
+function connectWaitingHosts(hosts) {
+    for (const host of hosts) {
+        if (host._isVdxComponent) {
+            if (host._hydrating && !host._isMounted && host.isConnected) {
+                host.connectedCallback();
             }
-            this.props.children = value;
-            if (this._isMounted) scheduleRender(this);
-        },
-        enumerable: true,
-        configurable: true
-    });
+        } else {
 
-    Object.defineProperty(Component.prototype, '_vdxSlots', {
-        get() {
-            return this.props ? this.props.slots : undefined;
-        },
-        set(value) {
-            if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, '_vdxSlots', value, value, this._isMounted);
+            connectWaitingHosts(findHydrationHosts(host));
+        }
+    }
+}
+
+function defineComponent(name, options) {
+
+    const reservedNames = new Set([
+        'constructor', '__proto__', 'prototype', 'toString',
+        'valueOf', 'hasOwnProperty', 'isPrototypeOf'
+    ]);
+
+    const propDefs = {};
+    if (options.props) {
+        for (const [propName, def] of Object.entries(options.props)) {
+            propDefs[propName] = normalizePropDef(def);
+        }
+    }
+
+    class Component extends BaseElement {
+        constructor() {
+            super();
+
+            this._provides = null;
+
+            this.state = reactive(options.data ? options.data.call(this) : {});
+
+            this.props = {
+                children: [],
+                slots: {}
+            };
+
+            this._renderRoot = this;
+            if (options.shadow) {
+                this._renderRoot = this.attachShadow({ mode: options.shadow === 'closed' ? 'closed' : 'open' });
+                this._lightChildren = [];
+                this._lightSlots = {};
+                this._hasLightChildren = false;  
+                Object.defineProperties(this.props, {
+                    children: {
+                        get: () => this._lightChildren.length > 0 ? [h('slot', null)] : [],
+                        set: (value) => {
+                            this._lightChildren = value || [];
+                            this._hasLightChildren = true;
+                        },
+                        enumerable: true
+                    },
+                    slots: {
+                        get: () => {
+                            const slots = {};
+                            for (const slotName of Object.keys(this._lightSlots)) {
+                                slots[slotName] = [h('slot', { name: slotName })];
+                            }
+                            return slots;
+                        },
+                        set: (value) => {
+                            this._lightSlots = value || {};
+                            this._hasLightChildren = true;
+                        },
+                        enumerable: true
+                    }
+                });
             }
-            if (!this.props) {
-                if (!this._pendingProps) this._pendingProps = {};
-                this._pendingProps.slots = value;
-                return;
+
+            if (this._pendingProps) {
+                for (const [propName, value] of Object.entries(this._pendingProps)) {
+                    this.props[propName] = value;
+                    if (typeof value === 'string') {
+
+                        this.setAttribute(propName, value);
+                    }
+                }
+                delete this._pendingProps;
             }
-            this.props.slots = value;
-            if (this._isMounted) scheduleRender(this);
-        },
-        enumerable: true,
-        configurable: true
-    });
 
-    if (options.props) {
-        for (const propName of Object.keys(options.props)) {
-            if (reservedNames.has(propName) || propName === 'children' || propName === 'slots') {
-                if (reservedNames.has(propName)) {
-                    console.warn(`[Security] Skipping reserved prop name: ${propName}`);
+            if (options.stores) {
+                this.stores = {};
+                for (const [storeName, store] of Object.entries(options.stores)) {
+
+                    this.stores[storeName] = reactive({ ...store.state });
                 }
-                continue;
             }
-            if (propName === 'style') {
 
-                Object.defineProperty(Component.prototype, '_vdxStyle', {
-                    get() {
-                        return this.props ? this.props.style : undefined;
-                    },
-                    set(value) {
-                        if (debugPropSetHook) {
-                            debugPropSetHook(this.tagName || name, '_vdxStyle', value, value, this._isMounted);
-                        }
-                        if (!this.props) {
-                            if (!this._pendingProps) this._pendingProps = {};
-                            this._pendingProps.style = value;
-                            return;
-                        }
-                        this.props.style = value;
-                        if (this._isMounted) scheduleRender(this);
-                    },
-                    enumerable: true,
-                    configurable: true
-                });
-                continue;
+            this.refs = {};
+
+            this._propsRevision = 0;
+            this._propsVersion = reactive({ value: 0 });
+            this._computed = null;  
+
+            if (options.methods) {
+                for (const [name, method] of Object.entries(options.methods)) {
+                    this[name] = method.bind(this);
+                }
+            }
+
+            if (options.propsChanged) {
+                this.propsChanged = options.propsChanged.bind(this);
+            }
+
+            if (options.errorCaptured) {
+                this._errorCaptured = options.errorCaptured.bind(this);
             }
-            Object.defineProperty(Component.prototype, propName, createPropSetter(propName));
-        }
-    }
 
-    if (!customElements.get(name)) {
-        customElements.define(name, Component);
-        componentDefinitions.set(name, Component);
-    }
+            if (options.beforeRouteLeave) {
+                this._beforeRouteLeave = options.beforeRouteLeave.bind(this);
+            }
 
-    return Component;
-}
+            if (options.provide) {
+                const provided = typeof options.provide === 'function'
+                    ? options.provide.call(this)
+                    : options.provide;
+                for (const key of Reflect.ownKeys(provided)) {
+                    this.provide(key, provided[key]);
+                }
+            }
 
-// ============= template-compiler.js =============
+            this.internals = options.formAssociated && typeof this.attachInternals === 'function'
+                ? this.attachInternals()
+                : null;
 
-const BOOLEAN_ATTRS = new Set([
-    'disabled', 'checked', 'selected', 'readonly', 'required',
-    'multiple', 'autofocus', 'autoplay', 'controls', 'loop',
-    'muted', 'open', 'reversed', 'hidden', 'async', 'defer'
-]);
+            this._isMounted = false;
+            this._isDestroyed = false;
+            this._suppressAttributeChange = false;
 
-function getNestedValue(obj, path) {
-    if (!path || !obj) return undefined;
-    if (!path.includes('.')) return obj[path];
+            this._isVdxComponent = true;
+            this._vdxParent = null;
+            this._vdxChildComponents = null;  
+            this._isVdxRoot = false;   
+            this._renderEffect = null; 
 
-    const parts = path.split('.');
-    let current = obj;
-    for (const part of parts) {
-        if (current === null || current === undefined) return undefined;
-        current = current[part];
-    }
-    return current;
-}
+            this._cleanups = [];
+        }
 
-function setNestedValue(obj, path, value) {
-    if (!path || !obj) return;
-    if (!path.includes('.')) {
-        obj[path] = value;
-        return;
-    }
+        emitChange(e, value, propName = 'value') {
 
-    const parts = path.split('.');
-    let current = obj;
-    for (let i = 0; i < parts.length - 1; i++) {
-        const part = parts[i];
-        if (current[part] === undefined || current[part] === null) {
-            current[part] = {};
+            if (e && e.stopPropagation) {
+                e.stopPropagation();
+            }
+
+            this.dispatchEvent(new CustomEvent('change', {
+                bubbles: true,
+                composed: true,
+                detail: { value, prop: propName }
+            }));
         }
-        current = current[part];
-    }
-    current[parts[parts.length - 1]] = value;
-}
 
-const templateCache = new Map();
+        provide(key, value) {
+            if (!this._provides) {
+                this._provides = new Map();
+            }
+            this._provides.set(key, value);
+        }
 
-const MAX_CACHE_SIZE = 500;
+        inject(key, defaultValue) {
+            let current = this._vdxParent;
+            while (current) {
+                if (current._provides && current._provides.has(key)) {
+                    return current._provides.get(key);
+                }
+                current = current._vdxParent;
+            }
+            return defaultValue;
+        }
 
-const cacheAccessTimes = new Map();
+        connectedCallback() {
+            if (this._isDestroyed) return;
 
-function compileTemplate(strings) {
+            if (this.hasAttribute(HYDRATE_ATTR)) {
+                this.removeAttribute(HYDRATE_ATTR);
+                this._hydrating = true;
 
-    if (templateCache.has(strings)) {
-        cacheAccessTimes.set(strings, Date.now());
-        return templateCache.get(strings);
-    }
+                const serverState = this.getAttribute(STATE_ATTR);
+                if (serverState !== null) {
+                    this.removeAttribute(STATE_ATTR);
+                    try {
+                        Object.assign(this.state, JSON.parse(serverState));
+                    } catch (e) {
 
-    let fullTemplate = '';
-    for (let i = 0; i < strings.length; i++) {
-        fullTemplate += strings[i];
-        if (i < strings.length - 1) {
-            fullTemplate += `__SLOT_${i}__`;
-        }
-    }
+                        console.warn(`[${this.tagName.toLowerCase()}] Invalid ${STATE_ATTR} attribute, starting from data() instead:`, e);
+                    }
+                }
+            }
 
-    const parsed = parseXMLToTree(fullTemplate);
-    const compiled = buildOpTree(parsed);
+            if (this._hydrating && hasPendingHydrationAncestor(this)) {
+                return;
+            }
 
-    templateCache.set(strings, compiled);
-    cacheAccessTimes.set(strings, Date.now());
+            this._parseAttributes();
 
-    if (templateCache.size > MAX_CACHE_SIZE) {
-        cleanupTemplateCache();
-    }
+            this._isMounted = true;
 
-    return compiled;
-}
+            let parent = getParentAcrossShadow(this);
+            while (parent) {
+                if (parent._isVdxComponent) {
+                    this._vdxParent = parent;
 
-function cleanupTemplateCache() {
-    const entries = Array.from(cacheAccessTimes.entries())
-        .sort((a, b) => a[1] - b[1]);
+                    if (!(parent._vdxChildComponents instanceof Set)) {
+                        parent._vdxChildComponents = new Set();
+                    }
+                    parent._vdxChildComponents.add(this);
+                    break;
+                }
+                parent = getParentAcrossShadow(parent);
+            }
 
-    const toRemove = Math.floor(entries.length * 0.25);
-    for (let i = 0; i < toRemove; i++) {
-        const [staticsArray] = entries[i];
-        templateCache.delete(staticsArray);
-        cacheAccessTimes.delete(staticsArray);
-    }
-}
+            this._isVdxRoot = !this._vdxParent;
 
-function buildOpTree(node) {
-    if (!node) return null;
+            if (this._isVdxRoot && !this._hydrating && this.innerHTML.trim()) {
 
-    if (isFullyStatic(node)) {
+                const lightDomContent = this.innerHTML;
 
-        const staticVNode = buildStaticVNode(node);
-        return {
-            op: OP.STATIC,
-            vnode: staticVNode,
+                this.innerHTML = '';
 
-            type: 'fragment',
-            children: [],  
-            isStatic: true
-        };
-    }
+                const compiled = compileTemplate([lightDomContent]);
 
-    if (node.type === 'text') {
-        if (node.slot !== undefined) {
-            return {
-                op: OP.SLOT,
-                index: node.slot,
-                context: node.context || 'content',
-                type: 'text'
-            };
-        }
-        return {
-            op: OP.TEXT,
-            value: node.value,
-            type: 'text',
-            isStatic: true
-        };
-    }
+                const vnodes = applyValues(compiled, [], null);
 
-    if (node.type === 'fragment') {
-        const children = (node.children || [])
-            .map(child => buildOpTree(child))
-            .filter(Boolean);
+                const rootNodes = vnodes && vnodes.type === Fragment ? vnodes.props.children : vnodes;
+                const childArray = Array.isArray(rootNodes) ? rootNodes : (rootNodes ? [rootNodes] : []);
 
-        return {
-            op: OP.FRAGMENT,
-            children,
-            wrapped: node.wrapped,
-            fromEach: node.fromEach,
-            key: node.key,
-            type: 'fragment',
-            isStatic: children.every(c => c.isStatic)
-        };
-    }
+                const { defaultChildren, namedSlots } = groupChildrenBySlot(childArray);
 
-    if (node.type === 'element') {
-        const isCustomElement = componentDefinitions.has(node.tag);
+                this.props.children = defaultChildren;
+                this.props.slots = namedSlots;
+            }
 
-        const staticProps = {};
-        const dynamicProps = [];
+            if (options.stores) {
+                for (const [storeName, store] of Object.entries(options.stores)) {
+                    const unsubscribe = store.subscribe(state => {
 
-        for (const [name, attrDef] of Object.entries(node.attrs || {})) {
-            if (attrDef.value !== undefined && attrDef.slot === undefined &&
-                attrDef.slots === undefined && attrDef.xModel === undefined &&
-                attrDef.refName === undefined) {
+                        for (const key of Object.keys(state)) {
+                            this.stores[storeName][key] = state[key];
+                        }
+                    });
+                    this._cleanups.push(unsubscribe);
+                }
+            }
 
-                staticProps[name] = attrDef.value;
+            if (options.computed) {
+                this._setupComputed();
+            }
+            if (options.watch) {
+                this._setupWatchers();
+            }
+
+            const { effect: renderEffect, dispose: disposeRenderEffect } = createEffect(() => {
+
+                if (options.deepTracking) {
+                    trackAllDependencies(this.state);
+                    if (this.stores) {
+                        for (const storeState of Object.values(this.stores)) {
+                            trackAllDependencies(storeState);
+                        }
+                    }
+                }
+
+                this._doRender();
+            }, {
+                lazy: true,
+                scheduler: () => queueRender(this)
+            });
+            this._renderEffect = renderEffect;
+
+            if (isRenderingTree) {
+                queueRender(this);
             } else {
+                performTreeRender(this);
+            }
 
-                dynamicProps.push({ name, def: attrDef });
+            this._cleanups.push(disposeRenderEffect);
+
+            if (options.mounted) {
+
+                queueMicrotask(() => {
+
+                    if (this._isMounted && !this._isDestroyed) {
+                        callHook(this, options.mounted, 'mounted');
+                    }
+                });
             }
         }
 
-        const events = [];
-        for (const [eventName, eventDef] of Object.entries(node.events || {})) {
-            events.push({ name: eventName, def: eventDef });
-        }
+        disconnectedCallback() {
 
-        const children = (node.children || [])
-            .map(child => buildOpTree(child))
-            .filter(Boolean);
+            if (this._hydrating && !this._isMounted) return;
 
-        return {
-            op: OP.ELEMENT,
-            tag: node.tag,
-            staticProps,
-            dynamicProps,
-            events,
-            children,
-            isCustomElement,
-            key: node.key,
-            type: 'element',
-            isStatic: dynamicProps.length === 0 && events.length === 0 &&
-                      children.every(c => c.isStatic)
-        };
-    }
+            this._isDestroyed = true;
+            this._isMounted = false;
+            dirtyComponents.delete(this);
 
-    return null;
-}
+            if (this._vdxParent && this._vdxParent._vdxChildComponents) {
+                this._vdxParent._vdxChildComponents.delete(this);
+            }
 
-function isFullyStatic(node) {
-    if (!node) return true;
+            if (this._cleanups && this._cleanups.length > 0) {
+                this._cleanups.forEach(fn => fn());
+                this._cleanups = [];
+            }
 
-    if (node.type === 'text') {
-        return node.slot === undefined;
-    }
+            if (options.unmounted) {
+                callHook(this, options.unmounted, 'unmounted');
+            }
 
-    if (node.type === 'fragment') {
-        return (node.children || []).every(isFullyStatic);
-    }
+            this._vdxParent = null;
 
-    if (node.type === 'element') {
+            this.refs = {};
 
-        if (componentDefinitions.has(node.tag)) {
-            return false;
+            preactRender(null, this._renderRoot);
+            if (this._renderRoot !== this && this._hasLightChildren) {
+                preactRender(null, this);
+            }
         }
 
-        for (const attrDef of Object.values(node.attrs || {})) {
-            if (attrDef.slot !== undefined || attrDef.slots !== undefined ||
-                attrDef.xModel !== undefined || attrDef.refName !== undefined) {
-                return false;
+        attributeChangedCallback(name, oldValue, newValue) {
+
+            if (!this._isMounted || oldValue === newValue || this._suppressAttributeChange) {
+                return;
+            }
+
+            if (options.props && name in options.props) {
+                const def = propDefs[name];
+                let value = coercePropValue(def, newValue);
+                if (newValue === null && def.type) {
+
+                    value = def.type === Boolean ? false : getPropDefault(def);
+                }
+                this.props[name] = value;
+                if (debugPropWarningHook) {
+                    validateProp(this, name, def, value);
+                }
+                scheduleRender(this);
             }
         }
 
-        if (Object.keys(node.events || {}).length > 0) {
-            return false;
+        _setupComputed() {
+            this._computed = {};
+            for (const [key, getter] of Object.entries(options.computed)) {
+                const c = computed(() => {
+                    this._propsVersion.value;
+                    return getter.call(this);
+                });
+                this._computed[key] = c;
+                this._cleanups.push(c.dispose);
+            }
         }
 
-        return (node.children || []).every(isFullyStatic);
-    }
+        _setupWatchers() {
+            for (const [path, def] of Object.entries(options.watch)) {
+                const config = (typeof def === 'function' || typeof def === 'string') ? { handler: def } : def;
+                const handler = typeof config.handler === 'string' ? this[config.handler] : config.handler;
 
-    return true;
-}
+                if (typeof handler !== 'function') {
+                    console.warn(`[${this.tagName.toLowerCase()}] watch "${path}" has no handler`);
+                    continue;
+                }
 
-function buildStaticVNode(node) {
-    if (!node) return null;
+                const parts = path.split('.');
+                const readsProps = parts[0] === 'props';
+                const dispose = watch(
+                    () => {
+                        if (readsProps) this._propsVersion.value;
+                        let current = this;
+                        for (const part of parts) {
+                            if (current === null || current === undefined) return undefined;
+                            current = current[part];
+                        }
+                        return current;
+                    },
+                    (newValue, oldValue) => callHook(this, handler, 'watch', [newValue, oldValue]),
+                    { deep: !!config.deep, immediate: !!config.immediate }
+                );
+                this._cleanups.push(dispose);
+            }
+        }
 
-    if (node.type === 'text') {
-        return node.value || '';
-    }
+        _getVdxRoot() {
+            let current = this;
+            while (current._vdxParent) {
+                current = current._vdxParent;
+            }
+            return current;
+        }
 
-    if (node.type === 'fragment') {
-        const children = (node.children || [])
-            .map(child => buildStaticVNode(child))
-            .filter(child => child !== null && child !== undefined);
+        static get formAssociated() {
+            return !!options.formAssociated;
+        }
 
-        if (children.length === 0) return null;
-        if (children.length === 1) return children[0];
+        formResetCallback() {
+            if (options.formResetCallback) {
+                callHook(this, options.formResetCallback, 'formReset');
+            }
+        }
 
-        return h(Fragment, null, ...children);
-    }
+        formDisabledCallback(disabled) {
+            if (options.formDisabledCallback) {
+                callHook(this, options.formDisabledCallback, 'formDisabled', [disabled]);
+            } else if (propDefs.disabled && this.props.disabled !== disabled) {
 
-    if (node.type === 'element') {
-        const props = {};
+                this.props.disabled = disabled;
+                if (this._isMounted) scheduleRender(this);
+            }
+        }
 
-        for (const [name, attrDef] of Object.entries(node.attrs || {})) {
-            if (attrDef.value !== undefined) {
-                let propName = name;
-                if (name === 'class') propName = 'className';
-                else if (name === 'for') propName = 'htmlFor';
+        formStateRestoreCallback(state, mode) {
+            if (options.formStateRestoreCallback) {
+                callHook(this, options.formStateRestoreCallback, 'formStateRestore', [state, mode]);
+            }
+        }
 
-                if (BOOLEAN_ATTRS.has(propName)) {
-                    props[propName] = attrDef.value === propName || attrDef.value === 'true' || attrDef.value === true;
+        _syncFormState() {
+            const internals = this.internals;
+            if (!internals || typeof internals.setFormValue !== 'function') return;
+
+            if (options.formValue) {
+                internals.setFormValue(toFormValue(options.formValue.call(this), this.getAttribute('name')));
+            }
+
+            if (options.formValidity) {
+                const validity = options.formValidity.call(this);
+                if (validity) {
+                    const { message, anchor, ...flags } = validity;
+                    internals.setValidity(flags, message || 'Invalid value', anchor);
                 } else {
-                    props[propName] = attrDef.value;
+                    internals.setValidity({});
                 }
             }
         }
 
-        const children = (node.children || [])
-            .map(child => buildStaticVNode(child))
-            .filter(child => child !== null && child !== undefined);
-
-        return h(node.tag, props, ...children);
-    }
-
-    return null;
-}
+        static get observedAttributes() {
 
-function applyValues(compiled, values, component = null) {
-    if (!compiled) return null;
+            return options.props ? Object.keys(options.props) : [];
+        }
 
-    if (compiled.op === OP.STATIC) {
-        return compiled.vnode;
-    }
+        _parseAttributes() {
 
-    switch (compiled.op) {
-        case OP.TEXT:
-            return compiled.value;
+            if (options.props) {
+                for (const [propName, def] of Object.entries(propDefs)) {
+                    if (propName === 'style') {
 
-        case OP.SLOT:
-            return resolveSlotValue(compiled, values, component);
+                        continue;
+                    }
 
-        case OP.FRAGMENT:
-            return applyFragment(compiled, values, component);
+                    if (propName in this && this[propName] !== undefined && this[propName] !== def.default) {
 
-        case OP.ELEMENT:
-            return applyElement(compiled, values, component);
+                        this.props[propName] = coercePropValue(def, this[propName]);
+                    } else {
 
-        default:
-            throw new Error(`[applyValues] Unknown op type: ${compiled.op}`);
-    }
-}
+                        const attrValue = this.getAttribute(propName);
+                        if (attrValue !== null) {
+                            this.props[propName] = coercePropValue(def, attrValue);
+                        } else if (!(propName in this.props)) {
 
-function resolveSlotValue(compiled, values, component) {
-    let value = values[compiled.index];
+                            this.props[propName] = getPropDefault(def);
+                        }
+                    }
 
-    if (isHtml(value)) {
-        if (!('_compiled' in value)) {
-            console.error('[applyValues] html() template missing _compiled');
-            return null;
-        }
-        if (value._compiled === null) return null;
-        return applyValues(value._compiled, value._values || [], component);
-    }
+                    if (debugPropWarningHook) {
+                        validateProp(this, propName, def, this.props[propName]);
+                    }
+                }
+            }
 
-    if (isRaw(value)) {
-        return h('span', { dangerouslySetInnerHTML: { __html: value.toString() } });
-    }
+            const jsonAttrsToRemove = [];
+            for (const attr of this.attributes) {
+                if (attr.name.startsWith('json-')) {
 
-    if (value === null || value === undefined) return null;
+                    const propName = attr.name.slice(5).replace(/-([a-z])/g, g => g[1].toUpperCase());
+                    const scriptId = attr.value;
+                    const scriptEl = document.getElementById(scriptId);
 
-    if (Array.isArray(value)) {
-        if (value.length === 0) return null;
+                    if (scriptEl && scriptEl.type === 'application/json') {
+                        try {
+                            const jsonData = JSON.parse(scriptEl.textContent);
+                            this.props[propName] = jsonData;
+                        } catch (e) {
+                            console.warn(`[${this.tagName}] Failed to parse JSON from #${scriptId} for prop "${propName}":`, e.message);
+                        }
+                    } else if (!scriptEl) {
+                        try {
+                            const jsonData = JSON.parse(scriptId);
+                            this.props[propName] = jsonData;
+                        } catch (e) {
+                            console.warn(`[${this.tagName}] Could not find #${scriptId} or parse as JSON for prop "${propName}":`, e.message);
+                        }
+                    } else {
+                        console.warn(`[${this.tagName}] json-${propName} references #${scriptId} which is not type="application/json"`);
+                    }
 
-        const hasVNodes = value.some(item => {
-            if (!item) return false;
-            if (typeof item === 'string' || typeof item === 'number') return true;
-            if (typeof item === 'object' && ('type' in item || 'props' in item || '__' in item)) return true;
-            return false;
-        });
+                    jsonAttrsToRemove.push(attr.name);
+                }
+            }
 
-        if (hasVNodes) return value;
-        return value.join('');
-    }
+            for (const attrName of jsonAttrsToRemove) {
+                this.removeAttribute(attrName);
+            }
+        }
 
-    if (typeof value === 'object') {
+        _doRender() {
 
-        if (value.type || value.props || value.__) {
-            return value;
-        }
+            if (this._isDestroyed || !this._isMounted) {
+                return;
+            }
 
-        return Object.prototype.toString.call(value);
-    }
+            if (!options.template) return;
 
-    if (typeof value === 'string') {
-        value = value.replace(/[\uFEFF\u200B-\u200D\uFFFE\uFFFF]/g, '');
-    }
+            if (debugRenderCycleHook) {
+                debugRenderCycleHook(this, 'before-template');
+            }
 
-    return value;
-}
+            if (options.styles && !this._stylesInjected && this._renderRoot !== this) {
+                if (supportsAdoptedStyleSheets) {
+                    const tagName = this.tagName.toLowerCase();
+                    let sheet = shadowStyleSheets.get(tagName);
+                    if (!sheet) {
+                        sheet = new CSSStyleSheet();
+                        sheet.replaceSync(options.styles);
+                        shadowStyleSheets.set(tagName, sheet);
+                    }
+                    this._renderRoot.adoptedStyleSheets = [sheet];
+                }
 
-function applyFragment(compiled, values, component) {
-    const children = compiled.children
-        .map(child => {
-            const childValues = child._itemValues !== undefined ? child._itemValues : values;
-            return applyValues(child, childValues, component);
-        })
-        .filter(child => child !== undefined && child !== false && child !== null);
+                this._stylesInjected = true;
+            }
 
-    if (children.length === 0) return null;
+            if (options.styles && !this._stylesInjected) {
+                const styleId = `component-styles-${options.name || this.tagName}`;
+                const tagName = this.tagName.toLowerCase();
 
-    const props = compiled.key !== undefined ? { key: compiled.key } : null;
-    return h(Fragment, props, ...children);
-}
+                if (!document.getElementById(styleId)) {
 
-function applyElement(compiled, values, component) {
-    const props = { ...compiled.staticProps };
-    const isCustomElement = compiled.isCustomElement;
+                    let processedStyles = processedStylesCache.get(tagName);
 
-    for (const { name, def } of compiled.dynamicProps) {
-        const value = resolveProp(name, def, values, component, isCustomElement);
-        if (value !== undefined) {
+                    if (!processedStyles) {
 
-            let propName = name;
-            if (name === 'class') propName = 'className';
-            else if (name === 'for') propName = 'htmlFor';
-            else if (name === 'style' && isCustomElement) {
-                props._vdxStyle = value;
-                continue;
-            }
+                        processedStyles = scopeComponentStyles(options.styles, tagName);
 
-            if (name === '__ref__') {
+                        processedStylesCache.set(tagName, processedStyles);
+                    }
 
-                props.ref = createRefCallback(def.refName, component);
-                continue;
+                    const styleEl = document.createElement('style');
+                    styleEl.id = styleId;
+                    styleEl.textContent = processedStyles;
+                    document.head.appendChild(styleEl);
+                }
+                this._stylesInjected = true;
             }
 
-            if (BOOLEAN_ATTRS.has(propName)) {
-                props[propName] = value === true ? true : value === false ? false :
-                    typeof value === 'string' ? value : Boolean(value);
-            } else {
-                props[propName] = value;
-            }
-        }
-    }
+            const templateResult = options.template.call(this);
 
-    for (const { name, def } of compiled.events) {
-        const handler = resolveEventHandler(name, def, values, component, isCustomElement);
-        if (handler) {
-            if (name === 'clickoutside' || name === 'click-outside') {
-                props.ref = createClickOutsideRef(handler, props.ref);
-            } else {
-                const propName = 'on' + name.charAt(0).toUpperCase() + name.slice(1);
-                props[propName] = handler;
+            if (debugRenderCycleHook) {
+                debugRenderCycleHook(this, 'after-template', {
+                    hasCompiled: !!templateResult?._compiled,
+                    valuesCount: templateResult?._values?.length || 0
+                });
             }
-        }
-    }
 
-    if (compiled.key !== undefined) {
-        props.key = compiled.key;
-    }
+            if (templateResult && templateResult._compiled) {
 
-    const children = compiled.children
-        .map(child => {
-            const childValues = child._itemValues !== undefined ? child._itemValues : values;
-            return applyValues(child, childValues, component);
-        })
-        .filter(child => child !== undefined && child !== false);
+                const preactElement = applyValues(
+                    templateResult._compiled,
+                    templateResult._values || [],
+                    this
+                );
 
-    if (isCustomElement && children.length > 0) {
-        const { defaultChildren, namedSlots } = groupChildrenBySlot(children);
-        return h(compiled.tag, {
-            ...props,
-            _vdxChildren: defaultChildren,
-            _vdxSlots: namedSlots
-        });
-    }
+                if (debugRenderCycleHook) {
+                    debugRenderCycleHook(this, 'before-vnode', {
+                        isNull: preactElement === null,
+                        type: preactElement?.type || 'null'
+                    });
+                }
+                if (debugVNodeHook) {
+                    debugVNodeHook(this, preactElement);
+                }
 
-    return h(compiled.tag, props, ...children);
-}
+                const hydrating = this._hydrating;
+                this._hydrating = false;
+                if (this._renderRoot !== this) {
+                    this._renderShadow(preactElement, hydrating);
+                } else if (hydrating) {
+                    hydrateInto(this, preactElement, this);
+                } else {
+                    preactRender(preactElement, this);
+                }
 
-function resolveProp(name, def, values, component, isCustomElement) {
+                if (debugRenderCycleHook) {
+                    debugRenderCycleHook(this, 'after-vnode');
+                }
+            } else {
 
-    if (def.xModel !== undefined) {
-        if (component && component.state) {
-            let value = getNestedValue(component.state, def.xModel);
+                console.error(`[${this.tagName}] Template was not compiled. Ensure you're using the html\`\` tag.`);
+            }
 
-            if (def.context === 'x-model-checked') {
-                return !!value;
-            } else if (def.context === 'x-model-radio') {
-                return value === def.radioValue;
-            } else if (def.context === 'x-model-value' && isCustomElement &&
-                       (typeof value === 'object' || typeof value === 'function') && value !== null) {
-                return value;
+            if (this.internals) {
+                this._syncFormState();
+            }
+
+            if (options.afterRender && this._isMounted) {
+                Promise.resolve().then(() => {
+                    if (!this._isDestroyed && this._isMounted) {
+                        callHook(this, options.afterRender, 'afterRender');
+                    }
+                });
             }
-            return value;
         }
-        return (def.context === 'x-model-checked' || def.context === 'x-model-radio') ? false : '';
-    }
 
-    if (def.slot !== undefined || def.slots !== undefined) {
-        let value;
+        _renderShadow(preactElement, hydrating) {
+            const styleElement = options.styles && !supportsAdoptedStyleSheets
+                ? h('style', null, options.styles)
+                : null;
+            preactRender(h(Fragment, null, styleElement, preactElement), this._renderRoot);
 
-        if (def.slots) {
+            if (this._hasLightChildren) {
 
-            value = def.template;
-            for (const slotIndex of def.slots) {
-                const slotMarker = `__SLOT_${slotIndex}__`;
-                const slotValue = values[slotIndex];
-                value = value.replace(slotMarker, String(slotValue ?? ''));
-            }
-        } else {
-            value = values[def.slot];
-            if (def.template) {
-                value = def.template.replace(`__SLOT_${def.slot}__`, String(value));
+                const slotted = [this._lightChildren];
+                for (const slotChildren of Object.values(this._lightSlots)) {
+                    slotted.push(slotChildren);
+                }
+                if (hydrating) {
+                    hydrateInto(this, h(Fragment, null, ...slotted), this);
+                } else {
+                    preactRender(h(Fragment, null, ...slotted), this);
+                }
             }
         }
 
-        if (def.context === 'url') {
-            return sanitizeUrl(value) || '';
-        } else if (def.context === 'custom-element-attr') {
-            return value;
+        render() {
+            queueRender(this);
+            return nextTick();
         }
 
-        if (value !== undefined && value !== null && typeof value !== 'boolean') {
-            return String(value);
+        $method(name) {
+            return options.methods?.[name]?.bind(this);
         }
-        return value;
     }
 
-    if (def.refName !== undefined) {
-        return def;  
-    }
+    const scheduleRender = (component) => {
+        component._propsRevision++;
+        component._propsVersion.value = component._propsRevision;
+        queueRender(component);
+    };
 
-    return def.value;
-}
+    const createPropSetter = (propName) => ({
+        get() {
 
-function createRefCallback(refName, component) {
-    return (el) => {
-        if (component) {
-            if (el) {
-                component.refs[refName] = el;
-            } else {
-                delete component.refs[refName];
+            return this.props ? this.props[propName] : undefined;
+        },
+        set(rawValue) {
+
+            const def = propDefs[propName];
+            const value = coercePropValue(def, rawValue);
+            if (debugPropSetHook) {
+                debugPropSetHook(this.tagName || name, propName, value, rawValue, this._isMounted);
             }
-        }
-    };
-}
 
-function createClickOutsideRef(handler, existingRef) {
-    let lastEl = null;
+            if (!this.props) {
+                if (!this._pendingProps) this._pendingProps = {};
+                this._pendingProps[propName] = value;
+                return;
+            }
 
-    return (el) => {
-        if (existingRef) existingRef(el);
+            const oldValue = this.props[propName];
+            this.props[propName] = value;
 
-        if (lastEl && lastEl._clickOutsideHandler) {
-            document.removeEventListener('click', lastEl._clickOutsideHandler);
-            delete lastEl._clickOutsideHandler;
-        }
+            this._suppressAttributeChange = true;
+            if (typeof value === 'string') {
+                this.setAttribute(propName, value);
+            } else if (def.type === Boolean && value === true) {
 
-        if (el) {
-            const documentHandler = (e) => {
-                if (!el.contains(e.target)) {
-                    handler(e);
+                this.setAttribute(propName, '');
+            } else if (this.hasAttribute(propName)) {
+
+                this.removeAttribute(propName);
+            }
+            this._suppressAttributeChange = false;
+
+            if (this._isMounted) {
+                if (debugPropWarningHook) {
+                    validateProp(this, propName, def, value);
+                }
+                if (typeof this.propsChanged === 'function' && value !== oldValue) {
+                    callHook(this, this.propsChanged, 'propsChanged', [propName, value, oldValue]);
                 }
-            };
-            el._clickOutsideHandler = documentHandler;
-            document.addEventListener('click', documentHandler);
-            lastEl = el;
-        } else {
-            lastEl = null;
-        }
-    };
-}
 
-function resolveEventHandler(eventName, def, values, component, isCustomElement) {
-    let handler = null;
+                scheduleRender(this);
+            }
+        },
+        enumerable: true,
+        configurable: true
+    });
 
-    if (def.xModel !== undefined) {
+    Object.defineProperty(Component.prototype, 'children', {
+        get() {
+            return this.props ? this.props.children : undefined;
+        },
+        set(value) {
+            if (debugPropSetHook) {
+                debugPropSetHook(this.tagName || name, 'children', value, value, this._isMounted);
+            }
+            if (!this.props) {
+                if (!this._pendingProps) this._pendingProps = {};
+                this._pendingProps.children = value;
+                return;
+            }
+            this.props.children = value;
+            if (this._isMounted) scheduleRender(this);
+        },
+        enumerable: true,
+        configurable: true
+    });
 
-        const propName = def.xModel;
-        handler = (e) => {
-            if (component && component.state) {
-                let value;
+    Object.defineProperty(Component.prototype, 'slots', {
+        get() {
+            return this.props ? this.props.slots : undefined;
+        },
+        set(value) {
+            if (debugPropSetHook) {
+                debugPropSetHook(this.tagName || name, 'slots', value, value, this._isMounted);
+            }
+            if (!this.props) {
+                if (!this._pendingProps) this._pendingProps = {};
+                this._pendingProps.slots = value;
+                return;
+            }
+            this.props.slots = value;
+            if (this._isMounted) scheduleRender(this);
+        },
+        enumerable: true,
+        configurable: true
+    });
 
-                if (def.customElement) {
-                    value = (e.detail && e.detail.value !== undefined) ? e.detail.value : e.detail;
-                } else {
-                    const target = e.target;
+    Object.defineProperty(Component.prototype, '_vdxChildren', {
+        get() {
+            return this.props ? this.props.children : undefined;
+        },
+        set(value) {
+            if (debugPropSetHook) {
+                debugPropSetHook(this.tagName || name, '_vdxChildren', value, value, this._isMounted);
+            }
+            if (!this.props) {
+                if (!this._pendingProps) this._pendingProps = {};
+                this._pendingProps.children = value;
+                return;
+            }
+            this.props.children = value;
+            if (this._isMounted) scheduleRender(this);
+        },
+        enumerable: true,
+        configurable: true
+    });
+
+    Object.defineProperty(Component.prototype, '_vdxSlots', {
+        get() {
+            return this.props ? this.props.slots : undefined;
+        },
+        set(value) {
+            if (debugPropSetHook) {
+                debugPropSetHook(this.tagName || name, '_vdxSlots', value, value, this._isMounted);
+            }
+            if (!this.props) {
+                if (!this._pendingProps) this._pendingProps = {};
+                this._pendingProps.slots = value;
+                return;
+            }
+            this.props.slots = value;
+            if (this._isMounted) scheduleRender(this);
+        },
+        enumerable: true,
+        configurable: true
+    });
+
+    if (options.props) {
+        for (const propName of Object.keys(options.props)) {
+            if (reservedNames.has(propName) || propName === 'children' || propName === 'slots') {
+                if (reservedNames.has(propName)) {
+                    console.warn(`[Security] Skipping reserved prop name: ${propName}`);
+                }
+                continue;
+            }
+            if (propName === 'style') {
 
-                    if (target.type === 'checkbox') {
-                        value = target.checked;
-                    } else if (target.type === 'radio') {
-                        if (target.checked) {
-                            value = target.value;
-                        } else {
+                Object.defineProperty(Component.prototype, '_vdxStyle', {
+                    get() {
+                        return this.props ? this.props.style : undefined;
+                    },
+                    set(value) {
+                        if (debugPropSetHook) {
+                            debugPropSetHook(this.tagName || name, '_vdxStyle', value, value, this._isMounted);
+                        }
+                        if (!this.props) {
+                            if (!this._pendingProps) this._pendingProps = {};
+                            this._pendingProps.style = value;
                             return;
                         }
-                    } else if (target.type === 'number' || target.type === 'range') {
-                        value = target.valueAsNumber;
-                        if (isNaN(value)) value = target.value;
-                    } else if (target.type === 'file') {
-                        value = target.files;
-                    } else {
-                        value = target.value;
-                    }
-                }
-
-                setNestedValue(component.state, propName, value);
+                        this.props.style = value;
+                        if (this._isMounted) scheduleRender(this);
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+                continue;
             }
-        };
-    } else if (def.slot !== undefined) {
-        handler = values[def.slot];
-    } else if (def.handler && typeof def.handler === 'function') {
-        handler = def.handler;
-    } else if (def.method && component && component[def.method]) {
-        handler = component[def.method].bind(component);
-    }
-
-    if (handler && typeof handler === 'function') {
-
-        if (def.modifier === 'prevent') {
-            const orig = handler;
-            handler = (e) => { e.preventDefault(); return orig(e); };
-        }
-        if (def.modifier === 'stop') {
-            const orig = handler;
-            handler = (e) => { e.stopPropagation(); return orig(e); };
+            Object.defineProperty(Component.prototype, propName, createPropSetter(propName));
         }
+    }
 
-        if (def._chainWith) {
-            const firstHandler = resolveEventHandler(eventName, def._chainWith, values, component, isCustomElement);
-            if (firstHandler) {
-                const secondHandler = handler;
-                handler = (e) => { firstHandler(e); secondHandler(e); };
+    if (options.computed) {
+        for (const [key, getter] of Object.entries(options.computed)) {
+            if (reservedNames.has(key) || (options.props && key in options.props) ||
+                (options.methods && key in options.methods)) {
+                console.warn(`[${name}] Skipping computed "${key}": name is reserved or already used by a prop or method`);
+                continue;
             }
-        }
+            Object.defineProperty(Component.prototype, key, {
+                get() {
 
-        if (isCustomElement && !def.xModel) {
-            const orig = handler;
-            handler = (e) => {
-                const value = (e.detail && e.detail.value !== undefined) ? e.detail.value : e.detail;
-                return orig(e, value);
-            };
+                    return this._computed ? this._computed[key].get() : getter.call(this);
+                },
+                enumerable: true,
+                configurable: true
+            });
         }
     }
 
-    return handler;
-}
-
-function groupChildrenBySlot(children) {
-    const defaultChildren = [];
-    const namedSlots = {};
-
-    for (const child of children) {
-        if (child && typeof child === 'object' && child.props && child.props.slot) {
-            const slotName = child.props.slot;
-            if (!namedSlots[slotName]) {
-                namedSlots[slotName] = [];
-            }
-            namedSlots[slotName].push(child);
-        } else {
-            defaultChildren.push(child);
+    if (typeof customElements === 'undefined') {
+        if (!componentDefinitions.has(name)) {
+            componentDefinitions.set(name, Component);
+            componentOptions.set(name, { options, propDefs });
         }
+    } else if (!customElements.get(name)) {
+        customElements.define(name, Component);
+        componentDefinitions.set(name, Component);
+        componentOptions.set(name, { options, propDefs });
     }
 
-    return { defaultChildren, namedSlots: Object.keys(namedSlots).length > 0 ? namedSlots : {} };
+    return Component;
 }
 
-function parseXMLToTree(xmlString) {
-    const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
-                          'link', 'meta', 'param', 'source', 'track', 'wbr'];
-
-    const tagPattern = /<([a-zA-Z][\w-]*)([^>]*)>/g;
-    const booleanAttrs = ['checked', 'selected', 'disabled', 'readonly', 'multiple', 'ismap',
-                          'defer', 'declare', 'noresize', 'nowrap', 'noshade', 'compact',
-                          'autofocus', 'required', 'autoplay', 'controls', 'loop', 'muted',
-                          'default', 'open', 'reversed', 'scoped', 'seamless', 'sortable',
-                          'novalidate', 'formnovalidate', 'itemscope'];
-
-    xmlString = xmlString.replace('\n', ' ').replace(/>\s+</g, '><').trim();
-
-    xmlString = xmlString.replace(tagPattern, (fullMatch, tagName, attrs) => {
-        if (fullMatch.startsWith('</')) return fullMatch;
-
-        let processedAttrs = attrs;
-        for (const boolAttr of booleanAttrs) {
-            const pattern = new RegExp(`(\\s${boolAttr})(?=\\s|>|/|$)`, 'gi');
-            const parts = processedAttrs.split(/("[^"]*"|'[^']*')/);
-            processedAttrs = parts.map((part, index) => {
-                if (index % 2 === 0) {
-                    return part.replace(pattern, `$1="${boolAttr}"`);
-                }
-                return part;
-            }).join('');
-        }
-
-        return `<${tagName}${processedAttrs}>`;
-    });
+// ============= directives.js =============
 
-    voidElements.forEach(tag => {
-        const regex = new RegExp(`<${tag}(\\s[^>]*)?>`, 'gi');
-        xmlString = xmlString.replace(regex, (match, attrs) => {
-            if (match.trimEnd().endsWith('/>')) return match;
-            return `<${tag}${attrs || ''} />`;
-        });
-    });
+const directives = new Map();
 
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(`<root>${xmlString}</root>`, 'text/xml');
+const boundDirectives = new WeakMap();
 
-    const parseError = doc.querySelector('parsererror');
-    if (parseError) {
-        console.error('[parseXMLToTree] Parse error:', parseError.textContent);
-        return { type: 'fragment', wrapped: false, children: [] };
-    }
+const warnedDirectives = new Set();
 
-    const root = doc.documentElement;
-    if (!root) {
-        return { type: 'fragment', wrapped: false, children: [] };
+function defineDirective(name, definition) {
+    if (!/^x-[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name)) {
+        throw new Error(`[defineDirective] "${name}" isn't a valid directive name (use x-<name>)`);
     }
-
-    const children = [];
-    for (const node of root.childNodes) {
-        const tree = nodeToTree(node);
-        if (tree) {
-            if (tree.type === 'fragment') {
-                children.push(...tree.children);
-            } else {
-                children.push(tree);
-            }
-        }
+    if (name === 'x-model' || name.startsWith('x-model-') || name.startsWith('x-spread-')) {
+        throw new Error(`[defineDirective] "${name}" is reserved`);
     }
 
-    return { type: 'fragment', wrapped: false, children };
+    const normalized = typeof definition === 'function'
+        ? { mounted: definition, updated: definition }
+        : { ...definition };
+    directives.set(name, normalized);
+    return normalized;
 }
 
-function nodeToTree(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-        const text = node.textContent;
-
-        const slotMatch = text.match(/^__SLOT_(\d+)__$/);
-        if (slotMatch) {
-            return {
-                type: 'text',
-                slot: parseInt(slotMatch[1], 10),
-                context: 'content'
-            };
-        }
-
-        if (text.includes('__SLOT_')) {
-            const parts = text.split(/(__SLOT_\d+__)/);
-            const children = parts
-                .filter(part => part)
-                .map(part => {
-                    const match = part.match(/^__SLOT_(\d+)__$/);
-                    if (match) {
-                        return { type: 'text', slot: parseInt(match[1], 10), context: 'content' };
-                    }
-                    return { type: 'text', value: part };
-                });
-            return { type: 'fragment', wrapped: false, children };
-        }
-
-        if (text) {
-            return { type: 'text', value: text };
+function createDirectiveRef(name, value, component) {
+    const definition = directives.get(name);
+    if (!definition) {
+        if (!warnedDirectives.has(name)) {
+            warnedDirectives.add(name);
+            console.warn(`[${name}] Unknown directive. Register it with defineDirective() before rendering.`);
         }
         return null;
     }
 
-    if (node.nodeType === Node.ELEMENT_NODE) {
-        const tag = node.tagName.toLowerCase();
-        const attrs = {};
-        const events = {};
-
-        for (const attr of node.attributes) {
-            const name = attr.name;
-            const value = attr.value;
-
-            if (name === 'x-model') {
-                const isCustomElement = componentDefinitions.has(tag);
-
-                if (isCustomElement) {
-                    attrs['value'] = { xModel: value, context: 'x-model-value' };
-                    events['change'] = { xModel: value, modifier: null, customElement: true };
-                } else {
-                    const inputType = node.getAttribute('type');
-
-                    if (inputType === 'checkbox') {
-                        attrs['checked'] = { xModel: value, context: 'x-model-checked' };
-                        events['change'] = { xModel: value, modifier: null };
-                    } else if (inputType === 'radio') {
-                        const radioValue = node.getAttribute('value');
-                        attrs['checked'] = { xModel: value, radioValue, context: 'x-model-radio' };
-                        events['change'] = { xModel: value, modifier: null };
-                    } else if (inputType === 'file') {
-                        events['change'] = { xModel: value, modifier: null };
-                    } else {
-                        attrs['value'] = { xModel: value, context: 'x-model-value' };
-                        events['input'] = { xModel: value, modifier: null };
-                    }
-                }
-                continue;
-            }
-
-            if (name === 'ref') {
-                attrs['__ref__'] = { refName: value };
-                continue;
-            }
-
-            if (name.startsWith('on-')) {
-                const fullEventName = name.substring(3);
-                let eventName, modifier;
-
-                if (fullEventName === 'click-outside') {
-                    eventName = 'clickoutside';
-                    modifier = null;
-                } else {
-                    const parts = fullEventName.split('-');
-                    eventName = parts[0];
-                    modifier = parts.length > 1 ? parts[parts.length - 1] : null;
-                }
-
-                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
-                let newHandler;
-
-                if (slotMatch) {
-                    newHandler = { slot: parseInt(slotMatch[1], 10), modifier };
-                } else if (value.match(/__EVENT_/)) {
-                    newHandler = { handler: value, modifier };
-                } else {
-                    newHandler = { method: value, modifier };
-                }
-
-                if (events[eventName]) {
-                    newHandler._chainWith = events[eventName];
-                }
+    let boundEl = null;
 
-                events[eventName] = newHandler;
-                continue;
+    return (el) => {
+        if (el) {
+            boundEl = el;
+            let bound = boundDirectives.get(el);
+            if (!bound) {
+                bound = new Map();
+                boundDirectives.set(el, bound);
             }
 
-            const slotMatch = value.match(/^__SLOT_(\d+)__$/);
-            if (slotMatch) {
-                const slotIndex = parseInt(slotMatch[1], 10);
-                let context = 'attribute';
-
-                if (name === 'href' || name === 'src' || name === 'action') {
-                    context = 'url';
-                } else if (name.startsWith('on')) {
-                    context = 'event-handler';
-                } else if (name === 'style' || name === 'srcdoc') {
-                    context = 'dangerous';
-                } else if (tag.includes('-')) {
-                    context = 'custom-element-attr';
-                }
-
-                attrs[name] = { slot: slotIndex, context, attrName: name };
-            } else if (value.includes('__SLOT_')) {
-                const matches = value.match(/__SLOT_(\d+)__/g);
-                if (matches && matches.length >= 1) {
-                    const slots = matches.map(m => parseInt(m.match(/\d+/)[0], 10));
-                    attrs[name] = { slots, context: 'attribute', attrName: name, template: value };
-                } else {
-                    attrs[name] = { value };
-                }
-            } else {
-                attrs[name] = { value };
-            }
-        }
+            const state = bound.get(name);
+            if (state) {
 
-        const children = [];
-        for (const child of node.childNodes) {
-            const childTree = nodeToTree(child);
-            if (childTree) {
-                if (childTree.type === 'fragment') {
-                    children.push(...childTree.children);
-                } else {
-                    children.push(childTree);
-                }
+                const oldValue = state.value;
+                state.value = value;
+                state.detached = false;
+                callDirectiveHook(definition.updated, el, { value, oldValue, component }, component);
+            } else {
+                bound.set(name, { value, detached: false });
+                callDirectiveHook(definition.mounted, el, { value, oldValue: undefined, component }, component);
             }
+            return;
         }
 
-        return { type: 'element', tag, attrs, events, slotProps: {}, children };
-    }
+        if (!boundEl) return;
+        const detachedEl = boundEl;
+        boundEl = null;
+        const state = boundDirectives.get(detachedEl)?.get(name);
+        if (!state) return;
+
+        state.detached = true;
+        queueMicrotask(() => {
+            if (!state.detached) return;
+            boundDirectives.get(detachedEl).delete(name);
+            callDirectiveHook(definition.unmounted, detachedEl,
+                { value: state.value, oldValue: undefined, component }, component);
+        });
+    };
+}
 
-    if (node.nodeType === Node.COMMENT_NODE) {
-        return null;
+function callDirectiveHook(hook, el, binding, component) {
+    if (!hook) return;
+    try {
+        hook(el, binding);
+    } catch (err) {
+        handleComponentError(err, component, 'directive');
     }
-
-    return null;
 }
 
-function clearTemplateCache() {
-    templateCache.clear();
-    cacheAccessTimes.clear();
-}
+const shownDisplay = new WeakMap();
 
-function pruneTemplateCache() {
-    if (templateCache.size > MAX_CACHE_SIZE * 0.5) {
-        cleanupTemplateCache();
+defineDirective('x-show', {
+    mounted(el, { value }) {
+        shownDisplay.set(el, el.style.display === 'none' ? '' : el.style.display);
+        el.style.display = value ? shownDisplay.get(el) : 'none';
+    },
+    updated(el, { value }) {
+        el.style.display = value ? shownDisplay.get(el) : 'none';
+    },
+    unmounted(el) {
+        shownDisplay.delete(el);
     }
-}
-
-function getTemplateCacheSize() {
-    return templateCache.size;
-}
+});
 
 // ============= store.js =============
 
@@ -3641,6 +5601,293 @@ function createStore(initial) {
     };
 }
 
+// ============= server-render.js =============
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const SKIP_PROPS = new Set(['children', 'key', 'ref', 'dangerouslySetInnerHTML', '_vdxChildren', '_vdxSlots', '_vdxStyle']);
+
+async function renderToString(tagName, props = {}) {
+    if (!componentOptions.has(tagName)) {
+        throw new Error(`[renderToString] <${tagName}> is not a registered component`);
+    }
+
+    const context = { styles: new Map() };
+    const body = await renderNode({ type: tagName, props }, context, null);
+
+    let styles = '';
+    for (const [id, css] of context.styles) {
+        styles += `<style id="${escapeAttr(id)}">${css}</style>`;
+    }
+    return styles + body;
+}
+
+async function renderNode(node, context, parent) {
+    if (node === null || node === undefined || typeof node === 'boolean') {
+        return '';
+    }
+    if (typeof node === 'string' || typeof node === 'number') {
+        return escapeText(String(node));
+    }
+    if (Array.isArray(node)) {
+        let html = '';
+        for (const child of node) {
+            html += await renderNode(child, context, parent);
+        }
+        return html;
+    }
+
+    const { type, props = {} } = node;
+
+    if (type === Fragment) {
+        return renderNode(props.children, context, parent);
+    }
+
+    if (typeof type === 'function') {
+        if (type.prototype && typeof type.prototype.render === 'function') {
+            const instance = new type(props);
+            return renderNode(instance.render(props, instance.state || {}), context, parent);
+        }
+        return renderNode(type(props), context, parent);
+    }
+
+    if (typeof type !== 'string') {
+        return '';
+    }
+
+    const definition = componentOptions.get(type);
+    if (definition) {
+        return renderComponent(type, definition, props, context, parent);
+    }
+
+    return renderElement(type, props, context, parent);
+}
+
+async function renderElement(tag, props, context, parent) {
+    let html = `<${tag}${renderAttributes(tag, props, context)}>`;
+    if (VOID_ELEMENTS.has(tag)) {
+        return html;
+    }
+
+    if (props.dangerouslySetInnerHTML) {
+        html += props.dangerouslySetInnerHTML.__html || '';
+    } else if (tag === 'textarea' && props.value !== undefined && props.value !== null) {
+        html += escapeText(String(props.value));
+    } else {
+
+        const childContext = tag === 'select' && props.value !== undefined
+            ? { ...context, selectValue: String(props.value) }
+            : context;
+        html += await renderNode(props.children, childContext, parent);
+    }
+
+    return html + `</${tag}>`;
+}
+
+async function renderComponent(tag, definition, vnodeProps, context, parent) {
+    const { options } = definition;
+    const instance = createServerInstance(tag, definition, vnodeProps, parent);
+
+    let serverState = null;
+    if (options.serverPrefetch) {
+        await options.serverPrefetch.call(instance);
+        try {
+            serverState = JSON.stringify(instance.state);
+        } catch (e) {
+            console.warn(`[${tag}] State loaded by serverPrefetch() isn't JSON-serializable, so it won't be restored on the client:`, e);
+        }
+    }
+
+    if (options.styles && !options.shadow) {
+
+        const styleId = `component-styles-${options.name || tag.toUpperCase()}`;
+        if (!context.styles.has(styleId)) {
+            context.styles.set(styleId, scopeComponentStyles(options.styles, tag));
+        }
+    }
+
+    let content = '';
+    if (options.template) {
+        const result = options.template.call(instance);
+        if (result && result._compiled) {
+            content = await renderNode(applyValues(result._compiled, result._values || [], instance), context, instance);
+        }
+    }
+
+    const hostProps = {};
+    for (const [name, value] of Object.entries(vnodeProps)) {
+        if (value === null || typeof value !== 'object') {
+            hostProps[name] = value;
+        }
+    }
+    if (typeof vnodeProps._vdxStyle === 'string') {
+        hostProps.style = vnodeProps._vdxStyle;
+    }
+
+    let html = `<${tag}${renderAttributes(tag, hostProps, context)} ${HYDRATE_ATTR}`;
+    if (serverState) {
+        html += ` ${STATE_ATTR}="${escapeAttr(serverState)}"`;
+    }
+    html += '>';
+
+    if (options.shadow) {
+
+        const mode = options.shadow === 'closed' ? 'closed' : 'open';
+        const style = options.styles ? `<style>${options.styles}</style>` : '';
+        html += `<template shadowrootmode="${mode}">${style}${content}</template>`;
+
+        html += await renderNode(vnodeProps._vdxChildren, context, parent);
+        for (const children of Object.values(vnodeProps._vdxSlots || {})) {
+            html += await renderNode(children, context, parent);
+        }
+    } else {
+        html += content;
+    }
+
+    return html + `</${tag}>`;
+}
+
+function createServerInstance(tag, definition, vnodeProps, parent) {
+    const { options, propDefs } = definition;
+
+    const instance = {
+        tagName: tag.toUpperCase(),
+        refs: {},
+        _vdxParent: parent,
+        _provides: null,
+
+        provide(key, value) {
+            if (!this._provides) {
+                this._provides = new Map();
+            }
+            this._provides.set(key, value);
+        },
+
+        inject(key, defaultValue) {
+            let current = this._vdxParent;
+            while (current) {
+                if (current._provides && current._provides.has(key)) {
+                    return current._provides.get(key);
+                }
+                current = current._vdxParent;
+            }
+            return defaultValue;
+        },
+
+        getAttribute(name) {
+            const value = vnodeProps[name];
+            return value === undefined || value === null || typeof value === 'object' ? null : String(value);
+        },
+
+        hasAttribute(name) {
+            return this.getAttribute(name) !== null;
+        }
+    };
+
+    const props = {
+        children: vnodeProps._vdxChildren || vnodeProps.children || [],
+        slots: vnodeProps._vdxSlots || {}
+    };
+    for (const [propName, def] of Object.entries(propDefs)) {
+        props[propName] = getPropDefault(def);
+    }
+    for (const [name, value] of Object.entries(vnodeProps)) {
+        if (SKIP_PROPS.has(name) || typeof value === 'function') {
+            continue;
+        }
+
+        const propName = name in propDefs ? name
+            : Object.keys(propDefs).find(key => key.toLowerCase() === name.toLowerCase());
+        if (propName) {
+            props[propName] = coercePropValue(propDefs[propName], value);
+        }
+    }
+    instance.props = props;
+
+    if (options.stores) {
+        instance.stores = {};
+        for (const [storeName, store] of Object.entries(options.stores)) {
+            instance.stores[storeName] = reactive({ ...store.state });
+        }
+    }
+
+    if (options.methods) {
+        for (const [name, method] of Object.entries(options.methods)) {
+            instance[name] = method.bind(instance);
+        }
+    }
+
+    instance.state = reactive(options.data ? options.data.call(instance) : {});
+
+    if (options.computed) {
+        for (const [key, getter] of Object.entries(options.computed)) {
+            Object.defineProperty(instance, key, {
+                get: () => getter.call(instance),
+                enumerable: true
+            });
+        }
+    }
+
+    if (options.provide) {
+        const provided = typeof options.provide === 'function'
+            ? options.provide.call(instance)
+            : options.provide;
+        for (const key of Reflect.ownKeys(provided || {})) {
+            instance.provide(key, provided[key]);
+        }
+    }
+
+    return instance;
+}
+
+function renderAttributes(tag, props, context) {
+    let html = '';
+
+    for (let [name, value] of Object.entries(props)) {
+        if (SKIP_PROPS.has(name) || value === null || value === undefined || value === false) {
+            continue;
+        }
+
+        if (typeof value === 'function' || (/^on[A-Z]/.test(name))) {
+            continue;
+        }
+        if (name === 'value' && (tag === 'textarea' || tag === 'select')) {
+            continue;
+        }
+
+        if (name === 'className') name = 'class';
+        else if (name === 'htmlFor') name = 'for';
+
+        if (name === 'style' && typeof value === 'object') {
+            value = Object.entries(value)
+                .map(([prop, val]) => `${prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}:${val}`)
+                .join(';');
+        } else if (typeof value === 'object') {
+            continue;
+        }
+
+        html += value === true ? ` ${name}` : ` ${name}="${escapeAttr(String(value))}"`;
+    }
+
+    if (tag === 'option' && context.selectValue !== undefined && !('selected' in props) &&
+        String(props.value ?? '') === context.selectValue) {
+        html += ' selected';
+    }
+
+    return html;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // ============= x-await-then.js =============
 
 defineComponent('x-await-then', {
@@ -3733,26 +5980,307 @@ defineComponent('x-await-then', {
 
 });
 
+// ============= x-error-boundary.js =============
+
+defineComponent('x-error-boundary', {
+    props: {
+        fallback: null      
+    },
+
+    data() {
+        return {
+            failed: false
+        };
+    },
+
+    methods: {
+
+        reset() {
+            this._error = null;
+            this.state.failed = false;
+            return nextTick();
+        }
+    },
+
+    errorCaptured(err) {
+
+        if (this.state.failed) {
+            return true;
+        }
+
+        this._error = err;
+        this.state.failed = true;
+        return false;
+    },
+
+    template() {
+        if (this.state.failed) {
+            const fallback = this.props.fallback;
+            if (typeof fallback === 'function') {
+                return fallback(this._error, this.reset);
+            }
+            return fallback || html``;
+        }
+
+        return html`${this.props.children}`;
+    }
+
+});
+
+// ============= x-transition.js =============
+
+defineComponent('x-transition', {
+    props: {
+        name: 'fade',       
+        duration: { type: Number, default: null },  
+        appear: { type: Boolean, default: false }   
+    },
+
+    template() {
+        return html`${h(TransitionGroup, {
+            name: this.props.name,
+            duration: this.props.duration,
+            appear: this.props.appear,
+            move: false
+        }, this.props.children)}`;
+    },
+
+    styles: `
+        :host {
+            display: contents;
+        }
+
+        .fade-enter-active, .fade-leave-active,
+        .scale-enter-active, .scale-leave-active,
+        .slide-up-enter-active, .slide-up-leave-active,
+        .slide-down-enter-active, .slide-down-leave-active {
+            transition: opacity 0.2s ease, transform 0.2s ease;
+        }
+
+        .fade-enter-from, .fade-leave-to {
+            opacity: 0;
+        }
+
+        .scale-enter-from, .scale-leave-to {
+            opacity: 0;
+            transform: scale(0.95);
+        }
+
+        .slide-up-enter-from, .slide-up-leave-to {
+            opacity: 0;
+            transform: translateY(8px);
+        }
+
+        .slide-down-enter-from, .slide-down-leave-to {
+            opacity: 0;
+            transform: translateY(-8px);
+        }
+    `
+});
+
+// ============= x-portal.js =============
+
+const PORTAL_LAYERS = {
+    overlay: 1000,   
+    popup: 2000,     
+    toast: 3000      
+};
+
+const layerStacks = new Map(Object.keys(PORTAL_LAYERS).map(layer => [layer, []]));
+
+function getPortalLayer(layer) {
+    if (layer in PORTAL_LAYERS) {
+        return layer;
+    }
+    console.warn(`[x-portal] Unknown layer "${layer}", using "overlay". Layers: ${Object.keys(PORTAL_LAYERS).join(', ')}`);
+    return 'overlay';
+}
+
+function restackLayer(layer) {
+    layerStacks.get(layer).forEach((container, index) => {
+        container.style.zIndex = String(PORTAL_LAYERS[layer] + index);
+    });
+}
+
+function raiseContainer(container, layer) {
+    const stack = layerStacks.get(layer);
+    const index = stack.indexOf(container);
+    if (index !== -1) {
+        stack.splice(index, 1);
+    }
+    stack.push(container);
+    restackLayer(layer);
+}
+
+function releaseContainer(container, layer) {
+    const stack = layerStacks.get(layer);
+    const index = stack.indexOf(container);
+    if (index !== -1) {
+        stack.splice(index, 1);
+        restackLayer(layer);
+    }
+}
+
+function resolvePortalTarget(target) {
+    if (target && typeof target === 'object') {
+        return target.nodeType === 1 ? target : null;
+    }
+    try {
+        return document.querySelector(target || 'body');
+    } catch (e) {
+        return null;  
+    }
+}
+
+function getOwnerTags(host) {
+    const tags = [];
+    for (let owner = host._vdxParent; owner; owner = owner._vdxParent) {
+        const tag = owner.tagName.toLowerCase();
+        if (tag !== 'x-portal' && !tags.includes(tag)) {
+            tags.push(tag);
+        }
+    }
+    return tags;
+}
+
+function injectPortalStyles(tag) {
+    const definition = componentOptions.get(tag);
+    if (!definition || !definition.options.styles) return;
+
+    const { options } = definition;
+    const styleId = `component-styles-${options.name || tag.toUpperCase()}-portal`;
+    if (document.getElementById(styleId)) return;
+
+    const styleEl = document.createElement('style');
+    styleEl.id = styleId;
+    styleEl.textContent = scopeComponentStyles(options.styles, tag, `[data-vdx-portal~="${tag}"]`);
+    document.head.appendChild(styleEl);
+}
+
+class PortalOutlet extends Component {
+    componentDidMount() {
+        const { host, target, layer } = this.props;
+        const targetEl = resolvePortalTarget(target);
+        if (!targetEl) {
+            console.warn(`[x-portal] Target "${target}" not found, rendering in place`);
+            this.inPlace = true;
+            this.forceUpdate();
+            return;
+        }
+
+        const owners = getOwnerTags(host);
+        owners.forEach(injectPortalStyles);
+
+        this.container = document.createElement('div');
+        this.container.style.position = 'relative';
+        this.content = document.createElement('div');
+        this.content.style.display = 'contents';
+        this.content.setAttribute('data-vdx-portal', owners.join(' '));
+        this.content._vdxPortalHost = host;
+        this.container.appendChild(this.content);
+        targetEl.appendChild(this.container);
+
+        this.layer = getPortalLayer(layer);
+        raiseContainer(this.container, this.layer);
+        this.renderContent();
+    }
+
+    componentDidUpdate(prevProps) {
+        if (!this.container) return;
+
+        if (this.props.target !== prevProps.target) {
+            const targetEl = resolvePortalTarget(this.props.target);
+            if (targetEl) {
+
+                render(null, this.content);
+                targetEl.appendChild(this.container);
+            } else {
+                console.warn(`[x-portal] Target "${this.props.target}" not found, keeping the previous one`);
+            }
+        }
+
+        const layer = getPortalLayer(this.props.layer);
+        if (layer !== this.layer) {
+            releaseContainer(this.container, this.layer);
+            this.layer = layer;
+            raiseContainer(this.container, layer);
+        } else if (this.props.active && !prevProps.active) {
+            raiseContainer(this.container, layer);
+        }
+
+        this.renderContent();
+    }
+
+    componentWillUnmount() {
+        if (!this.container) return;
+
+        render(null, this.content);
+        this.container.remove();
+        releaseContainer(this.container, this.layer);
+        this.container = this.content = null;
+    }
+
+    renderContent() {
+        render(h(Fragment, null, this.props.children), this.content);
+    }
+
+    render({ children }) {
+        return this.inPlace ? h(Fragment, null, children) : null;
+    }
+}
+
+defineComponent('x-portal', {
+    props: {
+        target: 'body',     
+        layer: 'overlay',   
+        active: { type: Boolean, default: true }  
+    },
+
+    template() {
+        return html`${h(PortalOutlet, {
+            host: this,
+            target: this.props.target,
+            layer: this.props.layer,
+            active: this.props.active
+        }, this.props.children)}`;
+    },
+
+    styles: `
+        :host {
+            display: contents;
+        }
+    `
+});
+
 // Export aliases
 const Component = BaseComponent;
 
 // ============= Public API =============
 export {
     defineComponent,
+    defineDirective,
+    nextTick,
     html,
     raw,
     when,
     each,
     awaitThen,
     reactive,
+    shallowReactive,
+    readonly,
+    markRaw,
+    toRaw,
     createEffect,
     createStore,
     computed,
     trackAllDependencies,
     isReactive,
+    isReadonly,
     watch,
     memo,
     pruneTemplateCache,
+    registerTemplate,
+    renderToString,
     h,
     Fragment,
     render,
@@ -36,31 +36,115 @@ function stringifyQuery(params) {
     return pairs.join('&');
 }
 
+const PATTERN_TOKEN = /:([a-zA-Z_][a-zA-Z0-9_]*)(\((?:[^()]|\([^()]*\))*\))?(\?)?|\*([a-zA-Z_][a-zA-Z0-9_]*)?/g;
+
+const SEGMENT_SCORE = {
+    static: 4,
+    constrained: 3,     
+    param: 2,
+    optional: 1,
+    catchAll: 0
+};
+
 function compileRoutePattern(pattern) {
     const paramNames = [];
+    const score = [];
+    let catchAll = null;
+    let regexStr = '';
+
+    for (const segment of pattern.split('/').filter(Boolean)) {
+        let segmentStr = '';
+        let segmentScore = SEGMENT_SCORE.static;
+        let optional = false;
+        let lastIndex = 0;
+
+        for (const token of segment.matchAll(PATTERN_TOKEN)) {
+            const [text, name, constraint, optionalMark, catchAllName] = token;
+            
+            segmentStr += segment.slice(lastIndex, token.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            lastIndex = token.index + text.length;
 
-    
-    let regexStr = pattern
-        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
-        
-        .replace(/:([a-zA-Z_][a-zA-Z0-9_]*)/g, (_, paramName) => {
-            paramNames.push(paramName);
-            return '([^/]+)';
-        });
+            if (name) {
+                
+                paramNames.push(name);
+                segmentStr += `(?<${name}>${constraint ? constraint.slice(1, -1) : '[^/]+'})`;
+                optional = optional || !!optionalMark;
+                segmentScore = Math.min(segmentScore, optionalMark ? SEGMENT_SCORE.optional
+                    : constraint || text !== segment ? SEGMENT_SCORE.constrained
+                    : SEGMENT_SCORE.param);
+            } else {
+                if (catchAllName) {
+                    paramNames.push(catchAllName);
+                    catchAll = catchAllName;
+                }
+                segmentStr += catchAllName ? `(?<${catchAllName}>.*)` : '.*';
+                optional = true;
+                segmentScore = SEGMENT_SCORE.catchAll;
+            }
+        }
+        segmentStr += segment.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    
-    if (regexStr.endsWith('/')) {
-        regexStr = regexStr.slice(0, -1) + '/?';
-    } else {
-        regexStr = regexStr + '/?';
+        regexStr += optional ? `(?:/${segmentStr})?` : `/${segmentStr}`;
+        score.push(segmentScore);
     }
 
     return {
-        regex: new RegExp(`^${regexStr}$`),
-        paramNames
+        
+        regex: new RegExp(`^${regexStr}/?$`),
+        paramNames,
+        catchAll,
+        score
     };
 }
 
+function fillRoutePattern(pattern, params, routeName) {
+    const segments = [];
+
+    for (const segment of pattern.split('/').filter(Boolean)) {
+        let skip = false;
+        const filled = segment.replace(PATTERN_TOKEN, (text, name, constraint, optionalMark, catchAllName) => {
+            const value = params[name || catchAllName];
+            const missing = value === undefined || value === null || value === '';
+
+            if (!name) {
+                
+                skip = skip || missing;
+                return missing ? '' : String(value).split('/').map(encodeURIComponent).join('/');
+            }
+            if (missing) {
+                if (!optionalMark) {
+                    throw new Error(`[Router] Missing param "${name}" for route "${routeName}"`);
+                }
+                skip = true;
+                return '';
+            }
+            if (constraint && !new RegExp(`^(?:${constraint.slice(1, -1)})$`).test(String(value))) {
+                throw new Error(`[Router] Param "${name}" of route "${routeName}" doesn't match ${constraint}: "${value}"`);
+            }
+            return encodeURIComponent(value);
+        });
+
+        if (!skip) {
+            segments.push(filled);
+        }
+    }
+
+    if (!segments.length) {
+        return '/';
+    }
+    return '/' + segments.join('/') + (pattern.endsWith('/') ? '/' : '');
+}
+
+function comparePatterns(a, b) {
+    const length = Math.min(a.score.length, b.score.length);
+    for (let i = 0; i < length; i++) {
+        if (a.score[i] !== b.score[i]) {
+            return b.score[i] - a.score[i];
+        }
+    }
+    return a.score.length - b.score.length;
+}
+
 function matchRoute(path, compiledPattern) {
     const match = path.match(compiledPattern.regex);
 
@@ -69,20 +153,59 @@ function matchRoute(path, compiledPattern) {
     }
 
     const params = {};
-    for (let i = 0; i < compiledPattern.paramNames.length; i++) {
-        params[compiledPattern.paramNames[i]] = decodeURIComponent(match[i + 1]);
+    for (const name of compiledPattern.paramNames) {
+        const value = match.groups[name];
+        
+        if (value !== undefined) {
+            params[name] = decodeURIComponent(value);
+        }
+    }
+
+    
+    const { catchAll } = compiledPattern;
+    if (catchAll) {
+        params[catchAll] = (params[catchAll] || '').replace(/\/$/, '');
     }
 
     return { match: true, params };
 }
 
+function getHistoryPosition() {
+    const state = window.history.state;
+    return state && typeof state.vdxPosition === 'number' ? state.vdxPosition : null;
+}
+
+function sameEntries(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+function findParentOutlet(element) {
+    let node = element.parentNode;
+    while (node) {
+        if (node._router) return node;
+        node = node.nodeType === 11 ? node.host : node.parentNode;
+    }
+    return null;
+}
+
 export class Router {
     
     constructor(routes, options = {}) {
         this.routes = {};
+        this.namedRoutes = {};  
         this.beforeHooks = [];
         this.afterHooks = [];
         this.outletElement = null;
+        this._nestedOutlets = new Set(); 
+        this._navigation = null;  
+        this._levelProps = [];    
+        this._activeChain = [];   
+        this.checkCapability = options.checkCapability || null;
+        this.unauthorizedPath = options.unauthorizedPath || null;
         this.loadedComponents = new Set(); 
 
         
@@ -93,21 +216,42 @@ export class Router {
         this._flattenRoutes(routes);
 
         
+        this._rankedRoutes = Object.values(this.routes)
+            .filter(route => route._compiled)
+            .sort((a, b) => comparePatterns(a._compiled, b._compiled));
+
+        
         this.currentRoute = createStore({
             path: '/',
             query: {},
             params: {},
             component: null,
-            meta: {}
+            name: null,
+            meta: {},
+            matched: []     
+        });
+
+        
+        this.status = createStore({
+            pending: false
         });
 
         
+        
+        this._position = getHistoryPosition() ?? 0;
+        this._stampHistoryEntry(this._position);
+        this._started = false;      
+        this._replacing = false;    
+        this._restoring = false;    
+        this._redirect = null;      
+
+        
         this._listeners = [];
 
         
         if (this.useHTML5) {
             
-            const popstateHandler = () => this.handleRoute();
+            const popstateHandler = () => this._handleHistoryChange();
             window.addEventListener('popstate', popstateHandler);
             this._listeners.push({ event: 'popstate', handler: popstateHandler });
 
@@ -122,7 +266,7 @@ export class Router {
             this._listeners.push({ event: 'hashchange', handler: hashchangeHandler });
         } else {
             
-            const hashchangeHandler = () => this.handleRoute();
+            const hashchangeHandler = () => this._handleHistoryChange();
             window.addEventListener('hashchange', hashchangeHandler);
             this._listeners.push({ event: 'hashchange', handler: hashchangeHandler });
         }
@@ -142,6 +286,17 @@ export class Router {
         
         this.beforeHooks = [];
         this.afterHooks = [];
+        this._nestedOutlets.clear();
+
+        if (this._navigation) {
+            this._navigation.abort();
+            this._navigation = null;
+        }
+    }
+
+    
+    get pending() {
+        return this.status.state.pending;
     }
 
     
@@ -173,24 +328,34 @@ export class Router {
     }
 
     
-    _flattenRoutes(routes, prefix = '') {
+    _flattenRoutes(routes, prefix = '', parents = []) {
         for (const [path, config] of Object.entries(routes)) {
-            const fullPath = prefix + (path === '/' ? '' : path);
+            
+            const fullPath = path === '/' ? prefix : prefix.replace(/\/$/, '') + path;
+            const chain = [...parents, config];
+
+            if (config.name) {
+                if (config.name in this.namedRoutes) {
+                    throw new Error(`[Router] Duplicate route name "${config.name}"`);
+                }
+                this.namedRoutes[config.name] = fullPath || '/';
+            }
 
             
             const compiled = compileRoutePattern(fullPath || '/');
 
             if (config.routes) {
                 
-                this._flattenRoutes(config.routes, fullPath);
+                this._flattenRoutes(config.routes, fullPath, chain);
 
                 
-                if (config.component) {
-                    this.routes[fullPath] = { ...config, _compiled: compiled };
+                
+                if (config.component && !this.routes[fullPath]) {
+                    this.routes[fullPath] = this._createRouteRecord(chain, compiled);
                 }
             } else {
                 
-                this.routes[fullPath] = { ...config, _compiled: compiled };
+                this.routes[fullPath] = this._createRouteRecord(chain, compiled);
             }
         }
 
@@ -201,14 +366,57 @@ export class Router {
     }
 
     
-    navigate(path, query = {}) {
+    _createRouteRecord(chain, compiled) {
+        const config = chain[chain.length - 1];
+        const record = {
+            ...config,
+            _compiled: compiled,
+            _chain: chain,
+            _matched: chain.filter(route => route.component)  
+        };
+
+        
+        if (chain.length > 1) {
+            const metas = chain.filter(route => route.meta).map(route => route.meta);
+            if (metas.length) {
+                record.meta = Object.assign({}, ...metas);
+            }
+            const required = chain.findLast(route => route.require);
+            if (required) {
+                record.require = required.require;
+            }
+        }
+
+        return record;
+    }
+
+    
+    _resolve(to, query = {}) {
+        let path = to;
+        if (typeof to === 'object') {
+            if (to.name) {
+                if (!(to.name in this.namedRoutes)) {
+                    throw new Error(`[Router] No route named "${to.name}"`);
+                }
+                path = fillRoutePattern(this.namedRoutes[to.name], to.params || {}, to.name);
+            } else {
+                path = to.path || '/';
+            }
+            query = to.query || {};
+        }
+
         const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    
+    navigate(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             
             const url = this.base + fullPath;
-            window.history.pushState({ path: fullPath }, '', url);
+            window.history.pushState({ path: fullPath, vdxPosition: this._position + 1 }, '', url);
             this.handleRoute();
         } else {
             
@@ -217,17 +425,18 @@ export class Router {
     }
 
     
-    replace(path, query = {}) {
-        const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+    replace(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             
             const url = this.base + fullPath;
-            window.history.replaceState({ path: fullPath }, '', url);
+            const position = this._redirect ? this._redirect.position : this._position;
+            window.history.replaceState({ path: fullPath, vdxPosition: position }, '', url);
             this.handleRoute();
         } else {
             
+            this._replacing = true;
             window.location.replace(`#${fullPath}`);
         }
     }
@@ -281,9 +490,7 @@ export class Router {
         }
 
         
-        for (const [pattern, routeConfig] of Object.entries(this.routes)) {
-            if (!routeConfig._compiled) continue;
-
+        for (const routeConfig of this._rankedRoutes) {
             const result = matchRoute(path, routeConfig._compiled);
             if (result.match) {
                 return { route: routeConfig, params: result.params };
@@ -329,57 +536,268 @@ export class Router {
         const query = parseQuery(queryString);
 
         
-        const { route, params } = this._findRoute(path);
+        const redirect = this._redirect;
+        this._redirect = null;
 
         
-        for (const hook of this.beforeHooks) {
-            const result = await hook({ path, query, params, route });
-            if (result === false) {
+        const position = getHistoryPosition() ??
+            (redirect ? redirect.position : this._replacing ? this._position : this._position + 1);
+        const href = window.location.href;
+        this._replacing = false;
+
+        
+        
+        if (this._navigation) {
+            this._navigation.abort();
+        }
+        const navigation = new AbortController();
+        this._navigation = navigation;
+        const isCurrent = () => this._navigation === navigation;
+        this.status.set({ pending: true });
+
+        try {
+            
+            const { route, params } = this._findRoute(path);
+            let levels = (route._matched || [route]).filter(level => level.component);
+
+            const { matched, ...from } = this.currentRoute.state;
+            const context = { path, query, params, route, from };
+            const cancel = () => {
+                if (isCurrent()) {
+                    this._cancelNavigation(position, href);
+                }
+            };
+
+            
+            
+            let kept = 0;
+            while (kept < matched.length && levels[kept]?.component === matched[kept].component) {
+                kept++;
+            }
+            const leaving = redirect ? [] : this._getRenderedElements()
+                .slice(kept)
+                .filter(element => element && element._beforeRouteLeave)
+                .reverse();
+            for (const element of leaving) {
+                let result;
+                try {
+                    const to = { path, query, params, name: route.name || null, meta: route.meta || {} };
+                    result = await element._beforeRouteLeave(to, from);
+                } catch (error) {
+                    console.error(`[${element.tagName.toLowerCase()}] Error in beforeRouteLeave:`, error);
+                    result = false;
+                }
+                if (result === false || !isCurrent()) {
+                    cancel();
+                    return;
+                }
+            }
+
+            
+            for (const hook of this.beforeHooks) {
+                let result;
+                try {
+                    result = await hook(context);
+                } catch (error) {
+                    console.error(`Error in beforeEach hook for route ${path}:`, error);
+                    result = false;
+                }
+                if (result === false || !isCurrent()) {
+                    
+                    cancel();
+                    return;
+                }
+            }
+
+            
+            if (route.require && this.checkCapability) {
+                let allowed;
+                try {
+                    allowed = await this.checkCapability(route.require);
+                } catch (error) {
+                    console.error(`Error checking capability "${route.require}" for route ${path}:`, error);
+                    cancel();
+                    return;
+                }
+                if (!isCurrent()) return;
+                if (!allowed) {
+                    console.warn(`Route ${path} requires capability "${route.require}" which user does not have`);
+                    if (this.unauthorizedPath) {
+                        
+                        this._redirect = { position };
+                        this.replace(this.unauthorizedPath, {
+                            message: `You do not have permission to access this page. Required capability: ${route.require}`
+                        });
+                    } else {
+                        cancel();
+                    }
+                    return;
+                }
+            }
+
+            
+            const entering = (route._chain || [route]).filter(config => !this._activeChain.includes(config));
+            for (const config of entering) {
+                for (const guard of [].concat(config.beforeEnter || [])) {
+                    let result;
+                    try {
+                        result = await guard(context);
+                    } catch (error) {
+                        console.error(`Error in beforeEnter guard for route ${path}:`, error);
+                        result = false;
+                    }
+                    if (result === false || !isCurrent()) {
+                        cancel();
+                        return;
+                    }
+                }
+            }
+
+            
+            this._position = position;
+            this._stampHistoryEntry(position);
+            this._started = true;
+
+            
+            const loading = levels.some(level => level.loader)
+                ? Promise.all(levels.map(level => this._runLoader(level, params, query, navigation.signal)))
+                : null;
+
+            
+            const unloaded = levels.filter(level => level.load && !this.loadedComponents.has(level.component));
+            if (unloaded.length) {
+                try {
+                    await Promise.all(unloaded.map(level => level.load()));
+                    unloaded.forEach(level => this.loadedComponents.add(level.component));
+                } catch (error) {
+                    if (!isCurrent()) return;
+                    navigation.abort();
+                    console.error(`Failed to load component for route ${path}:`, error);
+                    
+                    const fallback = this.routes['/404'] || { component: 'page-not-found' };
+                    this._levelProps = [];
+                    this._activeChain = [];
+                    this.currentRoute.set({
+                        path,
+                        query,
+                        params: {},
+                        component: fallback.component,
+                        name: fallback.name || null,
+                        meta: fallback.meta || {},
+                        matched: [{ component: fallback.component, meta: fallback.meta || {} }]
+                    });
+                    this._renderOutlet();
+                    return;
+                }
+            }
+
+            
+            let results = loading ? await loading : [];
+            if (!isCurrent()) return;
+
+            const failed = results.findIndex(result => result.error);
+            if (failed !== -1) {
+                const { error } = results[failed];
+                console.error(`Route loader failed for ${path}:`, error);
                 
-                return;
+                const handler = levels.slice(0, failed + 1).findLastIndex(level => level.errorComponent);
+                if (handler !== -1) {
+                    levels = [...levels.slice(0, handler), {
+                        component: levels[handler].errorComponent,
+                        meta: levels[handler].meta
+                    }];
+                    results = [...results.slice(0, handler), { data: undefined, error }];
+                }
+            }
+
+            
+            this._levelProps = results;
+            this._activeChain = route._chain || [];
+            this.currentRoute.set({
+                path,
+                query,
+                params,
+                component: levels.length ? levels[levels.length - 1].component : null,
+                name: route.name || null,
+                meta: route.meta || {},
+                matched: levels.map(level => ({ component: level.component, meta: level.meta || {} }))
+            });
+
+            
+            this._renderOutlet();
+
+            
+            for (const hook of this.afterHooks) {
+                if (!isCurrent()) return;
+                await hook({ path, query, params, route });
+            }
+
+            
+            pruneTemplateCache();
+        } finally {
+            if (isCurrent()) {
+                this._navigation = null;
+                this.status.set({ pending: false });
             }
         }
+    }
 
-        
-        if (route.load && route.component && !this.loadedComponents.has(route.component)) {
-            try {
-                await route.load();
-                this.loadedComponents.add(route.component);
-            } catch (error) {
-                console.error(`Failed to load component for route ${path}:`, error);
-                
-                const fallback = this.routes['/404'] || { component: 'page-not-found' };
-                this.currentRoute.set({
-                    path,
-                    query,
-                    params: {},
-                    component: fallback.component,
-                    meta: fallback.meta || {}
-                });
-                this._renderOutlet();
-                return;
-            }
-        }
-
-        
-        this.currentRoute.set({
-            path,
-            query,
-            params,
-            component: route.component,
-            meta: route.meta || {}
-        });
+    
+    _handleHistoryChange() {
+        if (this._restoring) {
+            
+            this._restoring = false;
+            return;
+        }
+        this.handleRoute();
+    }
 
-        
-        this._renderOutlet();
+    
+    _stampHistoryEntry(position) {
+        if (getHistoryPosition() !== position) {
+            window.history.replaceState({ ...window.history.state, vdxPosition: position }, '');
+        }
+    }
 
+    
+    _cancelNavigation(position, href) {
         
-        for (const hook of this.afterHooks) {
-            await hook({ path, query, params, route });
+        if (!this._started || window.location.href !== href) {
+            return;
         }
 
-        
-        pruneTemplateCache();
+        if (position !== this._position) {
+            
+            this._restoring = true;
+            window.history.go(this._position - position);
+        } else {
+            
+            const { path, query } = this.currentRoute.state;
+            window.history.replaceState(window.history.state, '', this.url(path, query));
+        }
+    }
+
+    
+    _getRenderedElements() {
+        const elements = [];
+        for (const outlet of [this.outletElement, ...this._nestedOutlets]) {
+            if (outlet && outlet.firstElementChild) {
+                elements[outlet._routerDepth] = outlet.firstElementChild;
+            }
+        }
+        return elements;
+    }
+
+    
+    async _runLoader(level, params, query, signal) {
+        if (!level.loader) {
+            return {};
+        }
+        try {
+            return { data: await level.loader({ params, query, signal }), error: null };
+        } catch (error) {
+            return { data: undefined, error };
+        }
     }
 
     
@@ -390,6 +808,11 @@ export class Router {
         }
 
         this.outletElement = element;
+        if (element) {
+            
+            element._router = this;
+            element._routerDepth = 0;
+        }
 
         
         this._outletUnsubscribe = this.currentRoute.subscribe(() => {
@@ -403,46 +826,89 @@ export class Router {
             return;
         }
 
-        const { component, params, query } = this.currentRoute.state;
-
-        if (!component) {
+        if (!this.currentRoute.state.component) {
             
             this.outletElement.innerHTML = '<page-not-found></page-not-found>';
-            this._currentComponent = null;
-            this._currentElement = null;
             return;
         }
 
+        this._renderLevel(this.outletElement, 0);
+
         
-        const existingElement = this.outletElement.firstElementChild;
-        if (existingElement && existingElement.tagName.toLowerCase() === component) {
+        
+        const nested = [...this._nestedOutlets].sort((a, b) => a._routerDepth - b._routerDepth);
+        for (const outlet of nested) {
+            if (this._nestedOutlets.has(outlet)) {
+                this._renderLevel(outlet, outlet._routerDepth);
+            }
+        }
+    }
+
+    
+    _renderLevel(outlet, depth) {
+        const { matched, params, query } = this.currentRoute.state;
+        const level = matched[depth];
+        const levelProps = this._levelProps[depth] || {};  
+
+        if (!level) {
+            
+            outlet.innerHTML = '';
+            return;
+        }
+
+        
+        const existingElement = outlet.firstElementChild;
+        if (existingElement && existingElement.tagName.toLowerCase() === level.component) {
+            
             
             
-            existingElement.params = params;
-            existingElement.query = query;
-            this._currentElement = existingElement;
+            if (!sameEntries(existingElement.params, params)) {
+                existingElement.params = params;
+            }
+            if (!sameEntries(existingElement.query, query)) {
+                existingElement.query = query;
+            }
+            for (const [key, value] of Object.entries(levelProps)) {
+                if (existingElement[key] !== value) {
+                    existingElement[key] = value;
+                }
+            }
         } else {
             
-            const element = document.createElement(component);
+            const element = document.createElement(level.component);
 
             
             
             element.params = params;
             element.query = query;
+            Object.assign(element, levelProps);
 
             
-            this.outletElement.innerHTML = '';
-            this.outletElement.appendChild(element);
+            outlet.innerHTML = '';
+            outlet.appendChild(element);
+        }
+    }
 
-            this._currentComponent = component;
-            this._currentElement = element;
+    
+    _connectOutlet(outlet, depth) {
+        outlet._router = this;
+        outlet._routerDepth = depth;
+        this._nestedOutlets.add(outlet);
+
+        if (this.currentRoute.state.component) {
+            this._renderLevel(outlet, depth);
         }
     }
 
     
-    url(path, query = {}) {
-        const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+    _disconnectOutlet(outlet) {
+        this._nestedOutlets.delete(outlet);
+        outlet._router = null;
+    }
+
+    
+    url(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             return this.base + fullPath;
@@ -455,21 +921,29 @@ export class Router {
 function init() {
     defineComponent('router-link', {
         props: {
-            to: '/'
+            to: '/',
+            name: '',       
+            params: {},     
+            query: {}
         },
 
         methods: {
+            getTarget() {
+                const { to, name, params, query } = this.props;
+                return name ? { name, params, query } : { path: to, query };
+            },
+
             handleClick(e) {
                 
                 if (_router && _router.useHTML5) {
                     e.preventDefault();
-                    _router.navigate(this.props.to);
+                    _router.navigate(this.getTarget());
                 }
             }
         },
 
         template() {
-            const href = _router ? _router.url(this.props.to) : `#${this.props.to}`;
+            const href = _router ? _router.url(this.getTarget()) : `#${this.props.to}`;
 
             return html`
                 <a href="${href}" on-click="handleClick">${this.props.children}</a>
@@ -477,13 +951,25 @@ function init() {
         }
     });
 
-    if (customElements.get('router-outlet')) {
+    
+    if (typeof customElements === 'undefined' || customElements.get('router-outlet')) {
         return;
     }
 
+    
+    
     class RouterOutlet extends HTMLElement {
         connectedCallback() {
-            
+            const parentOutlet = findParentOutlet(this);
+            if (parentOutlet) {
+                parentOutlet._router._connectOutlet(this, parentOutlet._routerDepth + 1);
+            }
+        }
+
+        disconnectedCallback() {
+            if (this._router && this._routerDepth > 0) {
+                this._router._disconnectOutlet(this);
+            }
         }
     }
 
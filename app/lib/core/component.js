@@ -3,35 +3,134 @@
  * Web Components-based system with reactive state (using Preact VDOM)
  */
 
-import { reactive, createEffect, trackAllDependencies } from './reactivity.js';
-import { render as preactRender } from '../vendor/preact/index.js';
+import { reactive, createEffect, trackAllDependencies, computed, watch } from './reactivity.js';
+import { render as preactRender, h, Fragment } from '../vendor/preact/index.js';
 import { applyValues, compileTemplate, groupChildrenBySlot } from './template-compiler.js';
 
 // Debug hooks - can be set by debug-enable.js
 let debugRenderCycleHook = null;
 let debugPropSetHook = null;
 let debugVNodeHook = null;
+let debugPropWarningHook = null;
+let debugHydrationHook = null;
 
 export const componentDefinitions = new Map();
 
+/** @type {Map<string, {options: Object, propDefs: Object}>} Definitions by tag name, for renderToString() */
+export const componentOptions = new Map();
+
+// Outside a browser (build-time prerendering) components are defined but never instantiated
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+// Emitted by renderToString(): the element's content is prerendered markup to hydrate
+export const HYDRATE_ATTR = 'data-vdx-ssr';
+
+// Emitted by renderToString(): JSON of the state loaded by serverPrefetch()
+export const STATE_ATTR = 'data-vdx-state';
+
 // ============================================================================
-// Coordinated Root Rendering System
+// Batched Rendering System
 // ============================================================================
-// This system ensures that all VDX components render from a single root,
-// preventing the cascading re-render issues that occur when each component
-// manages its own Preact VDOM tree independently.
+// Reactive writes don't render synchronously. Each component's render effect
+// marks the component dirty and a single flush per microtask re-renders the
+// dirty subtrees, parents before children. Props passed down during a parent
+// render are picked up when the subtree walk reaches the child, so a handler
+// that mutates ten state fields produces one render.
 
-/** Flag to indicate if we're in the middle of a coordinated tree render */
+/** Flag to indicate if we're in the middle of a render flush */
 let isRenderingTree = false;
 
+/** @type {Set<HTMLElement>} Components waiting for the next flush */
+const dirtyComponents = new Set();
+
+/** Promise for the pending flush, or null when nothing is queued */
+let flushPromise = null;
+
+/** Upper bound on flush passes before we assume a render loop */
+const MAX_FLUSH_PASSES = 100;
+
+const resolvedPromise = Promise.resolve();
+
 /**
- * Perform a SYNCHRONOUS coordinated tree render starting from root
- * This must be synchronous to stay within the reactive effect context
- * and prevent the effect from re-triggering during render.
+ * Mark a component as needing a render and schedule a flush.
+ * Multiple calls before the flush are coalesced into a single render.
+ * @param {HTMLElement} component - VDX component instance
+ */
+export function queueRender(component) {
+    if (!component._isMounted || component._isDestroyed) {
+        return;
+    }
+
+    dirtyComponents.add(component);
+
+    // A flush in progress drains the dirty set before it returns
+    if (!flushPromise) {
+        flushPromise = resolvedPromise.then(flushRenderQueue);
+    }
+}
+
+/**
+ * Returns a promise that resolves after pending renders have been flushed to the DOM.
+ * @param {Function} [fn] - Optional callback to run after the flush
+ * @returns {Promise<void>}
+ * @example
+ * this.state.count++;
+ * await nextTick();
+ * console.log(this.querySelector('.count').textContent);
+ */
+export function nextTick(fn) {
+    const promise = flushPromise || resolvedPromise;
+    return fn ? promise.then(fn) : promise;
+}
+
+/**
+ * Depth of a component in the VDX hierarchy (roots are 0)
+ */
+function getVdxDepth(component) {
+    let depth = 0;
+    let current = component._vdxParent;
+    while (current) {
+        depth++;
+        current = current._vdxParent;
+    }
+    return depth;
+}
+
+/**
+ * Render every dirty component subtree, parents before children.
+ * Renders that dirty more components are handled by further passes.
+ */
+function flushRenderQueue() {
+    try {
+        let passes = 0;
+        while (dirtyComponents.size > 0) {
+            if (++passes > MAX_FLUSH_PASSES) {
+                const tags = [...dirtyComponents].map(c => c.tagName.toLowerCase());
+                console.error(`[VDX] Maximum render passes exceeded. A component may be updating its own state during render: ${tags.join(', ')}`);
+                dirtyComponents.clear();
+                break;
+            }
+
+            const batch = [...dirtyComponents].sort((a, b) => getVdxDepth(a) - getVdxDepth(b));
+            for (const component of batch) {
+                // Skip components already rendered as part of an ancestor's subtree
+                if (dirtyComponents.has(component)) {
+                    performTreeRender(component);
+                }
+            }
+        }
+    } finally {
+        flushPromise = null;
+    }
+}
+
+/**
+ * Perform a SYNCHRONOUS render of a component and its VDX descendants
  */
 function performTreeRender(root) {
-    // Prevent re-entry - if we're already rendering, skip
+    // Prevent re-entry - nested requests are queued and drained by the flush
     if (isRenderingTree) {
+        queueRender(root);
         return;
     }
 
@@ -49,12 +148,24 @@ function performTreeRender(root) {
  * Recursively render component tree depth-first
  */
 function renderComponentTree(component) {
+    dirtyComponents.delete(component);
+
     if (!component._isMounted || component._isDestroyed) {
         return;
     }
 
-    // Render this component
-    component._doRender();
+    // Render this component inside its render effect so dependencies are tracked
+    try {
+        if (component._renderEffect) {
+            component._renderEffect();
+        } else {
+            component._doRender();
+        }
+    } catch (err) {
+        // Keep the last good DOM for this subtree and carry on with the rest
+        handleComponentError(err, component, 'render');
+        return;
+    }
 
     // Render child VDX components (they were updated by our render via Preact props)
     if (component._vdxChildComponents) {
@@ -64,15 +175,89 @@ function renderComponentTree(component) {
     }
 }
 
+// ============================================================================
+// Error Handling
+// ============================================================================
+// Errors thrown by templates, lifecycle hooks and event handlers are routed to
+// the errorCaptured hooks of the component's VDX ancestors (nearest first).
+// A hook returning false stops propagation. Unhandled errors are logged, and
+// a failed render leaves the rest of the tree rendering normally.
+
+/**
+ * Report an error thrown by a component to its ancestors' errorCaptured hooks
+ * @param {Error} err - The thrown error
+ * @param {HTMLElement} component - Component the error originated from
+ * @param {string} phase - Where it was thrown: 'render', 'mounted', 'unmounted',
+ *     'afterRender', 'propsChanged', 'watch', 'event', 'directive', 'formReset',
+ *     'formDisabled' or 'formStateRestore'
+ */
+export function handleComponentError(err, component, phase) {
+    let current = component ? component._vdxParent : null;
+    while (current) {
+        if (current._errorCaptured) {
+            try {
+                if (current._errorCaptured(err, component, phase) === false) {
+                    return;
+                }
+            } catch (hookErr) {
+                console.error(`[${current.tagName.toLowerCase()}] Error in errorCaptured hook:`, hookErr);
+            }
+        }
+        current = current._vdxParent;
+    }
+
+    const tag = component && component.tagName ? component.tagName.toLowerCase() : 'unknown';
+    console.error(`[${tag}] Unhandled error in ${phase}:`, err);
+}
+
+/**
+ * Call a lifecycle hook, routing sync errors and async rejections to handleComponentError
+ */
+function callHook(component, hook, phase, args = []) {
+    try {
+        const result = hook.apply(component, args);
+        if (result && typeof result.then === 'function') {
+            result.then(null, err => handleComponentError(err, component, phase));
+        }
+        return result;
+    } catch (err) {
+        handleComponentError(err, component, phase);
+    }
+}
+
 export function setDebugComponentHooks(hooks) {
     debugRenderCycleHook = hooks.renderCycle;
     debugPropSetHook = hooks.propSet;
     debugVNodeHook = hooks.vnode;
 }
 
+/**
+ * Enable prop validation warnings (set by debug-enable.js)
+ * @param {(component: HTMLElement, message: string) => void} hook
+ */
+export function setDebugPropWarningHook(hook) {
+    debugPropWarningHook = hook;
+}
+
+/**
+ * Enable hydration mismatch checks (set by debug-enable.js). Called before
+ * a component's first render over prerendered markup.
+ * @param {(component: HTMLElement, vnode: Object, container: Node) => void} hook
+ */
+export function setDebugHydrationHook(hook) {
+    debugHydrationHook = hook;
+}
+
 // Cache for processed component styles (tag name -> processed CSS string)
 const processedStylesCache = new Map();
 
+// Constructable stylesheets for shadow DOM components (tag name -> CSSStyleSheet)
+const shadowStyleSheets = new Map();
+
+const supportsAdoptedStyleSheets = typeof Document !== 'undefined' &&
+    'adoptedStyleSheets' in Document.prototype &&
+    typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype;
+
 /**
  * Strip CSS comments from a string
  * @param {string} css - CSS string potentially containing comments
@@ -172,9 +357,11 @@ function namespaceKeyframes(css, tagName) {
  *
  * @param {string} css - Raw CSS from component
  * @param {string} tagName - Component tag name (e.g., 'x-select-box')
+ * @param {string} [scope] - Selector to scope to instead of the tag name
+ *   (<x-portal> scopes a copy of its owners' styles to the portal container)
  * @returns {string} Scoped CSS
  */
-function scopeComponentStyles(css, tagName) {
+export function scopeComponentStyles(css, tagName, scope = tagName) {
     let result = '';
     let i = 0;
 
@@ -184,10 +371,10 @@ function scopeComponentStyles(css, tagName) {
     // Namespace keyframes to prevent conflicts between components
     css = namespaceKeyframes(css, tagName);
 
-    const len = css.length;
+    // Replace :host with the scope
+    css = css.replace(/:host/g, scope);
 
-    // Replace :host with tag name
-    css = css.replace(/:host/g, tagName);
+    const len = css.length;
 
     while (i < len) {
         // Skip whitespace
@@ -232,7 +419,7 @@ function scopeComponentStyles(css, tagName) {
             if (isKeyframes) {
                 result += atRuleBody;
             } else {
-                result += scopeComponentStyles(atRuleBody, tagName);
+                result += scopeComponentStyles(atRuleBody, tagName, scope);
             }
             result += '}';
             continue;
@@ -273,7 +460,7 @@ function scopeComponentStyles(css, tagName) {
         }
 
         // Scope the selector
-        const scopedSelector = scopeSelector(selector, tagName);
+        const scopedSelector = scopeSelector(selector, scope);
         result += `${scopedSelector} { ${body} }\n`;
     }
 
@@ -283,10 +470,10 @@ function scopeComponentStyles(css, tagName) {
 /**
  * Scope a single selector (or comma-separated selectors)
  * @param {string} selector - CSS selector(s)
- * @param {string} tagName - Component tag name
+ * @param {string} scope - Component tag name, or the selector replacing it
  * @returns {string} Scoped selector(s)
  */
-function scopeSelector(selector, tagName) {
+function scopeSelector(selector, scope) {
     // Split by comma for multiple selectors
     const selectors = selector.split(',').map(s => s.trim());
 
@@ -296,17 +483,262 @@ function scopeSelector(selector, tagName) {
             return sel;
         }
 
-        // Already scoped (starts with tag name)
-        if (sel.startsWith(tagName)) {
+        // Already scoped (starts with the scope)
+        if (sel.startsWith(scope)) {
             return sel;
         }
 
         // Scope with descendant combinator
         // This allows styling nested elements but prevents leakage to other components
-        return `${tagName} ${sel}`;
+        return `${scope} ${sel}`;
     }).join(', ');
 }
 
+// =============================================================================
+// Prop Schemas
+// =============================================================================
+
+const PROP_SCHEMA_KEYS = new Set(['type', 'default', 'required', 'validator']);
+
+/**
+ * Check if a props entry is a schema ({ type, default, required, validator })
+ * rather than a plain default value. Plain objects only count as a schema when
+ * every key is a schema key, so object defaults keep working.
+ */
+function isPropSchema(def) {
+    if (!def || typeof def !== 'object' || Object.getPrototypeOf(def) !== Object.prototype) {
+        return false;
+    }
+    const keys = Object.keys(def);
+    return keys.length > 0 &&
+        keys.every(key => PROP_SCHEMA_KEYS.has(key)) &&
+        (!('type' in def) || typeof def.type === 'function');
+}
+
+/**
+ * Normalize a props entry into { type, default, required, validator }
+ */
+function normalizePropDef(def) {
+    if (isPropSchema(def)) {
+        return {
+            type: def.type || null,
+            default: def.default,
+            required: !!def.required,
+            validator: def.validator || null
+        };
+    }
+    return { type: null, default: def, required: false, validator: null };
+}
+
+/**
+ * Get a prop's default value. Function defaults are factories (so each
+ * instance gets its own array/object) unless the prop itself is a Function.
+ */
+export function getPropDefault(def) {
+    return typeof def.default === 'function' && def.type !== Function
+        ? def.default()
+        : def.default;
+}
+
+/**
+ * Coerce a string (from an attribute or static template prop) to the declared type.
+ * Values that can't be coerced are returned unchanged so validation can flag them.
+ */
+export function coercePropValue(def, value) {
+    const type = def.type;
+    if (!type || type === String || typeof value !== 'string') {
+        return value;
+    }
+    if (type === Boolean) {
+        // Presence means true (<cl-button disabled>), except an explicit "false"
+        return value !== 'false';
+    }
+    if (type === Number) {
+        const num = Number(value);
+        return value.trim() !== '' && !isNaN(num) ? num : value;
+    }
+    if (type === Array || type === Object) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Check a value against a declared prop type
+ */
+function matchesPropType(type, value) {
+    if (type === String) return typeof value === 'string';
+    if (type === Number) return typeof value === 'number' && !isNaN(value);
+    if (type === Boolean) return typeof value === 'boolean';
+    if (type === Function) return typeof value === 'function';
+    if (type === Array) return Array.isArray(value);
+    if (type === Object) return typeof value === 'object' && !Array.isArray(value);
+    return value instanceof type;
+}
+
+/**
+ * Warn about missing or invalid prop values. Only runs when debug-enable.js
+ * has installed the warning hook.
+ */
+function validateProp(component, propName, def, value) {
+    if (value === undefined || value === null) {
+        if (def.required) {
+            debugPropWarningHook(component, `Missing required prop "${propName}"`);
+        }
+        return;
+    }
+
+    if (def.type && !matchesPropType(def.type, value)) {
+        const actual = Array.isArray(value) ? 'Array' : typeof value;
+        debugPropWarningHook(component,
+            `Invalid prop "${propName}": expected ${def.type.name}, got ${actual} (${JSON.stringify(value)})`);
+    } else if (def.validator && !def.validator(value)) {
+        debugPropWarningHook(component,
+            `Invalid prop "${propName}": custom validator failed for ${JSON.stringify(value)}`);
+    }
+}
+
+/**
+ * Convert a formValue() result to something ElementInternals.setFormValue() accepts.
+ * Arrays become one entry per item under the element's name; null, undefined
+ * and false mean "no value" (like an unchecked checkbox).
+ */
+function toFormValue(value, name) {
+    if (value === null || value === undefined || value === false) {
+        return null;
+    }
+    if (value === true) {
+        return 'on';
+    }
+    if (Array.isArray(value)) {
+        if (!name) return null;
+        const data = new FormData();
+        for (const item of value) {
+            data.append(name, item instanceof File ? item : String(item));
+        }
+        return data;
+    }
+    if (typeof value === 'string' || value instanceof File || value instanceof FormData) {
+        return value;
+    }
+    return String(value);
+}
+
+/**
+ * Get an element's parent, continuing from a shadow root to its host and
+ * from an <x-portal> container to the portal element
+ */
+function getParentAcrossShadow(el) {
+    if (el._vdxPortalHost) {
+        return el._vdxPortalHost;
+    }
+    const parentNode = el.parentNode;
+    if (parentNode && parentNode.nodeType === 11 && parentNode.host) {
+        return parentNode.host;
+    }
+    return el.parentElement;
+}
+
+// ============================================================================
+// Hydration
+// ============================================================================
+
+/**
+ * Whether an element sits inside prerendered markup of a component that
+ * hasn't connected yet (not upgraded, or itself waiting for an ancestor)
+ */
+function hasPendingHydrationAncestor(el) {
+    let node = getParentAcrossShadow(el);
+    while (node) {
+        if (node._isVdxComponent) {
+            if (node._isMounted) return false;
+            if (node._hydrating) return true;
+        } else if (node.hasAttribute(HYDRATE_ATTR) && node.localName.includes('-') &&
+            !customElements.get(node.localName)) {
+            return true;
+        }
+        node = getParentAcrossShadow(node);
+    }
+    return false;
+}
+
+/**
+ * Find the elements inside a container whose content isn't described by the
+ * container's VNodes: component hosts (they render and hydrate themselves)
+ * and other prerendered elements, such as a router outlet holding a page
+ */
+function findHydrationHosts(container, hosts = []) {
+    // Not .children - components redefine it as their children prop
+    for (const child of container.childNodes) {
+        if (child.nodeType !== 1) {
+            continue;
+        }
+        if (child._isVdxComponent || child.hasAttribute(HYDRATE_ATTR) || componentDefinitions.has(child.localName)) {
+            hosts.push(child);
+        } else {
+            findHydrationHosts(child, hosts);
+        }
+    }
+    return hosts;
+}
+
+/**
+ * First render over prerendered markup. Preact adopts the existing nodes,
+ * patching only what differs, instead of creating new ones - so there is no
+ * flicker and focus, selection and scroll positions survive.
+ */
+function hydrateInto(component, vnode, container) {
+    const hosts = findHydrationHosts(container);
+    const markers = hosts.map(host => [host.getAttribute(HYDRATE_ATTR), host.getAttribute(STATE_ATTR)]);
+
+    // Preact removes existing children that aren't in the VNodes, which a
+    // host's children never are. It reads them through childNodes, so hide them.
+    for (const host of hosts) {
+        Object.defineProperty(host, 'childNodes', { value: [], configurable: true });
+    }
+
+    try {
+        if (debugHydrationHook) {
+            debugHydrationHook(component, vnode, container);
+        }
+        preactRender(vnode, container);
+    } finally {
+        hosts.forEach((host, i) => {
+            delete host.childNodes;
+
+            // Preact drops attributes the template doesn't set. Elements that
+            // haven't upgraded yet still need the markers when they do.
+            if (!host._isVdxComponent && !customElements.get(host.localName)) {
+                const [hydrate, state] = markers[i];
+                if (hydrate !== null) host.setAttribute(HYDRATE_ATTR, hydrate);
+                if (state !== null) host.setAttribute(STATE_ATTR, state);
+            }
+
+        });
+        connectWaitingHosts(hosts);
+    }
+}
+
+/**
+ * Connect components that waited for their prerendered parent to hydrate
+ */
+function connectWaitingHosts(hosts) {
+    for (const host of hosts) {
+        if (host._isVdxComponent) {
+            if (host._hydrating && !host._isMounted && host.isConnected) {
+                host.connectedCallback();
+            }
+        } else {
+            // Plain prerendered elements (a router outlet) - connect the components inside
+            connectWaitingHosts(findHydrationHosts(host));
+        }
+    }
+}
+
 /**
  * Define a custom component
  */
@@ -317,10 +749,22 @@ export function defineComponent(name, options) {
         'valueOf', 'hasOwnProperty', 'isPrototypeOf'
     ]);
 
-    class Component extends HTMLElement {
+    // Normalized prop definitions (props entries are defaults or schemas)
+    const propDefs = {};
+    if (options.props) {
+        for (const [propName, def] of Object.entries(options.props)) {
+            propDefs[propName] = normalizePropDef(def);
+        }
+    }
+
+    class Component extends BaseElement {
         constructor() {
             super();
 
+            // Values provided to descendants (Map, created lazily by provide()).
+            // Set before data(), which may call this.provide().
+            this._provides = null;
+
             // Initialize reactive state
             this.state = reactive(options.data ? options.data.call(this) : {});
 
@@ -332,6 +776,42 @@ export function defineComponent(name, options) {
                 slots: {}
             };
 
+            // Shadow DOM mode: the template renders into a shadow root and children
+            // passed by the parent are rendered into the light DOM, where native
+            // <slot> elements project them. Templates still use props.children and
+            // props.slots, which read back as <slot> placeholders.
+            this._renderRoot = this;
+            if (options.shadow) {
+                this._renderRoot = this.attachShadow({ mode: options.shadow === 'closed' ? 'closed' : 'open' });
+                this._lightChildren = [];
+                this._lightSlots = {};
+                this._hasLightChildren = false;  // Only render light DOM once children were passed
+                Object.defineProperties(this.props, {
+                    children: {
+                        get: () => this._lightChildren.length > 0 ? [h('slot', null)] : [],
+                        set: (value) => {
+                            this._lightChildren = value || [];
+                            this._hasLightChildren = true;
+                        },
+                        enumerable: true
+                    },
+                    slots: {
+                        get: () => {
+                            const slots = {};
+                            for (const slotName of Object.keys(this._lightSlots)) {
+                                slots[slotName] = [h('slot', { name: slotName })];
+                            }
+                            return slots;
+                        },
+                        set: (value) => {
+                            this._lightSlots = value || {};
+                            this._hasLightChildren = true;
+                        },
+                        enumerable: true
+                    }
+                });
+            }
+
             // Apply any props that were set via prototype setters before constructor ran
             // (This happens when Preact sets props on an already-constructed element)
             if (this._pendingProps) {
@@ -357,6 +837,12 @@ export function defineComponent(name, options) {
             // Initialize refs container
             this.refs = {};
 
+            // Bumped on every prop change so computed/watch options that read
+            // this.props (which isn't reactive) are re-evaluated
+            this._propsRevision = 0;
+            this._propsVersion = reactive({ value: 0 });
+            this._computed = null;  // Created in connectedCallback
+
             // Bind all methods to this instance
             if (options.methods) {
                 for (const [name, method] of Object.entries(options.methods)) {
@@ -369,6 +855,31 @@ export function defineComponent(name, options) {
                 this.propsChanged = options.propsChanged.bind(this);
             }
 
+            // Bind errorCaptured hook if defined (receives errors from descendants)
+            if (options.errorCaptured) {
+                this._errorCaptured = options.errorCaptured.bind(this);
+            }
+
+            // Bind beforeRouteLeave guard if defined (called by the router for routed components)
+            if (options.beforeRouteLeave) {
+                this._beforeRouteLeave = options.beforeRouteLeave.bind(this);
+            }
+
+            // Values from the provide option
+            if (options.provide) {
+                const provided = typeof options.provide === 'function'
+                    ? options.provide.call(this)
+                    : options.provide;
+                for (const key of Reflect.ownKeys(provided)) {
+                    this.provide(key, provided[key]);
+                }
+            }
+
+            // Form participation (formAssociated option) - null where unsupported
+            this.internals = options.formAssociated && typeof this.attachInternals === 'function'
+                ? this.attachInternals()
+                : null;
+
             // Lifecycle flags
             this._isMounted = false;
             this._isDestroyed = false;
@@ -379,6 +890,7 @@ export function defineComponent(name, options) {
             this._vdxParent = null;
             this._vdxChildComponents = null;  // Set<Component>, created lazily - tracks child VDX components
             this._isVdxRoot = false;   // Will be set in connectedCallback
+            this._renderEffect = null; // Render effect, created in connectedCallback
 
             // Cleanup functions
             this._cleanups = [];
@@ -406,17 +918,73 @@ export function defineComponent(name, options) {
             //     this.props[propName] = value;
             // }
 
-            // Emit CustomEvent with detail
+            // Emit CustomEvent with detail - prop tells named x-models which one changed
             this.dispatchEvent(new CustomEvent('change', {
                 bubbles: true,
                 composed: true,
-                detail: { value }
+                detail: { value, prop: propName }
             }));
         }
 
+        /**
+         * Provide a value to all descendant components, read with inject().
+         * Provide a reactive object (or store) for descendants to re-render when it changes.
+         * @param {string|symbol} key - Injection key
+         * @param {*} value - Value to provide
+         */
+        provide(key, value) {
+            if (!this._provides) {
+                this._provides = new Map();
+            }
+            this._provides.set(key, value);
+        }
+
+        /**
+         * Get a value provided by the nearest ancestor component.
+         * Ancestors are resolved when connected, so call this from template(),
+         * lifecycle hooks, methods, computed or watch - not from data().
+         * @param {string|symbol} key - Injection key
+         * @param {*} [defaultValue] - Returned when no ancestor provides the key
+         * @returns {*} The provided value, or defaultValue
+         */
+        inject(key, defaultValue) {
+            let current = this._vdxParent;
+            while (current) {
+                if (current._provides && current._provides.has(key)) {
+                    return current._provides.get(key);
+                }
+                current = current._vdxParent;
+            }
+            return defaultValue;
+        }
+
         connectedCallback() {
             if (this._isDestroyed) return;
 
+            // Prerendered markup (renderToString) is adopted by the first render
+            if (this.hasAttribute(HYDRATE_ATTR)) {
+                this.removeAttribute(HYDRATE_ATTR);
+                this._hydrating = true;
+
+                // Start from the state serverPrefetch() loaded, so the first render matches the markup
+                const serverState = this.getAttribute(STATE_ATTR);
+                if (serverState !== null) {
+                    this.removeAttribute(STATE_ATTR);
+                    try {
+                        Object.assign(this.state, JSON.parse(serverState));
+                    } catch (e) {
+                        // Keep the data() state; the first render then differs from the markup
+                        console.warn(`[${this.tagName.toLowerCase()}] Invalid ${STATE_ATTR} attribute, starting from data() instead:`, e);
+                    }
+                }
+            }
+            // Components upgrade in definition order, so a child can connect before
+            // its prerendered parent. Wait for the parent to hydrate and connect us,
+            // so provide/inject and error boundaries see the real hierarchy.
+            if (this._hydrating && hasPendingHydrationAncestor(this)) {
+                return;
+            }
+
             // Parse attributes as props (prototype setters handle property access)
             this._parseAttributes();
 
@@ -425,7 +993,8 @@ export function defineComponent(name, options) {
 
             // Track VDX component hierarchy
             // Find nearest VDX parent by walking up DOM tree
-            let parent = this.parentElement;
+            // (crossing out of shadow roots, so shadow DOM components still have parents)
+            let parent = getParentAcrossShadow(this);
             while (parent) {
                 if (parent._isVdxComponent) {
                     this._vdxParent = parent;
@@ -436,7 +1005,7 @@ export function defineComponent(name, options) {
                     parent._vdxChildComponents.add(this);
                     break;
                 }
-                parent = parent.parentElement;
+                parent = getParentAcrossShadow(parent);
             }
             // If no VDX parent found, this is a root component
             this._isVdxRoot = !this._vdxParent;
@@ -444,7 +1013,8 @@ export function defineComponent(name, options) {
             // For root components, capture light DOM children before first render
             // This enables static HTML inside component tags to be passed as children
             // Nested VDX components in the light DOM will be properly hydrated
-            if (this._isVdxRoot && this.innerHTML.trim()) {
+            // Prerendered content (renderToString) is our own output, not children
+            if (this._isVdxRoot && !this._hydrating && this.innerHTML.trim()) {
                 // Capture the light DOM content
                 const lightDomContent = this.innerHTML;
                 // Clear it so it doesn't duplicate when we render
@@ -456,8 +1026,9 @@ export function defineComponent(name, options) {
                 // Convert to VNodes (no dynamic values, no component context needed)
                 const vnodes = applyValues(compiled, [], null);
 
-                // Normalize to array for slot processing
-                const childArray = Array.isArray(vnodes) ? vnodes : (vnodes ? [vnodes] : []);
+                // Normalize to array for slot processing (multiple root nodes come back as a Fragment)
+                const rootNodes = vnodes && vnodes.type === Fragment ? vnodes.props.children : vnodes;
+                const childArray = Array.isArray(rootNodes) ? rootNodes : (rootNodes ? [rootNodes] : []);
 
                 // Separate default children from named slots
                 const { defaultChildren, namedSlots } = groupChildrenBySlot(childArray);
@@ -480,25 +1051,44 @@ export function defineComponent(name, options) {
                 }
             }
 
+            // Setup computed properties and watchers before the first render
+            if (options.computed) {
+                this._setupComputed();
+            }
+            if (options.watch) {
+                this._setupWatchers();
+            }
+
             // Setup reactivity - re-render on state changes
-            // Uses coordinated root rendering to prevent cascading re-renders
-            const { dispose: disposeRenderEffect } = createEffect(() => {
-                // Track all state dependencies efficiently
-                trackAllDependencies(this.state);
-
-                // Track store dependencies too
-                if (this.stores) {
-                    for (const storeState of Object.values(this.stores)) {
-                        trackAllDependencies(storeState);
+            // The effect subscribes to exactly the state, store and computed
+            // properties the template read during its last run. When one of them
+            // changes, the scheduler queues a batched render instead of re-running
+            // the effect synchronously.
+            const { effect: renderEffect, dispose: disposeRenderEffect } = createEffect(() => {
+                // Opt-in: re-render on any change anywhere in state or stores
+                if (options.deepTracking) {
+                    trackAllDependencies(this.state);
+                    if (this.stores) {
+                        for (const storeState of Object.values(this.stores)) {
+                            trackAllDependencies(storeState);
+                        }
                     }
                 }
 
-                // Perform synchronous coordinated tree render from root
-                // Must be synchronous to stay within effect context
-                if (this._isMounted && !this._isDestroyed) {
-                    performTreeRender(this._getVdxRoot());
-                }
+                this._doRender();
+            }, {
+                lazy: true,
+                scheduler: () => queueRender(this)
             });
+            this._renderEffect = renderEffect;
+
+            // Initial render is synchronous so the component has content as soon as
+            // it is connected. If a parent is mid-render, its subtree walk renders us.
+            if (isRenderingTree) {
+                queueRender(this);
+            } else {
+                performTreeRender(this);
+            }
 
             // Store disposal function for cleanup
             this._cleanups.push(disposeRenderEffect);
@@ -510,22 +1100,25 @@ export function defineComponent(name, options) {
                 queueMicrotask(() => {
                     // Check if still mounted (might have unmounted during render)
                     if (this._isMounted && !this._isDestroyed) {
-                        options.mounted.call(this);
+                        callHook(this, options.mounted, 'mounted');
                     }
                 });
             }
         }
 
         disconnectedCallback() {
+            // Removed while waiting for a prerendered parent - never connected
+            if (this._hydrating && !this._isMounted) return;
+
             // Set flags FIRST to prevent any new operations
             this._isDestroyed = true;
             this._isMounted = false;
+            dirtyComponents.delete(this);
 
             // Clean up VDX component hierarchy
             if (this._vdxParent && this._vdxParent._vdxChildComponents) {
                 this._vdxParent._vdxChildComponents.delete(this);
             }
-            this._vdxParent = null;
             // Note: child components are cleaned up by their own disconnectedCallback
 
             // Dispose reactive effects IMMEDIATELY to stop state updates from triggering renders
@@ -537,14 +1130,20 @@ export function defineComponent(name, options) {
 
             // Call unmounted hook (after effects are disposed)
             if (options.unmounted) {
-                options.unmounted.call(this);
+                callHook(this, options.unmounted, 'unmounted');
             }
 
+            // Cleared after unmounted() so its errors still reach ancestor errorCaptured hooks
+            this._vdxParent = null;
+
             // Clear refs to prevent memory leaks from stale DOM references
             this.refs = {};
 
             // Unmount Preact tree
-            preactRender(null, this);
+            preactRender(null, this._renderRoot);
+            if (this._renderRoot !== this && this._hasLightChildren) {
+                preactRender(null, this);
+            }
         }
 
         attributeChangedCallback(name, oldValue, newValue) {
@@ -555,9 +1154,67 @@ export function defineComponent(name, options) {
 
             // Update props
             if (options.props && name in options.props) {
-                this.props[name] = newValue;
-                // Trigger coordinated re-render from root
-                performTreeRender(this._getVdxRoot());
+                const def = propDefs[name];
+                let value = coercePropValue(def, newValue);
+                if (newValue === null && def.type) {
+                    // Removed attribute: false for booleans, otherwise back to the default
+                    value = def.type === Boolean ? false : getPropDefault(def);
+                }
+                this.props[name] = value;
+                if (debugPropWarningHook) {
+                    validateProp(this, name, def, value);
+                }
+                scheduleRender(this);
+            }
+        }
+
+        /**
+         * Create cached computed values for the computed option.
+         * Exposed through getters defined on the prototype.
+         */
+        _setupComputed() {
+            this._computed = {};
+            for (const [key, getter] of Object.entries(options.computed)) {
+                const c = computed(() => {
+                    this._propsVersion.value;
+                    return getter.call(this);
+                });
+                this._computed[key] = c;
+                this._cleanups.push(c.dispose);
+            }
+        }
+
+        /**
+         * Create watchers for the watch option.
+         * Keys are paths from the component ('state.query', 'props.value', 'stores.cart.items')
+         * or computed names. Values are a handler, a method name, or { handler, deep, immediate }.
+         */
+        _setupWatchers() {
+            for (const [path, def] of Object.entries(options.watch)) {
+                const config = (typeof def === 'function' || typeof def === 'string') ? { handler: def } : def;
+                const handler = typeof config.handler === 'string' ? this[config.handler] : config.handler;
+
+                if (typeof handler !== 'function') {
+                    console.warn(`[${this.tagName.toLowerCase()}] watch "${path}" has no handler`);
+                    continue;
+                }
+
+                const parts = path.split('.');
+                const readsProps = parts[0] === 'props';
+                const dispose = watch(
+                    () => {
+                        if (readsProps) this._propsVersion.value;
+                        let current = this;
+                        for (const part of parts) {
+                            if (current === null || current === undefined) return undefined;
+                            current = current[part];
+                        }
+                        return current;
+                    },
+                    (newValue, oldValue) => callHook(this, handler, 'watch', [newValue, oldValue]),
+                    { deep: !!config.deep, immediate: !!config.immediate }
+                );
+                this._cleanups.push(dispose);
             }
         }
 
@@ -573,6 +1230,68 @@ export function defineComponent(name, options) {
             return current;
         }
 
+        static get formAssociated() {
+            return !!options.formAssociated;
+        }
+
+        /**
+         * Called by the browser when the owning form is reset
+         */
+        formResetCallback() {
+            if (options.formResetCallback) {
+                callHook(this, options.formResetCallback, 'formReset');
+            }
+        }
+
+        /**
+         * Called by the browser when the element or an ancestor <fieldset> is
+         * disabled or re-enabled. Without a formDisabledCallback option, a
+         * declared `disabled` prop is updated instead.
+         */
+        formDisabledCallback(disabled) {
+            if (options.formDisabledCallback) {
+                callHook(this, options.formDisabledCallback, 'formDisabled', [disabled]);
+            } else if (propDefs.disabled && this.props.disabled !== disabled) {
+                // Written directly: the setter would reflect the attribute, which
+                // would keep the element disabled after the fieldset is re-enabled
+                this.props.disabled = disabled;
+                if (this._isMounted) scheduleRender(this);
+            }
+        }
+
+        /**
+         * Called by the browser when restoring form state (back/forward navigation, autofill)
+         */
+        formStateRestoreCallback(state, mode) {
+            if (options.formStateRestoreCallback) {
+                callHook(this, options.formStateRestoreCallback, 'formStateRestore', [state, mode]);
+            }
+        }
+
+        /**
+         * Push formValue() and formValidity() results to ElementInternals.
+         * Runs after every render, inside the render effect, so anything they
+         * read is tracked like the template.
+         */
+        _syncFormState() {
+            const internals = this.internals;
+            if (!internals || typeof internals.setFormValue !== 'function') return;
+
+            if (options.formValue) {
+                internals.setFormValue(toFormValue(options.formValue.call(this), this.getAttribute('name')));
+            }
+
+            if (options.formValidity) {
+                const validity = options.formValidity.call(this);
+                if (validity) {
+                    const { message, anchor, ...flags } = validity;
+                    internals.setValidity(flags, message || 'Invalid value', anchor);
+                } else {
+                    internals.setValidity({});
+                }
+            }
+        }
+
         static get observedAttributes() {
             // Observe all props as attributes
             return options.props ? Object.keys(options.props) : [];
@@ -581,7 +1300,7 @@ export function defineComponent(name, options) {
         _parseAttributes() {
             // Copy attribute values and direct properties to props
             if (options.props) {
-                for (const propName of Object.keys(options.props)) {
+                for (const [propName, def] of Object.entries(propDefs)) {
                     if (propName === 'style') {
                         // no-op: style is handled separately as _vdxStyle
                         continue;
@@ -589,20 +1308,22 @@ export function defineComponent(name, options) {
 
                     // Check if property was set directly on element (before connectedCallback)
                     // This happens when VDOM sets el[propName] = value before adding to DOM
-                    if (propName in this && this[propName] !== undefined && this[propName] !== options.props[propName]) {
+                    if (propName in this && this[propName] !== undefined && this[propName] !== def.default) {
                         // Property was set, use it
-                        const value = this[propName];
-                        this.props[propName] = value;
-                        continue;
+                        this.props[propName] = coercePropValue(def, this[propName]);
+                    } else {
+                        // Check for attribute
+                        const attrValue = this.getAttribute(propName);
+                        if (attrValue !== null) {
+                            this.props[propName] = coercePropValue(def, attrValue);
+                        } else if (!(propName in this.props)) {
+                            // Use default from props definition if not already set
+                            this.props[propName] = getPropDefault(def);
+                        }
                     }
 
-                    // Check for attribute
-                    const attrValue = this.getAttribute(propName);
-                    if (attrValue !== null) {
-                        this.props[propName] = attrValue;
-                    } else if (!(propName in this.props)) {
-                        // Use default from props definition if not already set
-                        this.props[propName] = options.props[propName];
+                    if (debugPropWarningHook) {
+                        validateProp(this, propName, def, this.props[propName]);
                     }
                 }
             }
@@ -647,9 +1368,9 @@ export function defineComponent(name, options) {
         }
 
         /**
-         * Internal render implementation - called by the coordinated rendering system
+         * Internal render implementation - called by the batched rendering system
          * This is the actual Preact render call. External code should NOT call this directly.
-         * Instead, use scheduleRootRender() to trigger a coordinated tree render.
+         * Instead, use render() or queueRender() to schedule a batched render.
          */
         _doRender() {
             // Guard: Don't render if component is destroyed or not mounted
@@ -663,6 +1384,22 @@ export function defineComponent(name, options) {
                 debugRenderCycleHook(this, 'before-template');
             }
 
+            // Shadow DOM components adopt an unscoped stylesheet shared by all instances
+            if (options.styles && !this._stylesInjected && this._renderRoot !== this) {
+                if (supportsAdoptedStyleSheets) {
+                    const tagName = this.tagName.toLowerCase();
+                    let sheet = shadowStyleSheets.get(tagName);
+                    if (!sheet) {
+                        sheet = new CSSStyleSheet();
+                        sheet.replaceSync(options.styles);
+                        shadowStyleSheets.set(tagName, sheet);
+                    }
+                    this._renderRoot.adoptedStyleSheets = [sheet];
+                }
+                // Otherwise a <style> element is rendered with the template below
+                this._stylesInjected = true;
+            }
+
             // Inject styles into document head if not already done
             if (options.styles && !this._stylesInjected) {
                 const styleId = `component-styles-${options.name || this.tagName}`;
@@ -720,7 +1457,15 @@ export function defineComponent(name, options) {
 
                 // Render using Preact's reconciliation
                 // Preact automatically maintains vdom state between renders
-                preactRender(preactElement, this);
+                const hydrating = this._hydrating;
+                this._hydrating = false;
+                if (this._renderRoot !== this) {
+                    this._renderShadow(preactElement, hydrating);
+                } else if (hydrating) {
+                    hydrateInto(this, preactElement, this);
+                } else {
+                    preactRender(preactElement, this);
+                }
 
                 if (debugRenderCycleHook) {
                     debugRenderCycleHook(this, 'after-vnode');
@@ -730,26 +1475,56 @@ export function defineComponent(name, options) {
                 console.error(`[${this.tagName}] Template was not compiled. Ensure you're using the html\`\` tag.`);
             }
 
+            if (this.internals) {
+                this._syncFormState();
+            }
+
             // Call afterRender hook if provided
             if (options.afterRender && this._isMounted) {
                 Promise.resolve().then(() => {
                     if (!this._isDestroyed && this._isMounted) {
-                        options.afterRender.call(this);
+                        callHook(this, options.afterRender, 'afterRender');
                     }
                 });
             }
         }
 
         /**
-         * Public render method - performs a coordinated render from root
-         * This ensures all components render in the correct order
+         * Render the template into the shadow root and the parent-provided
+         * children into the light DOM, where <slot> elements project them.
+         * (attachShadow() empties a declarative shadow root, so only the light
+         * DOM children can be hydrated.)
          */
-        render() {
-            if (this._isMounted && !this._isDestroyed) {
-                performTreeRender(this._getVdxRoot());
+        _renderShadow(preactElement, hydrating) {
+            const styleElement = options.styles && !supportsAdoptedStyleSheets
+                ? h('style', null, options.styles)
+                : null;
+            preactRender(h(Fragment, null, styleElement, preactElement), this._renderRoot);
+
+            if (this._hasLightChildren) {
+                // Named slot children keep their slot="" attribute, so they
+                // are projected into the matching <slot name="...">
+                const slotted = [this._lightChildren];
+                for (const slotChildren of Object.values(this._lightSlots)) {
+                    slotted.push(slotChildren);
+                }
+                if (hydrating) {
+                    hydrateInto(this, h(Fragment, null, ...slotted), this);
+                } else {
+                    preactRender(h(Fragment, null, ...slotted), this);
+                }
             }
         }
 
+        /**
+         * Public render method - queues a batched render of this component's subtree
+         * @returns {Promise<void>} Resolves once the render has been flushed
+         */
+        render() {
+            queueRender(this);
+            return nextTick();
+        }
+
         // Helper method to access methods from component
         $method(name) {
             return options.methods?.[name]?.bind(this);
@@ -760,12 +1535,13 @@ export function defineComponent(name, options) {
     // This ensures `name in dom` returns true when Preact checks, allowing
     // direct property setting instead of falling back to setAttribute()
 
-    // Helper to trigger a coordinated tree render from root
-    // This ensures all renders go through the tree coordination to prevent cascading issues
+    // Helper to queue a batched render after a prop change
+    // Assigns rather than increments - reading the version here would make a
+    // parent's render effect depend on its child's props
     const scheduleRender = (component) => {
-        if (component._isMounted && !component._isDestroyed) {
-            performTreeRender(component._getVdxRoot());
-        }
+        component._propsRevision++;
+        component._propsVersion.value = component._propsRevision;
+        queueRender(component);
     };
 
     // Helper to create a prop setter that handles pre-constructor calls
@@ -774,11 +1550,13 @@ export function defineComponent(name, options) {
             // If props exists, return from props; otherwise return undefined
             return this.props ? this.props[propName] : undefined;
         },
-        set(value) {
-            // Parse string values ONLY for objects/arrays (not primitives)
-            // This preserves string types for custom elements - "4" stays "4", not 4
+        set(rawValue) {
+            // Strings are only coerced when the prop declares a type -
+            // untyped props keep string types, so "4" stays "4", not 4
+            const def = propDefs[propName];
+            const value = coercePropValue(def, rawValue);
             if (debugPropSetHook) {
-                debugPropSetHook(this.tagName || name, propName, value, value, this._isMounted);
+                debugPropSetHook(this.tagName || name, propName, value, rawValue, this._isMounted);
             }
 
             // If props doesn't exist yet (setter called before constructor),
@@ -796,6 +1574,9 @@ export function defineComponent(name, options) {
             this._suppressAttributeChange = true;
             if (typeof value === 'string') {
                 this.setAttribute(propName, value);
+            } else if (def.type === Boolean && value === true) {
+                // Reflect booleans as presence, so [disabled] selectors work
+                this.setAttribute(propName, '');
             } else if (this.hasAttribute(propName)) {
                 // remove non-string attributes
                 this.removeAttribute(propName);
@@ -804,8 +1585,11 @@ export function defineComponent(name, options) {
 
             // Only trigger updates if mounted
             if (this._isMounted) {
+                if (debugPropWarningHook) {
+                    validateProp(this, propName, def, value);
+                }
                 if (typeof this.propsChanged === 'function' && value !== oldValue) {
-                    this.propsChanged(propName, value, oldValue);
+                    callHook(this, this.propsChanged, 'propsChanged', [propName, value, oldValue]);
                 }
                 // Use batched render to prevent multiple render cycles during prop updates
                 scheduleRender(this);
@@ -937,10 +1721,35 @@ export function defineComponent(name, options) {
         }
     }
 
+    // Define getters for computed properties (cached until their dependencies change)
+    if (options.computed) {
+        for (const [key, getter] of Object.entries(options.computed)) {
+            if (reservedNames.has(key) || (options.props && key in options.props) ||
+                (options.methods && key in options.methods)) {
+                console.warn(`[${name}] Skipping computed "${key}": name is reserved or already used by a prop or method`);
+                continue;
+            }
+            Object.defineProperty(Component.prototype, key, {
+                get() {
+                    // Before connectedCallback there is no cache - evaluate directly
+                    return this._computed ? this._computed[key].get() : getter.call(this);
+                },
+                enumerable: true,
+                configurable: true
+            });
+        }
+    }
+
     // Register the custom element
-    if (!customElements.get(name)) {
+    if (typeof customElements === 'undefined') {
+        if (!componentDefinitions.has(name)) {
+            componentDefinitions.set(name, Component);
+            componentOptions.set(name, { options, propDefs });
+        }
+    } else if (!customElements.get(name)) {
         customElements.define(name, Component);
         componentDefinitions.set(name, Component);
+        componentOptions.set(name, { options, propDefs });
     }
 
     return Component;
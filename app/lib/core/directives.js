@@ -0,0 +1,146 @@
+/**
+ * Directives
+ * Reusable element behaviours, used as x-<name> attributes on any element:
+ *
+ *   defineDirective('x-autofocus', { mounted(el) { el.focus(); } });
+ *   html`<input x-autofocus>`
+ *
+ * Hooks are called with (el, binding). binding.value is the attribute's value
+ * (the interpolated value itself, not a string), binding.oldValue the value of
+ * the previous render and binding.component the component whose template
+ * has the element.
+ *
+ * Like on-click-outside, directives run from the element's Preact ref
+ * callback: mounted when the element is added, updated after every render of
+ * the template, unmounted when the element is removed. They don't run during
+ * server rendering.
+ *
+ * @module core/directives
+ */
+
+import { handleComponentError } from './component.js';
+
+/** @type {Map<string, {mounted?: Function, updated?: Function, unmounted?: Function}>} */
+const directives = new Map();
+
+// Per element: directive name → { value, detached }
+const boundDirectives = new WeakMap();
+
+// Directives that were used without being defined (warned once)
+const warnedDirectives = new Set();
+
+/**
+ * Register a directive
+ * @param {string} name - Attribute name, starting with "x-"
+ * @param {Object|Function} definition - { mounted, updated, unmounted } hooks,
+ *   or a function used as both mounted and updated
+ * @returns {Object} The normalized definition
+ */
+export function defineDirective(name, definition) {
+    if (!/^x-[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name)) {
+        throw new Error(`[defineDirective] "${name}" isn't a valid directive name (use x-<name>)`);
+    }
+    if (name === 'x-model' || name.startsWith('x-model-') || name.startsWith('x-spread-')) {
+        throw new Error(`[defineDirective] "${name}" is reserved`);
+    }
+
+    const normalized = typeof definition === 'function'
+        ? { mounted: definition, updated: definition }
+        : { ...definition };
+    directives.set(name, normalized);
+    return normalized;
+}
+
+/**
+ * Create the ref callback that runs a directive's hooks for an element.
+ * Returns null (and warns once) when the directive isn't defined.
+ * @param {string} name - Directive name
+ * @param {*} value - Bound value for this render
+ * @param {HTMLElement|null} component - Component rendering the element
+ * @returns {Function|null}
+ */
+export function createDirectiveRef(name, value, component) {
+    const definition = directives.get(name);
+    if (!definition) {
+        if (!warnedDirectives.has(name)) {
+            warnedDirectives.add(name);
+            console.warn(`[${name}] Unknown directive. Register it with defineDirective() before rendering.`);
+        }
+        return null;
+    }
+
+    let boundEl = null;
+
+    return (el) => {
+        if (el) {
+            boundEl = el;
+            let bound = boundDirectives.get(el);
+            if (!bound) {
+                bound = new Map();
+                boundDirectives.set(el, bound);
+            }
+
+            const state = bound.get(name);
+            if (state) {
+                // Re-render: the previous render's ref was just detached from this element
+                const oldValue = state.value;
+                state.value = value;
+                state.detached = false;
+                callDirectiveHook(definition.updated, el, { value, oldValue, component }, component);
+            } else {
+                bound.set(name, { value, detached: false });
+                callDirectiveHook(definition.mounted, el, { value, oldValue: undefined, component }, component);
+            }
+            return;
+        }
+
+        if (!boundEl) return;
+        const detachedEl = boundEl;
+        boundEl = null;
+        const state = boundDirectives.get(detachedEl)?.get(name);
+        if (!state) return;
+
+        // Preact swaps the old ref for the new one in the same commit, so the
+        // element was removed if no new ref has claimed it by the next microtask
+        state.detached = true;
+        queueMicrotask(() => {
+            if (!state.detached) return;
+            boundDirectives.get(detachedEl).delete(name);
+            callDirectiveHook(definition.unmounted, detachedEl,
+                { value: state.value, oldValue: undefined, component }, component);
+        });
+    };
+}
+
+function callDirectiveHook(hook, el, binding, component) {
+    if (!hook) return;
+    try {
+        hook(el, binding);
+    } catch (err) {
+        handleComponentError(err, component, 'directive');
+    }
+}
+
+// ============================================================================
+// Built-in directives
+// ============================================================================
+
+// Inline display of x-show elements, restored when they're shown
+const shownDisplay = new WeakMap();
+
+/**
+ * x-show="${condition}" - hide an element with display: none instead of
+ * removing it, keeping its DOM state (scroll position, inputs, components)
+ */
+defineDirective('x-show', {
+    mounted(el, { value }) {
+        shownDisplay.set(el, el.style.display === 'none' ? '' : el.style.display);
+        el.style.display = value ? shownDisplay.get(el) : 'none';
+    },
+    updated(el, { value }) {
+        el.style.display = value ? shownDisplay.get(el) : 'none';
+    },
+    unmounted(el) {
+        shownDisplay.delete(el);
+    }
+});
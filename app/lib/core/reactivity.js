@@ -17,11 +17,23 @@ let activeEffect = null;
 /** @type {Array<Function>} Stack of effects for nested tracking */
 const effectStack = [];
 
+/** Dependency key for key additions/removals (Object.keys, for...in, `in`, collection size/iteration) */
+const ITERATE_KEY = Symbol('iterate');
+
+/** Property that returns the object behind a reactive proxy */
+const RAW = Symbol('raw');
+
 /**
  * Creates a reactive effect that automatically tracks dependencies.
  * The effect runs immediately and re-runs whenever tracked dependencies change.
+ * Dependencies are collected afresh on every run, so an effect only subscribes
+ * to the properties its last run actually read.
  *
  * @param {Function} fn - The effect function to run and track
+ * @param {Object} [options] - Effect options
+ * @param {Function} [options.scheduler] - Called with the effect instead of re-running it
+ *     when a dependency changes (used by components to batch renders)
+ * @param {boolean} [options.lazy=false] - Skip the initial run; the caller runs the effect itself
  * @returns {Object} Object with effect function and dispose method
  * @property {Function} effect - The effect function that can be called to re-run
  * @property {Function} dispose - Cleanup function to stop tracking and remove all dependencies
@@ -38,13 +50,16 @@ const effectStack = [];
  * dispose(); // Stop tracking
  * state.count = 10; // No longer logs
  */
-export function createEffect(fn) {
+export function createEffect(fn, options = {}) {
     let disposed = false;
 
     const effect = () => {
         // Don't run if disposed
         if (disposed) return;
 
+        // Drop last run's subscriptions - branches not taken this time stop triggering
+        cleanupEffect(effect);
+
         activeEffect = effect;
         effectStack.push(effect);
         try {
@@ -56,18 +71,14 @@ export function createEffect(fn) {
     };
 
     effect.deps = new Set();
+    effect.scheduler = options.scheduler || null;
 
     const dispose = () => {
         if (disposed) return;
         disposed = true;
 
         // Remove this effect from all dependency sets
-        effect.deps.forEach(dep => {
-            dep.delete(effect);
-        });
-
-        // Clear the deps set
-        effect.deps.clear();
+        cleanupEffect(effect);
 
         // Remove from effect stack if currently running
         const index = effectStack.indexOf(effect);
@@ -81,13 +92,28 @@ export function createEffect(fn) {
         }
     };
 
-    // Run effect once
-    effect();
+    // Run effect once (lazy effects are run by their owner)
+    if (!options.lazy) {
+        effect();
+    }
 
     // Return both the effect and dispose function
     return { effect, dispose };
 }
 
+/**
+ * Unsubscribes an effect from every dependency it collected.
+ *
+ * @param {Function} effect - The effect to clean up
+ * @private
+ */
+function cleanupEffect(effect) {
+    effect.deps.forEach(dep => {
+        dep.delete(effect);
+    });
+    effect.deps.clear();
+}
+
 /**
  * Tracks a dependency between the active effect and a reactive property.
  * Called internally during reactive property access.
@@ -128,82 +154,261 @@ function trigger(target, key) {
         if (debugReactivityHook) {
             debugReactivityHook(target, key, target[key], `trigger(${deps.size} effects)`);
         }
-        const effects = [...deps];
-        effects.forEach(effect => effect());
+        runEffects([...deps]);
+    }
+}
+
+/**
+ * Triggers every effect that depends on any property of a target.
+ * Used for array mutations that shift indices (sort, splice, shift, ...).
+ *
+ * @param {Object} target - The target object
+ * @private
+ */
+function triggerAll(target) {
+    const depsMap = targetMap.get(target);
+    if (!depsMap) return;
+
+    // An effect reading many indices still runs once
+    const effects = new Set();
+    depsMap.forEach(deps => {
+        deps.forEach(effect => effects.add(effect));
+    });
+
+    if (effects.size > 0) {
+        if (debugReactivityHook) {
+            debugReactivityHook(target, 'length', target.length, `trigger(${effects.size} effects)`);
+        }
+        runEffects([...effects]);
     }
 }
 
+/**
+ * Runs (or schedules) a list of effects.
+ *
+ * @param {Array<Function>} effects - Effects to run, copied so they can re-subscribe safely
+ * @private
+ */
+function runEffects(effects) {
+    effects.forEach(effect => {
+        if (effect.scheduler) {
+            effect.scheduler(effect);
+        } else {
+            effect();
+        }
+    });
+}
+
 /** @type {WeakMap<Object, Map>} WeakMap to store dependencies for each target object */
 const targetMap = new WeakMap();
 
 /**
  * Makes an object reactive using JavaScript Proxy.
  * All property access and mutations are tracked, triggering effects automatically.
- * Nested objects are recursively made reactive.
+ * Nested objects are recursively made reactive. Map, Set, WeakMap and WeakSet
+ * are supported: reads (get, has, size, iteration) are tracked and writes
+ * (set, add, delete, clear) trigger effects.
  *
- * @param {Object|Array} obj - The object or array to make reactive
+ * @param {Object|Array|Map|Set} obj - The object, array or collection to make reactive
  * @returns {Proxy} A reactive proxy of the object
  * @example
  * const state = reactive({
  *     count: 0,
- *     nested: { value: 10 }
+ *     nested: { value: 10 },
+ *     selected: new Set()
  * });
  *
  * createEffect(() => console.log(state.count));
  * state.count++; // Effect runs automatically
  * state.nested.value = 20; // Nested changes are tracked too
+ * state.selected.add(3); // So are collection writes
  */
 export function reactive(obj) {
+    return createReactiveObject(obj, false, false);
+}
+
+/**
+ * Makes only the top-level properties of an object reactive.
+ * Nested objects are returned as-is, so large immutable data (catalogs, word
+ * lists) is not wrapped in proxies on every access. Replace a nested value to
+ * trigger updates.
+ *
+ * @param {Object|Array|Map|Set} obj - The object to wrap
+ * @returns {Proxy} A shallow reactive proxy of the object
+ * @example
+ * const state = shallowReactive({ catalog: bigCatalog, page: 0 });
+ * state.page++;                      // Triggers effects
+ * state.catalog.items[0].price = 5;  // Does not
+ * state.catalog = newCatalog;        // Triggers effects
+ */
+export function shallowReactive(obj) {
+    return createReactiveObject(obj, true, false);
+}
+
+/**
+ * Creates a read-only view of an object. Reads are tracked like reactive(),
+ * so a readonly view of reactive state still updates effects, but writes
+ * through the view are ignored with a warning. Nested objects are readonly too.
+ *
+ * @param {Object|Array|Map|Set} obj - The object (or reactive proxy) to wrap
+ * @returns {Proxy} A readonly proxy of the object
+ * @example
+ * const cart = createStore({ items: [] });
+ * // Children can read the cart but not modify it
+ * html`<cart-summary cart="${readonly(cart.state)}"></cart-summary>`
+ */
+export function readonly(obj) {
+    return createReactiveObject(obj, false, true);
+}
+
+/**
+ * Marks an object so reactive(), shallowReactive() and readonly() return it
+ * unwrapped, including when it is nested inside reactive state.
+ *
+ * @param {Object} obj - The object to opt out of reactivity
+ * @returns {Object} The same object
+ * @example
+ * data() {
+ *     return { words: markRaw(wordList) };  // Never proxied or tracked
+ * }
+ */
+export function markRaw(obj) {
+    if (obj !== null && typeof obj === 'object') {
+        rawObjects.add(obj);
+    }
+    return obj;
+}
+
+/**
+ * Returns the original object behind a reactive or readonly proxy.
+ * Non-proxy values are returned unchanged.
+ *
+ * @param {*} value - Possibly reactive value
+ * @returns {*} The underlying object
+ * @example
+ * const raw = { count: 0 };
+ * toRaw(reactive(raw)) === raw; // true
+ */
+export function toRaw(value) {
+    let raw = value;
+    while (raw && raw[RAW]) {
+        raw = raw[RAW];
+    }
+    return raw;
+}
+
+/** @type {WeakSet<Object>} Objects opted out of reactivity with markRaw() */
+const rawObjects = new WeakSet();
+
+/** Array methods that mutate in place */
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'];
+
+/**
+ * Warns about a write through a readonly proxy
+ * @param {string|symbol} key - Property or method being written
+ * @private
+ */
+function warnReadonly(key) {
+    console.warn(`[VDX] Cannot modify "${String(key)}": the object is readonly`);
+}
+
+/**
+ * Shared implementation of reactive(), shallowReactive() and readonly()
+ *
+ * @param {*} obj - Value to wrap
+ * @param {boolean} shallow - Return nested values without wrapping them
+ * @param {boolean} isReadonly - Ignore writes (nested values are readonly too)
+ * @returns {*} Proxy, or the value itself when it can't or shouldn't be wrapped
+ * @private
+ */
+function createReactiveObject(obj, shallow, isReadonly) {
     if (obj === null || typeof obj !== 'object') {
         return obj;
     }
 
-    // If already a proxy, return as-is
-    if (obj.__isReactive) {
+    if (rawObjects.has(obj)) {
+        return obj;
+    }
+
+    // Already a proxy: reuse it, except that readonly() wraps reactive proxies
+    // so reads still go through (and are tracked by) the reactive layer
+    if (obj.__isReactive && (!isReadonly || obj.__isReadonly)) {
         return obj;
     }
 
-    // Don't wrap objects with internal slots that can't be proxied
-    // These include Set, Map, WeakSet, WeakMap, and Promise
-    if (obj instanceof Set || obj instanceof Map || obj instanceof WeakSet || obj instanceof WeakMap || obj instanceof Promise) {
+    // Promises have internal slots that can't be proxied
+    if (obj instanceof Promise) {
         return obj;
     }
 
+    // Collections keep their data in internal slots, so their methods are instrumented instead
+    if (isCollection(toRaw(obj))) {
+        return createCollectionProxy(obj, shallow, isReadonly);
+    }
+
+    const wrap = isReadonly ? readonly : reactive;
+
     const proxy = new Proxy(obj, {
         get(target, key, receiver) {
-            // Special marker property
+            // Special marker properties
             if (key === '__isReactive') {
                 return true;
             }
+            if (key === '__isReadonly') {
+                return isReadonly;
+            }
+            if (key === RAW) {
+                return target;
+            }
 
             track(target, key);
             const value = Reflect.get(target, key, receiver);
 
             // For array methods that modify the array, wrap them to trigger updates
-            if (Array.isArray(target) && typeof value === 'function') {
-                const arrayMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'];
-                if (arrayMethods.includes(key)) {
-                    return function(...args) {
-                        const result = value.apply(target, args);
-                        // Trigger on length change (covers both length and iteration tracking)
-                        trigger(target, 'length');
-                        return result;
+            if (Array.isArray(target) && typeof value === 'function' && ARRAY_MUTATORS.includes(key)) {
+                if (isReadonly) {
+                    return function() {
+                        warnReadonly(key);
+                        return undefined;
                     };
                 }
+                return function(...args) {
+                    const result = value.apply(target, args);
+                    // Indices may have moved, so anything reading this array re-runs
+                    triggerAll(target);
+                    return result;
+                };
             }
 
-            // Recursively make nested objects reactive (but skip Sets/Maps)
-            if (typeof value === 'object' && value !== null &&
-                !(value instanceof Set) && !(value instanceof Map) &&
-                !(value instanceof WeakSet) && !(value instanceof WeakMap)) {
-                return reactive(value);
+            if (shallow) {
+                return value;
             }
 
-            return value;
+            // Recursively make nested objects reactive
+            return wrap(value);
+        },
+
+        has(target, key) {
+            track(target, key);
+            return Reflect.has(target, key);
+        },
+
+        ownKeys(target) {
+            // Arrays already trigger 'length' when elements are added or removed
+            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(target);
         },
 
         set(target, key, value, receiver) {
+            if (isReadonly) {
+                warnReadonly(key);
+                return true;
+            }
+
             const oldValue = target[key];
+            const hadKey = Array.isArray(target) && isIndexKey(key)
+                ? Number(key) < target.length
+                : Object.prototype.hasOwnProperty.call(target, key);
             const result = Reflect.set(target, key, value, receiver);
 
             // Trigger if:
@@ -217,12 +422,26 @@ export function reactive(obj) {
                 trigger(target, key);
             }
 
+            // New keys change Object.keys() and array length
+            if (!hadKey) {
+                trigger(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            }
+
             return result;
         },
 
         deleteProperty(target, key) {
+            if (isReadonly) {
+                warnReadonly(key);
+                return true;
+            }
+
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
             const result = Reflect.deleteProperty(target, key);
             trigger(target, key);
+            if (hadKey && !Array.isArray(target)) {
+                trigger(target, ITERATE_KEY);
+            }
             return result;
         }
     });
@@ -230,9 +449,216 @@ export function reactive(obj) {
     return proxy;
 }
 
+/**
+ * Whether a value is a Map, Set, WeakMap or WeakSet
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ * @private
+ */
+function isCollection(value) {
+    return value instanceof Map || value instanceof Set || value instanceof WeakMap || value instanceof WeakSet;
+}
+
+/**
+ * Builds tracking versions of the Map/Set methods. `this` is the proxy and
+ * `this[RAW]` the collection it wraps.
+ *
+ * @param {Function|null} wrap - Applied to values read out (null for shallow)
+ * @param {boolean} isReadonly - Replace writes with a warning
+ * @returns {Object} Method table
+ * @private
+ */
+function createCollectionMethods(wrap, isReadonly) {
+    const toWrapped = wrap || (value => value);
+
+    function iterate(target, method, isPair) {
+        track(target, ITERATE_KEY);
+        const iterator = target[method]();
+        return {
+            next() {
+                const { value, done } = iterator.next();
+                if (done) {
+                    return { value, done };
+                }
+                return {
+                    value: isPair ? [toWrapped(value[0]), toWrapped(value[1])] : toWrapped(value),
+                    done
+                };
+            },
+            [Symbol.iterator]() {
+                return this;
+            }
+        };
+    }
+
+    const methods = {
+        get(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            track(target, rawKey);
+            return toWrapped(target.get(rawKey));
+        },
+
+        has(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            track(target, rawKey);
+            return target.has(rawKey);
+        },
+
+        forEach(callback, thisArg) {
+            const target = this[RAW];
+            track(target, ITERATE_KEY);
+            target.forEach((value, key) => {
+                callback.call(thisArg, toWrapped(value), toWrapped(key), this);
+            });
+        },
+
+        keys() {
+            return iterate(this[RAW], 'keys', false);
+        },
+
+        values() {
+            return iterate(this[RAW], 'values', false);
+        },
+
+        entries() {
+            return iterate(this[RAW], 'entries', true);
+        },
+
+        [Symbol.iterator]() {
+            const target = this[RAW];
+            return iterate(target, Symbol.iterator, toRaw(target) instanceof Map);
+        }
+    };
+
+    if (isReadonly) {
+        for (const method of ['set', 'add', 'delete', 'clear']) {
+            methods[method] = function() {
+                warnReadonly(method);
+                return method === 'delete' ? false : (method === 'clear' ? undefined : this);
+            };
+        }
+        return methods;
+    }
+
+    methods.set = function(key, value) {
+        const target = this[RAW];
+        const rawKey = toRaw(key);
+        const rawValue = toRaw(value);
+        const hadKey = target.has(rawKey);
+        const oldValue = target.get(rawKey);
+        target.set(rawKey, rawValue);
+
+        if (!hadKey || oldValue !== rawValue || (rawValue !== null && typeof rawValue === 'object')) {
+            if (debugReactivityHook) {
+                debugReactivityHook(target, rawKey, rawValue, 'set');
+            }
+            trigger(target, rawKey);
+            trigger(target, ITERATE_KEY);
+        }
+        return this;
+    };
+
+    methods.add = function(value) {
+        const target = this[RAW];
+        const rawValue = toRaw(value);
+        if (!target.has(rawValue)) {
+            target.add(rawValue);
+            if (debugReactivityHook) {
+                debugReactivityHook(target, rawValue, rawValue, 'add');
+            }
+            trigger(target, rawValue);
+            trigger(target, ITERATE_KEY);
+        }
+        return this;
+    };
+
+    methods.delete = function(key) {
+        const target = this[RAW];
+        const rawKey = toRaw(key);
+        const result = target.delete(rawKey);
+        if (result) {
+            trigger(target, rawKey);
+            trigger(target, ITERATE_KEY);
+        }
+        return result;
+    };
+
+    methods.clear = function() {
+        const target = this[RAW];
+        if (target.size > 0) {
+            target.clear();
+            triggerAll(target);
+        }
+    };
+
+    return methods;
+}
+
+const reactiveCollectionMethods = createCollectionMethods(reactive, false);
+const shallowCollectionMethods = createCollectionMethods(null, false);
+const readonlyCollectionMethods = createCollectionMethods(readonly, true);
+
+/**
+ * Creates a reactive proxy for a Map, Set, WeakMap or WeakSet
+ * @param {Map|Set|WeakMap|WeakSet} collection - The collection to wrap
+ * @param {boolean} shallow - Return stored values without wrapping them
+ * @param {boolean} isReadonly - Ignore writes
+ * @returns {Proxy}
+ * @private
+ */
+function createCollectionProxy(collection, shallow, isReadonly) {
+    const methods = isReadonly ? readonlyCollectionMethods
+        : (shallow ? shallowCollectionMethods : reactiveCollectionMethods);
+
+    return new Proxy(collection, {
+        get(target, key, receiver) {
+            if (key === '__isReactive') {
+                return true;
+            }
+            if (key === '__isReadonly') {
+                return isReadonly;
+            }
+            if (key === RAW) {
+                return target;
+            }
+
+            if (key === 'size') {
+                track(target, ITERATE_KEY);
+                return target.size;
+            }
+
+            // Only instrument methods the collection actually has (WeakMap has no forEach)
+            if (Object.prototype.hasOwnProperty.call(methods, key) && key in target) {
+                return methods[key];
+            }
+
+            // Anything else (e.g. newer Set methods) runs against the raw collection
+            const value = Reflect.get(target, key, target);
+            if (typeof value === 'function') {
+                track(target, ITERATE_KEY);
+                return value.bind(target);
+            }
+            return value;
+        }
+    });
+}
+
+/**
+ * Whether a property key is an array index
+ * @param {string|symbol} key - Property key
+ * @returns {boolean}
+ * @private
+ */
+function isIndexKey(key) {
+    return typeof key === 'string' && String(Number(key) >>> 0) === key;
+}
+
 /**
  * Creates a computed value that automatically updates when dependencies change.
  * The getter function is lazily evaluated and cached until dependencies change.
+ * Effects that read the computed value are re-run when it becomes stale.
  *
  * @param {Function} getter - Function that computes the value
  * @returns {Object} Object with computed getter and dispose method
@@ -251,24 +677,27 @@ export function reactive(obj) {
 export function computed(getter) {
     let value;
     let dirty = true;
-    let firstRun = true;
 
-    // Create effect that tracks dependencies and marks dirty on changes
-    const { dispose } = createEffect(() => {
-        if (firstRun) {
-            // First run: compute value and track dependencies
-            value = getter();
-            dirty = false;
-            firstRun = false;
-        } else {
-            // Subsequent runs: mark as dirty (recompute on next get)
-            dirty = true;
+    // Readers track this so they are notified when the cached value goes stale
+    const signal = reactive({ version: 0 });
+
+    // Recompute inside the effect so dependencies read on every run are tracked
+    const { effect, dispose } = createEffect(() => {
+        value = getter();
+    }, {
+        lazy: true,
+        scheduler: () => {
+            if (!dirty) {
+                dirty = true;
+                signal.version++;
+            }
         }
     });
 
     const get = () => {
+        signal.version;
         if (dirty) {
-            value = getter();
+            effect();
             dirty = false;
         }
         return value;
@@ -283,6 +712,9 @@ export function computed(getter) {
  *
  * @param {Function} fn - Function that returns the value to watch
  * @param {Function} [callback] - Callback to run on changes (receives newValue, oldValue)
+ * @param {Object} [options] - Watch options
+ * @param {boolean} [options.deep=false] - Also fire when nested properties of the value change
+ * @param {boolean} [options.immediate=false] - Call the callback right away with the current value
  * @returns {Function} Dispose function to stop watching
  * @example
  * const state = reactive({ count: 0 });
@@ -297,12 +729,23 @@ export function computed(getter) {
  * state.count = 5; // Logs: Count changed from 0 to 5
  * stopWatching(); // Stop watching
  */
-export function watch(fn, callback) {
+export function watch(fn, callback, options = {}) {
+    const { deep = false, immediate = false } = options;
     let oldValue;
+    let initialized = false;
 
     const { dispose } = createEffect(() => {
         const newValue = fn();
-        if (callback && oldValue !== undefined) {
+        if (deep) {
+            trackAllDependencies(newValue);
+        }
+
+        if (!initialized) {
+            initialized = true;
+            if (callback && immediate) {
+                callback(newValue, undefined);
+            }
+        } else if (callback && (deep || newValue !== oldValue)) {
             callback(newValue, oldValue);
         }
         oldValue = newValue;
@@ -327,6 +770,20 @@ export function isReactive(value) {
     return !!(value && value.__isReactive);
 }
 
+/**
+ * Checks if a value is a readonly proxy.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value was created by readonly()
+ * @example
+ * const state = reactive({ count: 0 });
+ * console.log(isReadonly(state)); // false
+ * console.log(isReadonly(readonly(state))); // true
+ */
+export function isReadonly(value) {
+    return !!(value && value.__isReadonly);
+}
+
 /**
  * Memoizes a function and tracks its dependencies.
  * The cached value is only recomputed when dependencies change.
@@ -391,9 +848,22 @@ export function trackAllDependencies(obj, visited = new Set()) {
     // Handle primitives
     if (typeof obj !== 'object') return;
 
-    // Prevent circular references
-    if (visited.has(obj)) return;
-    visited.add(obj);
+    // Prevent circular references (every access returns a fresh proxy, so compare raw objects)
+    const raw = toRaw(obj);
+    if (visited.has(raw) || rawObjects.has(raw)) return;
+    visited.add(raw);
+
+    // Handle collections - iterating tracks additions and removals
+    if (isCollection(raw)) {
+        if (typeof obj.forEach === 'function') {
+            obj.forEach(value => {
+                if (typeof value === 'object' && value !== null) {
+                    trackAllDependencies(value, visited);
+                }
+            });
+        }
+        return;
+    }
 
     // Handle arrays
     if (Array.isArray(obj)) {
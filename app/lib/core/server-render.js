@@ -0,0 +1,336 @@
+/**
+ * Server Rendering
+ * Renders components to HTML strings without a live DOM, for build-time
+ * prerendering in Node or generating markup in the browser.
+ *
+ * Components run props, data(), stores, computed, provide and the optional
+ * serverPrefetch() hook, then template(). Browser lifecycle hooks (mounted,
+ * afterRender, watchers) don't run.
+ */
+
+import { reactive } from './reactivity.js';
+import { componentOptions, getPropDefault, coercePropValue, scopeComponentStyles, HYDRATE_ATTR, STATE_ATTR } from './component.js';
+import { applyValues } from './template-compiler.js';
+import { Fragment } from '../vendor/preact/index.js';
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Preact props that are never rendered as attributes
+const SKIP_PROPS = new Set(['children', 'key', 'ref', 'dangerouslySetInnerHTML', '_vdxChildren', '_vdxSlots', '_vdxStyle']);
+
+/**
+ * Render a component to an HTML string.
+ * The result contains the component's scoped styles followed by the element
+ * with its rendered content (nested components included).
+ *
+ * @param {string} tagName - Registered component tag name
+ * @param {Object} [props] - Props for the component (strings are coerced like attributes)
+ * @returns {Promise<string>} HTML markup
+ * @example
+ * const markup = await renderToString('shop-product-card', { product });
+ */
+export async function renderToString(tagName, props = {}) {
+    if (!componentOptions.has(tagName)) {
+        throw new Error(`[renderToString] <${tagName}> is not a registered component`);
+    }
+
+    const context = { styles: new Map() };
+    const body = await renderNode({ type: tagName, props }, context, null);
+
+    let styles = '';
+    for (const [id, css] of context.styles) {
+        styles += `<style id="${escapeAttr(id)}">${css}</style>`;
+    }
+    return styles + body;
+}
+
+/**
+ * Serialize a VNode (or string, number, array) to HTML
+ * @param {*} node - Node to render
+ * @param {Object} context - Per-render state (collected styles)
+ * @param {Object|null} parent - Server instance of the enclosing component
+ * @returns {Promise<string>}
+ */
+async function renderNode(node, context, parent) {
+    if (node === null || node === undefined || typeof node === 'boolean') {
+        return '';
+    }
+    if (typeof node === 'string' || typeof node === 'number') {
+        return escapeText(String(node));
+    }
+    if (Array.isArray(node)) {
+        let html = '';
+        for (const child of node) {
+            html += await renderNode(child, context, parent);
+        }
+        return html;
+    }
+
+    const { type, props = {} } = node;
+
+    if (type === Fragment) {
+        return renderNode(props.children, context, parent);
+    }
+
+    // Preact function and class components
+    if (typeof type === 'function') {
+        if (type.prototype && typeof type.prototype.render === 'function') {
+            const instance = new type(props);
+            return renderNode(instance.render(props, instance.state || {}), context, parent);
+        }
+        return renderNode(type(props), context, parent);
+    }
+
+    if (typeof type !== 'string') {
+        return '';
+    }
+
+    const definition = componentOptions.get(type);
+    if (definition) {
+        return renderComponent(type, definition, props, context, parent);
+    }
+
+    return renderElement(type, props, context, parent);
+}
+
+/**
+ * Render a plain (non-component) element
+ */
+async function renderElement(tag, props, context, parent) {
+    let html = `<${tag}${renderAttributes(tag, props, context)}>`;
+    if (VOID_ELEMENTS.has(tag)) {
+        return html;
+    }
+
+    if (props.dangerouslySetInnerHTML) {
+        html += props.dangerouslySetInnerHTML.__html || '';
+    } else if (tag === 'textarea' && props.value !== undefined && props.value !== null) {
+        html += escapeText(String(props.value));
+    } else {
+        // Options inside a <select> are selected by the select's value
+        const childContext = tag === 'select' && props.value !== undefined
+            ? { ...context, selectValue: String(props.value) }
+            : context;
+        html += await renderNode(props.children, childContext, parent);
+    }
+
+    return html + `</${tag}>`;
+}
+
+/**
+ * Render a VDX component: create a server instance, run its template and
+ * serialize the result inside the host element
+ */
+async function renderComponent(tag, definition, vnodeProps, context, parent) {
+    const { options } = definition;
+    const instance = createServerInstance(tag, definition, vnodeProps, parent);
+
+    let serverState = null;
+    if (options.serverPrefetch) {
+        await options.serverPrefetch.call(instance);
+        try {
+            serverState = JSON.stringify(instance.state);
+        } catch (e) {
+            console.warn(`[${tag}] State loaded by serverPrefetch() isn't JSON-serializable, so it won't be restored on the client:`, e);
+        }
+    }
+
+    if (options.styles && !options.shadow) {
+        // Same id the client uses, so it doesn't inject the styles a second time
+        const styleId = `component-styles-${options.name || tag.toUpperCase()}`;
+        if (!context.styles.has(styleId)) {
+            context.styles.set(styleId, scopeComponentStyles(options.styles, tag));
+        }
+    }
+
+    let content = '';
+    if (options.template) {
+        const result = options.template.call(instance);
+        if (result && result._compiled) {
+            content = await renderNode(applyValues(result._compiled, result._values || [], instance), context, instance);
+        }
+    }
+
+    // Attributes: primitive props, plus the host's own class/style/slot
+    const hostProps = {};
+    for (const [name, value] of Object.entries(vnodeProps)) {
+        if (value === null || typeof value !== 'object') {
+            hostProps[name] = value;
+        }
+    }
+    if (typeof vnodeProps._vdxStyle === 'string') {
+        hostProps.style = vnodeProps._vdxStyle;
+    }
+
+    let html = `<${tag}${renderAttributes(tag, hostProps, context)} ${HYDRATE_ATTR}`;
+    if (serverState) {
+        html += ` ${STATE_ATTR}="${escapeAttr(serverState)}"`;
+    }
+    html += '>';
+
+    if (options.shadow) {
+        // Declarative shadow DOM: attachShadow() in the browser adopts this root
+        const mode = options.shadow === 'closed' ? 'closed' : 'open';
+        const style = options.styles ? `<style>${options.styles}</style>` : '';
+        html += `<template shadowrootmode="${mode}">${style}${content}</template>`;
+
+        // Light DOM children stay outside, projected through <slot>
+        html += await renderNode(vnodeProps._vdxChildren, context, parent);
+        for (const children of Object.values(vnodeProps._vdxSlots || {})) {
+            html += await renderNode(children, context, parent);
+        }
+    } else {
+        html += content;
+    }
+
+    return html + `</${tag}>`;
+}
+
+/**
+ * Build the object a component's template runs against on the server:
+ * props, state, stores, bound methods, computed getters and provide/inject
+ */
+function createServerInstance(tag, definition, vnodeProps, parent) {
+    const { options, propDefs } = definition;
+
+    const instance = {
+        tagName: tag.toUpperCase(),
+        refs: {},
+        _vdxParent: parent,
+        _provides: null,
+
+        provide(key, value) {
+            if (!this._provides) {
+                this._provides = new Map();
+            }
+            this._provides.set(key, value);
+        },
+
+        inject(key, defaultValue) {
+            let current = this._vdxParent;
+            while (current) {
+                if (current._provides && current._provides.has(key)) {
+                    return current._provides.get(key);
+                }
+                current = current._vdxParent;
+            }
+            return defaultValue;
+        },
+
+        getAttribute(name) {
+            const value = vnodeProps[name];
+            return value === undefined || value === null || typeof value === 'object' ? null : String(value);
+        },
+
+        hasAttribute(name) {
+            return this.getAttribute(name) !== null;
+        }
+    };
+
+    // Props: defaults, then the values passed in (strings coerced like attributes)
+    const props = {
+        children: vnodeProps._vdxChildren || vnodeProps.children || [],
+        slots: vnodeProps._vdxSlots || {}
+    };
+    for (const [propName, def] of Object.entries(propDefs)) {
+        props[propName] = getPropDefault(def);
+    }
+    for (const [name, value] of Object.entries(vnodeProps)) {
+        if (SKIP_PROPS.has(name) || typeof value === 'function') {
+            continue;
+        }
+        // Template attributes keep their case, prop names may not
+        const propName = name in propDefs ? name
+            : Object.keys(propDefs).find(key => key.toLowerCase() === name.toLowerCase());
+        if (propName) {
+            props[propName] = coercePropValue(propDefs[propName], value);
+        }
+    }
+    instance.props = props;
+
+    if (options.stores) {
+        instance.stores = {};
+        for (const [storeName, store] of Object.entries(options.stores)) {
+            instance.stores[storeName] = reactive({ ...store.state });
+        }
+    }
+
+    if (options.methods) {
+        for (const [name, method] of Object.entries(options.methods)) {
+            instance[name] = method.bind(instance);
+        }
+    }
+
+    instance.state = reactive(options.data ? options.data.call(instance) : {});
+
+    if (options.computed) {
+        for (const [key, getter] of Object.entries(options.computed)) {
+            Object.defineProperty(instance, key, {
+                get: () => getter.call(instance),
+                enumerable: true
+            });
+        }
+    }
+
+    if (options.provide) {
+        const provided = typeof options.provide === 'function'
+            ? options.provide.call(instance)
+            : options.provide;
+        for (const key of Reflect.ownKeys(provided || {})) {
+            instance.provide(key, provided[key]);
+        }
+    }
+
+    return instance;
+}
+
+/**
+ * Serialize element props as HTML attributes
+ */
+function renderAttributes(tag, props, context) {
+    let html = '';
+
+    for (let [name, value] of Object.entries(props)) {
+        if (SKIP_PROPS.has(name) || value === null || value === undefined || value === false) {
+            continue;
+        }
+        // Event handlers and object props are only set by the client
+        if (typeof value === 'function' || (/^on[A-Z]/.test(name))) {
+            continue;
+        }
+        if (name === 'value' && (tag === 'textarea' || tag === 'select')) {
+            continue;
+        }
+
+        if (name === 'className') name = 'class';
+        else if (name === 'htmlFor') name = 'for';
+
+        if (name === 'style' && typeof value === 'object') {
+            value = Object.entries(value)
+                .map(([prop, val]) => `${prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}:${val}`)
+                .join(';');
+        } else if (typeof value === 'object') {
+            continue;
+        }
+
+        html += value === true ? ` ${name}` : ` ${name}="${escapeAttr(String(value))}"`;
+    }
+
+    if (tag === 'option' && context.selectValue !== undefined && !('selected' in props) &&
+        String(props.value ?? '') === context.selectValue) {
+        html += ' selected';
+    }
+
+    return html;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
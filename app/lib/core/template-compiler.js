@@ -11,7 +11,58 @@
 
 import { sanitizeUrl, isHtml, isRaw, OP } from './template.js';
 import { h, Fragment } from '../vendor/preact/index.js';
-import { componentDefinitions } from './component.js';
+import { componentDefinitions, handleComponentError } from './component.js';
+import { TransitionGroup } from './transition.js';
+import { createDirectiveRef } from './directives.js';
+
+// Debug hook (set by debug-enable.js) - reports template diagnostics
+let debugTemplateHook = null;
+
+/**
+ * Set debug hook for template diagnostics (parse errors, unknown methods,
+ * event modifiers and x-model paths). Called with (component, diagnostic).
+ * @param {Function|null} hook
+ */
+export function setDebugTemplateHook(hook) {
+    debugTemplateHook = hook;
+}
+
+// x-model modifiers (other x-model-* segments name the bound prop)
+const MODEL_MODIFIERS = new Set(['lazy', 'trim', 'number']);
+
+// Event modifiers that aren't key filters
+const BEHAVIOR_MODIFIERS = new Set(['prevent', 'stop', 'self', 'once', 'capture', 'passive']);
+
+// Modifiers that require a modifier key to be held, by event property
+const SYSTEM_KEY_MODIFIERS = { ctrl: 'ctrlKey', shift: 'shiftKey', alt: 'altKey', meta: 'metaKey' };
+
+// Events whose other modifiers are key filters
+const KEY_EVENTS = new Set(['keydown', 'keyup', 'keypress']);
+
+// Short names for KeyboardEvent.key values (other key modifiers match e.key lowercased)
+const KEY_ALIASES = {
+    esc: 'escape', space: ' ', up: 'arrowup', down: 'arrowdown',
+    left: 'arrowleft', right: 'arrowright', del: 'delete'
+};
+
+// Delay for on-*-debounce without a millisecond count
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// once and debounce state, per element and binding
+const firedOnce = new WeakMap();
+const debounceTimers = new WeakMap();
+
+// Props a ...${attrs} spread can't set: framework internals and raw HTML
+const SPREAD_BLOCKED_PROPS = new Set(['key', 'ref', 'children', 'dangerouslySetInnerHTML', 'srcdoc',
+    '_vdxChildren', '_vdxSlots', '_vdxStyle']);
+
+const VALID_ATTR_NAME = /^[a-zA-Z_:][\w:.-]*$/;
+
+// Unitless CSS properties - numbers for anything else get px (same rule as Preact)
+const NON_DIMENSIONAL_CSS = /acit|ex(?:s|g|n|p|$)|rph|grid|ows|mnc|ntw|ine[ch]|zoo|^ord|itera/i;
+
+// CSS values that could run script or end the declaration early
+const UNSAFE_CSS_VALUE = /[;{}<>\\]|expression\s*\(|javascript:|-moz-binding|behavior\s*:/i;
 
 // Boolean attributes that should be converted to actual booleans
 const BOOLEAN_ATTRS = new Set([
@@ -36,6 +87,20 @@ function getNestedValue(obj, path) {
     return current;
 }
 
+/**
+ * Check that every property along a dot-separated path exists
+ */
+function hasNestedPath(obj, path) {
+    let current = obj;
+    for (const part of path.split('.')) {
+        if (current === null || typeof current !== 'object' || !(part in current)) {
+            return false;
+        }
+        current = current[part];
+    }
+    return true;
+}
+
 /**
  * Set a nested value in an object using a dot-separated path
  */
@@ -70,6 +135,32 @@ const MAX_CACHE_SIZE = 500;
 /** Track cache access times for LRU eviction */
 const cacheAccessTimes = new Map();
 
+/**
+ * Op trees emitted by precompile-templates.js, keyed by the statics array the
+ * rewritten module passes to html``
+ * @type {WeakMap<ReadonlyArray<string>, {ops: Object, plainTags: string[]}>}
+ */
+const precompiledTemplates = new WeakMap();
+
+/**
+ * Component tags assumed while precompiling (the registry is empty at build time).
+ * Hyphenated tags looked up and not found are collected in buildTimePlainTags.
+ */
+let buildTimeComponentTags = null;
+let buildTimePlainTags = null;
+
+/**
+ * Check whether a tag is a VDX component
+ */
+function isComponentTag(tag) {
+    if (buildTimeComponentTags) {
+        if (buildTimeComponentTags.has(tag)) return true;
+        if (tag.includes('-')) buildTimePlainTags.add(tag);
+        return false;
+    }
+    return componentDefinitions.has(tag);
+}
+
 /**
  * Compile a template string into an optimized op-based structure
  * @param {TemplateStringsArray} strings - Template literal string parts
@@ -82,19 +173,22 @@ export function compileTemplate(strings) {
         return templateCache.get(strings);
     }
 
-    // Build full template string with slot markers
-    let fullTemplate = '';
-    for (let i = 0; i < strings.length; i++) {
-        fullTemplate += strings[i];
-        if (i < strings.length - 1) {
-            fullTemplate += `__SLOT_${i}__`;
+    // Precompiled at build time: no parsing, just build the static VNodes
+    const precompiled = precompiledTemplates.get(strings);
+    let compiled;
+    if (precompiled && !precompiled.plainTags.some(tag => componentDefinitions.has(tag))) {
+        compiled = linkPrecompiledOps(precompiled.ops);
+    } else {
+        const fullTemplate = joinTemplateStrings(strings);
+        const parsed = parseXMLToTree(fullTemplate);
+        compiled = buildOpTree(parsed);
+
+        // Kept for diagnostics - the template renders as nothing
+        if (parsed.parseError) {
+            compiled.parseError = { message: parsed.parseError, template: fullTemplate };
         }
     }
 
-    // Parse and build op-based structure
-    const parsed = parseXMLToTree(fullTemplate);
-    const compiled = buildOpTree(parsed);
-
     // Cache the compiled template
     templateCache.set(strings, compiled);
     cacheAccessTimes.set(strings, Date.now());
@@ -107,6 +201,72 @@ export function compileTemplate(strings) {
     return compiled;
 }
 
+/**
+ * Build the full template string with slot markers
+ */
+function joinTemplateStrings(strings) {
+    let fullTemplate = '';
+    for (let i = 0; i < strings.length; i++) {
+        fullTemplate += strings[i];
+        if (i < strings.length - 1) {
+            fullTemplate += `__SLOT_${i}__`;
+        }
+    }
+    return fullTemplate;
+}
+
+/**
+ * Compile a template at build time into a JSON-serializable op tree.
+ * Static subtrees keep their parsed nodes instead of VNodes, and component
+ * tags come from the given set instead of the runtime registry.
+ * @param {ReadonlyArray<string>} strings - Template literal string parts
+ * @param {Set<string>} componentTags - Tags defined with defineComponent()
+ * @returns {{ops: Object, plainTags: string[]}} Precompiled template for registerTemplate()
+ */
+export function precompileTemplate(strings, componentTags) {
+    buildTimeComponentTags = componentTags;
+    buildTimePlainTags = new Set();
+    try {
+        const ops = buildOpTree(parseXMLToTree(joinTemplateStrings(strings)));
+        return { ops, plainTags: [...buildTimePlainTags] };
+    } finally {
+        buildTimeComponentTags = null;
+        buildTimePlainTags = null;
+    }
+}
+
+/**
+ * Register a template precompiled by precompile-templates.js.
+ * Rewritten modules call html(statics, ...values) with the returned array, so
+ * compileTemplate() finds the op tree instead of parsing the strings.
+ * If a tag the build treated as a plain element has since been registered as
+ * a component, the template is compiled from its strings as usual.
+ * @param {string[]} strings - Template literal string parts
+ * @param {{ops: Object, plainTags: string[]}} precompiled - Output of precompileTemplate()
+ * @returns {ReadonlyArray<string>} Statics array to pass to html
+ */
+export function registerTemplate(strings, precompiled) {
+    const statics = Object.freeze(strings);
+    precompiledTemplates.set(statics, precompiled);
+    return statics;
+}
+
+/**
+ * Turn a precompiled op tree into a compiled template: static subtrees get
+ * their VNodes. Returns a copy, so the registered tree can be linked again
+ * after the template cache evicts it.
+ */
+function linkPrecompiledOps(op) {
+    if (op.op === OP.STATIC) {
+        const { node, ...rest } = op;
+        return { ...rest, vnode: buildStaticVNode(node) };
+    }
+    if (op.children && op.children.length > 0) {
+        return { ...op, children: op.children.map(linkPrecompiledOps) };
+    }
+    return op;
+}
+
 /**
  * Clean up least recently used templates
  */
@@ -131,16 +291,21 @@ function buildOpTree(node) {
 
     // Check if entire subtree is static (no dynamic slots)
     if (isFullyStatic(node)) {
-        // Pre-build the VNode at compile time!
-        const staticVNode = buildStaticVNode(node);
-        return {
+        const staticOp = {
             op: OP.STATIC,
-            vnode: staticVNode,
             // Keep type info for compatibility with existing code (e.g., each() checks child.children)
             type: 'fragment',
             children: [],  // Required for compatibility with each() helper
             isStatic: true
         };
+        if (buildTimeComponentTags) {
+            // Precompiled ops are serialized - the VNode is built when they're loaded
+            staticOp.node = node;
+        } else {
+            // Pre-build the VNode at compile time!
+            staticOp.vnode = buildStaticVNode(node);
+        }
+        return staticOp;
     }
 
     if (node.type === 'text') {
@@ -177,7 +342,7 @@ function buildOpTree(node) {
     }
 
     if (node.type === 'element') {
-        const isCustomElement = componentDefinitions.has(node.tag);
+        const isCustomElement = isComponentTag(node.tag);
 
         // Separate static props from dynamic props
         const staticProps = {};
@@ -186,7 +351,7 @@ function buildOpTree(node) {
         for (const [name, attrDef] of Object.entries(node.attrs || {})) {
             if (attrDef.value !== undefined && attrDef.slot === undefined &&
                 attrDef.slots === undefined && attrDef.xModel === undefined &&
-                attrDef.refName === undefined) {
+                attrDef.refName === undefined && attrDef.directive === undefined) {
                 // Fully static prop
                 staticProps[name] = attrDef.value;
             } else {
@@ -240,14 +405,15 @@ function isFullyStatic(node) {
 
     if (node.type === 'element') {
         // Custom elements are never static - they need special children handling (_vdxChildren)
-        if (componentDefinitions.has(node.tag)) {
+        if (isComponentTag(node.tag)) {
             return false;
         }
 
         // Check attrs for any dynamic content
         for (const attrDef of Object.values(node.attrs || {})) {
             if (attrDef.slot !== undefined || attrDef.slots !== undefined ||
-                attrDef.xModel !== undefined || attrDef.refName !== undefined) {
+                attrDef.xModel !== undefined || attrDef.refName !== undefined ||
+                attrDef.directive !== undefined) {
                 return false;
             }
         }
@@ -324,6 +490,10 @@ function buildStaticVNode(node) {
 export function applyValues(compiled, values, component = null) {
     if (!compiled) return null;
 
+    if (compiled.parseError && debugTemplateHook) {
+        debugTemplateHook(component, { type: 'parse', ...compiled.parseError });
+    }
+
     // Fast path: fully static - return pre-built VNode directly
     if (compiled.op === OP.STATIC) {
         return compiled.vnode;
@@ -416,6 +586,11 @@ function applyFragment(compiled, values, component) {
         })
         .filter(child => child !== undefined && child !== false && child !== null);
 
+    // each(..., { transition }) - rendered even when empty, so the last items can leave
+    if (compiled.transition) {
+        return h(TransitionGroup, compiled.transition, children);
+    }
+
     if (children.length === 0) return null;
 
     const props = compiled.key !== undefined ? { key: compiled.key } : null;
@@ -428,10 +603,23 @@ function applyFragment(compiled, values, component) {
 function applyElement(compiled, values, component) {
     const props = { ...compiled.staticProps };
     const isCustomElement = compiled.isCustomElement;
+    let spreads = null;
 
     // Apply dynamic props
     for (const { name, def } of compiled.dynamicProps) {
         const value = resolveProp(name, def, values, component, isCustomElement);
+        if (def.spread) {
+            (spreads || (spreads = [])).push(value);
+            continue;
+        }
+        if (def.directive !== undefined) {
+            // Bound even when the value is undefined, so the directive stays mounted
+            const directiveRef = createDirectiveRef(def.directive, value, component);
+            if (directiveRef) {
+                props.ref = chainRef(directiveRef, props.ref);
+            }
+            continue;
+        }
         if (value !== undefined) {
             // Remap HTML attributes to Preact props
             let propName = name;
@@ -444,7 +632,12 @@ function applyElement(compiled, values, component) {
 
             if (name === '__ref__') {
                 // Handle ref
-                props.ref = createRefCallback(def.refName, component);
+                props.ref = chainRef(createRefCallback(def.refName, component), props.ref);
+                continue;
+            }
+
+            if (def.context === 'x-model-multiple' || def.context === 'x-model-content') {
+                props.ref = createModelRef(def.context, value, props.ref);
                 continue;
             }
 
@@ -457,14 +650,21 @@ function applyElement(compiled, values, component) {
         }
     }
 
+    if (spreads) {
+        applySpreads(props, spreads, isCustomElement);
+    }
+
     // Apply events
     for (const { name, def } of compiled.events) {
         const handler = resolveEventHandler(name, def, values, component, isCustomElement);
         if (handler) {
+            const capture = hasEventModifier(def, 'capture');
             if (name === 'clickoutside' || name === 'click-outside') {
                 props.ref = createClickOutsideRef(handler, props.ref);
+            } else if (hasEventModifier(def, 'passive')) {
+                props.ref = createListenerRef(name, handler, { passive: true, capture }, props.ref);
             } else {
-                const propName = 'on' + name.charAt(0).toUpperCase() + name.slice(1);
+                const propName = 'on' + name.charAt(0).toUpperCase() + name.slice(1) + (capture ? 'Capture' : '');
                 props[propName] = handler;
             }
         }
@@ -503,10 +703,20 @@ function resolveProp(name, def, values, component, isCustomElement) {
     // x-model binding
     if (def.xModel !== undefined) {
         if (component && component.state) {
+            if (debugTemplateHook && !hasNestedPath(component.state, def.xModel)) {
+                debugTemplateHook(component, {
+                    type: 'x-model',
+                    message: `x-model="${def.xModel}" doesn't match a state property`
+                });
+            }
+
             let value = getNestedValue(component.state, def.xModel);
 
             if (def.context === 'x-model-checked') {
-                return !!value;
+                // Checkbox groups bind an array of the checked boxes' values
+                return Array.isArray(value) ? value.includes(resolveCheckboxValue(def, values)) : !!value;
+            } else if (def.context === 'x-model-multiple') {
+                return Array.isArray(value) ? value : [];
             } else if (def.context === 'x-model-radio') {
                 return value === def.radioValue;
             } else if (def.context === 'x-model-value' && isCustomElement &&
@@ -518,6 +728,23 @@ function resolveProp(name, def, values, component, isCustomElement) {
         return (def.context === 'x-model-checked' || def.context === 'x-model-radio') ? false : '';
     }
 
+    // Attribute spread: applied by applyElement after the element's own props
+    if (def.spread) {
+        return values[def.slot];
+    }
+
+    // Directive: hooks get the value as is, or the interpolated string
+    if (def.directive !== undefined) {
+        if (def.slot !== undefined) {
+            return values[def.slot];
+        }
+        if (def.slots !== undefined) {
+            return def.slots.reduce((text, slotIndex) =>
+                text.replace(`__SLOT_${slotIndex}__`, String(values[slotIndex] ?? '')), def.template);
+        }
+        return def.value;
+    }
+
     // Slot-based value
     if (def.slot !== undefined || def.slots !== undefined) {
         let value;
@@ -527,11 +754,11 @@ function resolveProp(name, def, values, component, isCustomElement) {
             value = def.template;
             for (const slotIndex of def.slots) {
                 const slotMarker = `__SLOT_${slotIndex}__`;
-                const slotValue = values[slotIndex];
+                const slotValue = normalizeAttrObject(name, values[slotIndex]);
                 value = value.replace(slotMarker, String(slotValue ?? ''));
             }
         } else {
-            value = values[def.slot];
+            value = normalizeAttrObject(name, values[def.slot]);
             if (def.template) {
                 value = def.template.replace(`__SLOT_${def.slot}__`, String(value));
             }
@@ -558,6 +785,138 @@ function resolveProp(name, def, values, component, isCustomElement) {
     return def.value;
 }
 
+/**
+ * Turn object and array values for class and style into attribute strings.
+ * Other values are returned unchanged.
+ */
+function normalizeAttrObject(name, value) {
+    if (value === null || typeof value !== 'object' || isHtml(value) || isRaw(value)) {
+        return value;
+    }
+    if (name === 'class') return normalizeClass(value);
+    if (name === 'style') return normalizeStyle(value);
+    return value;
+}
+
+/**
+ * Build a class string from a string, an array (nested arrays and objects
+ * allowed) or an object whose truthy keys are the classes
+ * @example
+ * normalizeClass(['btn', { active: true, disabled: false }])  // 'btn active'
+ */
+function normalizeClass(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) {
+        return value.map(normalizeClass).filter(Boolean).join(' ');
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).filter(key => value[key]).join(' ');
+    }
+    return typeof value === 'number' ? String(value) : '';
+}
+
+/**
+ * Build a style string from an object (or array of objects) of CSS properties.
+ * Property names may be camelCase or custom properties, numbers get px where
+ * the property takes a length, and null/undefined/false entries are skipped.
+ * Values that could run script or add declarations are dropped with a warning,
+ * and url() only accepts URLs sanitizeUrl allows.
+ * @example
+ * normalizeStyle({ width: 120, backgroundColor: color, '--gap': '4px' })
+ * // 'width: 120px; background-color: red; --gap: 4px'
+ */
+function normalizeStyle(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) {
+        return value.map(normalizeStyle).filter(Boolean).join('; ');
+    }
+    if (!value || typeof value !== 'object') return '';
+
+    const declarations = [];
+    for (const [key, raw] of Object.entries(value)) {
+        if (raw === null || raw === undefined || raw === false || raw === '') continue;
+
+        const property = key.startsWith('--') ? key : key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+        if (!/^-?-?[a-zA-Z][\w-]*$/.test(property)) {
+            console.warn('[Security] Blocked invalid CSS property name:', key);
+            continue;
+        }
+
+        const cssValue = typeof raw === 'number' && raw !== 0 && !property.startsWith('--') &&
+            !NON_DIMENSIONAL_CSS.test(property) ? `${raw}px` : String(raw);
+        if (!isSafeCssValue(cssValue)) {
+            console.warn(`[Security] Blocked unsafe CSS value for ${property}:`, cssValue);
+            continue;
+        }
+        declarations.push(`${property}: ${cssValue}`);
+    }
+    return declarations.join('; ');
+}
+
+/**
+ * Check a CSS value from a style object: no declaration breakouts or script,
+ * and url() only with safe schemes
+ */
+function isSafeCssValue(cssValue) {
+    if (UNSAFE_CSS_VALUE.test(cssValue)) return false;
+
+    const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+    for (const match of cssValue.matchAll(urlPattern)) {
+        if (!sanitizeUrl(match[2])) return false;
+    }
+    // Any url( left over is unterminated
+    return !/url\(/i.test(cssValue.replace(urlPattern, ''));
+}
+
+/**
+ * Apply ...${attrs} spreads to an element's props. The element's own
+ * attributes win, except class and style, which are combined with the
+ * spread's (the element's style declarations come last, so they take effect).
+ * Event handlers are only taken as functions (onClick), and URLs are sanitized.
+ */
+function applySpreads(props, spreads, isCustomElement) {
+    for (const spread of spreads) {
+        if (!spread || typeof spread !== 'object') continue;
+
+        for (const [name, value] of Object.entries(spread)) {
+            if (value === null || value === undefined || value === false) continue;
+            if (SPREAD_BLOCKED_PROPS.has(name) || !VALID_ATTR_NAME.test(name)) continue;
+
+            if (/^on/i.test(name)) {
+                if (/^on[A-Z]/.test(name) && typeof value === 'function' && !(name in props)) {
+                    props[name] = value;
+                }
+                continue;
+            }
+
+            if (name === 'class' || name === 'className') {
+                const own = props.className ?? props.class;
+                delete props.class;
+                props.className = [normalizeClass(value), own].filter(Boolean).join(' ');
+                continue;
+            }
+
+            if (name === 'style') {
+                const styleProp = isCustomElement ? '_vdxStyle' : 'style';
+                const own = props[styleProp];
+                const style = normalizeStyle(value).replace(/;\s*$/, '');
+                props[styleProp] = own ? `${style}; ${own}` : style;
+                continue;
+            }
+
+            if (name in props || (name === 'for' && 'htmlFor' in props)) continue;
+
+            if (name === 'href' || name === 'src' || name === 'action') {
+                props[name] = sanitizeUrl(value) || '';
+            } else if (isCustomElement || typeof value === 'boolean') {
+                props[name] = value;
+            } else if (typeof value !== 'object' && typeof value !== 'function') {
+                props[name] = String(value);
+            }
+        }
+    }
+}
+
 /**
  * Create a ref callback for component refs
  */
@@ -589,7 +948,7 @@ function createClickOutsideRef(handler, existingRef) {
 
         if (el) {
             const documentHandler = (e) => {
-                if (!el.contains(e.target)) {
+                if (!containsAcrossPortals(el, e.target)) {
                     handler(e);
                 }
             };
@@ -602,6 +961,192 @@ function createClickOutsideRef(handler, existingRef) {
     };
 }
 
+/**
+ * Whether node is inside el, counting content an <x-portal> inside el moved elsewhere
+ */
+function containsAcrossPortals(el, node) {
+    while (node) {
+        if (el.contains(node)) return true;
+        const portalContent = node.closest ? node.closest('[data-vdx-portal]') : null;
+        node = portalContent && portalContent._vdxPortalHost;
+    }
+    return false;
+}
+
+/**
+ * The value a bound checkbox stands for in an array model
+ */
+function resolveCheckboxValue(def, values) {
+    return def.valueSlot !== undefined ? values[def.valueSlot] : def.checkboxValue;
+}
+
+/**
+ * Apply x-model's trim and number modifiers to a value from the element
+ */
+function applyModelModifiers(value, modifiers) {
+    if (Array.isArray(value)) {
+        return value.map(item => applyModelModifiers(item, modifiers));
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (modifiers.includes('trim')) {
+        value = value.trim();
+    }
+    if (modifiers.includes('number')) {
+        // Like parseFloat, but keep what the user typed when it isn't a number
+        const number = parseFloat(value);
+        if (!isNaN(number)) value = number;
+    }
+    return value;
+}
+
+/**
+ * Create a ref callback that syncs a model Preact props can't express:
+ * the selected options of a <select multiple>, or a contenteditable's text
+ */
+function createModelRef(context, value, existingRef) {
+    return (el) => {
+        if (existingRef) existingRef(el);
+        if (!el) return;
+
+        if (context === 'x-model-multiple') {
+            const selected = Array.isArray(value) ? value.map(String) : [];
+            for (const option of el.options) {
+                option.selected = selected.includes(option.value);
+            }
+        } else if (el.textContent !== String(value ?? '')) {
+            // Only when it differs, so typing doesn't reset the caret
+            el.textContent = value ?? '';
+        }
+    };
+}
+
+/**
+ * Compose a ref callback with one already on the element's props
+ */
+function chainRef(ref, existingRef) {
+    return existingRef ? (el) => { existingRef(el); ref(el); } : ref;
+}
+
+/**
+ * Create a ref callback that adds an event listener itself, for listener
+ * options Preact's on* props can't express (passive)
+ */
+function createListenerRef(eventName, handler, options, existingRef) {
+    let lastEl = null;
+
+    return (el) => {
+        if (existingRef) existingRef(el);
+
+        if (lastEl) {
+            lastEl.removeEventListener(eventName, handler, options);
+        }
+        if (el) {
+            el.addEventListener(eventName, handler, options);
+        }
+        lastEl = el;
+    };
+}
+
+/**
+ * Check whether an event binding, or one chained with it, has a modifier
+ */
+function hasEventModifier(def, modifier) {
+    for (let current = def; current; current = current._chainWith) {
+        if (current.modifiers && current.modifiers.includes(modifier)) return true;
+    }
+    return false;
+}
+
+/**
+ * Clear the pending debounced calls of an element
+ */
+function clearDebounceTimers(el) {
+    const timers = debounceTimers.get(el);
+    if (timers) {
+        timers.forEach(timer => clearTimeout(timer));
+        debounceTimers.delete(el);
+    }
+}
+
+/**
+ * Wrap a handler with its binding's modifiers: key and system-key filters,
+ * self, once, prevent, stop and debounce. capture and passive are listener
+ * options, applied when the handler is bound.
+ */
+function applyEventModifiers(handler, def, eventName, component) {
+    const modifiers = def.modifiers;
+    const keys = [];
+    const systemKeys = [];
+    for (const modifier of modifiers) {
+        if (SYSTEM_KEY_MODIFIERS[modifier]) {
+            systemKeys.push(SYSTEM_KEY_MODIFIERS[modifier]);
+        } else if (BEHAVIOR_MODIFIERS.has(modifier)) {
+            continue;
+        } else if (KEY_EVENTS.has(eventName)) {
+            keys.push(KEY_ALIASES[modifier] || modifier);
+        } else if (component && debugTemplateHook) {
+            // Ignored: a key filter could never match here, most likely a typo
+            debugTemplateHook(component, {
+                type: 'modifier',
+                message: `on-${[eventName, ...modifiers].join('-')}${def.method ? `="${def.method}"` : ''} has an unknown modifier "${modifier}"`
+            });
+        }
+    }
+    const self = modifiers.includes('self');
+    const once = modifiers.includes('once');
+    const prevent = modifiers.includes('prevent');
+    const stop = modifiers.includes('stop');
+
+    let run = handler;
+    if (def.debounce !== undefined) {
+        run = (e, ...args) => {
+            const el = e.currentTarget;
+            let timers = debounceTimers.get(el);
+            if (!timers) {
+                timers = new Map();
+                debounceTimers.set(el, timers);
+                // Pending calls don't outlive the component
+                if (component && component._cleanups) {
+                    component._cleanups.push(() => clearDebounceTimers(el));
+                }
+            }
+            clearTimeout(timers.get(def));
+            timers.set(def, setTimeout(async () => {
+                timers.delete(def);
+                // Removed from the page while waiting
+                if (!el.isConnected) return;
+                // currentTarget is null once dispatch is over
+                Object.defineProperty(e, 'currentTarget', { value: el, configurable: true });
+                try {
+                    await handler(e, ...args);
+                } catch (err) {
+                    handleComponentError(err, component, 'event');
+                }
+            }, def.debounce));
+        };
+    }
+
+    return (e, ...args) => {
+        if (self && e.target !== e.currentTarget) return;
+        if (keys.length > 0 && !keys.includes(String(e.key).toLowerCase())) return;
+        if (systemKeys.some(key => !e[key])) return;
+
+        if (once) {
+            // Per element, not per render - handlers are recreated on every render
+            const fired = firedOnce.get(e.currentTarget) || new Set();
+            if (fired.has(def)) return;
+            fired.add(def);
+            firedOnce.set(e.currentTarget, fired);
+        }
+
+        if (prevent) e.preventDefault();
+        if (stop) e.stopPropagation();
+        return run(e, ...args);
+    };
+}
+
 /**
  * Resolve an event handler
  */
@@ -616,12 +1161,36 @@ function resolveEventHandler(eventName, def, values, component, isCustomElement)
                 let value;
 
                 if (def.customElement) {
-                    value = (e.detail && e.detail.value !== undefined) ? e.detail.value : e.detail;
+                    const detail = e.detail;
+                    if (detail && detail.prop !== undefined && detail.prop !== 'value') {
+                        // emitChange(e, value, propName) updates a named model
+                        if (detail.prop !== def.modelProp) return;
+                        value = detail.value;
+                    } else if (def.modelProp !== 'value') {
+                        // A named model can also take its field from an object value,
+                        // e.g. x-model-first on cl-paginator's { first, page, rows }
+                        if (!detail || !detail.value || typeof detail.value !== 'object' ||
+                            !(def.modelProp in detail.value)) return;
+                        value = detail.value[def.modelProp];
+                    } else {
+                        value = (detail && detail.value !== undefined) ? detail.value : detail;
+                    }
+                } else if (def.contentEditable) {
+                    value = e.currentTarget.textContent;
                 } else {
                     const target = e.target;
 
                     if (target.type === 'checkbox') {
-                        value = target.checked;
+                        const current = getNestedValue(component.state, propName);
+                        if (Array.isArray(current)) {
+                            const boxValue = resolveCheckboxValue(def, values);
+                            value = current.filter(item => item !== boxValue);
+                            if (target.checked) value.push(boxValue);
+                        } else {
+                            value = target.checked;
+                        }
+                    } else if (target.multiple && target.selectedOptions) {
+                        value = Array.from(target.selectedOptions, option => option.value);
                     } else if (target.type === 'radio') {
                         if (target.checked) {
                             value = target.value;
@@ -638,6 +1207,9 @@ function resolveEventHandler(eventName, def, values, component, isCustomElement)
                     }
                 }
 
+                if (def.modelModifiers) {
+                    value = applyModelModifiers(value, def.modelModifiers);
+                }
                 setNestedValue(component.state, propName, value);
             }
         };
@@ -647,17 +1219,17 @@ function resolveEventHandler(eventName, def, values, component, isCustomElement)
         handler = def.handler;
     } else if (def.method && component && component[def.method]) {
         handler = component[def.method].bind(component);
+    } else if (def.method && component && debugTemplateHook) {
+        debugTemplateHook(component, {
+            type: 'method',
+            message: `on-${[eventName === 'clickoutside' ? 'click-outside' : eventName, ...(def.modifiers || [])].join('-')}="${def.method}" doesn't match a method`
+        });
     }
 
     if (handler && typeof handler === 'function') {
         // Apply modifiers
-        if (def.modifier === 'prevent') {
-            const orig = handler;
-            handler = (e) => { e.preventDefault(); return orig(e); };
-        }
-        if (def.modifier === 'stop') {
-            const orig = handler;
-            handler = (e) => { e.stopPropagation(); return orig(e); };
+        if (def.modifiers && (def.modifiers.length > 0 || def.debounce !== undefined)) {
+            handler = applyEventModifiers(handler, def, eventName, component);
         }
 
         // Chain with existing handler if needed
@@ -677,6 +1249,22 @@ function resolveEventHandler(eventName, def, values, component, isCustomElement)
                 return orig(e, value);
             };
         }
+
+        // Route handler errors (sync or async) to the component's error boundaries
+        if (component) {
+            const orig = handler;
+            handler = (...args) => {
+                try {
+                    const result = orig(...args);
+                    if (result && typeof result.then === 'function') {
+                        result.then(null, err => handleComponentError(err, component, 'event'));
+                    }
+                    return result;
+                } catch (err) {
+                    handleComponentError(err, component, 'event');
+                }
+            };
+        }
     }
 
     return handler;
@@ -730,7 +1318,14 @@ function parseXMLToTree(xmlString) {
     xmlString = xmlString.replace(tagPattern, (fullMatch, tagName, attrs) => {
         if (fullMatch.startsWith('</')) return fullMatch;
 
-        let processedAttrs = attrs;
+        // ...${attrs} spreads become x-spread-<slot> attributes for nodeToTree,
+        // and directives without a value (<input x-autofocus>) get an empty one
+        let processedAttrs = attrs.split(/("[^"]*"|'[^']*')/).map((part, index) =>
+            index % 2 === 0
+                ? part.replace(/(^|\s)\.\.\.__SLOT_(\d+)__/g, '$1x-spread-$2="__SLOT_$2__"')
+                    .replace(/(\sx-[\w-]+)(?=\s|\/|$)/g, '$1=""')
+                : part
+        ).join('');
         for (const boolAttr of booleanAttrs) {
             const pattern = new RegExp(`(\\s${boolAttr})(?=\\s|>|/|$)`, 'gi');
             const parts = processedAttrs.split(/("[^"]*"|'[^']*')/);
@@ -754,16 +1349,27 @@ function parseXMLToTree(xmlString) {
         });
     });
 
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(`<root>${xmlString}</root>`, 'text/xml');
+    let root;
+    if (typeof DOMParser !== 'undefined') {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(`<root>${xmlString}</root>`, 'text/xml');
 
-    const parseError = doc.querySelector('parsererror');
-    if (parseError) {
-        console.error('[parseXMLToTree] Parse error:', parseError.textContent);
-        return { type: 'fragment', wrapped: false, children: [] };
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            console.error('[parseXMLToTree] Parse error:', parseError.textContent);
+            return { type: 'fragment', wrapped: false, children: [], parseError: parseError.textContent };
+        }
+
+        root = doc.documentElement;
+    } else {
+        // No DOM (build-time prerendering in Node)
+        root = parseXMLWithoutDOM(xmlString);
+        if (!root) {
+            console.error('[parseXMLToTree] Parse error: mismatched tags in', xmlString);
+            return { type: 'fragment', wrapped: false, children: [], parseError: 'Mismatched tags' };
+        }
     }
 
-    const root = doc.documentElement;
     if (!root) {
         return { type: 'fragment', wrapped: false, children: [] };
     }
@@ -783,11 +1389,130 @@ function parseXMLToTree(xmlString) {
     return { type: 'fragment', wrapped: false, children };
 }
 
+// DOM node types (the Node global doesn't exist outside the browser)
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML entities and character references in text or an attribute value
+ */
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+/**
+ * Minimal XML parser for environments without DOMParser.
+ * Handles the well-formed markup parseXMLToTree produces (void elements
+ * self-closed, boolean attributes given values) and returns nodes with the
+ * subset of the DOM interface nodeToTree reads.
+ * @param {string} xml - Preprocessed template markup
+ * @returns {Object|null} Root element node, or null if tags don't match
+ */
+function parseXMLWithoutDOM(xml) {
+    const createElement = (tagName, attributes) => ({
+        nodeType: ELEMENT_NODE,
+        tagName,
+        attributes,
+        childNodes: [],
+        getAttribute(name) {
+            const attr = attributes.find(a => a.name === name);
+            return attr ? attr.value : null;
+        },
+        hasAttribute(name) {
+            return attributes.some(a => a.name === name);
+        }
+    });
+
+    const root = createElement('root', []);
+    const stack = [root];
+    const appendText = (text) => {
+        if (text) {
+            stack[stack.length - 1].childNodes.push({ nodeType: TEXT_NODE, textContent: decodeXMLEntities(text) });
+        }
+    };
+
+    const tagPattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w:.-]*)\s*>|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+    const attrPattern = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(xml))) {
+        appendText(xml.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        if (match[0].startsWith('<!--')) {
+            stack[stack.length - 1].childNodes.push({ nodeType: COMMENT_NODE, textContent: '' });
+        } else if (match[1]) {
+            // Closing tag must match the innermost open element
+            const el = stack.pop();
+            if (stack.length === 0 || el.tagName !== match[1]) {
+                return null;
+            }
+        } else {
+            const attributes = [];
+            let attrMatch;
+            attrPattern.lastIndex = 0;
+            while ((attrMatch = attrPattern.exec(match[3]))) {
+                const raw = attrMatch[2] ?? attrMatch[3] ?? '';
+                // XML attribute value normalization: tabs and newlines become spaces
+                attributes.push({ name: attrMatch[1], value: decodeXMLEntities(raw.replace(/[\t\n\r]/g, ' ')) });
+            }
+
+            const el = createElement(match[2], attributes);
+            stack[stack.length - 1].childNodes.push(el);
+            if (!match[4]) {
+                stack.push(el);
+            }
+        }
+    }
+    appendText(xml.slice(lastIndex));
+
+    return stack.length === 1 ? root : null;
+}
+
+/**
+ * Add an event binding, chaining it after an earlier one for the same event
+ */
+function addEventDef(events, eventName, def) {
+    if (events[eventName]) {
+        def._chainWith = events[eventName];
+    }
+    events[eventName] = def;
+}
+
+/**
+ * Split on-* modifiers into the modifier list and the debounce delay.
+ * `debounce` takes an optional millisecond count: on-input-debounce-300.
+ * @param {string[]} parts - Dash-separated segments after the event name
+ * @returns {{modifiers: string[], debounce?: number}}
+ */
+function parseEventModifiers(parts) {
+    const result = { modifiers: [] };
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i] === 'debounce') {
+            const delay = /^\d+$/.test(parts[i + 1] || '') ? parseInt(parts[++i], 10) : DEFAULT_DEBOUNCE_MS;
+            result.debounce = delay;
+        } else if (parts[i]) {
+            result.modifiers.push(parts[i]);
+        }
+    }
+    return result;
+}
+
 /**
  * Convert DOM node to tree structure
  */
 function nodeToTree(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
+    if (node.nodeType === TEXT_NODE) {
         const text = node.textContent;
 
         const slotMatch = text.match(/^__SLOT_(\d+)__$/);
@@ -819,7 +1544,7 @@ function nodeToTree(node) {
         return null;
     }
 
-    if (node.nodeType === Node.ELEMENT_NODE) {
+    if (node.nodeType === ELEMENT_NODE) {
         const tag = node.tagName.toLowerCase();
         const attrs = {};
         const events = {};
@@ -828,69 +1553,107 @@ function nodeToTree(node) {
             const name = attr.name;
             const value = attr.value;
 
-            // x-model
-            if (name === 'x-model') {
-                const isCustomElement = componentDefinitions.has(tag);
+            // x-model[-<prop>][-lazy|-trim|-number]
+            if (name === 'x-model' || name.startsWith('x-model-')) {
+                const segments = name.split('-').slice(2);
+                const modelModifiers = segments.filter(segment => MODEL_MODIFIERS.has(segment));
+                const modelProp = segments.filter(segment => !MODEL_MODIFIERS.has(segment)).join('-') || 'value';
+                const model = { xModel: value };
+                if (modelModifiers.length > 0) {
+                    model.modelModifiers = modelModifiers;
+                }
+                const lazy = modelModifiers.includes('lazy');
 
-                if (isCustomElement) {
-                    attrs['value'] = { xModel: value, context: 'x-model-value' };
-                    events['change'] = { xModel: value, modifier: null, customElement: true };
+                if (isComponentTag(tag)) {
+                    // Named models bind another prop: x-model-visible="dialogOpen"
+                    attrs[modelProp] = { ...model, context: 'x-model-value' };
+                    addEventDef(events, 'change', { ...model, customElement: true, modelProp });
                 } else {
+                    if (modelProp !== 'value') {
+                        console.warn(`[x-model] ${name}: named models only work on components, binding <${tag}>'s value`);
+                    }
                     const inputType = node.getAttribute('type');
 
                     if (inputType === 'checkbox') {
-                        attrs['checked'] = { xModel: value, context: 'x-model-checked' };
-                        events['change'] = { xModel: value, modifier: null };
+                        // The value attribute is what an array model holds for this box
+                        const boxValue = node.getAttribute('value');
+                        const slotMatch = boxValue && boxValue.match(/^__SLOT_(\d+)__$/);
+                        const checkbox = slotMatch ? { valueSlot: parseInt(slotMatch[1], 10) }
+                            : { checkboxValue: boxValue === null ? 'on' : boxValue };
+                        attrs['checked'] = { ...model, ...checkbox, context: 'x-model-checked' };
+                        addEventDef(events, 'change', { ...model, ...checkbox });
                     } else if (inputType === 'radio') {
                         const radioValue = node.getAttribute('value');
-                        attrs['checked'] = { xModel: value, radioValue, context: 'x-model-radio' };
-                        events['change'] = { xModel: value, modifier: null };
+                        attrs['checked'] = { ...model, radioValue, context: 'x-model-radio' };
+                        addEventDef(events, 'change', model);
                     } else if (inputType === 'file') {
-                        events['change'] = { xModel: value, modifier: null };
+                        addEventDef(events, 'change', model);
+                    } else if (tag === 'select' && node.hasAttribute('multiple')) {
+                        attrs['value'] = { ...model, context: 'x-model-multiple' };
+                        addEventDef(events, 'change', model);
+                    } else if (node.hasAttribute('contenteditable')) {
+                        attrs['value'] = { ...model, context: 'x-model-content' };
+                        addEventDef(events, lazy ? 'blur' : 'input', { ...model, contentEditable: true });
                     } else {
-                        attrs['value'] = { xModel: value, context: 'x-model-value' };
-                        events['input'] = { xModel: value, modifier: null };
+                        attrs['value'] = { ...model, context: 'x-model-value' };
+                        addEventDef(events, lazy ? 'change' : 'input', model);
                     }
                 }
                 continue;
             }
 
+            // Attribute spread: ...${attrs}
+            if (name.startsWith('x-spread-')) {
+                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+                if (slotMatch) {
+                    attrs[name] = { slot: parseInt(slotMatch[1], 10), spread: true };
+                }
+                continue;
+            }
+
             // ref
             if (name === 'ref') {
                 attrs['__ref__'] = { refName: value };
                 continue;
             }
 
-            // on-* events
+            // Directives: x-<name>, registered with defineDirective()
+            if (name.startsWith('x-')) {
+                const slotMatch = value.match(/^__SLOT_(\d+)__$/);
+                if (slotMatch) {
+                    attrs[name] = { directive: name, slot: parseInt(slotMatch[1], 10) };
+                } else if (value.includes('__SLOT_')) {
+                    const slots = value.match(/__SLOT_\d+__/g).map(m => parseInt(m.slice(7), 10));
+                    attrs[name] = { directive: name, slots, template: value };
+                } else {
+                    attrs[name] = { directive: name, value };
+                }
+                continue;
+            }
+
+            // on-* events: on-<event>[-<modifier>...]
             if (name.startsWith('on-')) {
-                const fullEventName = name.substring(3);
-                let eventName, modifier;
+                const parts = name.substring(3).split('-');
+                let eventName = parts.shift();
 
-                if (fullEventName === 'click-outside') {
+                if (eventName === 'click' && parts[0] === 'outside') {
                     eventName = 'clickoutside';
-                    modifier = null;
-                } else {
-                    const parts = fullEventName.split('-');
-                    eventName = parts[0];
-                    modifier = parts.length > 1 ? parts[parts.length - 1] : null;
+                    parts.shift();
                 }
 
                 const slotMatch = value.match(/^__SLOT_(\d+)__$/);
                 let newHandler;
 
                 if (slotMatch) {
-                    newHandler = { slot: parseInt(slotMatch[1], 10), modifier };
+                    newHandler = { slot: parseInt(slotMatch[1], 10) };
                 } else if (value.match(/__EVENT_/)) {
-                    newHandler = { handler: value, modifier };
+                    newHandler = { handler: value };
                 } else {
-                    newHandler = { method: value, modifier };
-                }
-
-                if (events[eventName]) {
-                    newHandler._chainWith = events[eventName];
+                    newHandler = { method: value };
                 }
+                Object.assign(newHandler, parseEventModifiers(parts));
 
-                events[eventName] = newHandler;
+                addEventDef(events, eventName, newHandler);
                 continue;
             }
 
@@ -939,7 +1702,7 @@ function nodeToTree(node) {
         return { type: 'element', tag, attrs, events, slotProps: {}, children };
     }
 
-    if (node.nodeType === Node.COMMENT_NODE) {
+    if (node.nodeType === COMMENT_NODE) {
         return null;
     }
 
@@ -209,8 +209,19 @@ export function when(condition, thenValue, elseValue = null) {
  * @param {Array} array - Array to iterate over
  * @param {Function} mapFn - Function to map each item to a template
  * @param {Function} [keyFn] - Optional function to extract unique key from each item (e.g., item => item.id)
+ * @param {Object} [options]
+ * @param {string|Object} [options.transition] - Transition name, or { name, duration, appear }:
+ *   items get enter/leave classes and slide to new positions when reordered (needs keyFn)
  */
-export function each(array, mapFn, keyFn = null) {
+export function each(array, mapFn, keyFn = null, options = null) {
+    const transition = options && options.transition
+        ? (typeof options.transition === 'string' ? { name: options.transition } : options.transition)
+        : null;
+
+    if (transition && !Array.isArray(array)) {
+        array = [];
+    }
+
     if (!array || !Array.isArray(array)) {
         // Return empty fragment
         return {
@@ -284,7 +295,8 @@ export function each(array, mapFn, keyFn = null) {
             type: 'fragment',
             wrapped: false,  // Unwrapped fragments spread their children into parent
             fromEach: true,   // Mark as from each() to distinguish from nested html() templates
-            children: compiledChildren
+            children: compiledChildren,
+            transition
         },
         toString() {
             return '';  // Not used in production
@@ -0,0 +1,374 @@
+/**
+ * Transitions
+ * Enter/leave CSS classes for content Preact adds and removes, and FLIP move
+ * animations for keyed lists. Used by <x-transition> and each(..., { transition }).
+ *
+ * For a transition named "fade" the classes are:
+ * - fade-enter-from, fade-enter-active, fade-enter-to while an element enters
+ * - fade-leave-from, fade-leave-active, fade-leave-to while it leaves
+ * - fade-move while a list item slides to its new position
+ *
+ * Removed content stays in the DOM until its leave transition ends
+ * (transitionend/animationend, or the CSS duration as a fallback).
+ *
+ * @module core/transition
+ */
+
+import { Component, Fragment, h } from '../vendor/preact/index.js';
+
+// Cancels the running enter/leave of an element
+const activeTransitions = new WeakMap();
+
+// Cancels the running move of an element
+const activeMoves = new WeakMap();
+
+/**
+ * Run an enter or leave transition on an element
+ * @param {Element} el - Element to animate
+ * @param {string} name - Transition name (class prefix)
+ * @param {'enter'|'leave'} phase - Which classes to apply
+ * @param {number} [duration] - Milliseconds to wait instead of reading the CSS
+ * @returns {Promise<boolean>} True when the transition finished, false if it was cancelled
+ */
+export function runTransition(el, name, phase, duration) {
+    cancelTransition(el);
+
+    const fromClass = `${name}-${phase}-from`;
+    const activeClass = `${name}-${phase}-active`;
+    const toClass = `${name}-${phase}-to`;
+    el.classList.add(fromClass, activeClass);
+
+    return new Promise(resolve => {
+        let stopWaiting = null;
+        let done = false;
+
+        const finish = (completed) => {
+            if (done) return;
+            done = true;
+            if (stopWaiting) stopWaiting();
+            el.classList.remove(fromClass, activeClass, toClass);
+            if (activeTransitions.get(el) === cancel) {
+                activeTransitions.delete(el);
+            }
+            resolve(completed);
+        };
+        const cancel = () => finish(false);
+        activeTransitions.set(el, cancel);
+
+        // The from state has to be painted before switching to the to state
+        afterNextFrame(() => {
+            if (done) return;
+            el.classList.remove(fromClass);
+            el.classList.add(toClass);
+            stopWaiting = waitForTransitionEnd(el, duration, () => finish(true));
+        });
+    });
+}
+
+/**
+ * Stop an element's running enter or leave transition, removing its classes
+ * @param {Element} el
+ */
+export function cancelTransition(el) {
+    const cancel = el && activeTransitions.get(el);
+    if (cancel) cancel();
+}
+
+/**
+ * Call done when the element's transitions or animations end. Without an
+ * explicit duration, the longest CSS transition/animation is awaited, with a
+ * timer as a fallback for properties that never fire an end event.
+ * @returns {Function} Stops waiting without calling done
+ */
+function waitForTransitionEnd(el, duration, done) {
+    const explicit = typeof duration === 'number' && !isNaN(duration);
+    const timing = explicit ? { timeout: duration, longest: Infinity } : getTransitionTiming(el);
+
+    if (timing.timeout <= 0) {
+        done();
+        return () => {};
+    }
+
+    const stop = () => {
+        clearTimeout(timer);
+        el.removeEventListener('transitionend', onEnd);
+        el.removeEventListener('animationend', onEnd);
+    };
+    const onEnd = (e) => {
+        // Ignore bubbling ends from children and shorter properties
+        if (e.target === el && e.elapsedTime * 1000 + 1 >= timing.longest) {
+            stop();
+            done();
+        }
+    };
+
+    if (!explicit) {
+        el.addEventListener('transitionend', onEnd);
+        el.addEventListener('animationend', onEnd);
+    }
+    const timer = setTimeout(() => {
+        stop();
+        done();
+    }, explicit ? timing.timeout : timing.timeout + 50);
+
+    return stop;
+}
+
+/**
+ * Read an element's CSS transition and animation times
+ * @returns {{timeout: number, longest: number}} Longest delay + duration, and longest duration (ms)
+ */
+function getTransitionTiming(el) {
+    if (typeof getComputedStyle !== 'function') {
+        return { timeout: 0, longest: 0 };
+    }
+
+    const style = getComputedStyle(el);
+    let timeout = 0;
+    let longest = 0;
+
+    for (const [durations, delays] of [
+        [style.transitionDuration, style.transitionDelay],
+        [style.animationDuration, style.animationDelay]
+    ]) {
+        const durationList = parseTimeList(durations);
+        const delayList = parseTimeList(delays);
+        durationList.forEach((time, i) => {
+            // Delays repeat to match the number of durations, like in CSS
+            const delay = delayList.length ? delayList[i % delayList.length] : 0;
+            timeout = Math.max(timeout, time + delay);
+            longest = Math.max(longest, time);
+        });
+    }
+
+    return { timeout, longest };
+}
+
+/**
+ * Parse a CSS time list ("0.3s, 200ms") into milliseconds
+ */
+function parseTimeList(value) {
+    if (!value) return [];
+    return value.split(',').map(time => {
+        const ms = parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000);
+        return isNaN(ms) ? 0 : ms;
+    });
+}
+
+/**
+ * Run fn after the browser has painted the current frame
+ */
+function afterNextFrame(fn) {
+    if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(() => requestAnimationFrame(fn));
+    } else {
+        setTimeout(fn, 16);
+    }
+}
+
+/**
+ * FLIP: show the element at its old position, then let the move class
+ * transition it to where it is now
+ * @param {Element} el - Element that moved
+ * @param {string} name - Transition name
+ * @param {number} dx - Horizontal distance from the new position to the old one
+ * @param {number} dy - Vertical distance
+ */
+function playMove(el, name, dx, dy) {
+    const stopPrevious = activeMoves.get(el);
+    if (stopPrevious) stopPrevious();
+
+    const moveClass = `${name}-move`;
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    el.style.transitionDuration = '0s';
+
+    // Reflow so the browser starts from the old position
+    void el.offsetWidth;
+
+    el.classList.add(moveClass);
+    el.style.transform = '';
+    el.style.transitionDuration = '';
+
+    const stopWaiting = waitForTransitionEnd(el, undefined, () => {
+        el.classList.remove(moveClass);
+        activeMoves.delete(el);
+    });
+    activeMoves.set(el, () => {
+        stopWaiting();
+        el.classList.remove(moveClass);
+        activeMoves.delete(el);
+    });
+}
+
+function isElementNode(node) {
+    return !!node && node.nodeType === 1;
+}
+
+/**
+ * Turn children into keyed transition items. Keyless children are keyed by position.
+ */
+function toTransitionItems(children) {
+    const items = [];
+    const flat = Array.isArray(children) ? children.flat(Infinity) : [children];
+
+    flat.forEach((vnode, index) => {
+        if (vnode === null || vnode === undefined || typeof vnode === 'boolean' || vnode === '') {
+            return;
+        }
+        const key = typeof vnode === 'object' && vnode.key !== null && vnode.key !== undefined
+            ? vnode.key
+            : `__index_${index}`;
+        items.push({ key, vnode, leaving: false });
+    });
+
+    return items;
+}
+
+/**
+ * Combine the current children with the previous render's items: children
+ * that were removed stay (marked leaving) after the item that preceded them
+ */
+function mergeTransitionItems(previous, next) {
+    const nextKeys = new Set(next.map(item => item.key));
+    const result = [...next];
+
+    previous.forEach((item, index) => {
+        if (nextKeys.has(item.key)) return;
+
+        let position = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const at = result.findIndex(other => other.key === previous[i].key);
+            if (at !== -1) {
+                position = at + 1;
+                break;
+            }
+        }
+        result.splice(position, 0, item.leaving ? item : { ...item, leaving: true });
+    });
+
+    return result;
+}
+
+/**
+ * Wraps one child of a TransitionGroup and runs its enter/leave transitions
+ */
+class TransitionItem extends Component {
+    componentDidMount() {
+        const { group, itemKey, enter } = this.props;
+        group.itemNodes.set(itemKey, this);
+        if (enter && isElementNode(this.base)) {
+            runTransition(this.base, group.props.name || 'fade', 'enter', group.props.duration);
+        }
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.props.leaving && !prevProps.leaving) {
+            this.leave();
+        } else if (!this.props.leaving && prevProps.leaving) {
+            // Added back before it finished leaving
+            cancelTransition(this.base);
+        }
+    }
+
+    componentWillUnmount() {
+        const { group, itemKey } = this.props;
+        if (group.itemNodes.get(itemKey) === this) {
+            group.itemNodes.delete(itemKey);
+        }
+        cancelTransition(this.base);
+    }
+
+    leave() {
+        const { group, itemKey } = this.props;
+        if (!isElementNode(this.base)) {
+            group.removeItem(itemKey);
+            return;
+        }
+        runTransition(this.base, group.props.name || 'fade', 'leave', group.props.duration).then(completed => {
+            if (completed) group.removeItem(itemKey);
+        });
+    }
+
+    render({ children }) {
+        return children;
+    }
+}
+
+/**
+ * Preact component that transitions its children in and out. Children are
+ * matched by key; a removed child is rendered until its leave transition ends.
+ * Children that stay but change position are animated with the move class.
+ *
+ * Props: name (class prefix, default 'fade'), duration (ms, default: read
+ * from CSS), appear (also transition the first render), move (FLIP moves,
+ * default true)
+ */
+export class TransitionGroup extends Component {
+    constructor(props) {
+        super(props);
+        this.items = [];
+        this.itemNodes = new Map();
+        this.isMounted = false;
+    }
+
+    componentDidMount() {
+        this.isMounted = true;
+    }
+
+    componentWillUnmount() {
+        this.isMounted = false;
+    }
+
+    /**
+     * Drop an item whose leave transition finished
+     */
+    removeItem(key) {
+        this.items = this.items.filter(item => !(item.key === key && item.leaving));
+        if (this.isMounted) {
+            this.forceUpdate();
+        }
+    }
+
+    getSnapshotBeforeUpdate() {
+        if (this.props.move === false) return null;
+
+        // Positions before the DOM changes (the F in FLIP)
+        const positions = new Map();
+        for (const [key, node] of this.itemNodes) {
+            if (isElementNode(node.base)) {
+                positions.set(key, node.base.getBoundingClientRect());
+            }
+        }
+        return positions;
+    }
+
+    componentDidUpdate(prevProps, prevState, positions) {
+        if (!positions) return;
+
+        for (const [key, node] of this.itemNodes) {
+            const before = positions.get(key);
+            const el = node.base;
+            if (!before || !isElementNode(el) || node.props.leaving) continue;
+
+            const after = el.getBoundingClientRect();
+            const dx = before.left - after.left;
+            const dy = before.top - after.top;
+            if (dx || dy) {
+                playMove(el, this.props.name || 'fade', dx, dy);
+            }
+        }
+    }
+
+    render(props) {
+        this.items = mergeTransitionItems(this.items, toTransitionItems(props.children));
+        const enter = this.isMounted || !!props.appear;
+
+        return h(Fragment, null, this.items.map(item => h(TransitionItem, {
+            key: item.key,
+            itemKey: item.key,
+            group: this,
+            leaving: item.leaving,
+            enter
+        }, item.vnode)));
+    }
+}
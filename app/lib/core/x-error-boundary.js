@@ -0,0 +1,60 @@
+/**
+ * x-error-boundary - Catches errors from descendant components
+ *
+ * Errors thrown by descendant templates, lifecycle hooks and event handlers
+ * are captured here instead of propagating further. The boundary swaps its
+ * children for fallback content until reset() is called.
+ */
+// Import directly from core modules to avoid circular dependency with framework.js
+import { defineComponent, nextTick } from './component.js';
+import { html } from './template.js';
+
+export default defineComponent('x-error-boundary', {
+    props: {
+        fallback: null      // Content, or function: (error, reset) => html`...`
+    },
+
+    data() {
+        return {
+            failed: false
+        };
+    },
+
+    methods: {
+        /**
+         * Clear the captured error and render the children again.
+         * @returns {Promise<void>} Resolves once the children have re-rendered
+         */
+        reset() {
+            this._error = null;
+            this.state.failed = false;
+            return nextTick();
+        }
+    },
+
+    errorCaptured(err) {
+        // Errors from the fallback itself go to the next boundary up
+        if (this.state.failed) {
+            return true;
+        }
+
+        // Stored outside state so the fallback receives the original error object
+        this._error = err;
+        this.state.failed = true;
+        return false;
+    },
+
+    template() {
+        if (this.state.failed) {
+            const fallback = this.props.fallback;
+            if (typeof fallback === 'function') {
+                return fallback(this._error, this.reset);
+            }
+            return fallback || html``;
+        }
+
+        return html`${this.props.children}`;
+    }
+
+    // No styles - renders to light DOM for easier composition
+});
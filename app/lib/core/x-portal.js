@@ -0,0 +1,220 @@
+/**
+ * x-portal - Render content somewhere else in the document
+ *
+ * Overlays rendered in place get clipped by overflow: hidden ancestors and
+ * trapped in their stacking contexts. <x-portal> renders its children into a
+ * container at the end of the target (document.body by default) while they
+ * stay part of the owning component: its methods, refs and state work as
+ * usual, nested components keep their provide/inject and error boundary
+ * parents, and the owners' scoped styles still apply.
+ *
+ * Each container gets a z-index from a managed stack with three layers
+ * (overlay < popup < toast). Within a layer the most recently opened or
+ * activated portal is on top, so nested dialogs layer correctly.
+ *
+ * DOM events from portaled content bubble to the target, not through the
+ * owner's elements. Server rendering outputs nothing for a portal.
+ */
+// Import directly from core modules to avoid circular dependency with framework.js
+import { defineComponent, componentOptions, scopeComponentStyles } from './component.js';
+import { html } from './template.js';
+import { Component, Fragment, h, render } from '../vendor/preact/index.js';
+
+// Lowest z-index of each layer; portals in a layer count up from it
+const PORTAL_LAYERS = {
+    overlay: 1000,   // Dialogs, sidebars
+    popup: 2000,     // Tooltips, menus
+    toast: 3000      // Notifications
+};
+
+// Open portal containers of each layer, bottom to top
+const layerStacks = new Map(Object.keys(PORTAL_LAYERS).map(layer => [layer, []]));
+
+function getPortalLayer(layer) {
+    if (layer in PORTAL_LAYERS) {
+        return layer;
+    }
+    console.warn(`[x-portal] Unknown layer "${layer}", using "overlay". Layers: ${Object.keys(PORTAL_LAYERS).join(', ')}`);
+    return 'overlay';
+}
+
+/**
+ * Give the containers of a layer ascending z-indexes in stack order
+ */
+function restackLayer(layer) {
+    layerStacks.get(layer).forEach((container, index) => {
+        container.style.zIndex = String(PORTAL_LAYERS[layer] + index);
+    });
+}
+
+/**
+ * Move a container to the top of its layer, adding it if it's new
+ */
+function raiseContainer(container, layer) {
+    const stack = layerStacks.get(layer);
+    const index = stack.indexOf(container);
+    if (index !== -1) {
+        stack.splice(index, 1);
+    }
+    stack.push(container);
+    restackLayer(layer);
+}
+
+function releaseContainer(container, layer) {
+    const stack = layerStacks.get(layer);
+    const index = stack.indexOf(container);
+    if (index !== -1) {
+        stack.splice(index, 1);
+        restackLayer(layer);
+    }
+}
+
+/**
+ * Find the target element from a selector or an element
+ */
+function resolvePortalTarget(target) {
+    if (target && typeof target === 'object') {
+        return target.nodeType === 1 ? target : null;
+    }
+    try {
+        return document.querySelector(target || 'body');
+    } catch (e) {
+        return null;  // Invalid selector
+    }
+}
+
+/**
+ * Tags of the VDX components a portal belongs to, nearest first. Any of them
+ * can have passed content in, so all of their styles have to follow it.
+ */
+function getOwnerTags(host) {
+    const tags = [];
+    for (let owner = host._vdxParent; owner; owner = owner._vdxParent) {
+        const tag = owner.tagName.toLowerCase();
+        if (tag !== 'x-portal' && !tags.includes(tag)) {
+            tags.push(tag);
+        }
+    }
+    return tags;
+}
+
+/**
+ * Add a copy of a component's styles scoped to the portals it owns, since
+ * "tag .selector" doesn't match content that was moved out of the tag
+ */
+function injectPortalStyles(tag) {
+    const definition = componentOptions.get(tag);
+    if (!definition || !definition.options.styles) return;
+
+    const { options } = definition;
+    const styleId = `component-styles-${options.name || tag.toUpperCase()}-portal`;
+    if (document.getElementById(styleId)) return;
+
+    const styleEl = document.createElement('style');
+    styleEl.id = styleId;
+    styleEl.textContent = scopeComponentStyles(options.styles, tag, `[data-vdx-portal~="${tag}"]`);
+    document.head.appendChild(styleEl);
+}
+
+/**
+ * Preact component that renders its children into a container appended to
+ * the target. Renders them in place when the target doesn't exist.
+ */
+class PortalOutlet extends Component {
+    componentDidMount() {
+        const { host, target, layer } = this.props;
+        const targetEl = resolvePortalTarget(target);
+        if (!targetEl) {
+            console.warn(`[x-portal] Target "${target}" not found, rendering in place`);
+            this.inPlace = true;
+            this.forceUpdate();
+            return;
+        }
+
+        const owners = getOwnerTags(host);
+        owners.forEach(injectPortalStyles);
+
+        // The outer element is the positioned box that takes the z-index. The
+        // inner one matches the owners' styles: with display: contents their
+        // :host rules only pass inherited properties (color, font) to the content.
+        this.container = document.createElement('div');
+        this.container.style.position = 'relative';
+        this.content = document.createElement('div');
+        this.content.style.display = 'contents';
+        this.content.setAttribute('data-vdx-portal', owners.join(' '));
+        this.content._vdxPortalHost = host;
+        this.container.appendChild(this.content);
+        targetEl.appendChild(this.container);
+
+        this.layer = getPortalLayer(layer);
+        raiseContainer(this.container, this.layer);
+        this.renderContent();
+    }
+
+    componentDidUpdate(prevProps) {
+        if (!this.container) return;
+
+        if (this.props.target !== prevProps.target) {
+            const targetEl = resolvePortalTarget(this.props.target);
+            if (targetEl) {
+                // Components moved in the DOM are destroyed on disconnect and
+                // don't come back, so the content is rendered anew after the move
+                render(null, this.content);
+                targetEl.appendChild(this.container);
+            } else {
+                console.warn(`[x-portal] Target "${this.props.target}" not found, keeping the previous one`);
+            }
+        }
+
+        const layer = getPortalLayer(this.props.layer);
+        if (layer !== this.layer) {
+            releaseContainer(this.container, this.layer);
+            this.layer = layer;
+            raiseContainer(this.container, layer);
+        } else if (this.props.active && !prevProps.active) {
+            raiseContainer(this.container, layer);
+        }
+
+        this.renderContent();
+    }
+
+    componentWillUnmount() {
+        if (!this.container) return;
+
+        render(null, this.content);
+        this.container.remove();
+        releaseContainer(this.container, this.layer);
+        this.container = this.content = null;
+    }
+
+    renderContent() {
+        render(h(Fragment, null, this.props.children), this.content);
+    }
+
+    render({ children }) {
+        return this.inPlace ? h(Fragment, null, children) : null;
+    }
+}
+
+export default defineComponent('x-portal', {
+    props: {
+        target: 'body',     // Selector or element to render into
+        layer: 'overlay',   // 'overlay', 'popup' or 'toast'
+        active: { type: Boolean, default: true }  // Becoming active brings the portal to the top of its layer
+    },
+
+    template() {
+        return html`${h(PortalOutlet, {
+            host: this,
+            target: this.props.target,
+            layer: this.props.layer,
+            active: this.props.active
+        }, this.props.children)}`;
+    },
+
+    styles: /*css*/`
+        :host {
+            display: contents;
+        }
+    `
+});
@@ -0,0 +1,64 @@
+/**
+ * x-transition - Enter/leave transitions for conditional content
+ *
+ * Wrap the content that appears and disappears (usually a when()). Removed
+ * content stays until its leave transition ends, then it's taken out of the DOM.
+ * Keep <x-transition> itself rendered - content removed with it can't animate.
+ *
+ * Built-in names: fade, scale, slide-up, slide-down. Other names use your own
+ * CSS (<name>-enter-from, <name>-enter-active, <name>-leave-to, ...).
+ */
+// Import directly from core modules to avoid circular dependency with framework.js
+import { defineComponent } from './component.js';
+import { html } from './template.js';
+import { TransitionGroup } from './transition.js';
+import { h } from '../vendor/preact/index.js';
+
+export default defineComponent('x-transition', {
+    props: {
+        name: 'fade',       // Class prefix
+        duration: { type: Number, default: null },  // Milliseconds; read from the CSS when not set
+        appear: { type: Boolean, default: false }   // Also transition content present on mount
+    },
+
+    template() {
+        return html`${h(TransitionGroup, {
+            name: this.props.name,
+            duration: this.props.duration,
+            appear: this.props.appear,
+            move: false
+        }, this.props.children)}`;
+    },
+
+    styles: /*css*/`
+        :host {
+            display: contents;
+        }
+
+        .fade-enter-active, .fade-leave-active,
+        .scale-enter-active, .scale-leave-active,
+        .slide-up-enter-active, .slide-up-leave-active,
+        .slide-down-enter-active, .slide-down-leave-active {
+            transition: opacity 0.2s ease, transform 0.2s ease;
+        }
+
+        .fade-enter-from, .fade-leave-to {
+            opacity: 0;
+        }
+
+        .scale-enter-from, .scale-leave-to {
+            opacity: 0;
+            transform: scale(0.95);
+        }
+
+        .slide-up-enter-from, .slide-up-leave-to {
+            opacity: 0;
+            transform: translateY(8px);
+        }
+
+        .slide-down-enter-from, .slide-down-leave-to {
+            opacity: 0;
+            transform: translateY(-8px);
+        }
+    `
+});
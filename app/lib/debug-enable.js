@@ -5,8 +5,9 @@
  */
 
 import { setDebugReactivityHook } from './core/reactivity.js';
-import { setDebugComponentHooks } from './core/component.js';
-import { logReactivity, logRenderCycle, vnodeToString, debugLog } from './debug.js';
+import { setDebugComponentHooks, setDebugPropWarningHook, setDebugHydrationHook } from './core/component.js';
+import { setDebugTemplateHook } from './core/template-compiler.js';
+import { logReactivity, logRenderCycle, vnodeToString, debugLog, findHydrationMismatches, reportTemplateDiagnostic } from './debug.js';
 
 // Check debug flags
 const DEBUG_REACTIVITY = typeof window !== 'undefined' && window.__DEBUG_REACTIVITY;
@@ -42,5 +43,22 @@ if (DEBUG_COMPONENTS || DEBUG_VNODES) {
     }
 }
 
+// Prop validation warnings are always on while debugging
+setDebugPropWarningHook((component, message) => {
+    console.warn(`[${component.tagName.toLowerCase()}] ${message}`);
+});
+
+// So are hydration mismatches - the client's first render should match the prerendered markup
+setDebugHydrationHook((component, vnode, container) => {
+    for (const mismatch of findHydrationMismatches(vnode, container)) {
+        console.warn(`[${component.tagName.toLowerCase()}] Hydration mismatch at ${mismatch}`);
+    }
+});
+
+// Template problems (parse errors, unknown methods and x-model paths) go to the console and an overlay
+setDebugTemplateHook((component, diagnostic) => {
+    reportTemplateDiagnostic(component ? component.tagName.toLowerCase() : 'template', diagnostic);
+});
+
 // Export for re-exporting if needed
-export { setDebugReactivityHook, setDebugComponentHooks };
+export { setDebugReactivityHook, setDebugComponentHooks, setDebugPropWarningHook, setDebugHydrationHook, setDebugTemplateHook };
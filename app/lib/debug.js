@@ -2,6 +2,8 @@
  * Debug utilities for tracking reactivity, component tree, and vnodes
  */
 
+import { Fragment } from './vendor/preact/index.js';
+
 /**
  * Serialize a value for logging (handles circular refs, proxies, etc.)
  */
@@ -181,3 +183,297 @@ export function diffVNodes(oldVNode, newVNode) {
     console.log('New:', vnodeToString(newVNode));
     console.groupEnd();
 }
+
+// Props that never appear as attributes in prerendered markup
+const UNRENDERED_PROPS = new Set(['children', 'key', 'ref', 'value', 'checked', 'dangerouslySetInnerHTML']);
+
+/**
+ * Flatten VNode children the way they end up in the DOM: fragments expanded,
+ * empty values dropped and adjacent text merged into one text node
+ */
+function flattenVNodes(children, result = []) {
+    for (const child of Array.isArray(children) ? children : [children]) {
+        if (child === null || child === undefined || typeof child === 'boolean' || child === '') {
+            continue;
+        }
+        if (Array.isArray(child)) {
+            flattenVNodes(child, result);
+        } else if (typeof child === 'string' || typeof child === 'number') {
+            const last = result[result.length - 1];
+            if (typeof last === 'string') {
+                result[result.length - 1] = last + child;
+            } else {
+                result.push(String(child));
+            }
+        } else if (child.type === Fragment) {
+            flattenVNodes(child.props.children, result);
+        } else {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function describeNode(node) {
+    if (typeof node === 'string') return `text "${node.trim().slice(0, 40)}"`;
+    if (node.nodeType === 3) return `text "${node.data.trim().slice(0, 40)}"`;
+    const tag = typeof node.type === 'string' ? node.type : node.localName;
+    return `<${tag}>`;
+}
+
+/**
+ * Compare a component's first render against the prerendered DOM it is about
+ * to hydrate. Returns one message per difference (capped at `limit`).
+ * Content of nested component hosts is skipped - each host checks its own.
+ */
+export function findHydrationMismatches(vnode, container, limit = 10) {
+    const mismatches = [];
+
+    function compareChildren(vnodeChildren, parent, path) {
+        const expected = flattenVNodes(vnodeChildren);
+        const actual = Array.from(parent.childNodes).filter(node => node.nodeType === 1 || node.nodeType === 3);
+
+        for (let i = 0; i < Math.max(expected.length, actual.length) && mismatches.length < limit; i++) {
+            const vchild = expected[i];
+            const node = actual[i];
+
+            if (vchild === undefined) {
+                mismatches.push(`${path}: unexpected ${describeNode(node)} in the markup`);
+                return;
+            }
+            if (node === undefined) {
+                mismatches.push(`${path}: ${describeNode(vchild)} missing from the markup`);
+                return;
+            }
+            // Function components render their own output - can't compare without running them
+            if (typeof vchild === 'object' && typeof vchild.type === 'function') {
+                return;
+            }
+
+            if (typeof vchild === 'string') {
+                if (node.nodeType !== 3) {
+                    mismatches.push(`${path}: expected ${describeNode(vchild)}, found ${describeNode(node)}`);
+                    return;
+                }
+                if (node.data !== vchild) {
+                    mismatches.push(`${path}: expected ${describeNode(vchild)}, found ${describeNode(node)}`);
+                }
+                continue;
+            }
+
+            if (node.nodeType !== 1 || node.localName !== vchild.type) {
+                mismatches.push(`${path}: expected ${describeNode(vchild)}, found ${describeNode(node)}`);
+                return;
+            }
+
+            compareElement(vchild, node, `${path} > ${vchild.type}`);
+        }
+    }
+
+    function compareElement(vchild, el, path) {
+        const props = vchild.props || {};
+
+        for (const [name, value] of Object.entries(props)) {
+            if (UNRENDERED_PROPS.has(name) || name.startsWith('_vdx') || /^on[A-Z]/.test(name) ||
+                typeof value === 'function' || (value !== null && typeof value === 'object')) {
+                continue;
+            }
+            const attr = name === 'className' ? 'class' : name === 'htmlFor' ? 'for' : name;
+            const expectedValue = value === false || value === null || value === undefined ? null
+                : value === true ? '' : String(value);
+            if (el.getAttribute(attr) !== expectedValue) {
+                mismatches.push(`${path}: attribute ${attr} expected ${JSON.stringify(expectedValue)}, found ${JSON.stringify(el.getAttribute(attr))}`);
+            }
+        }
+
+        if (!props.dangerouslySetInnerHTML) {
+            compareChildren(props.children, el, path);
+        }
+    }
+
+    compareChildren(vnode, container, container.localName || 'root');
+    return mismatches;
+}
+
+// ============================================================================
+// Template diagnostics
+// ============================================================================
+
+// Elements that never have a closing tag
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// The only named entities XML knows
+const XML_ENTITY_NAMES = new Set(['lt', 'gt', 'amp', 'quot', 'apos']);
+
+// A complete tag, from `<` to `>` (quoted attribute values may contain `>`)
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/y;
+
+/**
+ * Find the first problem in a template's markup: a malformed, mismatched or
+ * unclosed tag, a stray `<` or an unknown entity.
+ * Interpolations are shown as ${…}, so columns after them are approximate.
+ * @param {string} template - Template text with __SLOT_n__ markers
+ * @returns {{message: string, line: number, column: number, snippet: string}|null}
+ */
+export function locateTemplateError(template) {
+    const text = template.replace(/__SLOT_\d+__/g, '${…}');
+    const stack = [];
+    let error = null;
+
+    for (let i = 0; i < text.length && !error; i++) {
+        if (text[i] === '&') {
+            const entity = text.slice(i).match(/^&(#\d+|#x[0-9a-fA-F]+|[a-zA-Z]\w*);/);
+            if (!entity) {
+                error = { offset: i, message: 'Unescaped "&" (write &amp;)' };
+            } else if (!entity[1].startsWith('#') && !XML_ENTITY_NAMES.has(entity[1])) {
+                error = { offset: i, message: `Unknown entity ${entity[0]} (use the character or a numeric reference)` };
+            }
+            continue;
+        }
+        if (text[i] !== '<') continue;
+
+        if (text.startsWith('<!--', i)) {
+            const end = text.indexOf('-->', i);
+            if (end === -1) {
+                error = { offset: i, message: 'Unclosed comment' };
+            }
+            i = end + 2;
+            continue;
+        }
+
+        TAG_PATTERN.lastIndex = i;
+        const match = TAG_PATTERN.exec(text);
+        if (!match) {
+            error = /[a-zA-Z/]/.test(text[i + 1] || '')
+                ? { offset: i, message: 'Malformed tag (unclosed quote or missing ">")' }
+                : { offset: i, message: 'Unescaped "<" (write &lt;)' };
+            continue;
+        }
+
+        const [tag, closing, name, , selfClosing] = match;
+        const tagName = name.toLowerCase();
+        if (closing) {
+            const open = stack.pop();
+            if (!open) {
+                error = { offset: i, message: `Unexpected </${name}> with no open tag` };
+            } else if (open.name !== tagName) {
+                error = { offset: i, message: `Expected </${open.name}> but found </${name}>` };
+            }
+        } else if (!selfClosing && !VOID_TAGS.has(tagName)) {
+            stack.push({ name: tagName, offset: i });
+        }
+        i += tag.length - 1;
+    }
+
+    if (!error && stack.length > 0) {
+        const open = stack[stack.length - 1];
+        error = { offset: open.offset, message: `<${open.name}> is never closed` };
+    }
+    if (!error) {
+        return null;
+    }
+
+    const before = text.slice(0, error.offset).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    return { message: error.message, line, column, snippet: templateSnippet(text, line, column) };
+}
+
+/**
+ * The lines around a template location, with a caret under the column
+ */
+function templateSnippet(text, line, column) {
+    const lines = text.split('\n');
+    const first = Math.max(1, line - 2);
+    const width = String(line + 1).length;
+    const output = [];
+
+    for (let n = first; n <= Math.min(lines.length, line + 1); n++) {
+        output.push(`${String(n).padStart(width)} | ${lines[n - 1]}`);
+        if (n === line) {
+            output.push(`${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+        }
+    }
+    return output.join('\n');
+}
+
+// Diagnostics already reported, so each shows up once rather than on every render
+const reportedDiagnostics = new Set();
+
+/**
+ * Report a template diagnostic from the compiler: log it and show it in the
+ * diagnostics overlay. Repeats of the same problem are ignored.
+ * @param {string} tag - Component tag (lowercase)
+ * @param {{type: string, message: string, template?: string}} diagnostic
+ */
+export function reportTemplateDiagnostic(tag, diagnostic) {
+    let entry = { tag, message: diagnostic.message };
+    if (diagnostic.type === 'parse') {
+        const location = locateTemplateError(diagnostic.template);
+        entry = location
+            ? { tag, ...location }
+            : { tag, message: `Parse error: ${diagnostic.message}` };
+    }
+
+    const key = `${tag}|${entry.message}|${entry.line}:${entry.column}`;
+    if (reportedDiagnostics.has(key)) return;
+    reportedDiagnostics.add(key);
+
+    const location = entry.line ? ` (template line ${entry.line}, column ${entry.column})` : '';
+    console.warn(`[${tag}] ${entry.message}${location}${entry.snippet ? '\n' + entry.snippet : ''}`);
+
+    if (typeof document !== 'undefined' && document.body) {
+        showDiagnosticsOverlay(entry);
+    }
+}
+
+/**
+ * Add a diagnostic to the overlay in the corner of the page, creating it if needed
+ */
+function showDiagnosticsOverlay(entry) {
+    let overlay = document.getElementById('vdx-diagnostics');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'vdx-diagnostics';
+        overlay.style.cssText = 'position:fixed;right:12px;bottom:12px;z-index:2147483647;' +
+            'width:min(560px,calc(100vw - 24px));max-height:50vh;overflow:auto;padding:12px 16px;' +
+            'background:#1e1e1e;color:#eee;border-left:4px solid #e5484d;border-radius:6px;' +
+            'box-shadow:0 4px 16px rgba(0,0,0,.4);font:13px/1.4 system-ui,sans-serif;';
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display:flex;justify-content:space-between;align-items:center;font-weight:600;';
+        const title = document.createElement('span');
+        title.className = 'vdx-diagnostics-title';
+        const close = document.createElement('button');
+        close.textContent = '×';
+        close.title = 'Dismiss';
+        close.style.cssText = 'background:none;border:none;color:inherit;font-size:18px;cursor:pointer;';
+        close.addEventListener('click', () => overlay.remove());
+        header.append(title, close);
+        overlay.append(header);
+        document.body.append(overlay);
+    }
+
+    const item = document.createElement('div');
+    item.className = 'vdx-diagnostic';
+    item.style.cssText = 'margin-top:10px;';
+
+    const message = document.createElement('div');
+    message.textContent = `<${entry.tag}> ${entry.message}` +
+        (entry.line ? ` - template line ${entry.line}, column ${entry.column}` : '');
+    item.append(message);
+
+    if (entry.snippet) {
+        const snippet = document.createElement('pre');
+        snippet.textContent = entry.snippet;
+        snippet.style.cssText = 'margin:6px 0 0;padding:8px;background:#111;border-radius:4px;' +
+            'overflow:auto;font:12px/1.4 ui-monospace,monospace;';
+        item.append(snippet);
+    }
+
+    overlay.append(item);
+    const count = overlay.querySelectorAll('.vdx-diagnostic').length;
+    overlay.querySelector('.vdx-diagnostics-title').textContent =
+        `Template diagnostics (${count})`;
+}
@@ -15,14 +15,35 @@
  * Define a custom element component with reactive state and template rendering
  *
  * @typedef {Object} ComponentOptions
- * @property {Object<string, any>} [props] - Reactive props with default values
+ * @property {Object<string, any>} [props] - Reactive props: default values, or schemas of the form
+ *   { type, default, required, validator } whose string values are coerced to the declared type
  * @property {() => Object<string, any>} [data] - Function returning reactive state
  * @property {Object<string, Function>} [methods] - Component methods (auto-bound to instance)
+ * @property {Object|(() => Object)} [provide] - Values descendants can read with this.inject(key, defaultValue)
+ * @property {Object<string, () => any>} [computed] - Cached getters exposed on the instance, recomputed
+ *   when the state, stores or props they read change
+ * @property {Object<string, Function|string|{handler: Function|string, deep?: boolean, immediate?: boolean}>} [watch] -
+ *   Watchers keyed by path ('state.query', 'props.value') or computed name, disposed on unmount
  * @property {() => any} template - Template function returning html`` tagged template
  * @property {string} [styles] - Scoped CSS styles for component
+ * @property {boolean} [deepTracking] - Re-render on any change to state or stores instead of only
+ *   the properties the template read (walks the whole state on every render)
+ * @property {boolean|'open'|'closed'} [shadow] - Render into a shadow root (styles unscoped, children projected via <slot>)
+ * @property {boolean} [formAssociated] - Take part in native forms via ElementInternals (exposed as this.internals)
+ * @property {() => any} [formValue] - Value submitted under the name attribute (arrays submit one entry per item)
+ * @property {() => ({message?: string, anchor?: HTMLElement}&Object<string, boolean>)|null} [formValidity] -
+ *   Validity flags such as { valueMissing: true, message }, or null when valid
+ * @property {() => void} [formResetCallback] - Called when the owning form is reset
+ * @property {(disabled: boolean) => void} [formDisabledCallback] - Called when an ancestor fieldset is
+ *   disabled or enabled (default: updates a declared disabled prop)
+ * @property {(state: any, mode: string) => void} [formStateRestoreCallback] - Called on back/forward restore and autofill
  * @property {() => void} [mounted] - Lifecycle hook called after component is added to DOM
  * @property {() => void} [unmounted] - Lifecycle hook called before component is removed
  * @property {() => void} [afterRender] - Lifecycle hook called after each render (use sparingly)
+ * @property {() => Promise<void>|void} [serverPrefetch] - Awaited by renderToString() before the template runs;
+ *   the state it loads is serialized with the markup and restored when the client hydrates
+ * @property {(err: Error, component: HTMLElement, phase: string) => boolean|void} [errorCaptured] - Called with errors
+ *   thrown by descendant templates, lifecycle hooks and event handlers (return false to stop propagation)
  *
  * @param {string} name - Component tag name (must contain hyphen, e.g., 'my-component')
  * @param {ComponentOptions} options - Component configuration
@@ -50,6 +71,42 @@
  */
 export { defineComponent } from './core/component.js';
 
+/**
+ * Define a directive: a reusable behaviour used as an x-<name> attribute on
+ * any element. Hooks receive (el, binding) with binding.value (the bound
+ * value), binding.oldValue and binding.component.
+ *
+ * @param {string} name - Attribute name, starting with "x-"
+ * @param {Object|Function} definition - { mounted, updated, unmounted }, or a
+ *   function called on mount and on every update
+ * @returns {Object} The normalized definition
+ *
+ * @example
+ * defineDirective('x-autofocus', {
+ *   mounted(el) { el.focus(); }
+ * });
+ *
+ * defineDirective('x-title', (el, { value }) => { el.title = value; });
+ *
+ * // In a template
+ * html`<input x-autofocus x-title="${this.state.hint}">`
+ */
+export { defineDirective } from './core/directives.js';
+
+/**
+ * Wait for pending component renders to be flushed to the DOM.
+ * State changes are batched and rendered once per microtask.
+ *
+ * @param {() => void} [fn] - Optional callback to run after the flush
+ * @returns {Promise<void>} Resolves after the flush
+ *
+ * @example
+ * this.state.count++;
+ * await nextTick();
+ * // DOM now reflects count
+ */
+export { nextTick } from './core/component.js';
+
 /**
  * Create a reactive proxy that tracks dependencies and triggers effects on change
  *
@@ -62,6 +119,51 @@ export { defineComponent } from './core/component.js';
  * state.count++; // Triggers reactive effects
  * state.user.name = 'Bob'; // Deep reactivity works
  */
+/**
+ * Create a proxy that tracks only top-level properties (nested objects are not wrapped)
+ *
+ * @template T
+ * @param {T} obj - Object to make shallowly reactive
+ * @returns {T} Shallow reactive proxy of the object
+ *
+ * @example
+ * const state = shallowReactive({ catalog: bigCatalog, page: 0 });
+ * state.page++; // Triggers reactive effects
+ * state.catalog = nextCatalog; // Replace nested data to trigger
+ */
+/**
+ * Create a read-only view of an object (writes are ignored with a warning)
+ *
+ * @template T
+ * @param {T} obj - Object or reactive proxy to wrap
+ * @returns {Readonly<T>} Readonly proxy; reads are still tracked
+ *
+ * @example
+ * const settings = readonly(settingsStore.state);
+ * settings.theme = 'dark'; // Warns, no change
+ */
+/**
+ * Opt an object out of reactivity - it is never wrapped in a proxy
+ *
+ * @template T
+ * @param {T} obj - Object to mark
+ * @returns {T} The same object
+ *
+ * @example
+ * data() {
+ *   return { words: markRaw(wordList) };
+ * }
+ */
+/**
+ * Get the original object behind a reactive or readonly proxy
+ *
+ * @template T
+ * @param {T} value - Reactive proxy (other values are returned unchanged)
+ * @returns {T} The underlying object
+ *
+ * @example
+ * const raw = toRaw(this.state.items);
+ */
 /**
  * Create an effect that automatically runs when its reactive dependencies change
  *
@@ -100,11 +202,20 @@ export { defineComponent } from './core/component.js';
  * isReactive(state); // true
  * isReactive({}); // false
  */
+/**
+ * Check if a value is a readonly proxy
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value was created by readonly()
+ */
 /**
  * Watch reactive dependencies and call callback when they change
  *
  * @param {() => any} fn - Function that accesses reactive values
  * @param {(newValue: any, oldValue: any) => void} callback - Callback with new and old values
+ * @param {Object} [options] - Watch options
+ * @param {boolean} [options.deep=false] - Also fire on nested changes inside the watched value
+ * @param {boolean} [options.immediate=false] - Fire once right away with oldValue undefined
  * @returns {() => void} Cleanup function
  *
  * @example
@@ -122,7 +233,7 @@ export { defineComponent } from './core/component.js';
  * @param {any[]} deps - Dependency array
  * @returns {Function} Memoized function
  */
-export { reactive, createEffect, computed, trackAllDependencies, isReactive, watch, memo } from './core/reactivity.js';
+export { reactive, shallowReactive, readonly, markRaw, toRaw, createEffect, computed, trackAllDependencies, isReactive, isReadonly, watch, memo } from './core/reactivity.js';
 
 /**
  * Tagged template literal for creating XSS-safe HTML templates
@@ -168,11 +279,15 @@ export { reactive, createEffect, computed, trackAllDependencies, isReactive, wat
  * @template T
  * @param {T[]} array - Array to iterate over
  * @param {(item: T, index: number) => any} mapFn - Function that returns template for each item
+ * @param {(item: T) => any} [keyFn] - Returns a stable key for each item
+ * @param {{transition?: string|{name: string, duration?: number, appear?: boolean}}} [options] -
+ *   Animate items entering, leaving and moving (FLIP) with the transition's classes
  * @returns {any[]} Array of rendered templates
  *
  * @example
  * each(items, item => html`<li>${item.name}</li>`)
  * each(items, (item, index) => html`<li>${index + 1}. ${item.name}</li>`)
+ * each(todos, todo => html`<li>${todo.text}</li>`, todo => todo.id, { transition: 'list' })
  */
 /**
  * Async content rendering helper (like Promise.then with loading state)
@@ -206,6 +321,21 @@ export { html, raw, when, each, awaitThen } from './core/template.js';
  */
 export { pruneTemplateCache } from './core/template-compiler.js';
 
+/**
+ * Register a template precompiled by precompile-templates.js (called by the
+ * modules it rewrites, not by hand). html() with the returned statics array
+ * uses the precompiled op tree instead of parsing the template.
+ *
+ * @param {string[]} strings - Template literal string parts
+ * @param {{ops: Object, plainTags: string[]}} precompiled - Precompiled op tree
+ * @returns {ReadonlyArray<string>} Statics array to pass to html
+ *
+ * @example
+ * const __vdxTemplates = [registerTemplate(['<p>', '</p>'], { ops, plainTags: [] })];
+ * html(__vdxTemplates[0], this.state.message);
+ */
+export { registerTemplate } from './core/template-compiler.js';
+
 /**
  * Create a reactive store with pub/sub pattern
  *
@@ -235,6 +365,22 @@ export { pruneTemplateCache } from './core/template-compiler.js';
  */
 export { createStore } from './core/store.js';
 
+/**
+ * Render a component to an HTML string without a live DOM (works in Node).
+ * Runs props, data(), stores, computed and the optional serverPrefetch() hook,
+ * then the template. Nested components are rendered too, and marked so the
+ * client hydrates the markup (adopting its nodes) when the page loads.
+ *
+ * @param {string} tagName - Registered component tag name
+ * @param {Object} [props] - Props for the component
+ * @returns {Promise<string>} Scoped styles followed by the component markup
+ *
+ * @example
+ * import './pages/products-page.js';
+ * const markup = await renderToString('products-page');
+ */
+export { renderToString } from './core/server-render.js';
+
 /**
  * Preact's createElement function (for advanced usage)
  * @function h
@@ -268,3 +414,12 @@ export { h, Fragment, render, Component, createContext } from './vendor/preact/i
 
 // Auto-register x-await-then component (used by awaitThen() helper)
 import './core/x-await-then.js';
+
+// Auto-register x-error-boundary component
+import './core/x-error-boundary.js';
+
+// Auto-register x-transition component
+import './core/x-transition.js';
+
+// Auto-register x-portal component
+import './core/x-portal.js';
@@ -5,11 +5,13 @@
  * - Hash-based routing (default)
  * - HTML5 History API routing (with <base> tag)
  * - Lazy loading routes with dynamic imports
+ * - Route data loaders (abortable, latest navigation wins) and error components
  * - Route guards and hooks
- * - URL parameters (e.g., /product/:id/:sku)
+ * - URL parameters (e.g., /product/:id/:sku), with optional params,
+ *   (regex) constraints and catch-alls, ranked by specificity
  * - Query parameters (including hash mode: #/path?q=1)
  * - Reactive prop updates on same-component navigation
- * - Nested routes
+ * - Nested routes with layout components (nested <router-outlet>s)
  */
 
 import { createStore, pruneTemplateCache, html, defineComponent } from './framework.js';
@@ -65,42 +67,153 @@ function stringifyQuery(params) {
     return pairs.join('&');
 }
 
+// A :param (with optional (regex) constraint and ? marker) or a *catchAll
+const PATTERN_TOKEN = /:([a-zA-Z_][a-zA-Z0-9_]*)(\((?:[^()]|\([^()]*\))*\))?(\?)?|\*([a-zA-Z_][a-zA-Z0-9_]*)?/g;
+
+// Specificity of a pattern segment, used to rank routes
+const SEGMENT_SCORE = {
+    static: 4,
+    constrained: 3,     // :id(\d+), or a param with static text (:name.json)
+    param: 2,
+    optional: 1,
+    catchAll: 0
+};
+
 /**
  * Convert route pattern to regex and extract param names
+ *
+ * Supports :param segments, (regex) constraints (/product/:id(\d+)/),
+ * optional params (/qnote/:name?/) and catch-alls matching the rest of the
+ * path, slashes included (/docs/*path).
+ *
  * @private
  * @param {string} pattern - Route pattern (e.g., '/product/:id/:sku')
- * @returns {{regex: RegExp, paramNames: string[]}} Compiled pattern
+ * @returns {{regex: RegExp, paramNames: string[], catchAll: string|null, score: number[]}} Compiled pattern
  */
 function compileRoutePattern(pattern) {
     const paramNames = [];
+    const score = [];
+    let catchAll = null;
+    let regexStr = '';
+
+    for (const segment of pattern.split('/').filter(Boolean)) {
+        let segmentStr = '';
+        let segmentScore = SEGMENT_SCORE.static;
+        let optional = false;
+        let lastIndex = 0;
+
+        for (const token of segment.matchAll(PATTERN_TOKEN)) {
+            const [text, name, constraint, optionalMark, catchAllName] = token;
+            // Escape regex special chars in the static parts
+            segmentStr += segment.slice(lastIndex, token.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            lastIndex = token.index + text.length;
+
+            if (name) {
+                // Named groups, so capture groups in constraints don't shift params
+                paramNames.push(name);
+                segmentStr += `(?<${name}>${constraint ? constraint.slice(1, -1) : '[^/]+'})`;
+                optional = optional || !!optionalMark;
+                segmentScore = Math.min(segmentScore, optionalMark ? SEGMENT_SCORE.optional
+                    : constraint || text !== segment ? SEGMENT_SCORE.constrained
+                    : SEGMENT_SCORE.param);
+            } else {
+                if (catchAllName) {
+                    paramNames.push(catchAllName);
+                    catchAll = catchAllName;
+                }
+                segmentStr += catchAllName ? `(?<${catchAllName}>.*)` : '.*';
+                optional = true;
+                segmentScore = SEGMENT_SCORE.catchAll;
+            }
+        }
+        segmentStr += segment.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    // Escape regex special chars except for our param syntax
-    let regexStr = pattern
-        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
-        // Replace :paramName with capture group
-        .replace(/:([a-zA-Z_][a-zA-Z0-9_]*)/g, (_, paramName) => {
-            paramNames.push(paramName);
-            return '([^/]+)';
-        });
-
-    // Match with or without trailing slash
-    if (regexStr.endsWith('/')) {
-        regexStr = regexStr.slice(0, -1) + '/?';
-    } else {
-        regexStr = regexStr + '/?';
+        regexStr += optional ? `(?:/${segmentStr})?` : `/${segmentStr}`;
+        score.push(segmentScore);
     }
 
     return {
-        regex: new RegExp(`^${regexStr}$`),
-        paramNames
+        // Match with or without trailing slash
+        regex: new RegExp(`^${regexStr}/?$`),
+        paramNames,
+        catchAll,
+        score
     };
 }
 
+/**
+ * Build a path from a route pattern and params (the reverse of matchRoute).
+ * Values are URL-encoded; segments of missing optional params and empty
+ * catch-alls are left out.
+ * @private
+ * @param {string} pattern - Route pattern (e.g., '/qnote/:name?/')
+ * @param {Object<string, any>} params - Param values
+ * @param {string} routeName - Route name for error messages
+ * @returns {string} Path
+ * @throws {Error} When a required param is missing or fails its constraint
+ */
+function fillRoutePattern(pattern, params, routeName) {
+    const segments = [];
+
+    for (const segment of pattern.split('/').filter(Boolean)) {
+        let skip = false;
+        const filled = segment.replace(PATTERN_TOKEN, (text, name, constraint, optionalMark, catchAllName) => {
+            const value = params[name || catchAllName];
+            const missing = value === undefined || value === null || value === '';
+
+            if (!name) {
+                // Catch-all: keep its slashes
+                skip = skip || missing;
+                return missing ? '' : String(value).split('/').map(encodeURIComponent).join('/');
+            }
+            if (missing) {
+                if (!optionalMark) {
+                    throw new Error(`[Router] Missing param "${name}" for route "${routeName}"`);
+                }
+                skip = true;
+                return '';
+            }
+            if (constraint && !new RegExp(`^(?:${constraint.slice(1, -1)})$`).test(String(value))) {
+                throw new Error(`[Router] Param "${name}" of route "${routeName}" doesn't match ${constraint}: "${value}"`);
+            }
+            return encodeURIComponent(value);
+        });
+
+        if (!skip) {
+            segments.push(filled);
+        }
+    }
+
+    if (!segments.length) {
+        return '/';
+    }
+    return '/' + segments.join('/') + (pattern.endsWith('/') ? '/' : '');
+}
+
+/**
+ * Order compiled patterns by specificity: segment by segment, static beats
+ * constrained beats param beats optional beats catch-all. When one is a
+ * prefix of the other the shorter pattern wins.
+ * @private
+ * @param {{score: number[]}} a - Compiled pattern
+ * @param {{score: number[]}} b - Compiled pattern
+ * @returns {number} Negative when a is more specific
+ */
+function comparePatterns(a, b) {
+    const length = Math.min(a.score.length, b.score.length);
+    for (let i = 0; i < length; i++) {
+        if (a.score[i] !== b.score[i]) {
+            return b.score[i] - a.score[i];
+        }
+    }
+    return a.score.length - b.score.length;
+}
+
 /**
  * Match a path against a compiled route pattern
  * @private
  * @param {string} path - URL path to match
- * @param {{regex: RegExp, paramNames: string[]}} compiledPattern - Compiled route pattern
+ * @param {{regex: RegExp, paramNames: string[], catchAll: string|null}} compiledPattern - Compiled route pattern
  * @returns {{match: boolean, params: Object<string, string>}} Match result with extracted params
  */
 function matchRoute(path, compiledPattern) {
@@ -111,22 +224,81 @@ function matchRoute(path, compiledPattern) {
     }
 
     const params = {};
-    for (let i = 0; i < compiledPattern.paramNames.length; i++) {
-        params[compiledPattern.paramNames[i]] = decodeURIComponent(match[i + 1]);
+    for (const name of compiledPattern.paramNames) {
+        const value = match.groups[name];
+        // Missing optional params are left out
+        if (value !== undefined) {
+            params[name] = decodeURIComponent(value);
+        }
+    }
+
+    // Catch-alls are always set, without the trailing slash
+    const { catchAll } = compiledPattern;
+    if (catchAll) {
+        params[catchAll] = (params[catchAll] || '').replace(/\/$/, '');
     }
 
     return { match: true, params };
 }
 
+/**
+ * Position of the current history entry, recorded in its state by the router
+ * @private
+ * @returns {number|null} Position, or null for entries the router hasn't seen
+ */
+function getHistoryPosition() {
+    const state = window.history.state;
+    return state && typeof state.vdxPosition === 'number' ? state.vdxPosition : null;
+}
+
+/**
+ * Check whether two param/query objects have the same entries
+ * @private
+ * @param {Object<string, string>} a
+ * @param {Object<string, string>} b
+ * @returns {boolean}
+ */
+function sameEntries(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Find the outlet a <router-outlet> is nested in, crossing shadow roots
+ * @private
+ * @param {HTMLElement} element - Nested outlet element
+ * @returns {HTMLElement|null} Closest outlet that a router renders into
+ */
+function findParentOutlet(element) {
+    let node = element.parentNode;
+    while (node) {
+        if (node._router) return node;
+        node = node.nodeType === 11 ? node.host : node.parentNode;
+    }
+    return null;
+}
+
 /**
  * Router class for managing client-side navigation
  *
  * @typedef {Object} RouteConfig
  * @property {string} component - Component tag name to render
  * @property {() => Promise<any>} [load] - Optional lazy load function (dynamic import)
- * @property {string} [require] - Optional capability requirement for access control
+ * @property {(context: {params: Object, query: Object, signal: AbortSignal}) => any} [loader] -
+ *   Optional data loader, run on every navigation to the route. Its result is the component's data prop.
+ * @property {string} [errorComponent] - Optional component tag rendered instead (with an error prop)
+ *   when the loader of this route or of a nested route throws
+ * @property {string} [require] - Optional capability requirement, checked with options.checkCapability
+ * @property {string} [name] - Optional unique name, for building URLs with url()/navigate()
  * @property {Object} [meta] - Optional metadata for the route
- * @property {Object<string, RouteConfig>} [routes] - Optional nested routes
+ * @property {NavigationGuard|NavigationGuard[]} [beforeEnter] - Optional guards run when entering
+ *   the route (or, for a parent, any of its nested routes) from outside it
+ * @property {Object<string, RouteConfig>} [routes] - Optional nested routes. When the
+ *   parent has a component it's a layout: it renders a <router-outlet> that shows the
+ *   matched child. '/' is the index route, shown at the parent's own path.
  *
  * @example
  * const router = new Router({
@@ -142,18 +314,38 @@ function matchRoute(path, compiledPattern) {
  * });
  *
  * router.setOutlet(document.querySelector('router-outlet'));
+ *
+ * @typedef {(context: {path: string, query: Object, params: Object, route: RouteConfig, from: Object}) =>
+ *   boolean|void|Promise<boolean|void>} NavigationGuard - Return false to cancel navigation
+ *
+ * @typedef {Object} RouteLocation
+ * @property {string} [name] - Name of the route to go to
+ * @property {Object<string, any>} [params] - Values of the route's params
+ * @property {string} [path] - Path, when not going by name
+ * @property {Object<string, string>} [query] - Query parameters
  */
 export class Router {
     /**
      * Create a new router instance
      * @param {Object<string, RouteConfig>} routes - Route configuration map
-     * @param {Object} [options={}] - Router options (reserved for future use)
+     * @param {Object} [options={}] - Router options
+     * @param {(capability: string) => boolean|Promise<boolean>} [options.checkCapability] -
+     *   Enables the built-in guard for routes with `require`
+     * @param {string} [options.unauthorizedPath] - Where to redirect when a required
+     *   capability is missing (with a `message` query parameter)
      */
     constructor(routes, options = {}) {
         this.routes = {};
+        this.namedRoutes = {};  // Route name → full path pattern
         this.beforeHooks = [];
         this.afterHooks = [];
         this.outletElement = null;
+        this._nestedOutlets = new Set(); // <router-outlet>s inside layout components
+        this._navigation = null;  // AbortController of the navigation in progress
+        this._levelProps = [];    // Loader data/error for each matched level
+        this._activeChain = [];   // Route configs of the current route, outermost first
+        this.checkCapability = options.checkCapability || null;
+        this.unauthorizedPath = options.unauthorizedPath || null;
         this.loadedComponents = new Set(); // Track loaded components
 
         // Detect routing mode: HTML5 (with base tag) or hash
@@ -163,22 +355,43 @@ export class Router {
         // Flatten nested routes
         this._flattenRoutes(routes);
 
+        // Pattern routes are tried most specific first
+        this._rankedRoutes = Object.values(this.routes)
+            .filter(route => route._compiled)
+            .sort((a, b) => comparePatterns(a._compiled, b._compiled));
+
         // Create reactive current route store
         this.currentRoute = createStore({
             path: '/',
             query: {},
             params: {},
             component: null,
-            meta: {}
+            name: null,
+            meta: {},
+            matched: []     // { component, meta } per level, outermost layout first
         });
 
+        // Reactive navigation status (see the pending getter)
+        this.status = createStore({
+            pending: false
+        });
+
+        // Position of the history entry showing the current route, so back/forward
+        // navigations cancelled by a guard can be undone
+        this._position = getHistoryPosition() ?? 0;
+        this._stampHistoryEntry(this._position);
+        this._started = false;      // A route was shown
+        this._replacing = false;    // Hash mode replace() in progress
+        this._restoring = false;    // Undoing a cancelled back/forward
+        this._redirect = null;      // { position } of the navigation a guard redirected
+
         // Track listeners for cleanup
         this._listeners = [];
 
         // Setup listeners based on routing mode
         if (this.useHTML5) {
             // HTML5 routing: listen to popstate
-            const popstateHandler = () => this.handleRoute();
+            const popstateHandler = () => this._handleHistoryChange();
             window.addEventListener('popstate', popstateHandler);
             this._listeners.push({ event: 'popstate', handler: popstateHandler });
 
@@ -193,7 +406,7 @@ export class Router {
             this._listeners.push({ event: 'hashchange', handler: hashchangeHandler });
         } else {
             // Hash routing: listen to hashchange
-            const hashchangeHandler = () => this.handleRoute();
+            const hashchangeHandler = () => this._handleHistoryChange();
             window.addEventListener('hashchange', hashchangeHandler);
             this._listeners.push({ event: 'hashchange', handler: hashchangeHandler });
         }
@@ -217,6 +430,21 @@ export class Router {
         // Clear hooks
         this.beforeHooks = [];
         this.afterHooks = [];
+        this._nestedOutlets.clear();
+
+        if (this._navigation) {
+            this._navigation.abort();
+            this._navigation = null;
+        }
+    }
+
+    /**
+     * Whether a navigation is in progress (running guards, loading components
+     * or data). Reactive: templates that read it re-render when it changes.
+     * @returns {boolean}
+     */
+    get pending() {
+        return this.status.state.pending;
     }
 
     /**
@@ -260,26 +488,37 @@ export class Router {
      * @private
      * @param {Object<string, RouteConfig>} routes - Routes to flatten
      * @param {string} [prefix=''] - Path prefix for nested routes
+     * @param {RouteConfig[]} [parents=[]] - Configs of the enclosing routes, outermost first
      * @returns {void}
      */
-    _flattenRoutes(routes, prefix = '') {
+    _flattenRoutes(routes, prefix = '', parents = []) {
         for (const [path, config] of Object.entries(routes)) {
-            const fullPath = prefix + (path === '/' ? '' : path);
+            // '/' in nested routes is the index route, at the parent's own path
+            const fullPath = path === '/' ? prefix : prefix.replace(/\/$/, '') + path;
+            const chain = [...parents, config];
+
+            if (config.name) {
+                if (config.name in this.namedRoutes) {
+                    throw new Error(`[Router] Duplicate route name "${config.name}"`);
+                }
+                this.namedRoutes[config.name] = fullPath || '/';
+            }
 
             // Compile route pattern (handles :param syntax)
             const compiled = compileRoutePattern(fullPath || '/');
 
             if (config.routes) {
                 // Nested routes
-                this._flattenRoutes(config.routes, fullPath);
+                this._flattenRoutes(config.routes, fullPath, chain);
 
-                // Also register the parent route if it has a component
-                if (config.component) {
-                    this.routes[fullPath] = { ...config, _compiled: compiled };
+                // Also register the parent route if it has a component and no index route
+                // took its path (it then renders with an empty outlet)
+                if (config.component && !this.routes[fullPath]) {
+                    this.routes[fullPath] = this._createRouteRecord(chain, compiled);
                 }
             } else {
                 // Leaf route
-                this.routes[fullPath] = { ...config, _compiled: compiled };
+                this.routes[fullPath] = this._createRouteRecord(chain, compiled);
             }
         }
 
@@ -290,23 +529,81 @@ export class Router {
     }
 
     /**
-     * Navigate to a path (adds history entry)
-     * @param {string} path - Path to navigate to (e.g., '/about', '/users/123')
-     * @param {Object<string, string>} [query={}] - Optional query parameters
+     * Create the flat route entry for the last config of a chain
+     * @private
+     * @param {RouteConfig[]} chain - Route configs, outermost first
+     * @param {{regex: RegExp, paramNames: string[]}} compiled - Compiled route pattern
+     * @returns {RouteConfig} Route entry
+     */
+    _createRouteRecord(chain, compiled) {
+        const config = chain[chain.length - 1];
+        const record = {
+            ...config,
+            _compiled: compiled,
+            _chain: chain,
+            _matched: chain.filter(route => route.component)  // Components per outlet level
+        };
+
+        // Nested routes inherit their parents' meta and capability requirement
+        if (chain.length > 1) {
+            const metas = chain.filter(route => route.meta).map(route => route.meta);
+            if (metas.length) {
+                record.meta = Object.assign({}, ...metas);
+            }
+            const required = chain.findLast(route => route.require);
+            if (required) {
+                record.require = required.require;
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Resolve a path or named route location to a path with query string
+     * @private
+     * @param {string|RouteLocation} to - Path or location
+     * @param {Object<string, string>} [query={}] - Query parameters (for paths)
+     * @returns {string} Path with query string
+     * @throws {Error} For unknown route names and missing or invalid params
+     */
+    _resolve(to, query = {}) {
+        let path = to;
+        if (typeof to === 'object') {
+            if (to.name) {
+                if (!(to.name in this.namedRoutes)) {
+                    throw new Error(`[Router] No route named "${to.name}"`);
+                }
+                path = fillRoutePattern(this.namedRoutes[to.name], to.params || {}, to.name);
+            } else {
+                path = to.path || '/';
+            }
+            query = to.query || {};
+        }
+
+        const queryString = stringifyQuery(query);
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+     * Navigate to a path or named route (adds history entry)
+     * @param {string|RouteLocation} to - Path (e.g., '/about', '/users/123') or location
+     * @param {Object<string, string>} [query={}] - Optional query parameters (with a path)
      * @returns {void}
+     * @throws {Error} For unknown route names and missing or invalid params
      *
      * @example
      * router.navigate('/about');
      * router.navigate('/search', { q: 'test', page: '2' });
+     * router.navigate({ name: 'qnote', params: { name: 'shopping' } });
      */
-    navigate(path, query = {}) {
-        const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+    navigate(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             // HTML5 routing: use pushState
             const url = this.base + fullPath;
-            window.history.pushState({ path: fullPath }, '', url);
+            window.history.pushState({ path: fullPath, vdxPosition: this._position + 1 }, '', url);
             this.handleRoute();
         } else {
             // Hash routing: use hash
@@ -316,24 +613,26 @@ export class Router {
 
     /**
      * Replace current route without adding history entry
-     * @param {string} path - Path to navigate to
-     * @param {Object<string, string>} [query={}] - Optional query parameters
+     * @param {string|RouteLocation} to - Path or location to navigate to
+     * @param {Object<string, string>} [query={}] - Optional query parameters (with a path)
      * @returns {void}
+     * @throws {Error} For unknown route names and missing or invalid params
      *
      * @example
      * router.replace('/login'); // Replaces current entry
      */
-    replace(path, query = {}) {
-        const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+    replace(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             // HTML5 routing: use replaceState
             const url = this.base + fullPath;
-            window.history.replaceState({ path: fullPath }, '', url);
+            const position = this._redirect ? this._redirect.position : this._position;
+            window.history.replaceState({ path: fullPath, vdxPosition: position }, '', url);
             this.handleRoute();
         } else {
             // Hash routing: use hash
+            this._replacing = true;
             window.location.replace(`#${fullPath}`);
         }
     }
@@ -356,9 +655,11 @@ export class Router {
 
     /**
      * Register a before-navigation hook (runs before route changes)
-     * @param {(context: {path: string, query: Object, route: RouteConfig}) => boolean|void|Promise<boolean|void>} fn - Hook function (return false to cancel navigation)
+     * @param {NavigationGuard} fn - Hook function (return false to cancel navigation)
      * @returns {void}
      *
+     * The built-in guard for `require` and the routes' beforeEnter guards run after these hooks.
+     *
      * @example
      * router.beforeEach(({ path, route }) => {
      *   if (route.require && !hasPermission(route.require)) {
@@ -419,10 +720,8 @@ export class Router {
             }
         }
 
-        // No exact match - try pattern matching for routes with :params
-        for (const [pattern, routeConfig] of Object.entries(this.routes)) {
-            if (!routeConfig._compiled) continue;
-
+        // No exact match - try pattern matching, most specific route first
+        for (const routeConfig of this._rankedRoutes) {
             const result = matchRoute(path, routeConfig._compiled);
             if (result.match) {
                 return { route: routeConfig, params: result.params };
@@ -471,58 +770,296 @@ export class Router {
 
         const query = parseQuery(queryString);
 
-        // Find matching route with params
-        const { route, params } = this._findRoute(path);
-
-        // Run before hooks
-        for (const hook of this.beforeHooks) {
-            const result = await hook({ path, query, params, route });
-            if (result === false) {
-                // Navigation cancelled
-                return;
-            }
-        }
-
-        // Lazy load component if needed
-        if (route.load && route.component && !this.loadedComponents.has(route.component)) {
-            try {
-                await route.load();
-                this.loadedComponents.add(route.component);
-            } catch (error) {
-                console.error(`Failed to load component for route ${path}:`, error);
-                // Fallback to 404 on load error
-                const fallback = this.routes['/404'] || { component: 'page-not-found' };
-                this.currentRoute.set({
-                    path,
-                    query,
-                    params: {},
-                    component: fallback.component,
-                    meta: fallback.meta || {}
-                });
-                this._renderOutlet();
-                return;
-            }
-        }
-
-        // Update current route
-        this.currentRoute.set({
-            path,
-            query,
-            params,
-            component: route.component,
-            meta: route.meta || {}
-        });
+        // A guard's redirect continues the navigation that was redirected
+        const redirect = this._redirect;
+        this._redirect = null;
+
+        // History entry this navigation shows. Entries added by hash links have no position yet.
+        const position = getHistoryPosition() ??
+            (redirect ? redirect.position : this._replacing ? this._position : this._position + 1);
+        const href = window.location.href;
+        this._replacing = false;
+
+        // A newer navigation supersedes this one: its loaders are aborted and
+        // its results dropped, so rapid navigations can't finish out of order
+        if (this._navigation) {
+            this._navigation.abort();
+        }
+        const navigation = new AbortController();
+        this._navigation = navigation;
+        const isCurrent = () => this._navigation === navigation;
+        this.status.set({ pending: true });
+
+        try {
+            // Find matching route with params
+            const { route, params } = this._findRoute(path);
+            let levels = (route._matched || [route]).filter(level => level.component);
+
+            const { matched, ...from } = this.currentRoute.state;
+            const context = { path, query, params, route, from };
+            const cancel = () => {
+                if (isCurrent()) {
+                    this._cancelNavigation(position, href);
+                }
+            };
+
+            // Components being left can veto (unsaved changes). After a redirect
+            // they already agreed to leave.
+            let kept = 0;
+            while (kept < matched.length && levels[kept]?.component === matched[kept].component) {
+                kept++;
+            }
+            const leaving = redirect ? [] : this._getRenderedElements()
+                .slice(kept)
+                .filter(element => element && element._beforeRouteLeave)
+                .reverse();
+            for (const element of leaving) {
+                let result;
+                try {
+                    const to = { path, query, params, name: route.name || null, meta: route.meta || {} };
+                    result = await element._beforeRouteLeave(to, from);
+                } catch (error) {
+                    console.error(`[${element.tagName.toLowerCase()}] Error in beforeRouteLeave:`, error);
+                    result = false;
+                }
+                if (result === false || !isCurrent()) {
+                    cancel();
+                    return;
+                }
+            }
+
+            // Run before hooks
+            for (const hook of this.beforeHooks) {
+                let result;
+                try {
+                    result = await hook(context);
+                } catch (error) {
+                    console.error(`Error in beforeEach hook for route ${path}:`, error);
+                    result = false;
+                }
+                if (result === false || !isCurrent()) {
+                    // Navigation cancelled or superseded
+                    cancel();
+                    return;
+                }
+            }
+
+            // Built-in capability guard
+            if (route.require && this.checkCapability) {
+                let allowed;
+                try {
+                    allowed = await this.checkCapability(route.require);
+                } catch (error) {
+                    console.error(`Error checking capability "${route.require}" for route ${path}:`, error);
+                    cancel();
+                    return;
+                }
+                if (!isCurrent()) return;
+                if (!allowed) {
+                    console.warn(`Route ${path} requires capability "${route.require}" which user does not have`);
+                    if (this.unauthorizedPath) {
+                        // The redirect takes over this navigation's history entry
+                        this._redirect = { position };
+                        this.replace(this.unauthorizedPath, {
+                            message: `You do not have permission to access this page. Required capability: ${route.require}`
+                        });
+                    } else {
+                        cancel();
+                    }
+                    return;
+                }
+            }
+
+            // beforeEnter guards of the routes being entered, outermost first
+            const entering = (route._chain || [route]).filter(config => !this._activeChain.includes(config));
+            for (const config of entering) {
+                for (const guard of [].concat(config.beforeEnter || [])) {
+                    let result;
+                    try {
+                        result = await guard(context);
+                    } catch (error) {
+                        console.error(`Error in beforeEnter guard for route ${path}:`, error);
+                        result = false;
+                    }
+                    if (result === false || !isCurrent()) {
+                        cancel();
+                        return;
+                    }
+                }
+            }
+
+            // Guards passed: this is the route's history entry now
+            this._position = position;
+            this._stampHistoryEntry(position);
+            this._started = true;
+
+            // Start the data loaders while the components load
+            const loading = levels.some(level => level.loader)
+                ? Promise.all(levels.map(level => this._runLoader(level, params, query, navigation.signal)))
+                : null;
+
+            // Lazy load components if needed (the route's and its layouts')
+            const unloaded = levels.filter(level => level.load && !this.loadedComponents.has(level.component));
+            if (unloaded.length) {
+                try {
+                    await Promise.all(unloaded.map(level => level.load()));
+                    unloaded.forEach(level => this.loadedComponents.add(level.component));
+                } catch (error) {
+                    if (!isCurrent()) return;
+                    navigation.abort();
+                    console.error(`Failed to load component for route ${path}:`, error);
+                    // Fallback to 404 on load error
+                    const fallback = this.routes['/404'] || { component: 'page-not-found' };
+                    this._levelProps = [];
+                    this._activeChain = [];
+                    this.currentRoute.set({
+                        path,
+                        query,
+                        params: {},
+                        component: fallback.component,
+                        name: fallback.name || null,
+                        meta: fallback.meta || {},
+                        matched: [{ component: fallback.component, meta: fallback.meta || {} }]
+                    });
+                    this._renderOutlet();
+                    return;
+                }
+            }
+
+            // Routes without loaders render without waiting
+            let results = loading ? await loading : [];
+            if (!isCurrent()) return;
+
+            const failed = results.findIndex(result => result.error);
+            if (failed !== -1) {
+                const { error } = results[failed];
+                console.error(`Route loader failed for ${path}:`, error);
+                // The failed level, or the closest layout above it, shows its errorComponent instead
+                const handler = levels.slice(0, failed + 1).findLastIndex(level => level.errorComponent);
+                if (handler !== -1) {
+                    levels = [...levels.slice(0, handler), {
+                        component: levels[handler].errorComponent,
+                        meta: levels[handler].meta
+                    }];
+                    results = [...results.slice(0, handler), { data: undefined, error }];
+                }
+            }
+
+            // Update current route
+            this._levelProps = results;
+            this._activeChain = route._chain || [];
+            this.currentRoute.set({
+                path,
+                query,
+                params,
+                component: levels.length ? levels[levels.length - 1].component : null,
+                name: route.name || null,
+                meta: route.meta || {},
+                matched: levels.map(level => ({ component: level.component, meta: level.meta || {} }))
+            });
+
+            // Render component (handles same-component prop updates)
+            this._renderOutlet();
+
+            // Run after hooks
+            for (const hook of this.afterHooks) {
+                if (!isCurrent()) return;
+                await hook({ path, query, params, route });
+            }
+
+            // Clean up template cache on navigation to prevent unbounded growth
+            pruneTemplateCache();
+        } finally {
+            if (isCurrent()) {
+                this._navigation = null;
+                this.status.set({ pending: false });
+            }
+        }
+    }
 
-        // Render component (handles same-component prop updates)
-        this._renderOutlet();
+    /**
+     * Handle popstate/hashchange
+     * @private
+     * @returns {void}
+     */
+    _handleHistoryChange() {
+        if (this._restoring) {
+            // Going back to the entry of the current route after a cancelled navigation
+            this._restoring = false;
+            return;
+        }
+        this.handleRoute();
+    }
+
+    /**
+     * Record a position in the state of the current history entry
+     * @private
+     * @param {number} position - Entry position
+     * @returns {void}
+     */
+    _stampHistoryEntry(position) {
+        if (getHistoryPosition() !== position) {
+            window.history.replaceState({ ...window.history.state, vdxPosition: position }, '');
+        }
+    }
 
-        // Run after hooks
-        for (const hook of this.afterHooks) {
-            await hook({ path, query, params, route });
+    /**
+     * Put the location back to the current route after a guard cancelled a navigation
+     * @private
+     * @param {number} position - History entry of the cancelled navigation
+     * @param {string} href - Its URL
+     * @returns {void}
+     */
+    _cancelNavigation(position, href) {
+        // Nothing to go back to, or a guard redirected somewhere else
+        if (!this._started || window.location.href !== href) {
+            return;
         }
 
-        // Clean up template cache on navigation to prevent unbounded growth
-        pruneTemplateCache();
+        if (position !== this._position) {
+            // Back/forward or a new entry: return to the current route's entry
+            this._restoring = true;
+            window.history.go(this._position - position);
+        } else {
+            // Replaced entry: put the current route's URL back
+            const { path, query } = this.currentRoute.state;
+            window.history.replaceState(window.history.state, '', this.url(path, query));
+        }
+    }
+
+    /**
+     * Components currently rendered in the outlets, indexed by level
+     * @private
+     * @returns {Array<HTMLElement|undefined>}
+     */
+    _getRenderedElements() {
+        const elements = [];
+        for (const outlet of [this.outletElement, ...this._nestedOutlets]) {
+            if (outlet && outlet.firstElementChild) {
+                elements[outlet._routerDepth] = outlet.firstElementChild;
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * Run the data loader of a route level
+     * @private
+     * @param {RouteConfig} level - Route config
+     * @param {Object<string, string>} params - URL params
+     * @param {Object<string, string>} query - Query params
+     * @param {AbortSignal} signal - Aborted when the navigation is superseded
+     * @returns {Promise<{data?: any, error?: Error|null}>} Props for the level's component
+     */
+    async _runLoader(level, params, query, signal) {
+        if (!level.loader) {
+            return {};
+        }
+        try {
+            return { data: await level.loader({ params, query, signal }), error: null };
+        } catch (error) {
+            return { data: undefined, error };
+        }
     }
 
     /**
@@ -540,6 +1077,11 @@ export class Router {
         }
 
         this.outletElement = element;
+        if (element) {
+            // Lets <router-outlet>s rendered inside it find the router
+            element._router = this;
+            element._routerDepth = 0;
+        }
 
         // Subscribe to route changes and re-render
         this._outletUnsubscribe = this.currentRoute.subscribe(() => {
@@ -548,7 +1090,7 @@ export class Router {
     }
 
     /**
-     * Render the current component in the outlet
+     * Render the current route in the outlet and in the nested outlets of its layouts
      * Handles same-component navigation by updating props instead of recreating
      * @private
      * @returns {void}
@@ -558,55 +1100,117 @@ export class Router {
             return;
         }
 
-        const { component, params, query } = this.currentRoute.state;
-
-        if (!component) {
+        if (!this.currentRoute.state.component) {
             // Fallback if no component is found (should not happen with proper 404 route)
             this.outletElement.innerHTML = '<page-not-found></page-not-found>';
-            this._currentComponent = null;
-            this._currentElement = null;
+            return;
+        }
+
+        this._renderLevel(this.outletElement, 0);
+
+        // Layouts that were kept show the new child in their outlet. Outlets of
+        // replaced layouts have disconnected, new ones render when they connect.
+        const nested = [...this._nestedOutlets].sort((a, b) => a._routerDepth - b._routerDepth);
+        for (const outlet of nested) {
+            if (this._nestedOutlets.has(outlet)) {
+                this._renderLevel(outlet, outlet._routerDepth);
+            }
+        }
+    }
+
+    /**
+     * Render one level of the matched route into an outlet
+     * @private
+     * @param {HTMLElement} outlet - Outlet element
+     * @param {number} depth - Level to render (0 = outermost)
+     * @returns {void}
+     */
+    _renderLevel(outlet, depth) {
+        const { matched, params, query } = this.currentRoute.state;
+        const level = matched[depth];
+        const levelProps = this._levelProps[depth] || {};  // Loader data/error
+
+        if (!level) {
+            // Layout route without a matching child
+            outlet.innerHTML = '';
             return;
         }
 
         // Check if we can reuse the existing component (same tag name)
-        const existingElement = this.outletElement.firstElementChild;
-        if (existingElement && existingElement.tagName.toLowerCase() === component) {
+        const existingElement = outlet.firstElementChild;
+        if (existingElement && existingElement.tagName.toLowerCase() === level.component) {
             // Same component - update props instead of recreating
-            // This triggers reactive updates via property setters
-            existingElement.params = params;
-            existingElement.query = query;
-            this._currentElement = existingElement;
+            // This triggers reactive updates via property setters, so only
+            // changed values are set (a layout stays as is between its children)
+            if (!sameEntries(existingElement.params, params)) {
+                existingElement.params = params;
+            }
+            if (!sameEntries(existingElement.query, query)) {
+                existingElement.query = query;
+            }
+            for (const [key, value] of Object.entries(levelProps)) {
+                if (existingElement[key] !== value) {
+                    existingElement[key] = value;
+                }
+            }
         } else {
             // Different component - create new element
-            const element = document.createElement(component);
+            const element = document.createElement(level.component);
 
             // Set params and query as properties (not attributes)
             // This allows passing objects directly to the component
             element.params = params;
             element.query = query;
+            Object.assign(element, levelProps);
 
             // Replace outlet content
-            this.outletElement.innerHTML = '';
-            this.outletElement.appendChild(element);
+            outlet.innerHTML = '';
+            outlet.appendChild(element);
+        }
+    }
 
-            this._currentComponent = component;
-            this._currentElement = element;
+    /**
+     * Register a <router-outlet> rendered by a layout component and fill it
+     * @private
+     * @param {HTMLElement} outlet - Nested outlet element
+     * @param {number} depth - Level it renders
+     * @returns {void}
+     */
+    _connectOutlet(outlet, depth) {
+        outlet._router = this;
+        outlet._routerDepth = depth;
+        this._nestedOutlets.add(outlet);
+
+        if (this.currentRoute.state.component) {
+            this._renderLevel(outlet, depth);
         }
     }
 
+    /**
+     * Forget a nested outlet that was removed with its layout
+     * @private
+     * @param {HTMLElement} outlet - Nested outlet element
+     * @returns {void}
+     */
+    _disconnectOutlet(outlet) {
+        this._nestedOutlets.delete(outlet);
+        outlet._router = null;
+    }
+
     /**
      * Generate URL for a route (respects routing mode)
-     * @param {string} path - Route path
-     * @param {Object<string, string>} [query={}] - Optional query parameters
+     * @param {string|RouteLocation} to - Route path or location
+     * @param {Object<string, string>} [query={}] - Optional query parameters (with a path)
      * @returns {string} Complete URL (hash or HTML5 based on mode)
+     * @throws {Error} For unknown route names and missing or invalid params
      *
      * @example
      * router.url('/about'); // Returns '#/about' or '/app/about' depending on mode
      * router.url('/search', { q: 'test' }); // '/search?q=test'
+     * router.url({ name: 'product', params: { id: 42 }, query: { tab: 'reviews' } }); // '#/product/42/?tab=reviews'
      */
-    url(path, query = {}) {
-        const queryString = stringifyQuery(query);
-        const fullPath = queryString ? `${path}?${queryString}` : path;
+    url(to, query = {}) {
+        const fullPath = this._resolve(to, query);
 
         if (this.useHTML5) {
             return this.base + fullPath;
@@ -619,21 +1223,29 @@ export class Router {
 function init() {
     defineComponent('router-link', {
         props: {
-            to: '/'
+            to: '/',
+            name: '',       // Named route, used instead of "to"
+            params: {},     // Params of the named route
+            query: {}
         },
 
         methods: {
+            getTarget() {
+                const { to, name, params, query } = this.props;
+                return name ? { name, params, query } : { path: to, query };
+            },
+
             handleClick(e) {
                 // Intercept clicks for HTML5 routing
                 if (_router && _router.useHTML5) {
                     e.preventDefault();
-                    _router.navigate(this.props.to);
+                    _router.navigate(this.getTarget());
                 }
             }
         },
 
         template() {
-            const href = _router ? _router.url(this.props.to) : `#${this.props.to}`;
+            const href = _router ? _router.url(this.getTarget()) : `#${this.props.to}`;
 
             return html`
                 <a href="${href}" on-click="handleClick">${this.props.children}</a>
@@ -642,13 +1254,25 @@ function init() {
     });
 
 
-    if (customElements.get('router-outlet')) {
+    // Outside a browser (build-time prerendering) there's nothing to register
+    if (typeof customElements === 'undefined' || customElements.get('router-outlet')) {
         return;
     }
 
+    // The top-level outlet is passed to the router (setOutlet/enableRouting).
+    // Outlets inside routed layout components register themselves.
     class RouterOutlet extends HTMLElement {
         connectedCallback() {
-            // Router will find this and use it
+            const parentOutlet = findParentOutlet(this);
+            if (parentOutlet) {
+                parentOutlet._router._connectOutlet(this, parentOutlet._routerDepth + 1);
+            }
+        }
+
+        disconnectedCallback() {
+            if (this._router && this._routerDepth > 0) {
+                this._router._disconnectOutlet(this);
+            }
         }
     }
 
@@ -661,8 +1285,18 @@ init();
  * Enable routing for a specific outlet element
  * @param {RouterOutlet} outlet router outlet element
  * @param {Object<string, RouteConfig>} routes object defining routes
- * @param {Object} options additional options (currently unused)
+ * @param {Object} [options] router options, used when the router is created
+ * @param {(capability: string) => boolean|Promise<boolean>} [options.checkCapability] checks the
+ *   `require` capability of routes (enables the built-in capability guard)
+ * @param {string} [options.unauthorizedPath] path to redirect to when a required capability is
+ *   missing, with a `message` query parameter (navigation is cancelled without it)
  * @returns {Router} The singleton router instance
+ *
+ * @example
+ * enableRouting(outlet, routes, {
+ *   checkCapability: (capability) => login.state.has(capability),
+ *   unauthorizedPath: '/auth/error/'
+ * });
  */
 export function enableRouting(outlet, routes, options = {}) {
     if (!_router) {
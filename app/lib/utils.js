@@ -266,6 +266,10 @@ export function dismissNotification(id) {
 
 /**
  * Extract form data as object
+ * Includes form-associated components (cl-* form controls). A field submitted
+ * several times keeps only its last value - this includes cl-chips,
+ * cl-multiselect and cl-fileupload, which submit one entry per item. Use
+ * new FormData(form).getAll(name) to read all of them.
  * @param {HTMLFormElement} formElement - Form element
  * @returns {Object<string, string>} Form data as key-value pairs
  *
@@ -279,6 +283,7 @@ export function formData(formElement) {
 
 /**
  * Serialize form data as URL-encoded string
+ * Like formData(), keeps only the last value of repeated fields
  * @param {HTMLFormElement} formElement - Form element
  * @returns {string} URL-encoded form data
  *
@@ -0,0 +1,201 @@
+/**
+ * Dependency Tracking Benchmark - Compares fine-grained render tracking with deepTracking
+ */
+import { defineComponent, nextTick } from '../lib/framework.js';
+import { html, each, when } from '../lib/framework.js';
+
+const ROW_COUNT = 10000;
+const PAGE_SIZE = 10;
+
+function createRows() {
+    const rows = [];
+    for (let i = 0; i < ROW_COUNT; i++) {
+        rows.push({ id: i, name: `Product ${i}`, stock: 100 });
+    }
+    return rows;
+}
+
+// Both grids share everything except how the render effect tracks state
+const benchGrid = {
+    data() {
+        return {
+            rows: createRows(),
+            page: 0
+        };
+    },
+
+    template() {
+        // Not reactive state - counting renders must not trigger one
+        this.renderCount = (this.renderCount || 0) + 1;
+
+        const start = this.state.page * PAGE_SIZE;
+        const visible = this.state.rows.slice(start, start + PAGE_SIZE);
+
+        return html`
+            <table>
+                ${each(visible, row => html`
+                    <tr><td>${row.name}</td><td>${row.stock}</td></tr>
+                `, row => row.id)}
+            </table>
+        `;
+    },
+
+    styles: /*css*/`
+        :host {
+            display: block;
+            font-size: 0.85em;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        td {
+            padding: 2px 6px;
+            border-bottom: 1px solid var(--border-color, #eee);
+        }
+    `
+};
+
+defineComponent('bench-grid-fine', benchGrid);
+defineComponent('bench-grid-deep', { ...benchGrid, deepTracking: true });
+
+const SCENARIOS = [
+    {
+        label: 'Edit an off-screen row',
+        mutate: (state, i) => { state.rows[ROW_COUNT - 1 - (i % 100)].stock++; }
+    },
+    {
+        label: 'Edit a visible row',
+        mutate: (state) => { state.rows[state.page * PAGE_SIZE].stock++; }
+    },
+    {
+        label: 'Change page',
+        mutate: (state, i) => { state.page = (i + 1) % 50; }
+    }
+];
+
+export default defineComponent('tracking-benchmark-demo', {
+    data() {
+        return {
+            iterations: 50,
+            running: false,
+            results: []
+        };
+    },
+
+    methods: {
+        async measure(grid, mutate) {
+            grid.renderCount = 0;
+            const start = performance.now();
+
+            for (let i = 0; i < this.state.iterations; i++) {
+                mutate(grid.state, i);
+                await nextTick();
+            }
+
+            return {
+                renders: grid.renderCount,
+                ms: performance.now() - start
+            };
+        },
+
+        async runBenchmark() {
+            this.state.running = true;
+            this.state.results = [];
+
+            for (const scenario of SCENARIOS) {
+                const fine = await this.measure(this.refs.fine, scenario.mutate);
+                const deep = await this.measure(this.refs.deep, scenario.mutate);
+                this.state.results = [...this.state.results, { label: scenario.label, fine, deep }];
+            }
+
+            this.refs.fine.state.page = 0;
+            this.refs.deep.state.page = 0;
+            this.state.running = false;
+        }
+    },
+
+    template() {
+        return html`
+            <h2>Dependency Tracking Benchmark</h2>
+            <p>
+                Two grids hold the same ${ROW_COUNT.toLocaleString()} rows and show ${PAGE_SIZE} of them.
+                The first only subscribes to what its template reads; the second uses
+                <code>deepTracking: true</code> and walks every row on each render.
+            </p>
+
+            <div class="controls">
+                <label>
+                    Iterations:
+                    <input type="number" min="1" max="1000" x-model="iterations">
+                </label>
+                <button on-click="runBenchmark" disabled="${this.state.running}">
+                    ${this.state.running ? 'Running...' : 'Run Benchmark'}
+                </button>
+            </div>
+
+            ${when(this.state.results.length > 0, () => html`
+                <table class="results">
+                    <thead>
+                        <tr>
+                            <th>Scenario</th>
+                            <th>Fine-grained renders</th>
+                            <th>Fine-grained time</th>
+                            <th>deepTracking renders</th>
+                            <th>deepTracking time</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${each(this.state.results, result => html`
+                            <tr>
+                                <td>${result.label}</td>
+                                <td>${result.fine.renders}</td>
+                                <td>${result.fine.ms.toFixed(1)} ms</td>
+                                <td>${result.deep.renders}</td>
+                                <td>${result.deep.ms.toFixed(1)} ms</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `)}
+
+            <div class="grids">
+                <div>
+                    <h3>Fine-grained (default)</h3>
+                    <bench-grid-fine ref="fine"></bench-grid-fine>
+                </div>
+                <div>
+                    <h3>deepTracking</h3>
+                    <bench-grid-deep ref="deep"></bench-grid-deep>
+                </div>
+            </div>
+        `;
+    },
+
+    styles: /*css*/`
+        :host {
+            display: block;
+        }
+
+        .results {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 15px 0;
+        }
+
+        .results th,
+        .results td {
+            padding: 6px 10px;
+            text-align: left;
+            border-bottom: 1px solid var(--border-color, #ddd);
+        }
+
+        .grids {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 20px;
+        }
+    `
+});
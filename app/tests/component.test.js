@@ -5,7 +5,8 @@
 import { describe, assert } from './test-runner.js';
 import { defineComponent } from '../lib/framework.js';
 import { createStore } from '../lib/framework.js';
-import { html } from '../lib/framework.js';
+import { html, each, nextTick, renderToString } from '../lib/framework.js';
+import { setDebugPropWarningHook, setDebugHydrationHook } from '../lib/core/component.js';
 
 describe('Component State Management', function(it) {
     it('initializes component state', () => {
@@ -207,6 +208,168 @@ describe('Component Event Binding', function(it) {
     });
 });
 
+describe('Event Modifiers', function(it) {
+    it('filters by key and system key before prevent', async () => {
+        const calls = [];
+
+        defineComponent('test-modifier-keys', {
+            methods: {
+                submit() { calls.push('enter'); },
+                cancel() { calls.push('esc'); },
+                save() { calls.push('ctrl-s'); }
+            },
+            template() {
+                return html`<input id="field" on-keydown-enter-prevent="submit" on-keydown-esc="cancel" on-keydown-ctrl-s-prevent="save">`;
+            }
+        });
+
+        const el = document.createElement('test-modifier-keys');
+        document.body.appendChild(el);
+        const input = el.querySelector('#field');
+
+        const press = (key, init = {}) => {
+            const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+            input.dispatchEvent(event);
+            return event.defaultPrevented;
+        };
+
+        assert.equal(press('a'), false, 'Other keys should not be prevented');
+        assert.equal(press('Enter'), true, 'Enter should be prevented');
+        press('Escape');
+        assert.equal(press('s'), false, 's without ctrl should not match');
+        assert.equal(press('s', { ctrlKey: true }), true, 'ctrl+s should match');
+        assert.deepEqual(calls, ['enter', 'esc', 'ctrl-s'], 'Each handler should run for its key only');
+
+        document.body.removeChild(el);
+    });
+
+    it('runs once per element and only for its own target with self', async () => {
+        let onceCalls = 0;
+        let selfCalls = 0;
+
+        defineComponent('test-modifier-once-self', {
+            data() {
+                return { renders: 0 };
+            },
+            methods: {
+                first() { onceCalls++; this.state.renders++; },
+                outer() { selfCalls++; }
+            },
+            template() {
+                return html`
+                    <div>
+                        <button id="once" on-click-once="first">${this.state.renders}</button>
+                        <div id="outer" on-click-self="outer"><span id="inner">Inner</span></div>
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-modifier-once-self');
+        document.body.appendChild(el);
+
+        el.querySelector('#once').click();
+        await nextTick();
+        el.querySelector('#once').click();
+        assert.equal(onceCalls, 1, 'once should survive re-renders');
+
+        el.querySelector('#inner').click();
+        assert.equal(selfCalls, 0, 'self should ignore clicks on children');
+        el.querySelector('#outer').click();
+        assert.equal(selfCalls, 1, 'self should handle clicks on the element itself');
+
+        document.body.removeChild(el);
+    });
+
+    it('binds capture and passive listeners', async () => {
+        const order = [];
+        let passivePrevented = null;
+
+        defineComponent('test-modifier-listeners', {
+            methods: {
+                outer() { order.push('outer'); },
+                inner() { order.push('inner'); },
+                wheel(e) {
+                    e.preventDefault();
+                    passivePrevented = e.defaultPrevented;
+                }
+            },
+            template() {
+                return html`
+                    <div id="outer" on-click-capture="outer" on-wheel-passive="wheel">
+                        <button id="inner" on-click="inner">Go</button>
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-modifier-listeners');
+        document.body.appendChild(el);
+
+        el.querySelector('#inner').click();
+        assert.deepEqual(order, ['outer', 'inner'], 'Capture listener should run first');
+
+        el.querySelector('#outer').dispatchEvent(new Event('wheel', { bubbles: true, cancelable: true }));
+        assert.equal(passivePrevented, false, 'Passive listener cannot prevent default');
+
+        document.body.removeChild(el);
+    });
+
+    it('debounces handlers', async () => {
+        const values = [];
+
+        defineComponent('test-modifier-debounce', {
+            methods: {
+                search(e) { values.push(e.target.value); }
+            },
+            template() {
+                return html`<input id="search" on-input-debounce-30="search">`;
+            }
+        });
+
+        const el = document.createElement('test-modifier-debounce');
+        document.body.appendChild(el);
+        const input = el.querySelector('#search');
+
+        for (const value of ['a', 'ab', 'abc']) {
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        assert.equal(values.length, 0, 'Should not run during the burst');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(values, ['abc'], 'Should run once with the last event');
+
+        document.body.removeChild(el);
+    });
+
+    it('drops debounced calls when the component is removed', async () => {
+        const targets = [];
+
+        defineComponent('test-modifier-debounce-removed', {
+            methods: {
+                search(e) { targets.push(e.currentTarget); }
+            },
+            template() {
+                return html`<input id="search" on-input-debounce-30="search">`;
+            }
+        });
+
+        const el = document.createElement('test-modifier-debounce-removed');
+        document.body.appendChild(el);
+        const input = el.querySelector('#search');
+
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(targets, [input], 'Should pass the element as currentTarget');
+
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        document.body.removeChild(el);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(targets.length, 1, 'Should not run after the component is removed');
+    });
+});
+
 describe('Component Re-rendering', function(it) {
     it('conditionally renders based on state', (done) => {
         const TestComponent = defineComponent('test-conditional', {
@@ -311,3 +474,1119 @@ describe('Component Event Isolation', function(it) {
 
     // Removed: Shadow DOM test - no longer supported after Preact migration
 });
+
+describe('Batched Rendering', function(it) {
+    it('coalesces multiple state writes into one render', async () => {
+        let renders = 0;
+
+        defineComponent('test-batch-writes', {
+            data() {
+                return { a: 0, b: 0, c: 0 };
+            },
+            template() {
+                renders++;
+                return html`<div id="sum">${this.state.a + this.state.b + this.state.c}</div>`;
+            }
+        });
+
+        const el = document.createElement('test-batch-writes');
+        document.body.appendChild(el);
+        assert.equal(renders, 1, 'Initial render should be synchronous');
+
+        el.state.a = 1;
+        el.state.b = 2;
+        el.state.c = 3;
+        assert.equal(renders, 1, 'Writes should not render synchronously');
+
+        await nextTick();
+        assert.equal(renders, 2, 'Writes should be flushed in a single render');
+        assert.equal(el.querySelector('#sum').textContent, '6', 'DOM should be updated after nextTick');
+
+        document.body.removeChild(el);
+    });
+
+    it('renders only the dirty subtree, parent before child', async () => {
+        const order = [];
+
+        defineComponent('test-batch-child', {
+            props: { label: '' },
+            data() {
+                return { count: 0 };
+            },
+            template() {
+                order.push('child');
+                return html`<span>${this.props.label}:${this.state.count}</span>`;
+            }
+        });
+
+        defineComponent('test-batch-parent', {
+            data() {
+                return { label: 'a' };
+            },
+            template() {
+                order.push('parent');
+                return html`<test-batch-child label="${this.state.label}"></test-batch-child>`;
+            }
+        });
+
+        defineComponent('test-batch-root', {
+            data() {
+                return { title: 'root' };
+            },
+            template() {
+                order.push('root');
+                return html`<div><h1>${this.state.title}</h1><test-batch-parent></test-batch-parent></div>`;
+            }
+        });
+
+        const el = document.createElement('test-batch-root');
+        document.body.appendChild(el);
+        await nextTick();
+
+        const parent = el.querySelector('test-batch-parent');
+        const child = el.querySelector('test-batch-child');
+        order.length = 0;
+
+        // Dirty the child first, then the parent - parent must still render first
+        child.state.count = 1;
+        parent.state.label = 'b';
+        await nextTick();
+
+        assert.deepEqual(order, ['parent', 'child'], 'Root should not re-render and child should render once, after parent');
+        assert.equal(child.textContent, 'b:1', 'Child should reflect both updates');
+
+        document.body.removeChild(el);
+    });
+
+    it('nextTick accepts a callback', async () => {
+        defineComponent('test-batch-callback', {
+            data() {
+                return { text: 'before' };
+            },
+            template() {
+                return html`<p>${this.state.text}</p>`;
+            }
+        });
+
+        const el = document.createElement('test-batch-callback');
+        document.body.appendChild(el);
+
+        el.state.text = 'after';
+        let seen = null;
+        await nextTick(() => {
+            seen = el.querySelector('p').textContent;
+        });
+
+        assert.equal(seen, 'after', 'Callback should run after the flush');
+        document.body.removeChild(el);
+    });
+});
+
+describe('Dependency Tracking', function(it) {
+    it('re-renders only for state the template reads', async () => {
+        let renders = 0;
+
+        defineComponent('test-track-fine', {
+            data() {
+                return {
+                    rows: Array.from({ length: 100 }, (_, i) => ({ id: i, label: `Row ${i}` })),
+                    selected: 0
+                };
+            },
+            template() {
+                renders++;
+                return html`<div class="label">${this.state.rows[this.state.selected].label}</div>`;
+            }
+        });
+
+        const el = document.createElement('test-track-fine');
+        document.body.appendChild(el);
+
+        el.state.rows[50].label = 'Changed';
+        await nextTick();
+        assert.equal(renders, 1, 'Unread rows should not trigger a render');
+
+        el.state.rows[0].label = 'First';
+        await nextTick();
+        assert.equal(renders, 2, 'The displayed row should trigger a render');
+        assert.equal(el.querySelector('.label').textContent, 'First');
+
+        el.state.selected = 50;
+        await nextTick();
+        assert.equal(el.querySelector('.label').textContent, 'Changed');
+
+        el.state.rows[0].label = 'Ignored';
+        await nextTick();
+        assert.equal(renders, 3, 'A row no longer displayed should not trigger a render');
+
+        document.body.removeChild(el);
+    });
+
+    it('tracks store properties read by the template', async () => {
+        const store = createStore({ user: 'ann', theme: 'light' });
+        let renders = 0;
+
+        defineComponent('test-track-store', {
+            stores: { app: store },
+            template() {
+                renders++;
+                return html`<span>${this.stores.app.user}</span>`;
+            }
+        });
+
+        const el = document.createElement('test-track-store');
+        document.body.appendChild(el);
+
+        store.state.theme = 'dark';
+        await nextTick();
+        assert.equal(renders, 1, 'Unread store properties should not trigger a render');
+
+        store.state.user = 'bob';
+        await nextTick();
+        assert.equal(renders, 2, 'Read store properties should trigger a render');
+        assert.equal(el.querySelector('span').textContent, 'bob');
+
+        document.body.removeChild(el);
+    });
+
+    it('deepTracking re-renders on any state change', async () => {
+        let renders = 0;
+
+        defineComponent('test-track-deep', {
+            deepTracking: true,
+            data() {
+                return { shown: 'a', hidden: { value: 1 } };
+            },
+            template() {
+                renders++;
+                return html`<span>${this.state.shown}</span>`;
+            }
+        });
+
+        const el = document.createElement('test-track-deep');
+        document.body.appendChild(el);
+
+        el.state.hidden.value = 2;
+        await nextTick();
+        assert.equal(renders, 2, 'Unread nested state should still trigger a render');
+
+        document.body.removeChild(el);
+    });
+});
+
+describe('Error Boundaries', function(it) {
+    it('renders fallback when a descendant template throws', async () => {
+        defineComponent('test-boundary-broken', {
+            props: { explode: true },
+            template() {
+                if (this.props.explode) {
+                    throw new Error('template failed');
+                }
+                return html`<p id="ok">fine</p>`;
+            }
+        });
+
+        defineComponent('test-boundary-host', {
+            data() {
+                return { explode: true };
+            },
+            template() {
+                return html`
+                    <div>
+                        <h1 id="title">Still here</h1>
+                        <x-error-boundary fallback="${(err, reset) => html`
+                            <button id="retry" on-click="${() => { this.state.explode = false; reset(); }}">
+                                ${err.message}
+                            </button>
+                        `}">
+                            <test-boundary-broken explode="${this.state.explode}"></test-boundary-broken>
+                        </x-error-boundary>
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-boundary-host');
+        document.body.appendChild(el);
+        await nextTick();
+
+        assert.ok(el.querySelector('#title'), 'Rest of the tree should still render');
+        const retry = el.querySelector('#retry');
+        assert.ok(retry, 'Fallback should render');
+        assert.equal(retry.textContent.trim(), 'template failed', 'Fallback should receive the error');
+
+        retry.click();
+        await nextTick();
+
+        assert.ok(!el.querySelector('#retry'), 'Fallback should be removed after reset');
+        assert.ok(el.querySelector('#ok'), 'Children should render again after reset');
+
+        document.body.removeChild(el);
+    });
+
+    it('calls errorCaptured with component and phase for event handler errors', async () => {
+        const captured = [];
+
+        defineComponent('test-capture-child', {
+            methods: {
+                fail() {
+                    throw new Error('handler failed');
+                }
+            },
+            template() {
+                return html`<button id="fail" on-click="fail">Fail</button>`;
+            }
+        });
+
+        defineComponent('test-capture-parent', {
+            errorCaptured(err, component, phase) {
+                captured.push({ message: err.message, tag: component.tagName.toLowerCase(), phase });
+                return false;
+            },
+            template() {
+                return html`<test-capture-child></test-capture-child>`;
+            }
+        });
+
+        const el = document.createElement('test-capture-parent');
+        document.body.appendChild(el);
+        await nextTick();
+
+        el.querySelector('#fail').click();
+
+        assert.equal(captured.length, 1, 'errorCaptured should be called once');
+        assert.deepEqual(captured[0], { message: 'handler failed', tag: 'test-capture-child', phase: 'event' });
+
+        document.body.removeChild(el);
+    });
+
+    it('routes lifecycle hook errors to errorCaptured', async () => {
+        const phases = [];
+
+        defineComponent('test-capture-hook-child', {
+            mounted() {
+                throw new Error('mount failed');
+            },
+            template() {
+                return html`<span>child</span>`;
+            }
+        });
+
+        defineComponent('test-capture-hook-parent', {
+            errorCaptured(err, component, phase) {
+                phases.push(phase);
+                return false;
+            },
+            template() {
+                return html`<test-capture-hook-child></test-capture-hook-child>`;
+            }
+        });
+
+        const el = document.createElement('test-capture-hook-parent');
+        document.body.appendChild(el);
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.deepEqual(phases, ['mounted'], 'mounted() error should be captured');
+
+        document.body.removeChild(el);
+    });
+});
+
+describe('Computed and Watch Options', function(it) {
+    it('exposes cached computed getters on the component', async () => {
+        let computeCount = 0;
+
+        defineComponent('test-computed-option', {
+            props: { taxRate: 0 },
+            data() {
+                return { items: [{ price: 10 }, { price: 5 }], note: '' };
+            },
+            computed: {
+                subtotal() {
+                    computeCount++;
+                    return this.state.items.reduce((sum, item) => sum + item.price, 0);
+                },
+                total() {
+                    return this.subtotal * (1 + Number(this.props.taxRate));
+                }
+            },
+            template() {
+                return html`<div id="total">${this.total}</div>`;
+            }
+        });
+
+        const el = document.createElement('test-computed-option');
+        document.body.appendChild(el);
+
+        assert.equal(el.querySelector('#total').textContent, '15', 'Should render computed value');
+        assert.equal(computeCount, 1, 'Should compute once for the first render');
+
+        el.state.note = 'unrelated';
+        await nextTick();
+        assert.equal(computeCount, 1, 'Unrelated state changes should use the cache');
+
+        el.state.items.push({ price: 5 });
+        await nextTick();
+        assert.equal(el.querySelector('#total').textContent, '20', 'Should recompute after dependency change');
+
+        el.taxRate = 0.5;
+        await nextTick();
+        assert.equal(el.querySelector('#total').textContent, '30', 'Should recompute after prop change');
+
+        document.body.removeChild(el);
+    });
+
+    it('runs watch handlers for state paths, props and computed names', async () => {
+        const log = [];
+
+        defineComponent('test-watch-option', {
+            props: { mode: 'a' },
+            data() {
+                return { query: '', filters: { tags: [] } };
+            },
+            computed: {
+                queryLength() {
+                    return this.state.query.length;
+                }
+            },
+            watch: {
+                'state.query'(newVal, oldVal) {
+                    log.push(`query:${oldVal}->${newVal}`);
+                },
+                'state.filters': {
+                    handler(newVal) {
+                        log.push(`filters:${newVal.tags.length}`);
+                    },
+                    deep: true
+                },
+                'props.mode': {
+                    handler: 'onModeChange',
+                    immediate: true
+                },
+                queryLength(len) {
+                    log.push(`length:${len}`);
+                }
+            },
+            methods: {
+                onModeChange(mode) {
+                    log.push(`mode:${mode}`);
+                }
+            },
+            template() {
+                return html`<div>${this.state.query}</div>`;
+            }
+        });
+
+        const el = document.createElement('test-watch-option');
+        document.body.appendChild(el);
+        assert.deepEqual(log, ['mode:a'], 'Immediate watcher should fire on mount');
+
+        log.length = 0;
+        el.state.query = 'hi';
+        assert.deepEqual(log, ['query:->hi', 'length:2'], 'Path and computed watchers should fire');
+
+        log.length = 0;
+        el.state.filters.tags.push('x');
+        assert.deepEqual(log, ['filters:1'], 'Deep watcher should fire on nested change');
+
+        log.length = 0;
+        el.mode = 'b';
+        assert.deepEqual(log, ['mode:b'], 'Prop watcher should fire on prop change');
+
+        document.body.removeChild(el);
+
+        log.length = 0;
+        el.state.query = 'after';
+        assert.deepEqual(log, [], 'Watchers should be disposed on disconnect');
+    });
+});
+
+describe('Prop Types', function(it) {
+    defineComponent('test-typed-props', {
+        props: {
+            rows: { type: Number, default: 10 },
+            disabled: { type: Boolean, default: false },
+            visible: { type: Boolean, default: true },
+            columns: { type: Array, default: () => [] },
+            options: { type: Object, default: () => ({}) },
+            label: ''
+        },
+        template() {
+            return html`<div>${this.props.rows}</div>`;
+        }
+    });
+
+    it('coerces attribute strings to the declared type', () => {
+        const el = document.createElement('test-typed-props');
+        el.setAttribute('rows', '25');
+        el.setAttribute('disabled', '');
+        el.setAttribute('visible', 'false');
+        el.setAttribute('columns', '["a","b"]');
+        el.setAttribute('options', '{"dense":true}');
+        el.setAttribute('label', '42');
+        document.body.appendChild(el);
+
+        assert.equal(el.props.rows, 25, 'Number attribute should be coerced');
+        assert.equal(el.props.disabled, true, 'Present boolean attribute should be true');
+        assert.equal(el.props.visible, false, 'Boolean "false" should be false');
+        assert.deepEqual(el.props.columns, ['a', 'b'], 'Array attribute should be parsed');
+        assert.deepEqual(el.props.options, { dense: true }, 'Object attribute should be parsed');
+        assert.equal(el.props.label, '42', 'Untyped props should keep strings');
+
+        document.body.removeChild(el);
+    });
+
+    it('uses schema defaults and creates fresh objects per instance', () => {
+        const a = document.createElement('test-typed-props');
+        const b = document.createElement('test-typed-props');
+        document.body.appendChild(a);
+        document.body.appendChild(b);
+
+        assert.equal(a.props.rows, 10, 'Should use schema default');
+        assert.equal(a.props.visible, true, 'Should use boolean default');
+        assert.ok(a.props.columns !== b.props.columns, 'Factory defaults should not be shared');
+
+        document.body.removeChild(a);
+        document.body.removeChild(b);
+    });
+
+    it('coerces property strings and reflects booleans', async () => {
+        const el = document.createElement('test-typed-props');
+        document.body.appendChild(el);
+
+        el.rows = '50';
+        assert.equal(el.props.rows, 50, 'String set via property should be coerced');
+
+        el.disabled = true;
+        assert.ok(el.hasAttribute('disabled'), 'True boolean should be reflected');
+        el.disabled = false;
+        assert.ok(!el.hasAttribute('disabled'), 'False boolean should remove the attribute');
+
+        el.setAttribute('disabled', '');
+        assert.equal(el.props.disabled, true, 'Adding the attribute should set true');
+        el.removeAttribute('disabled');
+        assert.equal(el.props.disabled, false, 'Removing the attribute should set false');
+
+        await nextTick();
+        assert.equal(el.querySelector('div').textContent, '50', 'Should render coerced value');
+
+        document.body.removeChild(el);
+    });
+
+    it('warns on invalid values when validation is enabled', () => {
+        const warnings = [];
+        setDebugPropWarningHook((component, message) => warnings.push(message));
+
+        try {
+            defineComponent('test-validated-props', {
+                props: {
+                    id: { type: String, required: true },
+                    size: { type: String, default: 'medium', validator: v => ['small', 'medium', 'large'].includes(v) },
+                    count: { type: Number, default: 0 }
+                },
+                template() {
+                    return html`<div></div>`;
+                }
+            });
+
+            const el = document.createElement('test-validated-props');
+            el.setAttribute('count', 'lots');
+            document.body.appendChild(el);
+
+            assert.equal(warnings.length, 2, 'Should warn for missing and mistyped props');
+            assert.ok(warnings[0].includes('Missing required prop "id"'), 'Should report missing required prop');
+            assert.ok(warnings[1].includes('expected Number'), 'Should report type mismatch');
+
+            el.size = 'huge';
+            assert.equal(warnings.length, 3, 'Should warn when validator fails');
+            assert.ok(warnings[2].includes('"size"'), 'Should name the invalid prop');
+
+            document.body.removeChild(el);
+        } finally {
+            setDebugPropWarningHook(null);
+        }
+    });
+});
+
+describe('Provide / Inject', function(it) {
+    defineComponent('test-inject-consumer', {
+        template() {
+            const theme = this.inject('theme', { color: 'default' });
+            return html`<span class="color">${theme.color}</span>`;
+        }
+    });
+
+    defineComponent('test-inject-middle', {
+        template() {
+            return html`<div><test-inject-consumer></test-inject-consumer></div>`;
+        }
+    });
+
+    defineComponent('test-inject-provider', {
+        data() {
+            return { theme: { color: 'red' } };
+        },
+        provide() {
+            return { theme: this.state.theme };
+        },
+        template() {
+            return html`<test-inject-middle></test-inject-middle>`;
+        }
+    });
+
+    it('injects values from the nearest ancestor provider', () => {
+        const el = document.createElement('test-inject-provider');
+        document.body.appendChild(el);
+
+        assert.equal(el.querySelector('.color').textContent, 'red', 'Should inject through intermediate components');
+
+        document.body.removeChild(el);
+    });
+
+    it('falls back to the default without a provider', () => {
+        const el = document.createElement('test-inject-consumer');
+        document.body.appendChild(el);
+
+        assert.equal(el.querySelector('.color').textContent, 'default', 'Should use default value');
+
+        document.body.removeChild(el);
+    });
+
+    it('injects values provided from data()', () => {
+        defineComponent('test-inject-data-provider', {
+            data() {
+                this.provide('theme', { color: 'dark' });
+                return {};
+            },
+            template() {
+                return html`<test-inject-consumer></test-inject-consumer>`;
+            }
+        });
+
+        const el = document.createElement('test-inject-data-provider');
+        document.body.appendChild(el);
+
+        assert.equal(el.querySelector('.color').textContent, 'dark', 'Should keep values provided in data()');
+
+        document.body.removeChild(el);
+    });
+
+    it('re-renders consumers when a reactive provided value changes', async () => {
+        const el = document.createElement('test-inject-provider');
+        document.body.appendChild(el);
+
+        el.state.theme.color = 'blue';
+        await nextTick();
+
+        assert.equal(el.querySelector('.color').textContent, 'blue', 'Consumer should re-render');
+
+        document.body.removeChild(el);
+    });
+
+    it('keeps sibling subtrees independent and lets nearer providers shadow', async () => {
+        defineComponent('test-inject-override', {
+            data() {
+                return { theme: { color: 'green' } };
+            },
+            provide() {
+                return { theme: this.state.theme };
+            },
+            template() {
+                return html`<test-inject-consumer></test-inject-consumer>`;
+            }
+        });
+
+        const first = document.createElement('test-inject-provider');
+        const second = document.createElement('test-inject-provider');
+        document.body.appendChild(first);
+        document.body.appendChild(second);
+
+        first.state.theme.color = 'purple';
+        await nextTick();
+
+        assert.equal(first.querySelector('.color').textContent, 'purple', 'First subtree should update');
+        assert.equal(second.querySelector('.color').textContent, 'red', 'Second subtree should be unaffected');
+
+        const override = document.createElement('test-inject-override');
+        first.appendChild(override);
+        assert.equal(override.querySelector('.color').textContent, 'green', 'Nearest provider should win');
+
+        document.body.removeChild(first);
+        document.body.removeChild(second);
+    });
+});
+
+describe('Shadow DOM', function(it) {
+    defineComponent('test-shadow-card', {
+        shadow: true,
+        props: {
+            heading: ''
+        },
+        template() {
+            return html`
+                <div class="card">
+                    <header>${this.props.slots.title || this.props.heading}</header>
+                    <main>${this.props.children}</main>
+                </div>
+            `;
+        },
+        styles: /*css*/`
+            :host { display: block; }
+            .card { padding: 8px; }
+        `
+    });
+
+    it('renders the template into an open shadow root with its styles', () => {
+        const el = document.createElement('test-shadow-card');
+        el.setAttribute('heading', 'Hello');
+        document.body.appendChild(el);
+
+        assert.ok(el.shadowRoot, 'Should attach an open shadow root');
+        assert.equal(el.shadowRoot.querySelector('header').textContent, 'Hello', 'Should render into shadow root');
+        assert.equal(el.querySelector('.card'), null, 'Template should not render into light DOM');
+
+        const hasStyles = (el.shadowRoot.adoptedStyleSheets && el.shadowRoot.adoptedStyleSheets.length > 0) ||
+            !!el.shadowRoot.querySelector('style');
+        assert.ok(hasStyles, 'Styles should be applied inside the shadow root');
+        assert.ok(!document.getElementById('component-styles-TEST-SHADOW-CARD'), 'Styles should not be injected into head');
+
+        document.body.removeChild(el);
+    });
+
+    it('supports closed shadow roots', () => {
+        defineComponent('test-shadow-closed', {
+            shadow: 'closed',
+            template() {
+                return html`<span class="secret">hidden</span>`;
+            }
+        });
+
+        const el = document.createElement('test-shadow-closed');
+        document.body.appendChild(el);
+
+        assert.equal(el.shadowRoot, null, 'Closed shadow root should not be exposed');
+        assert.equal(el._renderRoot.querySelector('.secret').textContent, 'hidden', 'Should still render');
+
+        document.body.removeChild(el);
+    });
+
+    it('projects children and named slots through native slots', async () => {
+        let clicks = 0;
+
+        defineComponent('test-shadow-host', {
+            data() {
+                return { body: 'Body text' };
+            },
+            methods: {
+                handleClick() {
+                    clicks++;
+                }
+            },
+            template() {
+                return html`
+                    <test-shadow-card>
+                        <strong slot="title">Title</strong>
+                        <button class="body" on-click="handleClick">${this.state.body}</button>
+                    </test-shadow-card>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-shadow-host');
+        document.body.appendChild(el);
+
+        const card = el.querySelector('test-shadow-card');
+        const shadow = card.shadowRoot;
+
+        assert.ok(shadow.querySelector('main slot:not([name])'), 'Default children should become a <slot>');
+        assert.ok(shadow.querySelector('header slot[name="title"]'), 'Named slot should become <slot name>');
+        assert.ok(card.querySelector('strong[slot="title"]'), 'Named slot content should be in light DOM');
+        assert.equal(card.querySelector('.body').textContent, 'Body text', 'Children should be in light DOM');
+
+        card.querySelector('.body').click();
+        assert.equal(clicks, 1, 'Parent handlers should work on slotted content');
+
+        el.state.body = 'Updated';
+        await nextTick();
+        assert.equal(card.querySelector('.body').textContent, 'Updated', 'Slotted content should update');
+
+        document.body.removeChild(el);
+    });
+
+    it('links components inside the shadow root to their host', () => {
+        defineComponent('test-shadow-inner', {
+            template() {
+                return html`<span>${this.inject('label', 'none')}</span>`;
+            }
+        });
+
+        defineComponent('test-shadow-provider', {
+            shadow: true,
+            provide: { label: 'from host' },
+            template() {
+                return html`<test-shadow-inner></test-shadow-inner>`;
+            }
+        });
+
+        const el = document.createElement('test-shadow-provider');
+        document.body.appendChild(el);
+
+        const inner = el.shadowRoot.querySelector('test-shadow-inner');
+        assert.equal(inner._vdxParent, el, 'Shadow host should be the VDX parent');
+        assert.equal(inner.querySelector('span').textContent, 'from host', 'Inject should cross the shadow boundary');
+
+        document.body.removeChild(el);
+    });
+});
+
+describe('Form-Associated Components', function(it) {
+    // ElementInternals form support is missing in some test environments
+    const supportsFormInternals = typeof ElementInternals !== 'undefined' &&
+        'setFormValue' in ElementInternals.prototype;
+
+    let resets = 0;
+
+    defineComponent('test-form-field', {
+        props: {
+            value: '',
+            required: { type: Boolean, default: false },
+            disabled: { type: Boolean, default: false }
+        },
+        formAssociated: true,
+        formValue() {
+            return this.props.value;
+        },
+        formValidity() {
+            return this.props.required && !this.props.value
+                ? { valueMissing: true, message: 'Required' }
+                : null;
+        },
+        formResetCallback() {
+            resets++;
+        },
+        template() {
+            return html`<span class="${this.props.disabled ? 'disabled' : ''}">${this.props.value}</span>`;
+        }
+    });
+
+    defineComponent('test-form-tags', {
+        props: {
+            value: { type: Array, default: () => [] }
+        },
+        formAssociated: true,
+        formValue() {
+            return this.props.value;
+        },
+        template() {
+            return html`<span>${this.props.value.length}</span>`;
+        }
+    });
+
+    it('declares formAssociated and attaches internals', () => {
+        const FieldClass = customElements.get('test-form-field');
+        assert.equal(FieldClass.formAssociated, true, 'Class should be form-associated');
+
+        const el = document.createElement('test-form-field');
+        if (typeof el.attachInternals === 'function') {
+            assert.ok(el.internals, 'Should expose ElementInternals');
+        }
+    });
+
+    it('updates a declared disabled prop from formDisabledCallback', async () => {
+        const el = document.createElement('test-form-field');
+        document.body.appendChild(el);
+
+        el.formDisabledCallback(true);
+        assert.equal(el.props.disabled, true, 'Should be disabled');
+        assert.ok(!el.hasAttribute('disabled'), 'Should not reflect the fieldset state as an attribute');
+        await nextTick();
+        assert.equal(el.querySelector('span').className, 'disabled', 'Should re-render');
+
+        el.formDisabledCallback(false);
+        assert.equal(el.props.disabled, false, 'Should be re-enabled');
+
+        document.body.removeChild(el);
+    });
+
+    it('contributes values to FormData', async () => {
+        if (!supportsFormInternals) return;
+
+        const form = document.createElement('form');
+        form.innerHTML = `
+            <test-form-field name="title"></test-form-field>
+            <test-form-tags name="tags"></test-form-tags>
+        `;
+        document.body.appendChild(form);
+
+        const field = form.querySelector('test-form-field');
+        const tags = form.querySelector('test-form-tags');
+        field.value = 'Hello';
+        tags.value = ['a', 'b'];
+        await nextTick();
+
+        const data = new FormData(form);
+        assert.equal(data.get('title'), 'Hello', 'Should submit formValue()');
+        assert.deepEqual(data.getAll('tags'), ['a', 'b'], 'Arrays should submit one entry per item');
+
+        document.body.removeChild(form);
+    });
+
+    it('reports validity and receives form resets', async () => {
+        if (!supportsFormInternals) return;
+
+        const form = document.createElement('form');
+        form.innerHTML = `<test-form-field name="title" required></test-form-field>`;
+        document.body.appendChild(form);
+
+        const field = form.querySelector('test-form-field');
+        assert.equal(form.checkValidity(), false, 'Empty required field should be invalid');
+        assert.ok(field.internals.validity.valueMissing, 'Should set valueMissing');
+
+        field.value = 'Filled';
+        await nextTick();
+        assert.equal(form.checkValidity(), true, 'Filled field should be valid');
+
+        const before = resets;
+        form.reset();
+        assert.equal(resets, before + 1, 'Should call formResetCallback');
+
+        document.body.removeChild(form);
+    });
+});
+
+describe('Server Rendering', function(it) {
+    let mountedCalls = 0;
+
+    defineComponent('test-ssr-badge', {
+        props: {
+            label: '',
+            count: { type: Number, default: 0 }
+        },
+        template() {
+            return html`<span class="badge">${this.props.label}: ${this.props.count + 1}</span>`;
+        },
+        styles: `.badge { color: red; }`
+    });
+
+    defineComponent('test-ssr-page', {
+        props: {
+            title: 'Untitled'
+        },
+        data() {
+            return { items: [], loaded: false };
+        },
+        async serverPrefetch() {
+            await Promise.resolve();
+            this.state.items = ['<one>', 'two'];
+            this.state.loaded = true;
+        },
+        mounted() {
+            mountedCalls++;
+        },
+        methods: {
+            select() {
+                // Not reactive state - only counts handler calls
+                this.selectCount = (this.selectCount || 0) + 1;
+            }
+        },
+        template() {
+            return html`
+                <h1 title="${this.props.title}">${this.props.title}</h1>
+                <ul>${each(this.state.items, item => html`<li on-click="select">${item}</li>`)}</ul>
+                <test-ssr-badge label="Items" count="${this.state.items.length}"></test-ssr-badge>
+                <input type="checkbox" checked="${this.state.loaded}">
+            `;
+        }
+    });
+
+    it('renders state, props and nested components to HTML', async () => {
+        const markup = await renderToString('test-ssr-page', { title: 'Tom & "Jerry"' });
+
+        assert.ok(markup.includes('<h1 title="Tom &amp; &quot;Jerry&quot;">Tom &amp; "Jerry"</h1>'), 'Should escape text and attributes');
+        assert.ok(markup.includes('<li>&lt;one&gt;</li><li>two</li>'), 'Should render serverPrefetch() data without handlers');
+        assert.ok(markup.includes('<span class="badge">Items: 3</span>'), 'Should render nested components with coerced props');
+        assert.ok(markup.includes('<input type="checkbox" checked>'), 'Should render boolean attributes');
+        assert.ok(/<test-ssr-page title="[^"]*" data-vdx-ssr[ >]/.test(markup), 'Should mark the host element');
+        assert.equal(mountedCalls, 0, 'Should not run mounted()');
+    });
+
+    it('emits scoped styles once with the client style id', async () => {
+        const markup = await renderToString('test-ssr-page');
+
+        assert.equal(markup.split('<style').length - 1, 1, 'Should emit one style element');
+        assert.ok(markup.startsWith('<style id="component-styles-TEST-SSR-BADGE">'), 'Should use the runtime style id');
+        assert.ok(markup.includes('test-ssr-badge .badge'), 'Should scope selectors');
+    });
+
+    it('rejects unregistered tags', async () => {
+        let error = null;
+        try {
+            await renderToString('test-ssr-missing');
+        } catch (e) {
+            error = e;
+        }
+        assert.ok(error && error.message.includes('not a registered component'), 'Should throw');
+    });
+
+    it('serializes state loaded by serverPrefetch()', async () => {
+        const markup = await renderToString('test-ssr-page');
+        const state = markup.match(/data-vdx-state="([^"]*)"/);
+
+        assert.ok(state, 'Should emit the state attribute');
+        const parsed = JSON.parse(state[1].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+        assert.deepEqual(parsed, { items: ['<one>', 'two'], loaded: true }, 'Should contain the loaded state');
+        assert.equal(markup.split('data-vdx-state').length - 1, 1, 'Components without serverPrefetch() emit no state');
+    });
+
+    it('renders over prerendered markup on the client', async () => {
+        const markup = await renderToString('test-ssr-badge', { label: 'Cart', count: 1 });
+        const container = document.createElement('div');
+        container.innerHTML = markup;
+        document.body.appendChild(container);
+        await nextTick();
+
+        const el = container.querySelector('test-ssr-badge');
+        assert.ok(!el.hasAttribute('data-vdx-ssr'), 'Should remove the marker');
+        assert.equal(el.querySelectorAll('.badge').length, 1, 'Should not duplicate content');
+        assert.equal(el.textContent, 'Cart: 2', 'Should render the same content');
+
+        el.count = 5;
+        await nextTick();
+        assert.equal(el.textContent, 'Cart: 6', 'Should stay reactive');
+
+        document.body.removeChild(container);
+    });
+});
+
+describe('Hydration', function(it) {
+    function parseMarkup(markup) {
+        const container = document.createElement('div');
+        container.innerHTML = markup;
+        return container;
+    }
+
+    it('adopts prerendered nodes and attaches handlers', async () => {
+        const container = parseMarkup(await renderToString('test-ssr-page', { title: 'Shop' }));
+        const heading = container.querySelector('h1');
+        const item = container.querySelector('li');
+        const badge = container.querySelector('.badge');
+
+        document.body.appendChild(container);
+        await nextTick();
+
+        const el = container.querySelector('test-ssr-page');
+        assert.equal(container.querySelector('h1'), heading, 'Should keep the heading node');
+        assert.equal(container.querySelector('li'), item, 'Should keep list nodes');
+        assert.equal(container.querySelector('.badge'), badge, 'Nested components should keep their nodes');
+        assert.equal(container.querySelectorAll('li').length, 2, 'Should not duplicate content');
+
+        item.click();
+        assert.equal(el.selectCount, 1, 'Should attach event handlers to adopted nodes');
+
+        el.state.items = [...el.state.items, 'three'];
+        await nextTick();
+        assert.equal(container.querySelectorAll('li').length, 3, 'Should stay reactive');
+        assert.equal(container.querySelector('.badge').textContent, 'Items: 4', 'Nested component should update');
+
+        document.body.removeChild(container);
+    });
+
+    it('restores serverPrefetch() state before the first render', async () => {
+        const container = parseMarkup(await renderToString('test-ssr-page'));
+        document.body.appendChild(container);
+
+        const el = container.querySelector('test-ssr-page');
+        assert.deepEqual([...el.state.items], ['<one>', 'two'], 'Should restore the prefetched state');
+        assert.ok(!el.hasAttribute('data-vdx-state'), 'Should remove the state attribute');
+        assert.equal(container.querySelector('li').textContent, '<one>', 'First render should match the markup');
+
+        document.body.removeChild(container);
+    });
+
+    it('falls back to data() state when the state attribute is invalid', async () => {
+        const container = parseMarkup(await renderToString('test-ssr-page'));
+        const host = container.querySelector('test-ssr-page');
+        host.setAttribute('data-vdx-state', host.getAttribute('data-vdx-state').slice(0, 10));
+
+        const originalWarn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args);
+        try {
+            document.body.appendChild(container);
+            await nextTick();
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        const el = container.querySelector('test-ssr-page');
+        assert.ok(warnings.some(args => String(args[0]).includes('data-vdx-state')), 'Should warn about the attribute');
+        assert.deepEqual([...el.state.items], [], 'Should keep the data() state');
+        assert.ok(el._isMounted, 'Should still mount');
+        assert.equal(container.querySelectorAll('li').length, 0, 'Should render the data() state');
+
+        document.body.removeChild(container);
+    });
+
+    it('patches mismatches and reports them to the debug hook', async () => {
+        const checked = [];
+        setDebugHydrationHook((component, vnode, root) => {
+            checked.push({ tag: component.tagName.toLowerCase(), text: root.querySelector('.badge')?.textContent });
+        });
+
+        try {
+            const container = parseMarkup(await renderToString('test-ssr-badge', { label: 'Cart', count: 1 }));
+            const badge = container.querySelector('.badge');
+            badge.textContent = 'Stale';
+            badge.setAttribute('data-extra', 'x');
+
+            document.body.appendChild(container);
+            await nextTick();
+
+            assert.equal(checked.length, 1, 'Should run the hook before hydrating');
+            assert.equal(checked[0].text, 'Stale', 'Hook should see the prerendered markup');
+            assert.equal(container.querySelector('.badge'), badge, 'Should keep the matching element');
+            assert.equal(badge.textContent, 'Cart: 2', 'Should patch the text');
+            assert.ok(!badge.hasAttribute('data-extra'), 'Should remove attributes the template does not set');
+
+            document.body.removeChild(container);
+        } finally {
+            setDebugHydrationHook(null);
+        }
+    });
+
+    it('waits for a prerendered parent that upgrades later', async () => {
+        // Markup is in the document before either component is defined, as on a
+        // prerendered page where the child's module runs first
+        const container = parseMarkup(`
+            <test-hydrate-outer data-vdx-ssr><section><test-hydrate-inner data-vdx-ssr><b>dark</b></test-hydrate-inner></section></test-hydrate-outer>
+        `);
+        document.body.appendChild(container);
+        const bold = container.querySelector('b');
+
+        defineComponent('test-hydrate-inner', {
+            template() {
+                return html`<b>${this.inject('theme', 'none')}</b>`;
+            }
+        });
+        const inner = container.querySelector('test-hydrate-inner');
+        assert.ok(!inner._isMounted, 'Child should wait for its parent');
+
+        defineComponent('test-hydrate-outer', {
+            provide() {
+                return { theme: 'dark' };
+            },
+            template() {
+                return html`<section><test-hydrate-inner></test-hydrate-inner></section>`;
+            }
+        });
+        await nextTick();
+
+        const outer = container.querySelector('test-hydrate-outer');
+        assert.ok(inner._isMounted, 'Child should connect after the parent hydrates');
+        assert.equal(inner._vdxParent, outer, 'Child should find its parent');
+        assert.equal(container.querySelector('b'), bold, 'Child should keep its node');
+        assert.equal(bold.textContent, 'dark', 'Child should inject from the parent');
+
+        document.body.removeChild(container);
+    });
+});
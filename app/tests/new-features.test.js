@@ -5,11 +5,14 @@
  * - Computed properties
  * - Auto-bound methods
  * - Function passing to components
+ * - Enter/leave transitions
+ * - Portals
+ * - Custom directives
  */
 
 import { describe, assert } from './test-runner.js';
-import { defineComponent } from '../lib/framework.js';
-import { html } from '../lib/framework.js';
+import { defineComponent, defineDirective } from '../lib/framework.js';
+import { html, when, each, nextTick } from '../lib/framework.js';
 import { computed } from '../lib/utils.js';
 import { compileTemplate, applyValues } from '../lib/core/template-compiler.js';
 import { render as preactRender } from '../lib/vendor/preact/index.js';
@@ -207,6 +210,189 @@ describe('x-model Two-Way Binding', function(it) {
     });
 });
 
+describe('x-model Modifiers and Targets', function(it) {
+    it('applies lazy, trim and number modifiers', async () => {
+        defineComponent('test-x-model-modifiers', {
+            data() {
+                return { name: '', title: '', qty: 0 };
+            },
+            template() {
+                return html`
+                    <div>
+                        <input id="lazy" x-model-lazy="name">
+                        <input id="trim" x-model-trim="title">
+                        <input id="number" x-model-number-trim="qty">
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-x-model-modifiers');
+        document.body.appendChild(el);
+        const type = (id, value, eventName = 'input') => {
+            const input = el.querySelector(id);
+            input.value = value;
+            input.dispatchEvent(new Event(eventName, { bubbles: true }));
+        };
+
+        type('#lazy', 'Ada');
+        assert.equal(el.state.name, '', 'lazy should ignore input events');
+        type('#lazy', 'Ada', 'change');
+        assert.equal(el.state.name, 'Ada', 'lazy should update on change');
+
+        type('#trim', '  Report  ');
+        assert.equal(el.state.title, 'Report', 'trim should strip whitespace');
+
+        type('#number', ' 42 ');
+        assert.equal(el.state.qty, 42, 'number should parse the value');
+        type('#number', 'abc');
+        assert.equal(el.state.qty, 'abc', 'number should keep text that is not a number');
+
+        document.body.removeChild(el);
+    });
+
+    it('binds checkbox groups to an array', async () => {
+        defineComponent('test-x-model-checkbox-group', {
+            data() {
+                return { picked: ['a'] };
+            },
+            template() {
+                return html`
+                    <div>
+                        <input type="checkbox" id="a" value="a" x-model="picked">
+                        <input type="checkbox" id="b" value="b" x-model="picked">
+                        <input type="checkbox" id="n" value="${2}" x-model="picked">
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-x-model-checkbox-group');
+        document.body.appendChild(el);
+
+        assert.equal(el.querySelector('#a').checked, true, 'Boxes in the array should be checked');
+        assert.equal(el.querySelector('#b').checked, false, 'Other boxes should be unchecked');
+
+        el.querySelector('#b').click();
+        el.querySelector('#a').click();
+        el.querySelector('#n').click();
+        assert.deepEqual([...el.state.picked], ['b', 2], 'Should add and remove values, keeping their types');
+
+        await nextTick();
+        assert.equal(el.querySelector('#n').checked, true, 'Should render the new array');
+
+        document.body.removeChild(el);
+    });
+
+    it('binds select multiple to an array', async () => {
+        defineComponent('test-x-model-multiple', {
+            data() {
+                return { sizes: ['m'] };
+            },
+            template() {
+                return html`
+                    <select id="sizes" multiple x-model="sizes">
+                        <option value="s">S</option>
+                        <option value="m">M</option>
+                        <option value="l">L</option>
+                    </select>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-x-model-multiple');
+        document.body.appendChild(el);
+        const select = el.querySelector('#sizes');
+        const selected = () => Array.from(select.selectedOptions, option => option.value);
+
+        assert.deepEqual(selected(), ['m'], 'Should select the options in the array');
+
+        select.options[0].selected = true;
+        select.options[1].selected = false;
+        select.options[2].selected = true;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        assert.deepEqual([...el.state.sizes], ['s', 'l'], 'Should read all selected options');
+
+        el.state.sizes = ['m'];
+        await nextTick();
+        assert.deepEqual(selected(), ['m'], 'Should update the selection from state');
+
+        document.body.removeChild(el);
+    });
+
+    it('binds contenteditable text', async () => {
+        defineComponent('test-x-model-editable', {
+            data() {
+                return { text: 'Hello' };
+            },
+            template() {
+                return html`<div id="editor" contenteditable="true" x-model="text"></div>`;
+            }
+        });
+
+        const el = document.createElement('test-x-model-editable');
+        document.body.appendChild(el);
+        const editor = el.querySelector('#editor');
+
+        assert.equal(editor.textContent, 'Hello', 'Should render the state text');
+
+        editor.textContent = 'Hello there';
+        editor.dispatchEvent(new Event('input', { bubbles: true }));
+        assert.equal(el.state.text, 'Hello there', 'Should update state on input');
+
+        el.state.text = 'Replaced';
+        await nextTick();
+        assert.equal(editor.textContent, 'Replaced', 'Should update the text from state');
+
+        document.body.removeChild(el);
+    });
+
+    it('binds named models on components', async () => {
+        defineComponent('test-x-model-named-child', {
+            props: {
+                value: '',
+                visible: { type: Boolean, default: false },
+                first: { type: Number, default: 0 }
+            },
+            template() {
+                return html`<span>${this.props.visible ? this.props.value : ''}</span>`;
+            }
+        });
+
+        defineComponent('test-x-model-named', {
+            data() {
+                return { title: 'Draft', open: true, first: 0 };
+            },
+            template() {
+                return html`
+                    <test-x-model-named-child id="child" x-model="title" x-model-visible="open" x-model-first="first">
+                    </test-x-model-named-child>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-x-model-named');
+        document.body.appendChild(el);
+        await nextTick();
+        const child = el.querySelector('#child');
+
+        assert.equal(child.props.visible, true, 'Should pass the named model as a prop');
+        assert.equal(child.textContent, 'Draft', 'Should pass the value model too');
+
+        child.emitChange(null, false, 'visible');
+        assert.equal(el.state.open, false, 'emitChange with a prop name should update that model');
+        assert.equal(el.state.title, 'Draft', 'Should leave the value model alone');
+
+        child.emitChange(null, 'Final');
+        assert.equal(el.state.title, 'Final', 'emitChange without a prop name should update the value model');
+
+        child.emitChange(null, { first: 20, page: 2 });
+        assert.equal(el.state.first, 20, 'A named model should take its field from an object value');
+
+        document.body.removeChild(el);
+    });
+});
+
 describe('x-model + Event Handler Chaining', function(it) {
     it('chains x-model with on-input handler', (done) => {
         let onInputCalled = false;
@@ -1047,3 +1233,394 @@ describe('Event Handler Support', function(it) {
         }, 100);
     });
 });
+
+describe('Transitions', function(it) {
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('x-transition applies enter and leave classes', async () => {
+        defineComponent('test-transition-toggle', {
+            data() {
+                return { open: false };
+            },
+            template() {
+                return html`
+                    <x-transition name="fade" duration="40">
+                        ${when(this.state.open, html`<div class="panel">Panel</div>`)}
+                    </x-transition>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-transition-toggle');
+        document.body.appendChild(el);
+        await nextTick();
+
+        el.state.open = true;
+        await wait(10);
+        const panel = el.querySelector('.panel');
+        assert.ok(panel, 'Content should be added right away');
+        assert.ok(panel.classList.contains('fade-enter-active'), 'Should apply the enter classes');
+
+        await wait(120);
+        assert.ok(!panel.classList.contains('fade-enter-active'), 'Should remove the enter classes when done');
+
+        el.state.open = false;
+        await wait(10);
+        assert.ok(el.querySelector('.panel'), 'Leaving content should stay until the transition ends');
+        assert.ok(panel.classList.contains('fade-leave-active'), 'Should apply the leave classes');
+
+        await wait(120);
+        assert.ok(!el.querySelector('.panel'), 'Should remove the content after the leave transition');
+
+        document.body.removeChild(el);
+    });
+
+    it('each() transition animates list items by key', async () => {
+        defineComponent('test-transition-list', {
+            data() {
+                return { items: [{ id: 1 }, { id: 2 }, { id: 3 }] };
+            },
+            template() {
+                return html`
+                    <ul>
+                        ${each(this.state.items, item => html`<li data-id="${item.id}">${item.id}</li>`,
+                            item => item.id, { transition: { name: 'list', duration: 40 } })}
+                    </ul>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-transition-list');
+        document.body.appendChild(el);
+        await wait(10);
+
+        const first = el.querySelector('li[data-id="1"]');
+        assert.ok(!first.classList.contains('list-enter-active'), 'Initial items should not transition');
+
+        el.state.items = [{ id: 1 }, { id: 3 }, { id: 4 }];
+        await wait(10);
+        const ids = [...el.querySelectorAll('li')].map(li => li.dataset.id);
+        assert.deepEqual(ids, ['1', '2', '3', '4'], 'Removed item should stay in place while leaving');
+        assert.ok(el.querySelector('li[data-id="2"]').classList.contains('list-leave-active'), 'Should apply leave classes');
+        assert.ok(el.querySelector('li[data-id="4"]').classList.contains('list-enter-active'), 'Should apply enter classes');
+        assert.equal(el.querySelector('li[data-id="1"]'), first, 'Kept items should keep their element');
+
+        await wait(120);
+        const remaining = [...el.querySelectorAll('li')].map(li => li.dataset.id);
+        assert.deepEqual(remaining, ['1', '3', '4'], 'Should remove the item after it leaves');
+
+        el.state.items = [];
+        await wait(10);
+        assert.equal(el.querySelectorAll('li.list-leave-active').length, 3, 'Emptying the list should transition every item out');
+        el.state.items = [{ id: 3 }];
+        await wait(10);
+        assert.ok(!el.querySelector('li[data-id="3"]').classList.contains('list-leave-active'),
+            'Adding an item back should cancel its leave transition');
+
+        await wait(120);
+        assert.deepEqual([...el.querySelectorAll('li')].map(li => li.dataset.id), ['3'], 'Should end with the current items');
+
+        document.body.removeChild(el);
+    });
+});
+
+describe('Portals', function(it) {
+    it('x-portal renders into the target within the owner\'s context', async () => {
+        defineComponent('test-portal-inject', {
+            template() {
+                const theme = this.inject('theme', 'none');
+                return html`<span class="portal-theme">${theme}</span>`;
+            }
+        });
+
+        defineComponent('test-portal-owner', {
+            data() {
+                return { count: 0 };
+            },
+            provide() {
+                return { theme: 'dark' };
+            },
+            methods: {
+                increment() {
+                    this.state.count++;
+                }
+            },
+            template() {
+                return html`
+                    <div class="clipped" style="overflow: hidden">
+                        <x-portal target="body">
+                            <button ref="portalButton" class="portal-button" on-click="increment">${this.state.count}</button>
+                            <test-portal-inject></test-portal-inject>
+                        </x-portal>
+                    </div>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-portal-owner');
+        document.body.appendChild(el);
+        await nextTick();
+        await nextTick();
+
+        const button = document.querySelector('.portal-button');
+        assert.ok(button, 'Should render the content');
+        assert.ok(!el.contains(button), 'Content should not be rendered in place');
+        assert.equal(button.closest('[data-vdx-portal]').parentElement.parentElement, document.body,
+            'Content should be in a container appended to the target');
+        assert.equal(el.refs.portalButton, button, 'Refs should point at the portaled element');
+
+        button.click();
+        await nextTick();
+        assert.equal(button.textContent, '1', 'Owner methods and state should work from the portal');
+
+        assert.equal(document.querySelector('.portal-theme').textContent, 'dark',
+            'Components in the portal should inject from the owner');
+
+        document.body.removeChild(el);
+        assert.ok(!document.querySelector('.portal-button'), 'Should remove the content when unmounted');
+        assert.ok(!document.querySelector('[data-vdx-portal]'), 'Should remove the container when unmounted');
+    });
+
+    it('keeps components working when the target changes', async () => {
+        defineComponent('test-portal-moved', {
+            data() {
+                return { clicks: 0 };
+            },
+            methods: {
+                increment() {
+                    this.state.clicks++;
+                }
+            },
+            template() {
+                return html`<button class="moved-button" on-click="increment">${this.state.clicks}</button>`;
+            }
+        });
+
+        defineComponent('test-portal-retarget', {
+            data() {
+                return { target: '#portal-target-a' };
+            },
+            template() {
+                return html`
+                    <x-portal target="${this.state.target}">
+                        <test-portal-moved></test-portal-moved>
+                    </x-portal>
+                `;
+            }
+        });
+
+        const targetA = document.createElement('div');
+        targetA.id = 'portal-target-a';
+        const targetB = document.createElement('div');
+        targetB.id = 'portal-target-b';
+        document.body.append(targetA, targetB);
+
+        const el = document.createElement('test-portal-retarget');
+        document.body.appendChild(el);
+        await nextTick();
+        await nextTick();
+        assert.ok(targetA.querySelector('.moved-button'), 'Should render into the first target');
+
+        el.state.target = '#portal-target-b';
+        await nextTick();
+        await nextTick();
+        const moved = targetB.querySelector('test-portal-moved');
+        assert.ok(moved, 'Should move the content to the new target');
+        assert.ok(!moved._isDestroyed, 'Components should be alive after the move');
+
+        moved.querySelector('.moved-button').click();
+        await nextTick();
+        assert.equal(targetB.querySelector('.moved-button').textContent, '1', 'Components should keep rendering');
+
+        document.body.removeChild(el);
+        targetA.remove();
+        targetB.remove();
+    });
+
+    it('stacks portal containers by layer and activation order', async () => {
+        defineComponent('test-portal-stack', {
+            data() {
+                return { firstActive: true };
+            },
+            template() {
+                return html`
+                    <x-portal layer="overlay" active="${this.state.firstActive}"><div class="stack-first"></div></x-portal>
+                    <x-portal layer="overlay"><div class="stack-second"></div></x-portal>
+                    <x-portal layer="toast"><div class="stack-toast"></div></x-portal>
+                `;
+            }
+        });
+
+        const el = document.createElement('test-portal-stack');
+        document.body.appendChild(el);
+        await nextTick();
+
+        const zIndex = (selector) =>
+            Number(document.querySelector(selector).closest('[data-vdx-portal]').parentElement.style.zIndex);
+
+        assert.ok(zIndex('.stack-second') > zIndex('.stack-first'), 'Later portals should be on top of their layer');
+        assert.ok(zIndex('.stack-toast') > zIndex('.stack-second'), 'The toast layer should be above the overlay layer');
+
+        el.state.firstActive = false;
+        await nextTick();
+        el.state.firstActive = true;
+        await nextTick();
+        assert.ok(zIndex('.stack-first') > zIndex('.stack-second'), 'Activating a portal should bring it to the top');
+
+        document.body.removeChild(el);
+    });
+
+    it('keeps owner styles and click-outside working for portaled content', async () => {
+        let outsideClicks = 0;
+
+        defineComponent('test-portal-styled', {
+            methods: {
+                handleOutside() {
+                    outsideClicks++;
+                }
+            },
+            template() {
+                return html`
+                    <div on-click-outside="handleOutside">
+                        <x-portal><p class="portal-styled">Styled</p></x-portal>
+                    </div>
+                `;
+            },
+            styles: `
+                .portal-styled { color: rgb(255, 0, 0); }
+            `
+        });
+
+        const el = document.createElement('test-portal-styled');
+        document.body.appendChild(el);
+        await nextTick();
+
+        const styles = document.getElementById('component-styles-TEST-PORTAL-STYLED-portal');
+        assert.ok(styles, 'Should inject a copy of the owner styles');
+        assert.ok(styles.textContent.includes('[data-vdx-portal~="test-portal-styled"] .portal-styled'),
+            'The copy should be scoped to the portal content');
+
+        const content = document.querySelector('.portal-styled');
+        assert.equal(getComputedStyle(content).color, 'rgb(255, 0, 0)', 'Owner styles should apply to portaled content');
+
+        content.click();
+        assert.equal(outsideClicks, 0, 'Clicking portaled content should not count as outside');
+        document.body.click();
+        assert.equal(outsideClicks, 1, 'Clicking elsewhere should count as outside');
+
+        document.body.removeChild(el);
+    });
+});
+
+describe('Directives', function(it) {
+    it('runs directive hooks when the element mounts, updates and unmounts', async () => {
+        const calls = [];
+        defineDirective('x-test-track', {
+            mounted(el, binding) {
+                calls.push(['mounted', el.tagName, binding.value, binding.component.tagName]);
+            },
+            updated(el, binding) {
+                calls.push(['updated', binding.value, binding.oldValue]);
+            },
+            unmounted(el, binding) {
+                calls.push(['unmounted', binding.value]);
+            }
+        });
+
+        defineComponent('test-directive-track', {
+            data() {
+                return { label: 'a', visible: true };
+            },
+            template() {
+                return html`
+                    ${when(this.state.visible, html`<span x-test-track="${this.state.label}">x</span>`)}
+                `;
+            }
+        });
+
+        const el = document.createElement('test-directive-track');
+        document.body.appendChild(el);
+        await nextTick();
+        assert.deepEqual(calls, [['mounted', 'SPAN', 'a', 'TEST-DIRECTIVE-TRACK']], 'Should mount with the bound value');
+
+        el.state.label = 'b';
+        await nextTick();
+        await nextTick();
+        assert.deepEqual(calls[1], ['updated', 'b', 'a'], 'Should update with the new and old value');
+        assert.equal(calls.length, 2, 'A re-render should not unmount the directive');
+
+        el.state.visible = false;
+        await nextTick();
+        await nextTick();
+        assert.deepEqual(calls[2], ['unmounted', 'b'], 'Should unmount when the element is removed');
+
+        document.body.removeChild(el);
+    });
+
+    it('takes static, interpolated and function-shorthand directives', async () => {
+        defineDirective('x-test-title', (el, { value }) => {
+            el.title = value;
+        });
+        let focused = null;
+        defineDirective('x-test-focus', {
+            mounted(el, binding) {
+                focused = [el, binding.value];
+            }
+        });
+
+        defineComponent('test-directive-forms', {
+            data() {
+                return { name: 'Ada' };
+            },
+            template() {
+                return html`<input x-test-focus x-test-title="Hello ${this.state.name}!">`;
+            }
+        });
+
+        const el = document.createElement('test-directive-forms');
+        document.body.appendChild(el);
+        await nextTick();
+
+        const input = el.querySelector('input');
+        assert.equal(focused[0], input, 'Static directives should run');
+        assert.equal(focused[1], '', 'A directive without a value gets an empty string');
+        assert.equal(input.title, 'Hello Ada!', 'Interpolated values should be joined into a string');
+        assert.ok(!input.hasAttribute('x-test-title'), 'Directives should not be rendered as attributes');
+
+        el.state.name = 'Grace';
+        await nextTick();
+        assert.equal(input.title, 'Hello Grace!', 'The function shorthand should also run on update');
+
+        document.body.removeChild(el);
+    });
+
+    it('x-show toggles display without removing the element', async () => {
+        defineComponent('test-directive-show', {
+            data() {
+                return { open: false };
+            },
+            template() {
+                return html`<div class="panel" style="display: flex" x-show="${this.state.open}">Panel</div>`;
+            }
+        });
+
+        const el = document.createElement('test-directive-show');
+        document.body.appendChild(el);
+        await nextTick();
+
+        const panel = el.querySelector('.panel');
+        assert.equal(panel.style.display, 'none', 'Should hide the element when false');
+
+        el.state.open = true;
+        await nextTick();
+        assert.equal(el.querySelector('.panel'), panel, 'Should keep the same element');
+        assert.equal(panel.style.display, 'flex', 'Should restore the inline display when true');
+
+        document.body.removeChild(el);
+    });
+
+    it('rejects invalid and reserved directive names', () => {
+        assert.throws(() => defineDirective('tooltip', {}), Error, 'Names need the x- prefix');
+        assert.throws(() => defineDirective('x-model', {}), Error, 'x-model is reserved');
+    });
+});
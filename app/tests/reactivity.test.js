@@ -3,7 +3,7 @@
  */
 
 import { describe, assert } from './test-runner.js';
-import { reactive, createEffect, computed, watch, isReactive, trackAllDependencies, memo } from '../lib/framework.js';
+import { reactive, createEffect, computed, watch, isReactive, trackAllDependencies, memo, shallowReactive, readonly, markRaw, toRaw, isReadonly } from '../lib/framework.js';
 
 describe('Reactivity System', function(it) {
     it('creates reactive proxy', () => {
@@ -267,4 +267,298 @@ describe('Reactivity System', function(it) {
 
         doubledValue.dispose();
     });
+
+    it('computed tracks dependencies read on later runs', () => {
+        const obj = reactive({ useA: false, a: 1, b: 2 });
+        const picked = computed(() => obj.useA ? obj.a : obj.b);
+
+        assert.equal(picked.get(), 2, 'Should read b first');
+
+        obj.useA = true;
+        assert.equal(picked.get(), 1, 'Should switch to a');
+
+        obj.a = 10;
+        assert.equal(picked.get(), 10, 'Should track a after switching branches');
+
+        picked.dispose();
+    });
+
+    it('effects reading a computed re-run when it goes stale', () => {
+        const obj = reactive({ price: 2, qty: 3 });
+        const total = computed(() => obj.price * obj.qty);
+        const withTax = computed(() => total.get() * 2);
+        let seen = null;
+
+        createEffect(() => {
+            seen = withTax.get();
+        });
+        assert.equal(seen, 12, 'Should compute through the chain');
+
+        obj.qty = 4;
+        assert.equal(seen, 16, 'Effect should re-run through nested computeds');
+
+        total.dispose();
+        withTax.dispose();
+    });
+
+    it('watch supports immediate and deep options', () => {
+        const obj = reactive({ filters: { tags: ['a'] } });
+        const calls = [];
+
+        const dispose = watch(
+            () => obj.filters,
+            (newVal, oldVal) => calls.push([newVal.tags.length, oldVal === undefined]),
+            { deep: true, immediate: true }
+        );
+
+        assert.equal(calls.length, 1, 'Immediate watcher should fire on creation');
+        assert.deepEqual(calls[0], [1, true], 'Immediate call should have no old value');
+
+        obj.filters.tags.push('b');
+        assert.equal(calls.length, 2, 'Deep watcher should fire on nested change');
+        assert.equal(calls[1][0], 2, 'Should receive updated value');
+
+        dispose();
+    });
+
+    it('effects drop dependencies from branches no longer taken', () => {
+        const obj = reactive({ showDetails: true, details: 'a', summary: 'x' });
+        let runs = 0;
+
+        createEffect(() => {
+            runs++;
+            return obj.showDetails ? obj.details : obj.summary;
+        });
+
+        obj.showDetails = false;
+        assert.equal(runs, 2, 'Should re-run when the condition changes');
+
+        obj.details = 'b';
+        assert.equal(runs, 2, 'Should not re-run for a branch it no longer reads');
+
+        obj.summary = 'y';
+        assert.equal(runs, 3, 'Should re-run for the branch it now reads');
+    });
+
+    it('tracks key additions and removals', () => {
+        const obj = reactive({ a: 1 });
+        let keys = [];
+        let hasB = false;
+
+        createEffect(() => {
+            keys = Object.keys(obj);
+        });
+        createEffect(() => {
+            hasB = 'b' in obj;
+        });
+
+        obj.b = 2;
+        assert.deepEqual(keys, ['a', 'b'], 'Object.keys should see the new key');
+        assert.equal(hasB, true, '`in` should see the new key');
+
+        delete obj.a;
+        assert.deepEqual(keys, ['b'], 'Object.keys should see the removed key');
+    });
+
+    it('re-runs index readers when array methods move elements', () => {
+        const list = reactive([3, 1, 2]);
+        let first;
+
+        createEffect(() => {
+            first = list[0];
+        });
+
+        list.sort();
+        assert.equal(first, 1, 'Should re-run after sort');
+
+        list.unshift(0);
+        assert.equal(first, 0, 'Should re-run after unshift');
+    });
+});
+
+describe('Reactive Collections', function(it) {
+    it('tracks Map get/has and triggers on set/delete', () => {
+        const map = reactive(new Map([['a', 1]]));
+        let value;
+        let hasB;
+        let runs = 0;
+
+        createEffect(() => {
+            runs++;
+            value = map.get('a');
+            hasB = map.has('b');
+        });
+
+        map.set('a', 2);
+        assert.equal(value, 2, 'Should re-run when a read key changes');
+
+        map.set('b', 3);
+        assert.equal(hasB, true, 'Should re-run when a checked key is added');
+
+        map.delete('a');
+        assert.equal(value, undefined, 'Should re-run when a read key is deleted');
+
+        const before = runs;
+        map.set('c', 4);
+        assert.equal(runs, before, 'Should not re-run for keys it never read');
+    });
+
+    it('tracks Set has/size and triggers on add/delete/clear', () => {
+        const set = reactive(new Set([1]));
+        let size;
+        let hasTwo;
+
+        createEffect(() => {
+            size = set.size;
+        });
+        createEffect(() => {
+            hasTwo = set.has(2);
+        });
+
+        set.add(2);
+        assert.equal(size, 2, 'size should update on add');
+        assert.equal(hasTwo, true, 'has() should update on add');
+
+        set.add(2);
+        assert.equal(size, 2, 'Adding an existing value should not change size');
+
+        set.delete(1);
+        assert.equal(size, 1, 'size should update on delete');
+
+        set.clear();
+        assert.equal(size, 0, 'size should update on clear');
+        assert.equal(hasTwo, false, 'has() should update on clear');
+    });
+
+    it('tracks iteration and wraps nested values', () => {
+        const map = reactive(new Map([['x', { count: 1 }]]));
+        let total = 0;
+        let keys = [];
+
+        createEffect(() => {
+            total = 0;
+            for (const [, entry] of map) {
+                total += entry.count;
+            }
+        });
+        createEffect(() => {
+            keys = [...map.keys()];
+        });
+
+        map.get('x').count = 5;
+        assert.equal(total, 5, 'Nested values should be reactive');
+
+        map.set('y', { count: 2 });
+        assert.equal(total, 7, 'Iteration should re-run when entries are added');
+        assert.deepEqual(keys, ['x', 'y'], 'keys() should re-run when entries are added');
+    });
+
+    it('makes collections inside reactive objects reactive', () => {
+        const state = reactive({ selected: new Set(), items: [{ id: 1 }] });
+        let count;
+
+        createEffect(() => {
+            count = state.selected.size;
+        });
+
+        state.selected.add(state.items[0]);
+        assert.equal(count, 1, 'Nested Set should be reactive');
+        assert.ok(state.selected.has(state.items[0]), 'Lookups should match any proxy of the same object');
+
+        const watched = [];
+        const dispose = watch(() => state.selected, (val) => watched.push(val.size), { deep: true });
+        state.selected.delete(state.items[0]);
+        assert.deepEqual(watched, [0], 'Deep watchers should see collection changes');
+        dispose();
+    });
+
+    it('tracks WeakMap get and set', () => {
+        const key = {};
+        const weak = reactive(new WeakMap());
+        let value;
+
+        createEffect(() => {
+            value = weak.get(key);
+        });
+
+        weak.set(key, 'stored');
+        assert.equal(value, 'stored', 'Should re-run when the key is set');
+    });
+});
+
+describe('Shallow, Readonly and Raw', function(it) {
+    it('shallowReactive tracks only top-level properties', () => {
+        const catalog = { items: [{ price: 1 }] };
+        const state = shallowReactive({ catalog, page: 0 });
+        let runs = 0;
+
+        createEffect(() => {
+            runs++;
+            return state.page + state.catalog.items[0].price;
+        });
+
+        assert.equal(state.catalog, catalog, 'Nested objects should not be wrapped');
+        assert.ok(!isReactive(state.catalog), 'Nested objects should not be reactive');
+
+        state.catalog.items[0].price = 2;
+        assert.equal(runs, 1, 'Nested writes should not trigger');
+
+        state.page = 1;
+        assert.equal(runs, 2, 'Top-level writes should trigger');
+
+        state.catalog = { items: [{ price: 3 }] };
+        assert.equal(runs, 3, 'Replacing a nested value should trigger');
+    });
+
+    it('readonly ignores writes and warns', () => {
+        const original = console.warn;
+        const warnings = [];
+        console.warn = (msg) => warnings.push(msg);
+
+        try {
+            const view = readonly({ user: { name: 'Ann' }, tags: ['a'] });
+            view.user.name = 'Bob';
+            delete view.user;
+            view.tags.push('b');
+
+            assert.equal(view.user.name, 'Ann', 'Nested writes should be ignored');
+            assert.deepEqual([...view.tags], ['a'], 'Array mutators should be ignored');
+            assert.equal(warnings.length, 3, 'Each write should warn');
+            assert.ok(isReadonly(view) && isReadonly(view.user), 'Nested objects should be readonly');
+        } finally {
+            console.warn = original;
+        }
+    });
+
+    it('readonly views of reactive state stay reactive', () => {
+        const state = reactive({ count: 0, selected: new Set() });
+        const view = readonly(state);
+        let seen;
+        let size;
+
+        createEffect(() => {
+            seen = view.count;
+            size = view.selected.size;
+        });
+
+        state.count = 5;
+        state.selected.add('x');
+        assert.equal(seen, 5, 'Should see writes made through the reactive proxy');
+        assert.equal(size, 1, 'Should see collection writes made through the reactive proxy');
+        assert.equal(reactive(view), view, 'reactive() should not unwrap a readonly view');
+    });
+
+    it('markRaw opts objects out and toRaw returns the original', () => {
+        const words = markRaw({ list: ['apple'] });
+        const state = reactive({ words, user: { name: 'Ann' } });
+
+        assert.equal(state.words, words, 'Marked objects should not be proxied');
+        assert.equal(reactive(words), words, 'reactive() should return marked objects as-is');
+
+        const raw = { count: 0 };
+        assert.equal(toRaw(reactive(raw)), raw, 'toRaw should unwrap reactive proxies');
+        assert.equal(toRaw(readonly(reactive(raw))), raw, 'toRaw should unwrap nested proxies');
+        assert.equal(toRaw(raw), raw, 'toRaw should return plain objects unchanged');
+        assert.equal(toRaw(state.user), toRaw(state.user), 'Fresh proxies should share a raw object');
+    });
 });
@@ -4,6 +4,7 @@
 
 import { describe, assert } from './test-runner.js';
 import { Router } from '../lib/router.js';
+import { defineComponent, html } from '../lib/framework.js';
 
 describe('Router', function(it) {
     it('creates router with routes', () => {
@@ -347,6 +348,554 @@ describe('Router Same-Component Navigation', function(it) {
     });
 });
 
+describe('Router Nested Routes', function(it) {
+    it('flattens nested routes with their layout chain', () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/docs/': {
+                component: 'docs-layout',
+                meta: { section: 'docs' },
+                routes: {
+                    '/': { component: 'docs-index' },
+                    '/:page/': { component: 'docs-page', meta: { title: 'Page' } }
+                }
+            },
+            '/admin/': {
+                component: 'admin-layout',
+                require: 'admin',
+                routes: {
+                    '/users/': { component: 'admin-users' }
+                }
+            }
+        });
+
+        const index = router.routes['/docs/'];
+        assert.equal(index.component, 'docs-index', 'Index route should not be replaced by its layout');
+        assert.deepEqual(index._matched.map(r => r.component), ['docs-layout', 'docs-index'], 'Index route should render in the layout');
+
+        const page = router.routes['/docs/:page/'];
+        assert.ok(page, 'Should join nested paths without a double slash');
+        assert.deepEqual(page.meta, { section: 'docs', title: 'Page' }, 'Should merge parent meta');
+
+        assert.equal(router.routes['/admin/'].component, 'admin-layout', 'Layout without index route should be registered');
+        assert.equal(router.routes['/admin/users/'].require, 'admin', 'Should inherit capability requirement');
+    });
+
+    it('renders layouts in nested outlets and only replaces the changed level', async () => {
+        let layoutMounts = 0;
+        defineComponent('test-nested-layout', {
+            mounted() {
+                layoutMounts++;
+            },
+            template() {
+                return html`<section><router-outlet></router-outlet></section>`;
+            }
+        });
+        defineComponent('test-nested-first', {
+            template() {
+                return html`<p>First</p>`;
+            }
+        });
+        defineComponent('test-nested-second', {
+            props: { params: {} },
+            template() {
+                return html`<p>Second ${this.props.params.id}</p>`;
+            }
+        });
+
+        const outlet = document.createElement('div');
+        document.body.appendChild(outlet);
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/nested/': {
+                component: 'test-nested-layout',
+                routes: {
+                    '/': { component: 'test-nested-first' },
+                    '/second/:id/': { component: 'test-nested-second' }
+                }
+            }
+        });
+        router.setOutlet(outlet);
+
+        try {
+            router.navigate('/nested/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const layout = outlet.firstElementChild;
+            assert.equal(layout.tagName.toLowerCase(), 'test-nested-layout', 'Should render the layout in the outlet');
+            assert.ok(layout.querySelector('router-outlet > test-nested-first'), 'Should render the index route in the layout outlet');
+            assert.deepEqual(router.currentRoute.state.matched.map(r => r.component),
+                ['test-nested-layout', 'test-nested-first'], 'Should expose matched components');
+
+            router.navigate('/nested/second/1/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.equal(outlet.firstElementChild, layout, 'Should keep the layout element');
+            assert.ok(layout.querySelector('router-outlet > test-nested-second'), 'Should swap the child');
+            assert.ok(!layout.querySelector('test-nested-first'), 'Should remove the previous child');
+
+            router.navigate('/nested/second/2/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.ok(layout.textContent.includes('Second 2'), 'Should update the child params');
+            assert.equal(layoutMounts, 1, 'Layout should be mounted once');
+
+            router.navigate('/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(outlet.firstElementChild.tagName.toLowerCase(), 'home-page', 'Should replace the layout');
+            assert.equal(router._nestedOutlets.size, 0, 'Should forget removed nested outlets');
+        } finally {
+            router.destroy();
+            outlet.remove();
+        }
+    });
+});
+
+describe('Router Named Routes', function(it) {
+    const routes = {
+        '/': { component: 'home-page', name: 'home' },
+        '/qnote/:name?/': { component: 'qnote-page', name: 'qnote' },
+        '/product/:id(\\d+)/': { component: 'product-page', name: 'product' },
+        '/docs/*path': { component: 'docs-page', name: 'docs' },
+        '/account/': {
+            component: 'account-layout',
+            routes: {
+                '/orders/:orderId/': { component: 'order-page', name: 'order' }
+            }
+        }
+    };
+
+    it('builds URLs from route names and params', () => {
+        const router = new Router(routes);
+
+        assert.equal(router.url({ name: 'home' }), '#/', 'Should build the root path');
+        assert.equal(router.url({ name: 'qnote', params: { name: 'a b/c' } }), '#/qnote/a%20b%2Fc/', 'Should encode params');
+        assert.equal(router.url({ name: 'qnote' }), '#/qnote/', 'Should leave out missing optional params');
+        assert.equal(router.url({ name: 'product', params: { id: 42 }, query: { tab: 'reviews' } }),
+            '#/product/42/?tab=reviews', 'Should add the query');
+        assert.equal(router.url({ name: 'docs', params: { path: 'guide/my routes' } }),
+            '#/docs/guide/my%20routes', 'Should keep catch-all slashes');
+        assert.equal(router.url({ name: 'order', params: { orderId: 7 } }), '#/account/orders/7/', 'Should name nested routes');
+        assert.equal(router.url({ path: '/search/', query: { q: 'x' } }), '#/search/?q=x', 'Should accept path locations');
+    });
+
+    it('throws for unknown names and missing or invalid params', () => {
+        const router = new Router(routes);
+
+        assert.throws(() => router.url({ name: 'nope' }), Error, 'Should reject unknown names');
+        assert.throws(() => router.url({ name: 'product' }), Error, 'Should reject missing params');
+        assert.throws(() => router.url({ name: 'product', params: { id: 'abc' } }), Error, 'Should check constraints');
+        assert.throws(() => new Router({
+            '/a/': { component: 'a-page', name: 'page' },
+            '/b/': { component: 'b-page', name: 'page' }
+        }), Error, 'Should reject duplicate names');
+    });
+
+    it('navigates to named routes', async () => {
+        const router = new Router(routes);
+
+        router.navigate({ name: 'qnote', params: { name: 'shopping list' } });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const currentRoute = router.currentRoute.state;
+        assert.equal(currentRoute.component, 'qnote-page', 'Should render the named route');
+        assert.equal(currentRoute.name, 'qnote', 'Should expose the route name');
+        assert.equal(currentRoute.params.name, 'shopping list', 'Should round-trip the param');
+    });
+});
+
+describe('Router Data Loaders', function(it) {
+    function createRouter(routes) {
+        const outlet = document.createElement('div');
+        document.body.appendChild(outlet);
+        const router = new Router({ '/': { component: 'home-page' }, ...routes });
+        router.setOutlet(outlet);
+        return { router, outlet };
+    }
+
+    it('passes loader results as the data prop and tracks pending', async () => {
+        let resolveLoader;
+        let loaderContext;
+        const { router, outlet } = createRouter({
+            '/loaded/:id/': {
+                component: 'loaded-page',
+                loader(context) {
+                    loaderContext = context;
+                    return new Promise(resolve => { resolveLoader = resolve; });
+                }
+            }
+        });
+
+        defineComponent('test-pending-indicator', {
+            template() {
+                return html`<span>${router.pending ? 'Loading' : 'Idle'}</span>`;
+            }
+        });
+        const indicator = document.createElement('test-pending-indicator');
+        document.body.appendChild(indicator);
+
+        try {
+            router.navigate('/loaded/7/', { tab: 'info' });
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.ok(router.pending, 'Should be pending while the loader runs');
+            assert.equal(indicator.textContent, 'Loading', 'Templates should react to pending');
+            assert.equal(loaderContext.params.id, '7', 'Loader should get params');
+            assert.equal(loaderContext.query.tab, 'info', 'Loader should get query');
+            assert.ok(loaderContext.signal instanceof AbortSignal, 'Loader should get an AbortSignal');
+            assert.notEqual(router.currentRoute.state.component, 'loaded-page', 'Should not render before data loads');
+
+            resolveLoader({ title: 'Seven' });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            assert.ok(!router.pending, 'Should not be pending after loading');
+            assert.equal(indicator.textContent, 'Idle', 'Templates should react to pending ending');
+            const page = outlet.firstElementChild;
+            assert.equal(page.tagName.toLowerCase(), 'loaded-page', 'Should render the route');
+            assert.deepEqual(page.data, { title: 'Seven' }, 'Should pass loader data');
+            assert.equal(page.params.id, '7', 'Should still pass params');
+        } finally {
+            router.destroy();
+            outlet.remove();
+            indicator.remove();
+        }
+    });
+
+    it('aborts and drops superseded navigations', async () => {
+        let slowSignal;
+        const { router, outlet } = createRouter({
+            '/slow/': {
+                component: 'slow-page',
+                loader({ signal }) {
+                    slowSignal = signal;
+                    return new Promise(resolve => setTimeout(() => resolve('slow'), 100));
+                }
+            },
+            '/fast/': {
+                component: 'fast-page',
+                loader: async () => 'fast'
+            }
+        });
+
+        try {
+            router.navigate('/slow/');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            router.navigate('/fast/');
+            await new Promise(resolve => setTimeout(resolve, 150));
+
+            assert.ok(slowSignal.aborted, 'Should abort the superseded loader');
+            assert.equal(router.currentRoute.state.component, 'fast-page', 'Latest navigation should win');
+            assert.equal(outlet.firstElementChild.data, 'fast', 'Should render the latest data');
+            assert.ok(!router.pending, 'Should not be pending');
+        } finally {
+            router.destroy();
+            outlet.remove();
+        }
+    });
+
+    it('renders the closest errorComponent when a loader throws', async () => {
+        const originalError = console.error;
+        console.error = () => {};
+        const { router, outlet } = createRouter({
+            '/broken/': {
+                component: 'broken-page',
+                errorComponent: 'broken-error',
+                loader: async () => { throw new Error('No data'); }
+            },
+            '/section/': {
+                component: 'section-layout',
+                errorComponent: 'section-error',
+                routes: {
+                    '/item/': {
+                        component: 'section-item',
+                        loader: async () => { throw new Error('No item'); }
+                    }
+                }
+            }
+        });
+
+        try {
+            router.navigate('/broken/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const errorPage = outlet.firstElementChild;
+            assert.equal(errorPage.tagName.toLowerCase(), 'broken-error', 'Should render the errorComponent');
+            assert.equal(errorPage.error.message, 'No data', 'Should pass the error');
+
+            router.navigate('/section/item/');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.equal(outlet.firstElementChild.tagName.toLowerCase(), 'section-error', 'Layout errorComponent should handle nested loader errors');
+            assert.equal(outlet.firstElementChild.error.message, 'No item', 'Should pass the nested error');
+        } finally {
+            console.error = originalError;
+            router.destroy();
+            outlet.remove();
+        }
+    });
+});
+
+describe('Router Guards', function(it) {
+    const wait = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('runs beforeEnter guards when entering a route', async () => {
+        const entered = [];
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/team/': {
+                component: 'team-layout',
+                beforeEnter: () => { entered.push('team'); },
+                routes: {
+                    '/:member/': {
+                        component: 'team-member',
+                        beforeEnter: [({ params }) => { entered.push(params.member); }]
+                    }
+                }
+            },
+            '/closed/': {
+                component: 'closed-page',
+                beforeEnter: () => false
+            }
+        });
+
+        router.navigate('/team/ann/');
+        await wait();
+        assert.deepEqual(entered, ['team', 'ann'], 'Should run the guards of each entered level, outermost first');
+
+        router.navigate('/team/ann/', { tab: 'bio' });
+        await wait();
+        assert.deepEqual(entered, ['team', 'ann'], 'Should not run guards when staying on the route');
+
+        router.navigate('/');
+        await wait();
+        router.navigate('/team/bob/');
+        await wait();
+        assert.deepEqual(entered, ['team', 'ann', 'team', 'bob'], 'Should run again when entering from outside');
+
+        router.navigate('/closed/');
+        await wait();
+        assert.equal(router.currentRoute.state.component, 'team-member', 'Should cancel when a guard returns false');
+        assert.ok(window.location.hash.startsWith('#/team/bob/'), 'Should restore the URL');
+        router.destroy();
+    });
+
+    it('checks required capabilities with the built-in guard', async () => {
+        const checked = [];
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/denied/': { component: 'denied-page' },
+            '/admin/': {
+                component: 'admin-layout',
+                require: 'admin',
+                routes: {
+                    '/users/': { component: 'admin-users' }
+                }
+            },
+            '/reports/': { component: 'reports-page', require: 'reports' }
+        }, {
+            checkCapability: async (capability) => {
+                checked.push(capability);
+                return capability === 'reports';
+            },
+            unauthorizedPath: '/denied/'
+        });
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            router.navigate('/reports/');
+            await wait();
+            assert.equal(router.currentRoute.state.component, 'reports-page', 'Should allow routes with the capability');
+
+            router.navigate('/admin/users/');
+            await wait();
+            assert.deepEqual(checked, ['reports', 'admin'], 'Nested routes should inherit require');
+            assert.equal(router.currentRoute.state.component, 'denied-page', 'Should redirect without the capability');
+            assert.ok(router.currentRoute.state.query.message.includes('admin'), 'Should pass a message');
+        } finally {
+            console.warn = originalWarn;
+            router.destroy();
+        }
+    });
+
+    it('lets routed components veto leaving with beforeRouteLeave', async () => {
+        let allowLeave = false;
+        let leaveArgs = null;
+        defineComponent('test-guarded-editor', {
+            beforeRouteLeave(to, from) {
+                leaveArgs = { to, from, component: this };
+                return allowLeave;
+            },
+            template() {
+                return html`<textarea></textarea>`;
+            }
+        });
+
+        const outlet = document.createElement('div');
+        document.body.appendChild(outlet);
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/editor/:doc/': { component: 'test-guarded-editor' },
+            '/other/': { component: 'other-page' }
+        });
+        router.setOutlet(outlet);
+
+        try {
+            router.navigate('/editor/notes/');
+            await wait();
+            const editor = outlet.firstElementChild;
+
+            router.navigate('/editor/todo/');
+            await wait();
+            assert.equal(leaveArgs, null, 'Should not ask when the component stays');
+
+            router.navigate('/other/');
+            await wait();
+            assert.equal(outlet.firstElementChild, editor, 'Should stay when the guard returns false');
+            assert.equal(leaveArgs.component, editor, 'Should call the guard on the component');
+            assert.equal(leaveArgs.to.path, '/other/', 'Should pass the target route');
+            assert.equal(leaveArgs.from.params.doc, 'todo', 'Should pass the current route');
+            assert.ok(window.location.hash.startsWith('#/editor/todo/'), 'Should restore the URL');
+
+            allowLeave = true;
+            router.navigate('/other/');
+            await wait();
+            assert.equal(outlet.firstElementChild.tagName.toLowerCase(), 'other-page', 'Should leave when allowed');
+        } finally {
+            router.destroy();
+            outlet.remove();
+        }
+    });
+
+    it('asks components to leave once when the capability guard redirects', async () => {
+        let asked = 0;
+        defineComponent('test-redirected-editor', {
+            beforeRouteLeave() {
+                asked++;
+                return true;
+            },
+            template() {
+                return html`<textarea></textarea>`;
+            }
+        });
+
+        const outlet = document.createElement('div');
+        document.body.appendChild(outlet);
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/editor/': { component: 'test-redirected-editor' },
+            '/denied/': { component: 'denied-page' },
+            '/admin/': { component: 'admin-page', require: 'admin' }
+        }, {
+            checkCapability: () => false,
+            unauthorizedPath: '/denied/'
+        });
+        router.setOutlet(outlet);
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            router.navigate('/editor/');
+            await wait();
+
+            router.navigate('/admin/');
+            await wait();
+            assert.equal(router.currentRoute.state.component, 'denied-page', 'Should redirect');
+            assert.equal(asked, 1, 'Should not run the leave guard again for the redirect');
+        } finally {
+            console.warn = originalWarn;
+            router.destroy();
+            outlet.remove();
+        }
+    });
+
+    it('cancels the navigation when a guard throws', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/start/': { component: 'start-page' },
+            '/broken/': {
+                component: 'broken-page',
+                beforeEnter: () => { throw new Error('guard failed'); }
+            },
+            '/secret/': { component: 'secret-page', require: 'secret' }
+        }, {
+            checkCapability: async () => { throw new Error('check failed'); }
+        });
+
+        const originalError = console.error;
+        const errors = [];
+        console.error = (...args) => errors.push(args);
+        try {
+            router.navigate('/start/');
+            await wait();
+
+            router.navigate('/broken/');
+            await wait();
+            assert.equal(router.currentRoute.state.component, 'start-page', 'Should stay when beforeEnter throws');
+            assert.ok(window.location.hash.startsWith('#/start/'), 'Should restore the URL');
+
+            router.navigate('/secret/');
+            await wait();
+            assert.equal(router.currentRoute.state.component, 'start-page', 'Should stay when checkCapability throws');
+            assert.ok(window.location.hash.startsWith('#/start/'), 'Should restore the URL');
+            assert.equal(errors.length, 2, 'Should log the errors');
+        } finally {
+            console.error = originalError;
+            router.destroy();
+        }
+    });
+
+    it('cancels the navigation when a beforeEach hook throws', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/start/': { component: 'start-page' },
+            '/next/': { component: 'next-page' }
+        });
+
+        const originalError = console.error;
+        const errors = [];
+        console.error = (...args) => errors.push(args);
+        try {
+            router.navigate('/start/');
+            await wait();
+
+            router.beforeEach(({ path }) => {
+                if (path === '/next/') throw new Error('hook failed');
+            });
+            router.navigate('/next/');
+            await wait();
+            assert.equal(router.currentRoute.state.component, 'start-page', 'Should stay on the route');
+            assert.ok(window.location.hash.startsWith('#/start/'), 'Should restore the URL');
+            assert.equal(errors.length, 1, 'Should log the error');
+        } finally {
+            console.error = originalError;
+            router.destroy();
+        }
+    });
+
+    it('restores the location when a back navigation is cancelled', async () => {
+        let blocking = false;
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/first/': { component: 'first-page' },
+            '/second/': { component: 'second-page' }
+        });
+        router.beforeEach(() => !blocking);
+
+        router.navigate('/first/');
+        await wait();
+        router.navigate('/second/');
+        await wait();
+
+        blocking = true;
+        window.history.back();
+        await wait(100);
+
+        assert.equal(router.currentRoute.state.component, 'second-page', 'Should stay on the route');
+        assert.ok(window.location.hash.startsWith('#/second/'), 'Should go forward to the route again');
+        router.destroy();
+    });
+});
+
 describe('Router Hash Mode Query Parsing', function(it) {
     it('parses query string from hash URL', async () => {
         const router = new Router({
@@ -428,4 +977,88 @@ describe('Router Pattern Compilation', function(it) {
         const currentRoute = router.currentRoute.state;
         assert.equal(currentRoute.params.endpoint, 'users', 'Should handle dots in route');
     });
+
+    it('matches catch-all segments', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/docs/*path': { component: 'docs-page' }
+        });
+
+        assert.deepEqual(router.routes['/docs/*path']._compiled.paramNames, ['path'], 'Should name the catch-all param');
+
+        router.navigate('/docs/guide/routing/');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.component, 'docs-page', 'Should match nested segments');
+        assert.equal(router.currentRoute.state.params.path, 'guide/routing', 'Should capture the rest of the path');
+
+        router.navigate('/docs');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.component, 'docs-page', 'Should match without segments');
+        assert.equal(router.currentRoute.state.params.path, '', 'Should capture an empty path');
+    });
+
+    it('matches optional params', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/qnote/:name?/': { component: 'qnote-page' }
+        });
+
+        router.navigate('/qnote/');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.component, 'qnote-page', 'Should match without the param');
+        assert.ok(!('name' in router.currentRoute.state.params), 'Should leave out the missing param');
+
+        router.navigate('/qnote/shopping/');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.params.name, 'shopping', 'Should match with the param');
+    });
+
+    it('applies param constraints', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/product/:id(\\d+)/': { component: 'product-page' },
+            '/product/:slug/': { component: 'product-slug-page' },
+            '/file/:name([a-z]+(?:-[a-z]+)*).json': { component: 'file-page' }
+        });
+
+        router.navigate('/product/42/');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.component, 'product-page', 'Should match the constraint');
+        assert.equal(router.currentRoute.state.params.id, '42', 'Should capture the constrained param');
+
+        router.navigate('/product/blue-shirt/');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.component, 'product-slug-page', 'Should skip routes whose constraint fails');
+
+        router.navigate('/file/release-notes.json');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(router.currentRoute.state.params.name, 'release-notes', 'Should allow groups in constraints');
+    });
+
+    it('ranks routes by specificity instead of definition order', async () => {
+        const router = new Router({
+            '/': { component: 'home-page' },
+            '/*rest': { component: 'not-found-page' },
+            '/users/:id/': { component: 'user-page' },
+            '/users/:id/:tab?/': { component: 'user-tab-page' },
+            '/users/:id(\\d+)/posts/': { component: 'user-posts-page' },
+            '/users/:id/:tab/': { component: 'user-section-page' },
+            '/users/me/:tab/': { component: 'my-page' }
+        });
+
+        const expectations = {
+            '/users/5/': 'user-page',
+            '/users/5/posts/': 'user-posts-page',
+            '/users/me/posts/': 'my-page',
+            '/users/bob/posts/': 'user-section-page',
+            '/nowhere/at/all/': 'not-found-page'
+        };
+
+        for (const [path, component] of Object.entries(expectations)) {
+            router.navigate(path);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(router.currentRoute.state.component, component, `${path} should render ${component}`);
+        }
+        assert.equal(router.currentRoute.state.params.rest, 'nowhere/at/all', 'Catch-all should capture the path');
+    });
 });
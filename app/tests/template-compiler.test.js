@@ -6,7 +6,8 @@
  */
 
 import { describe, assert } from './test-runner.js';
-import { compileTemplate, applyValues, clearTemplateCache, getTemplateCacheSize } from '../lib/core/template-compiler.js';
+import { compileTemplate, applyValues, clearTemplateCache, getTemplateCacheSize, precompileTemplate, registerTemplate, setDebugTemplateHook } from '../lib/core/template-compiler.js';
+import { locateTemplateError } from '../lib/debug.js';
 import { defineComponent, html } from '../lib/framework.js';
 import { render as preactRender } from '../lib/vendor/preact/index.js';
 
@@ -428,6 +429,234 @@ describe('Template Compiler Edge Cases', function(it) {
         const div = container.querySelector('div');
         assert.equal(div.textContent, 'Content', 'Should render content after comment');
     });
+
+    it('compiles without DOMParser (server rendering)', () => {
+        clearTemplateCache();
+        const savedParser = globalThis.DOMParser;
+        globalThis.DOMParser = undefined;
+
+        let compiled;
+        try {
+            const strings = ['<ul class="list"><li title="', '">A &amp; B</li><br/><!-- note --><li>', '</li></ul>'];
+            compiled = compileTemplate(strings);
+        } finally {
+            globalThis.DOMParser = savedParser;
+        }
+
+        const container = document.createElement('div');
+        const vnode = applyValues(compiled, ['first', 'Second']);
+        preactRender(vnode, container);
+
+        const items = container.querySelectorAll('ul.list li');
+        assert.equal(items.length, 2, 'Should parse both list items');
+        assert.equal(items[0].getAttribute('title'), 'first', 'Should apply attribute slot');
+        assert.equal(items[0].textContent, 'A & B', 'Should decode entities');
+        assert.ok(container.querySelector('ul br'), 'Should parse self-closing tags');
+        assert.equal(items[1].textContent, 'Second', 'Should apply text slot');
+    });
+});
+
+describe('Precompiled Templates', function(it) {
+    it('uses the registered op tree instead of parsing', () => {
+        clearTemplateCache();
+        const precompiled = precompileTemplate(['<section class="aot"><h2>Title</h2><p>', '</p></section>'], new Set());
+
+        // Same slots, different markup: the output shows which one was used
+        const statics = registerTemplate(['<div>', '</div>'], JSON.parse(JSON.stringify(precompiled)));
+        const container = document.createElement('div');
+        preactRender(applyValues(compileTemplate(statics), ['Body']), container);
+
+        assert.ok(container.querySelector('section.aot'), 'Should render the precompiled markup');
+        assert.equal(container.querySelector('h2').textContent, 'Title', 'Should build static subtrees');
+        assert.equal(container.querySelector('p').textContent, 'Body', 'Should apply slots');
+    });
+
+    it('treats the given tags as components', () => {
+        clearTemplateCache();
+        const strings = ['<x-component data="', '"><span>Child</span></x-component>'];
+        const precompiled = precompileTemplate(strings, new Set(['x-component']));
+
+        assert.deepEqual(precompiled.plainTags, [], 'Component tags are not plain tags');
+        const compiled = compileTemplate(registerTemplate([...strings], precompiled));
+        assert.ok(compiled.children[0].isCustomElement, 'Should compile x-component as a component');
+    });
+
+    it('falls back to parsing when a plain tag became a component', () => {
+        clearTemplateCache();
+        const strings = ['<x-component>', '</x-component>'];
+        const precompiled = precompileTemplate(strings, new Set());
+
+        assert.deepEqual(precompiled.plainTags, ['x-component'], 'Should record tags assumed to be plain elements');
+        const compiled = compileTemplate(registerTemplate([...strings], precompiled));
+        assert.ok(compiled.children[0].isCustomElement, 'Should compile with the runtime registry');
+    });
+});
+
+describe('Template Diagnostics', function(it) {
+    // Collect diagnostics from the compiler while fn runs
+    function collectDiagnostics(fn) {
+        const diagnostics = [];
+        setDebugTemplateHook((component, diagnostic) => diagnostics.push({ component, ...diagnostic }));
+        try {
+            fn();
+        } finally {
+            setDebugTemplateHook(null);
+        }
+        return diagnostics;
+    }
+
+    it('reports parse errors with the template', () => {
+        clearTemplateCache();
+        const component = { tagName: 'TEST-DIAG' };
+        const diagnostics = collectDiagnostics(() => {
+            applyValues(compileTemplate(['\n<div>\n    <span>', '</div>\n']), ['x'], component);
+        });
+
+        assert.equal(diagnostics.length, 1, 'Should report one diagnostic');
+        assert.equal(diagnostics[0].type, 'parse', 'Should be a parse error');
+        assert.equal(diagnostics[0].component, component, 'Should pass the rendering component');
+        assert.ok(diagnostics[0].template.includes('<span>__SLOT_0__</div>'), 'Should include the template');
+    });
+
+    it('locates parse errors by line and column', () => {
+        const error = locateTemplateError('\n<div>\n    <span>__SLOT_0__</div>\n');
+        assert.equal(error.message, 'Expected </span> but found </div>', 'Should describe the mismatch');
+        assert.equal(error.line, 3, 'Should find the line');
+        assert.equal(error.column, 15, 'Should find the column (interpolations count as ${…})');
+        assert.ok(error.snippet.includes('3 |     <span>${…}</div>'), 'Should show the line');
+
+        assert.equal(locateTemplateError('<p>&nbsp;</p>').message,
+            'Unknown entity &nbsp; (use the character or a numeric reference)', 'Should flag HTML-only entities');
+        assert.equal(locateTemplateError('<ul>\n<li>One</li>').message, '<ul> is never closed', 'Should flag unclosed tags');
+        assert.equal(locateTemplateError('<p>a < b</p>').message, 'Unescaped "<" (write &lt;)', 'Should flag stray <');
+        assert.equal(locateTemplateError('<p class="a">ok</p><br>'), null, 'Should accept valid markup');
+    });
+
+    it('reports unknown methods and x-model paths', () => {
+        clearTemplateCache();
+        const component = { tagName: 'TEST-DIAG', state: { user: { name: '' } }, save() {} };
+        const diagnostics = collectDiagnostics(() => {
+            const compiled = compileTemplate([
+                '<form on-submit-prevent="save"><input x-model="user.nmae"><input x-model="user.name"><button on-click="handlr">Go</button></form>'
+            ]);
+            applyValues(compiled, [], component);
+        });
+
+        const messages = diagnostics.map(d => d.message);
+        assert.ok(messages.includes('x-model="user.nmae" doesn\'t match a state property'), 'Should flag the unknown x-model path');
+        assert.ok(messages.includes('on-click="handlr" doesn\'t match a method'), 'Should flag the unknown method');
+        assert.equal(diagnostics.length, 2, 'Should not flag valid bindings');
+    });
+
+    it('reports unknown event modifiers', () => {
+        clearTemplateCache();
+        let saved = 0;
+        const component = { tagName: 'TEST-DIAG', save() { saved++; } };
+        const container = document.createElement('div');
+        const diagnostics = collectDiagnostics(() => {
+            preactRender(applyValues(compileTemplate([
+                '<div><button on-click-prevnt="save">Save</button><input on-keydown-enter-prevent="save"></div>'
+            ]), [], component), container);
+        });
+
+        assert.deepEqual(diagnostics.map(d => d.message),
+            ['on-click-prevnt="save" has an unknown modifier "prevnt"'], 'Should flag the modifier, not key filters on key events');
+        container.querySelector('button').click();
+        assert.equal(saved, 1, 'Should ignore the unknown modifier');
+    });
+});
+
+describe('Class, Style and Spread Bindings', function(it) {
+    it('builds class from objects and arrays', () => {
+        const container = document.createElement('div');
+        const isActive = true;
+        renderTemplate(html`
+            <div class="${{ active: isActive, disabled: false }}"></div>
+            <div class="${['btn', { primary: true, outlined: false }, ['large']]}"></div>
+            <div class="base ${{ open: true }}"></div>
+            <x-component class="${{ raised: true }}"></x-component>
+        `, container);
+
+        const [first, second, third] = container.querySelectorAll('div');
+        assert.equal(first.className, 'active', 'Should keep truthy keys');
+        assert.equal(second.className, 'btn primary large', 'Should flatten arrays');
+        assert.equal(third.className, 'base open', 'Should combine with static text');
+        assert.equal(container.querySelector('x-component').className, 'raised', 'Should work on components');
+    });
+
+    it('builds style from objects and validates values', () => {
+        const container = document.createElement('div');
+        const originalWarn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            renderTemplate(html`
+                <div id="sized" style="${{ width: 120, zIndex: 3, backgroundColor: 'red', '--gap': '4px', color: null }}"></div>
+                <div id="unsafe" style="${{ color: 'red; position: fixed', background: 'url(javascript:alert(1))', height: '2em' }}"></div>
+            `, container);
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        const sized = container.querySelector('#sized').getAttribute('style');
+        assert.ok(sized.includes('width: 120px'), 'Should add px to lengths');
+        assert.ok(sized.includes('z-index: 3'), 'Should leave unitless properties alone');
+        assert.ok(sized.includes('background-color: red'), 'Should convert camelCase names');
+        assert.ok(sized.includes('--gap: 4px'), 'Should keep custom properties');
+        assert.ok(!sized.includes('color: null'), 'Should skip null values');
+
+        const unsafe = container.querySelector('#unsafe').style;
+        assert.equal(unsafe.height, '2em', 'Should keep safe values');
+        assert.ok(!unsafe.color && !unsafe.position && !unsafe.background, 'Should drop unsafe values');
+        assert.equal(warnings.length, 2, 'Should warn about each blocked value');
+    });
+
+    it('spreads attributes onto an element', () => {
+        const container = document.createElement('div');
+        let clicked = false;
+        const attrs = {
+            placeholder: 'Name',
+            'aria-label': 'Full name',
+            id: 'spread-id',
+            class: 'from-spread',
+            style: { width: 50 },
+            required: true,
+            hidden: false,
+            onClick: () => { clicked = true; },
+            onfocus: 'alert(1)',
+            dangerouslySetInnerHTML: { __html: '<b>x</b>' }
+        };
+        renderTemplate(html`<input id="own-id" class="own" style="color: red" ...${attrs}>`, container);
+
+        const input = container.querySelector('input');
+        assert.equal(input.getAttribute('placeholder'), 'Name', 'Should set spread attributes');
+        assert.equal(input.getAttribute('aria-label'), 'Full name', 'Should allow dashed names');
+        assert.equal(input.id, 'own-id', 'Should let the element\'s own attributes win');
+        assert.equal(input.className, 'from-spread own', 'Should combine classes');
+        assert.equal(input.style.width, '50px', 'Should apply the spread style');
+        assert.equal(input.style.color, 'red', 'Should keep the element\'s own style');
+        assert.ok(input.required, 'Should set boolean attributes');
+        assert.ok(!input.hasAttribute('hidden'), 'Should skip false values');
+        assert.ok(!input.hasAttribute('onfocus'), 'Should not set handler strings');
+
+        input.click();
+        assert.ok(clicked, 'Should bind function handlers');
+    });
+
+    it('blocks unsafe URLs in spreads', () => {
+        const container = document.createElement('div');
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            renderTemplate(html`<a ...${{ href: 'javascript:alert(1)', title: 'x' }}>Link</a>`, container);
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        const link = container.querySelector('a');
+        assert.ok(!link.getAttribute('href'), 'Should sanitize spread URLs');
+        assert.equal(link.title, 'x', 'Should set the other attributes');
+    });
 });
 
 describe('Template Compiler Performance', function(it) {
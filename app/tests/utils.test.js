@@ -15,7 +15,9 @@ import {
     range,
     relativeTime,
     localStore,
-    darkTheme
+    darkTheme,
+    formData,
+    serializeForm
 } from '../lib/utils.js';
 
 describe('Utility Functions', function(it) {
@@ -63,6 +65,19 @@ describe('Utility Functions', function(it) {
         assert.equal(relativeTime(justNow), 'just now', 'Should show "just now" for recent times');
         assert.ok(relativeTime(hoursAgo).includes('hours ago'), 'Should show hours for older times');
     });
+
+    it('formData() and serializeForm() read form fields', () => {
+        const form = document.createElement('form');
+        form.innerHTML = `
+            <input name="user" value="alice">
+            <input type="checkbox" name="tags" value="a" checked>
+            <input type="checkbox" name="tags" value="b" checked>
+            <input type="checkbox" name="tags" value="c">
+        `;
+
+        assert.deepEqual(formData(form), { user: 'alice', tags: 'b' }, 'Repeated fields should keep the last value');
+        assert.equal(serializeForm(form), 'user=alice&tags=b', 'Should serialize the same fields');
+    });
 });
 
 describe('Notification System', function(it) {
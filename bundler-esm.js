@@ -37,30 +37,45 @@ const FILES_TO_BUNDLE = [
     'app/lib/vendor/preact/index.js',
     // Core Framework
     'app/lib/core/reactivity.js',
+    'app/lib/core/transition.js',
+    'app/lib/core/directives.js',
     'app/lib/core/template-compiler.js',
     'app/lib/core/template.js',
     'app/lib/core/component.js',
     'app/lib/core/store.js',
+    'app/lib/core/server-render.js',
     'app/lib/core/x-await-then.js',
+    'app/lib/core/x-error-boundary.js',
+    'app/lib/core/x-transition.js',
+    'app/lib/core/x-portal.js',
 ];
 
 // What to export from the final bundle
 const PUBLIC_EXPORTS = [
     'defineComponent',
+    'defineDirective',
+    'nextTick',
     'html',
     'raw',
     'when',
     'each',
     'awaitThen',
     'reactive',
+    'shallowReactive',
+    'readonly',
+    'markRaw',
+    'toRaw',
     'createEffect',
     'createStore',
     'computed',
     'trackAllDependencies',
     'isReactive',
+    'isReadonly',
     'watch',
     'memo',
     'pruneTemplateCache',
+    'registerTemplate',
+    'renderToString',
     'h',
     'Fragment',
     'render',
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * Ahead-of-Time Template Compiler
+ *
+ * Copies app/ to an output directory and rewrites every html`...` in app and
+ * componentlib modules into html(statics, ...values), where the statics array
+ * is registered with its precompiled op tree. At runtime compileTemplate()
+ * finds the op tree, so no template is parsed (no regex pre-pass, no
+ * DOMParser) in the shipped build.
+ *
+ * Framework internals (lib/, dist/) and tests are copied unchanged.
+ *
+ * Usage: node precompile-templates.js [outDir] [--outside]   (default: build)
+ *
+ * The output directory is deleted and rewritten, so it has to be inside the
+ * repository (pass --outside to allow anywhere else), and outside app/. A
+ * directory that already exists is only replaced if this script created it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { precompileTemplate } from './app/lib/core/template-compiler.js';
+import { OP } from './app/lib/core/template.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const APP_DIR = path.join(__dirname, 'app');
+
+// Directories (relative to app/) whose modules are copied without rewriting
+const SKIP_DIRS = ['lib', 'dist', 'tests'];
+
+// Marks an output directory as written by this script, so it's safe to replace
+const OUTPUT_MARKER = '.vdx-precompiled';
+
+// Name of the statics table inserted into each rewritten module
+const TABLE_NAME = '__vdxTemplates';
+
+// Words after which a `/` starts a regex literal rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete',
+    'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Collect the tags of every component defined in the app, so templates know
+ * which elements are components without a runtime registry
+ */
+function collectComponentTags(dir, tags = new Set()) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'dist' && entry.name !== 'vendor') {
+                collectComponentTags(fullPath, tags);
+            }
+        } else if (entry.name.endsWith('.js')) {
+            const code = fs.readFileSync(fullPath, 'utf-8');
+            for (const match of code.matchAll(/defineComponent\(\s*['"`]([a-z][\w]*-[\w-]*)['"`]/g)) {
+                tags.add(match[1]);
+            }
+        }
+    }
+    return tags;
+}
+
+// ============================================================================
+// Lexing - just enough JavaScript to find template literals
+// ============================================================================
+
+function isRegexStart(prev) {
+    return prev === '' || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(prev) || REGEX_KEYWORDS.has(prev);
+}
+
+/**
+ * If a string, comment or regex literal starts at i, return the index after it
+ * (templates are handled by readTemplate). Otherwise return -1.
+ */
+function skipLiteral(code, i, prev) {
+    const c = code[i];
+
+    if (c === '"' || c === "'") {
+        let j = i + 1;
+        while (j < code.length && code[j] !== c) {
+            j += code[j] === '\\' ? 2 : 1;
+        }
+        return j + 1;
+    }
+
+    if (c === '/' && code[i + 1] === '/') {
+        const end = code.indexOf('\n', i);
+        return end === -1 ? code.length : end;
+    }
+
+    if (c === '/' && code[i + 1] === '*') {
+        const end = code.indexOf('*/', i + 2);
+        return end === -1 ? code.length : end + 2;
+    }
+
+    if (c === '/' && isRegexStart(prev)) {
+        let j = i + 1;
+        let inClass = false;
+        while (j < code.length && (inClass || code[j] !== '/')) {
+            if (code[j] === '\\') j++;
+            else if (code[j] === '[') inClass = true;
+            else if (code[j] === ']') inClass = false;
+            j++;
+        }
+        j++;
+        while (j < code.length && /\w/.test(code[j])) j++;  // flags
+        return j;
+    }
+
+    return -1;
+}
+
+/**
+ * Read a template literal starting at the backtick at i
+ * @returns {{quasis: string[], exprs: Array<[number, number]>, end: number}}
+ * Raw string parts, expression source ranges, and the index after the closing backtick
+ */
+function readTemplate(code, i) {
+    const quasis = [];
+    const exprs = [];
+    let chunkStart = i + 1;
+    let j = i + 1;
+
+    while (j < code.length) {
+        if (code[j] === '\\') {
+            j += 2;
+        } else if (code[j] === '`') {
+            quasis.push(code.slice(chunkStart, j));
+            return { quasis, exprs, end: j + 1 };
+        } else if (code[j] === '$' && code[j + 1] === '{') {
+            quasis.push(code.slice(chunkStart, j));
+            const exprEnd = findExpressionEnd(code, j + 2);
+            exprs.push([j + 2, exprEnd]);
+            j = chunkStart = exprEnd + 1;
+        } else {
+            j++;
+        }
+    }
+
+    throw new Error('Unterminated template literal');
+}
+
+/**
+ * Find the `}` closing a template expression that starts at i
+ */
+function findExpressionEnd(code, i) {
+    let depth = 0;
+    let prev = '';
+
+    while (i < code.length) {
+        const c = code[i];
+
+        if (c === '`') {
+            i = readTemplate(code, i).end;
+            prev = '`';
+            continue;
+        }
+
+        const literalEnd = skipLiteral(code, i, prev);
+        if (literalEnd !== -1) {
+            // Comments don't change what a following `/` means
+            if (code[i] !== '/' || (code[i + 1] !== '/' && code[i + 1] !== '*')) prev = '"';
+            i = literalEnd;
+            continue;
+        }
+
+        if (c === '{') {
+            depth++;
+        } else if (c === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
+
+        if (/[\w$]/.test(c)) {
+            const word = code.slice(i).match(/^[\w$]+/)[0];
+            prev = word;
+            i += word.length;
+            continue;
+        }
+        if (!/\s/.test(c)) prev = c;
+        i++;
+    }
+
+    throw new Error('Unterminated template expression');
+}
+
+// ============================================================================
+// Rewriting
+// ============================================================================
+
+/**
+ * Turn raw template text into the string a TemplateStringsArray holds
+ */
+function cook(raw) {
+    return new Function('return `' + raw + '`;')();
+}
+
+/**
+ * Check whether the template literal at i is tagged with `html`
+ */
+function isHtmlTag(code, i) {
+    return code.slice(i - 4, i) === 'html' && !/[\w$.]/.test(code[i - 5] || '');
+}
+
+/**
+ * Rewrite the html`...` templates in code[start, end), nested ones included
+ * @param {Object} context - { componentTags, templates, file }
+ */
+function rewriteTemplates(code, start, end, context) {
+    let output = '';
+    let prev = '';
+    let i = start;
+
+    while (i < end) {
+        const c = code[i];
+
+        if (c === '`') {
+            const { quasis, exprs, end: templateEnd } = readTemplate(code, i);
+            const exprSources = exprs.map(([from, to]) => rewriteTemplates(code, from, to, context));
+            const index = isHtmlTag(code, i) ? addTemplate(quasis, context) : -1;
+
+            if (index !== -1) {
+                const args = exprSources.map(expr => expr.includes(',') ? `(${expr.trim()})` : expr.trim());
+                output += `(${[`${TABLE_NAME}[${index}]`, ...args].join(', ')})`;
+            } else {
+                output += '`' + quasis.map((quasi, n) =>
+                    n < exprSources.length ? `${quasi}\${${exprSources[n]}}` : quasi).join('') + '`';
+            }
+
+            i = templateEnd;
+            prev = '`';
+            continue;
+        }
+
+        const literalEnd = skipLiteral(code, i, prev);
+        if (literalEnd !== -1) {
+            if (code[i] !== '/' || (code[i + 1] !== '/' && code[i + 1] !== '*')) prev = '"';
+            output += code.slice(i, literalEnd);
+            i = literalEnd;
+            continue;
+        }
+
+        if (/[\w$]/.test(c)) {
+            const word = code.slice(i, end).match(/^[\w$]+/)[0];
+            output += word;
+            prev = word;
+            i += word.length;
+            continue;
+        }
+
+        if (!/\s/.test(c)) prev = c;
+        output += c;
+        i++;
+    }
+
+    return output;
+}
+
+/**
+ * Precompile a template and add it to the module's table
+ * @returns {number} Table index, or -1 to leave the template to the runtime compiler
+ */
+function addTemplate(quasis, context) {
+    const strings = quasis.map(cook);
+    const precompiled = precompileTemplate(strings, context.componentTags);
+
+    // Parse errors compile to an empty fragment - keep the runtime's error report
+    const { ops } = precompiled;
+    if (ops.op === OP.STATIC && ops.node.type === 'fragment' && ops.node.children.length === 0 &&
+        strings.join('').trim()) {
+        console.warn(`⚠️  ${context.file}: couldn't parse a template, leaving it to the runtime compiler`);
+        return -1;
+    }
+
+    context.templates.push(`    registerTemplate(${JSON.stringify(strings)}, ${JSON.stringify(precompiled)})`);
+    return context.templates.length - 1;
+}
+
+/**
+ * Rewrite a module's templates
+ * @returns {{code: string, count: number}|null} Null if nothing was precompiled
+ */
+function transformModule(code, file, componentTags) {
+    // html has to come from the framework, which also provides registerTemplate
+    const importPattern = /import\s*{([^}]*)}\s*from\s*(['"][^'"]*framework\.js['"])/;
+    const frameworkImport = code.match(importPattern);
+    if (!frameworkImport || !frameworkImport[1].split(',').some(spec => spec.trim() === 'html')) {
+        return null;
+    }
+
+    const context = { componentTags, templates: [], file };
+    let body = rewriteTemplates(code, 0, code.length, context);
+    if (context.templates.length === 0) {
+        return null;
+    }
+
+    const specifiers = frameworkImport[1].split(',').map(spec => spec.trim()).filter(Boolean);
+    body = body.replace(importPattern, `import { ${[...specifiers, 'registerTemplate'].join(', ')} } from $2`);
+
+    // Declare the table after the imports, before any code that renders
+    const imports = [...body.matchAll(/^import\s[^;]*?['"][^'"]+['"];?/gm)];
+    const last = imports[imports.length - 1];
+    const insertAt = last ? last.index + last[0].length : 0;
+    const table = `\n\nconst ${TABLE_NAME} = [\n${context.templates.join(',\n')}\n];\n`;
+
+    return {
+        code: body.slice(0, insertAt) + table + body.slice(insertAt),
+        count: context.templates.length
+    };
+}
+
+/**
+ * Copy a directory, rewriting modules outside SKIP_DIRS
+ */
+function copyApp(srcDir, outDir, componentTags, stats) {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+        const srcPath = path.join(srcDir, entry.name);
+        const outPath = path.join(outDir, entry.name);
+        const relative = path.relative(APP_DIR, srcPath);
+
+        if (entry.isDirectory()) {
+            copyApp(srcPath, outPath, componentTags, stats);
+            continue;
+        }
+
+        const skipped = SKIP_DIRS.some(dir => relative.startsWith(dir + path.sep));
+        if (!entry.name.endsWith('.js') || skipped) {
+            fs.copyFileSync(srcPath, outPath);
+            continue;
+        }
+
+        const result = transformModule(fs.readFileSync(srcPath, 'utf-8'), relative, componentTags);
+        if (result) {
+            fs.writeFileSync(outPath, result.code);
+            stats.modules++;
+            stats.templates += result.count;
+        } else {
+            fs.copyFileSync(srcPath, outPath);
+        }
+    }
+}
+
+/**
+ * Check that the output directory can be deleted and rewritten
+ */
+function checkOutDir(outDir, allowOutside) {
+    const isInside = (dir, parent) => dir.startsWith(parent + path.sep);
+
+    if (outDir === __dirname || isInside(__dirname, outDir)) {
+        throw new Error('Output directory must not be the repository or one of its parents');
+    }
+    if (outDir === APP_DIR || isInside(outDir, APP_DIR)) {
+        throw new Error('Output directory must be outside app/');
+    }
+    if (!isInside(outDir, __dirname) && !allowOutside) {
+        throw new Error(`Output directory ${outDir} is outside the repository (pass --outside to allow it)`);
+    }
+    if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0 &&
+        !fs.existsSync(path.join(outDir, OUTPUT_MARKER))) {
+        throw new Error(`Output directory ${outDir} already exists and wasn't written by this script`);
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const allowOutside = args.includes('--outside');
+    const outDir = path.resolve(__dirname, args.find(arg => !arg.startsWith('--')) || 'build');
+    checkOutDir(outDir, allowOutside);
+
+    console.log('🔨 Precompiling templates...\n');
+
+    const componentTags = collectComponentTags(APP_DIR);
+    const stats = { modules: 0, templates: 0 };
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    copyApp(APP_DIR, outDir, componentTags, stats);
+    fs.writeFileSync(path.join(outDir, OUTPUT_MARKER), '');
+
+    console.log(`✅ ${stats.templates} templates in ${stats.modules} modules → ${path.relative(__dirname, outDir)}/`);
+    console.log(`   (${componentTags.size} component tags)`);
+}
+
+main();
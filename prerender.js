@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Build-time Prerenderer
+ *
+ * Renders shop pages to static HTML with renderToString() so crawlers and
+ * slow devices see content before JavaScript loads. Each route is written
+ * next to the shop's index.html: the app shell with the page prerendered in
+ * its <router-outlet>. Once the app boots it hydrates the markup and the
+ * router adopts the prerendered page.
+ *
+ * Usage: node prerender.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const APP_DIR = path.join(__dirname, 'app/apps/shop');
+
+// Pages to prerender: router path, page component, props and output file
+const ROUTES = [
+    { path: '/shop/', component: 'shop-home-page', output: 'prerendered-home.html' },
+    { path: '/shop/products/', component: 'shop-products-page', output: 'prerendered-products.html' }
+];
+
+// Registers the shell and every page component
+const APP_MODULE = 'shop-app.js';
+
+/**
+ * Serve relative fetch() calls (e.g. './products.json') from the app directory,
+ * the way the browser resolves them against the page URL
+ */
+function installFileFetch() {
+    const networkFetch = globalThis.fetch;
+
+    globalThis.fetch = async (url, init) => {
+        const href = String(url);
+        if (/^[a-z]+:/i.test(href)) {
+            return networkFetch(url, init);
+        }
+
+        const filePath = path.join(APP_DIR, href.split(/[?#]/)[0]);
+        try {
+            const body = await fs.promises.readFile(filePath);
+            return new Response(body, { status: 200 });
+        } catch {
+            return new Response('Not Found', { status: 404 });
+        }
+    };
+}
+
+/**
+ * Split renderToString() output into its leading <style> elements and the markup
+ */
+function splitStyles(html) {
+    const styles = html.match(/^(?:<style[^>]*>[\s\S]*?<\/style>)*/)[0];
+    return { styles, markup: html.slice(styles.length) };
+}
+
+/**
+ * Insert the prerendered shell and page into a copy of the app's index.html
+ */
+function buildPage(template, route, shell, page) {
+    // The outlet's content is owned by the router, not the shell's template -
+    // the marker keeps hydration from removing it
+    const markup = shell.markup.replace('<router-outlet></router-outlet>',
+        `<router-outlet data-vdx-ssr>${page.markup}</router-outlet>`);
+
+    // Hash routing: open the prerendered route instead of the default one
+    const routeScript = `<script>if (!location.hash) location.hash = '${route.path}';</script>`;
+
+    // Drop page styles the shell already includes (same component, same id)
+    const pageStyles = page.styles.replace(/<style id="([^"]*)">[\s\S]*?<\/style>/g,
+        (style, id) => shell.styles.includes(`<style id="${id}">`) ? '' : style);
+
+    return template
+        .replace('</head>', `${shell.styles}${pageStyles}\n</head>`)
+        .replace('<shop-app></shop-app>', markup)
+        .replace('<script type="module"', `${routeScript}\n    <script type="module"`);
+}
+
+async function prerender() {
+    console.log('🔨 Prerendering shop pages...\n');
+
+    installFileFetch();
+
+    const { renderToString } = await import(pathToFileURL(path.join(__dirname, 'app/lib/framework.js')).href);
+    await import(pathToFileURL(path.join(APP_DIR, APP_MODULE)).href);
+
+    const template = fs.readFileSync(path.join(APP_DIR, 'index.html'), 'utf-8');
+    const shell = splitStyles(await renderToString('shop-app'));
+
+    for (const route of ROUTES) {
+        const page = splitStyles(await renderToString(route.component, route.props));
+        const html = buildPage(template, route, shell, page);
+        const outputPath = path.join(APP_DIR, route.output);
+        fs.writeFileSync(outputPath, html);
+        console.log(`✅ ${route.path} → ${path.relative(__dirname, outputPath)} (${(html.length / 1024).toFixed(1)} KB)`);
+    }
+
+    console.log(`\n🎉 Prerendered ${ROUTES.length} pages`);
+}
+
+prerender().catch(err => {
+    console.error('❌ Prerender failed:', err);
+    process.exit(1);
+});